@@ -1,8 +1,16 @@
 const User = require('../models/User');
 const ISP = require('../models/ISP');
-const generateToken = require('../utils/generateToken');
+const authSessions = require('../utils/authSessions');
+const accountTokens = require('../utils/accountTokens');
+const twoFactor = require('../utils/twoFactor');
+const loginProtection = require('../utils/loginProtection');
 const { validationResult } = require('express-validator');
 const { sequelize } = require('../config/db');
+const { claimPortalInvite } = require('../utils/customerPortal');
+const { getUserPermissions } = require('../utils/rbac');
+const createActivityLog = require('../utils/activityLogger');
+const { runWithinLimit } = require('../services/planLimitService');
+const { sendPlanLimitExceeded } = require('../middlewares/planLimitMiddleware');
 
 // @desc    Register a new user
 // @route   POST /api/auth/register
@@ -36,48 +44,161 @@ const register = async (req, res) => {
       return res.status(400).json({ message: 'ISP ID is required for customer registration' });
     }
 
-    // Create user
-    const user = await User.create({
+    // Create user (linked to the customer record when one was created)
+    // Self-registered accounts stay limited until the email address is confirmed
+    const createUser = (customer, transaction) => User.create({
       name,
       email,
       password,
       role: 'customer',
-      isp_id: isp_id
-    });
+      isp_id: isp_id,
+      customer_id: customer ? customer.id : null,
+      email_verified: false
+    }, { transaction });
 
-    // Create customer record
+    // A customer record counts against the business's max_customers
+    let user;
     if (phone && address) {
       const Customer = require('../models/Customer');
-      await Customer.create({
-        name,
-        email,
-        phone,
-        address,
-        isp_id,
-        connection_date: new Date()
+      user = await runWithinLimit(isp_id, 'customers', async (transaction) => {
+        const customer = await Customer.create({
+          name,
+          email,
+          phone,
+          address,
+          isp_id,
+          connection_date: new Date()
+        }, { transaction });
+        return createUser(customer, transaction);
       });
+    } else {
+      user = await createUser(null);
+    }
+
+    try {
+      await accountTokens.sendEmailVerification(user, { ip: req.ip });
+    } catch (error) {
+      console.error('Error sending verification email:', error.message);
+      // Don't fail registration - the customer can request a new link
     }
 
-    const token = generateToken(user.id);
+    const { token, refresh_token, refresh_expires_at } = await authSessions.createSession(user, req);
 
     res.status(201).json({
       success: true,
-      message: 'Customer registered successfully',
+      message: 'Customer registered successfully. Please check your email to verify your address.',
       token,
+      refresh_token,
+      refresh_expires_at,
       user: {
         id: user.id,
         name: user.name,
         email: user.email,
         role: user.role,
-        isp_id: user.isp_id
+        isp_id: user.isp_id,
+        email_verified: user.email_verified
       }
     });
   } catch (error) {
+    if (error.planLimit) {
+      return sendPlanLimitExceeded(res, error.planLimit);
+    }
     console.error('Registration error:', error);
     res.status(500).json({ message: 'Server error during registration', error: error.message });
   }
 };
 
+// Too many failed logins for this email address
+const sendLockout = (res, lockout) => {
+  res.set('Retry-After', String(lockout.retry_after));
+  return res.status(429).json({
+    success: false,
+    code: 'ACCOUNT_LOCKED',
+    message: `Too many failed login attempts. Please try again in ${Math.ceil(lockout.retry_after / 60)} minute(s) or reset your password.`,
+    retry_after: lockout.retry_after,
+    locked_until: lockout.locked_until
+  });
+};
+
+// Update last login, open a session and send the login response
+const completeLogin = async (req, res, user, extra = {}) => {
+  // Update last login (with timeout for serverless - non-critical)
+  try {
+    await Promise.race([
+      (async () => {
+        user.last_login = new Date();
+        await user.save();
+      })(),
+      new Promise((_, reject) => 
+        setTimeout(() => reject(new Error('Save timeout')), 5000)
+      )
+    ]);
+  } catch (error) {
+    console.warn('⚠️  Could not update last_login (non-critical):', error.message);
+    // Continue - last_login update is not critical for login
+  }
+
+  // Open a session and generate tokens
+  let session;
+  try {
+    session = await authSessions.createSession(user, req);
+  } catch (error) {
+    console.error('Session creation error:', error);
+    return res.status(500).json({
+      message: process.env.JWT_SECRET ? 'Server error: could not create session' : 'Server error: JWT_SECRET not configured',
+      error: error.message
+    });
+  }
+
+  // Include ISP info if user belongs to an ISP (with timeout for serverless)
+  // This is non-critical, so we use a shorter timeout and continue on failure
+  let ispInfo = null;
+  if (user.isp_id) {
+    try {
+      ispInfo = await Promise.race([
+        ISP.findByPk(user.isp_id),
+        new Promise((_, reject) => 
+          setTimeout(() => reject(new Error('ISP info query timeout')), 8000)
+        )
+      ]);
+    } catch (error) {
+      console.warn('⚠️  Could not fetch ISP info (non-critical):', error.message);
+      // Continue without ISP info - not critical for login
+      ispInfo = null;
+    }
+  }
+
+  // Ensure consistent response format
+  const responseData = {
+    success: true,
+    message: 'Login successful',
+    token: session.token,
+    refresh_token: session.refresh_token,
+    refresh_expires_at: session.refresh_expires_at,
+    user: {
+      id: user.id,
+      name: user.name,
+      email: user.email,
+      role: user.role,
+      isp_id: user.isp_id,
+      email_verified: user.email_verified,
+      two_factor_enabled: user.two_factor_enabled,
+      isp: ispInfo
+    },
+    ...extra
+  };
+  
+  console.log('✅ Login successful for:', user.email, 'Role:', user.role);
+  console.log('📦 Response data:', {
+    hasSuccess: !!responseData.success,
+    hasToken: !!responseData.token,
+    hasUser: !!responseData.user,
+    userId: responseData.user.id
+  });
+  
+  res.json(responseData);
+};
+
 // @desc    Login user
 // @route   POST /api/auth/login
 // @access  Public
@@ -155,6 +276,13 @@ const login = async (req, res) => {
       });
     }
 
+    // Locked addresses are refused before the password is checked
+    const lockout = await loginProtection.getLockout(email);
+    if (lockout) {
+      console.warn(`🔒 Login refused for ${email}: locked for another ${lockout.retry_after}s`);
+      return sendLockout(res, lockout);
+    }
+
     // Find user with timeout protection (increased to 15s for slow connections)
     let user;
     try {
@@ -175,6 +303,10 @@ const login = async (req, res) => {
     }
     if (!user) {
       console.error(`❌ Login failed: User not found for email: ${email}`);
+      const unknownLockout = await loginProtection.recordFailedLogin(email, { req });
+      if (unknownLockout) {
+        return sendLockout(res, unknownLockout);
+      }
       return res.status(401).json({ 
         success: false,
         message: 'Invalid credentials' 
@@ -185,11 +317,16 @@ const login = async (req, res) => {
     const isMatch = await user.comparePassword(password);
     if (!isMatch) {
       console.error(`❌ Login failed for ${email}: Invalid password`);
+      const passwordLockout = await loginProtection.recordFailedLogin(email, { user, req });
+      if (passwordLockout) {
+        return sendLockout(res, passwordLockout);
+      }
       return res.status(401).json({ 
         success: false,
         message: 'Invalid credentials' 
       });
     }
+    await loginProtection.clearLoginFailures(email);
 
     // Check if user is active
     if (!user.is_active) {
@@ -255,73 +392,27 @@ const login = async (req, res) => {
       }
     }
 
-    // Update last login (with timeout for serverless - non-critical)
-    try {
-      await Promise.race([
-        (async () => {
-          user.last_login = new Date();
-          await user.save();
-        })(),
-        new Promise((_, reject) => 
-          setTimeout(() => reject(new Error('Save timeout')), 5000)
-        )
-      ]);
-    } catch (error) {
-      console.warn('⚠️  Could not update last_login (non-critical):', error.message);
-      // Continue - last_login update is not critical for login
-    }
-
-    // Generate token
-    let token;
-    try {
-      token = generateToken(user.id);
-    } catch (error) {
-      console.error('Token generation error:', error);
-      return res.status(500).json({ message: 'Server error: JWT_SECRET not configured', error: error.message });
+    // Second step: enrolled users enter a code, and users who must use 2FA but have
+    // not set it up yet enrol first. Neither gets a session until that is done.
+    if (user.two_factor_enabled) {
+      return res.json({
+        success: true,
+        two_factor_required: true,
+        challenge_token: twoFactor.createChallenge(user, 'verify'),
+        message: 'Enter the code from your authenticator app'
+      });
     }
 
-    // Include ISP info if user belongs to an ISP (with timeout for serverless)
-    // This is non-critical, so we use a shorter timeout and continue on failure
-    let ispInfo = null;
-    if (user.isp_id) {
-      try {
-        ispInfo = await Promise.race([
-          ISP.findByPk(user.isp_id),
-          new Promise((_, reject) => 
-            setTimeout(() => reject(new Error('ISP info query timeout')), 8000)
-          )
-        ]);
-      } catch (error) {
-        console.warn('⚠️  Could not fetch ISP info (non-critical):', error.message);
-        // Continue without ISP info - not critical for login
-        ispInfo = null;
-      }
+    if (await twoFactor.isTwoFactorRequired(user)) {
+      return res.json({
+        success: true,
+        two_factor_setup_required: true,
+        challenge_token: twoFactor.createChallenge(user, 'setup'),
+        message: 'Your account requires two-factor authentication. Set it up to continue.'
+      });
     }
 
-    // Ensure consistent response format
-    const responseData = {
-      success: true,
-      message: 'Login successful',
-      token: token,
-      user: {
-        id: user.id,
-        name: user.name,
-        email: user.email,
-        role: user.role,
-        isp_id: user.isp_id,
-        isp: ispInfo
-      }
-    };
-    
-    console.log('✅ Login successful for:', email, 'Role:', user.role);
-    console.log('📦 Response data:', {
-      hasSuccess: !!responseData.success,
-      hasToken: !!responseData.token,
-      hasUser: !!responseData.user,
-      userId: responseData.user.id
-    });
-    
-    res.json(responseData);
+    await completeLogin(req, res, user);
   } catch (error) {
     console.error('Login error:', error);
     console.error('Error stack:', error.stack);
@@ -413,6 +504,55 @@ const login = async (req, res) => {
   }
 };
 
+// @desc    Claim a customer portal account from an invite link or account ID + code
+// @route   POST /api/auth/claim-portal
+// @access  Public
+const claimPortal = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { token, customer_id, otp, email, password } = req.body;
+
+    const { user } = await claimPortalInvite({
+      token,
+      customerCode: customer_id,
+      otp,
+      email,
+      password
+    });
+
+    const { token: accessToken, refresh_token, refresh_expires_at } = await authSessions.createSession(user, req);
+
+    res.status(201).json({
+      success: true,
+      message: 'Portal account activated successfully',
+      token: accessToken,
+      refresh_token,
+      refresh_expires_at,
+      user: {
+        id: user.id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        isp_id: user.isp_id,
+        customer_id: user.customer_id
+      }
+    });
+  } catch (error) {
+    if (error.planLimit) {
+      return sendPlanLimitExceeded(res, error.planLimit);
+    }
+    console.error('Claim portal account error:', error);
+    res.status(error.status || 500).json({
+      message: error.status ? error.message : 'Server error',
+      error: error.message
+    });
+  }
+};
+
 // @desc    Get current user
 // @route   GET /api/auth/me
 // @access  Private
@@ -427,9 +567,13 @@ const getMe = async (req, res) => {
       }]
     });
 
+    // Lets the client show only the actions the user is allowed to take
+    const permissions = await getUserPermissions(req);
+
     res.json({
       success: true,
-      user
+      user,
+      permissions: [...permissions]
     });
   } catch (error) {
     console.error('Get me error:', error);
@@ -437,5 +581,470 @@ const getMe = async (req, res) => {
   }
 };
 
-module.exports = { register, login, getMe };
+// @desc    Exchange a refresh token for new access and refresh tokens
+// @route   POST /api/auth/refresh
+// @access  Public (refresh token)
+const refreshToken = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { token, refresh_token, refresh_expires_at } = await authSessions.refreshSession(req.body.refresh_token, req);
+
+    res.json({
+      success: true,
+      token,
+      refresh_token,
+      refresh_expires_at
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error.message);
+    res.status(error.status || 500).json({
+      message: error.status ? error.message : 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Log out of the current session
+// @route   POST /api/auth/logout
+// @access  Private
+const logout = async (req, res) => {
+  try {
+    await authSessions.revokeSession(req.sessionId, req.user.id, 'logout');
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    List the current user's active sessions
+// @route   GET /api/auth/sessions
+// @access  Private
+const getSessions = async (req, res) => {
+  try {
+    const sessions = await authSessions.listSessions(req.user.id);
+
+    res.json({
+      success: true,
+      count: sessions.length,
+      sessions: sessions.map(session => ({
+        ...session.toJSON(),
+        current: session.id === req.sessionId
+      }))
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Revoke one of the current user's sessions
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+const revokeSession = async (req, res) => {
+  try {
+    const revoked = await authSessions.revokeSession(parseInt(req.params.id), req.user.id, 'revoked');
+    if (!revoked) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Revoke all of the current user's other sessions
+// @route   DELETE /api/auth/sessions
+// @access  Private
+const revokeOtherSessions = async (req, res) => {
+  try {
+    const revoked = await authSessions.revokeUserSessions(req.user.id, 'revoked', {
+      exceptSessionId: req.sessionId
+    });
+
+    res.json({
+      success: true,
+      message: `Revoked ${revoked} other session(s)`,
+      revoked
+    });
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Email a password reset link
+// @route   POST /api/auth/forgot-password
+// @access  Public
+const forgotPassword = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    await accountTokens.requestPasswordReset(req.body.email, { ip: req.ip });
+
+    // Same response whether or not the account exists
+    res.json({
+      success: true,
+      message: 'If an account exists for this email, a password reset link has been sent'
+    });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Set a new password using a reset link
+// @route   POST /api/auth/reset-password
+// @access  Public (reset token)
+const resetPassword = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await accountTokens.resetPassword(req.body.token, req.body.password);
+    // Proving ownership of the mailbox lifts any login lockout
+    await loginProtection.clearLoginFailures(user.email);
+
+    await createActivityLog(
+      user.id,
+      'RESET_PASSWORD',
+      'User',
+      user.id,
+      null,
+      { password: '[REDACTED]' },
+      user.isp_id,
+      req.ip,
+      req.get('user-agent'),
+      `Password reset by email link for ${user.email}`
+    );
+
+    res.json({
+      success: true,
+      message: 'Password has been reset. Please log in with your new password.'
+    });
+  } catch (error) {
+    console.error('Reset password error:', error.message);
+    res.status(error.status || 500).json({
+      message: error.status ? error.message : 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Confirm an email address using a verification link
+// @route   POST /api/auth/verify-email
+// @access  Public (verification token)
+const verifyEmail = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    await accountTokens.verifyEmail(req.body.token);
+
+    res.json({
+      success: true,
+      message: 'Email address verified successfully'
+    });
+  } catch (error) {
+    console.error('Verify email error:', error.message);
+    res.status(error.status || 500).json({
+      message: error.status ? error.message : 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Send a new email verification link
+// @route   POST /api/auth/resend-verification
+// @access  Private
+const resendVerification = async (req, res) => {
+  try {
+    await accountTokens.sendEmailVerification(req.user, { ip: req.ip });
+
+    res.json({
+      success: true,
+      message: `Verification link sent to ${req.user.email}`
+    });
+  } catch (error) {
+    console.error('Resend verification error:', error.message);
+    res.status(error.status || 500).json({
+      message: error.status ? error.message : 'Server error',
+      error: error.message
+    });
+  }
+};
+
+const sendTwoFactorError = (res, label, error) => {
+  console.error(`${label} error:`, error.message);
+  res.status(error.status || 500).json({
+    message: error.status ? error.message : 'Server error',
+    error: error.message
+  });
+};
+
+// @desc    Finish logging in with an authenticator or backup code
+// @route   POST /api/auth/login/2fa
+// @access  Public (challenge token)
+const verifyLoginTwoFactor = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { challenge_token, code, backup_code } = req.body;
+    const user = await twoFactor.readChallenge(challenge_token, 'verify');
+    const result = await twoFactor.verifySecondFactor(user, { code, backupCode: backup_code }, { req });
+
+    await completeLogin(req, res, user, result.method === 'backup_code'
+      ? { backup_codes_remaining: result.backup_codes_remaining }
+      : {});
+  } catch (error) {
+    sendTwoFactorError(res, 'Two-factor login', error);
+  }
+};
+
+// @desc    Start the two-factor setup a user must complete before their first login
+// @route   POST /api/auth/login/2fa/setup
+// @access  Public (challenge token)
+const setupLoginTwoFactor = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await twoFactor.readChallenge(req.body.challenge_token, 'setup');
+    const enrolment = await twoFactor.beginEnrolment(user);
+
+    res.json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then enter the code it shows',
+      ...enrolment
+    });
+  } catch (error) {
+    sendTwoFactorError(res, 'Two-factor login setup', error);
+  }
+};
+
+// @desc    Confirm the required two-factor setup and log in
+// @route   POST /api/auth/login/2fa/enable
+// @access  Public (challenge token)
+const enableLoginTwoFactor = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await twoFactor.readChallenge(req.body.challenge_token, 'setup');
+    const backupCodes = await twoFactor.confirmEnrolment(user, req.body.code);
+
+    await createActivityLog(
+      user.id,
+      'ENABLE_TWO_FACTOR',
+      'User',
+      user.id,
+      null,
+      null,
+      user.isp_id,
+      req.ip,
+      req.get('user-agent'),
+      `${user.email} enabled two-factor authentication`
+    );
+
+    await completeLogin(req, res, user, { backup_codes: backupCodes });
+  } catch (error) {
+    sendTwoFactorError(res, 'Two-factor login enable', error);
+  }
+};
+
+// @desc    Get the signed-in user's two-factor status
+// @route   GET /api/auth/2fa
+// @access  Private
+const getTwoFactorStatus = async (req, res) => {
+  try {
+    const status = await twoFactor.getTwoFactorStatus(req.user);
+
+    res.json({
+      success: true,
+      two_factor: status
+    });
+  } catch (error) {
+    sendTwoFactorError(res, 'Get two-factor status', error);
+  }
+};
+
+// @desc    Start two-factor setup for the signed-in user
+// @route   POST /api/auth/2fa/setup
+// @access  Private
+const setupTwoFactor = async (req, res) => {
+  try {
+    const enrolment = await twoFactor.beginEnrolment(req.user);
+
+    res.json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then enter the code it shows',
+      ...enrolment
+    });
+  } catch (error) {
+    sendTwoFactorError(res, 'Two-factor setup', error);
+  }
+};
+
+// @desc    Confirm two-factor setup with a code and receive backup codes
+// @route   POST /api/auth/2fa/enable
+// @access  Private
+const enableTwoFactor = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const backupCodes = await twoFactor.confirmEnrolment(req.user, req.body.code);
+
+    // Sessions opened with the password alone should not outlive the switch to 2FA
+    await authSessions.revokeUserSessions(req.user.id, 'two_factor_enabled', {
+      exceptSessionId: req.sessionId
+    });
+
+    await createActivityLog(
+      req.user.id,
+      'ENABLE_TWO_FACTOR',
+      'User',
+      req.user.id,
+      null,
+      null,
+      req.user.isp_id,
+      req.ip,
+      req.get('user-agent'),
+      `${req.user.email} enabled two-factor authentication`
+    );
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store these backup codes somewhere safe; each works once.',
+      backup_codes: backupCodes
+    });
+  } catch (error) {
+    sendTwoFactorError(res, 'Enable two-factor', error);
+  }
+};
+
+// @desc    Turn off two-factor authentication (password and a current code required)
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+const disableTwoFactor = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { password, code, backup_code } = req.body;
+
+    if (await twoFactor.isTwoFactorRequired(req.user)) {
+      return res.status(403).json({ message: 'Two-factor authentication is required for your account' });
+    }
+
+    const user = await User.findByPk(req.user.id);
+    if (!(await user.comparePassword(password))) {
+      return res.status(401).json({ message: 'Password is incorrect' });
+    }
+
+    await twoFactor.verifySecondFactor(user, { code, backupCode: backup_code }, {
+      req,
+      action: 'confirmed turning off two-factor authentication'
+    });
+    await twoFactor.disableTwoFactor(user);
+
+    await createActivityLog(
+      user.id,
+      'DISABLE_TWO_FACTOR',
+      'User',
+      user.id,
+      null,
+      null,
+      user.isp_id,
+      req.ip,
+      req.get('user-agent'),
+      `${user.email} disabled two-factor authentication`
+    );
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    sendTwoFactorError(res, 'Disable two-factor', error);
+  }
+};
+
+// @desc    Replace backup codes (a current code is required)
+// @route   POST /api/auth/2fa/backup-codes
+// @access  Private
+const regenerateBackupCodes = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    await twoFactor.verifySecondFactor(req.user, { code: req.body.code });
+    const backupCodes = await twoFactor.regenerateBackupCodes(req.user);
+
+    res.json({
+      success: true,
+      message: 'New backup codes generated. Your old codes no longer work.',
+      backup_codes: backupCodes
+    });
+  } catch (error) {
+    sendTwoFactorError(res, 'Regenerate backup codes', error);
+  }
+};
+
+module.exports = {
+  register,
+  login,
+  claimPortal,
+  getMe,
+  refreshToken,
+  logout,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
+  verifyLoginTwoFactor,
+  setupLoginTwoFactor,
+  enableLoginTwoFactor,
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateBackupCodes
+};
 
@@ -8,7 +8,8 @@ const aiAnalytics = require('../utils/aiAnalytics');
 const autoPaymentReconciliation = require('../utils/autoPaymentReconciliation');
 const autoSuspension = require('../utils/autoSuspension');
 const autoBackup = require('../utils/autoBackup');
-const { Customer, Bill, Payment, ISP } = require('../models');
+const jobQueue = require('../utils/jobQueue');
+const { Customer, Bill, Payment, ISP, ScheduledJob } = require('../models');
 
 // @desc    Get AI insights for ISP
 // @route   GET /api/automation/insights
@@ -263,7 +264,7 @@ const reconcileStripePayment = async (req, res) => {
 // @access  Private (Admin, Super Admin)
 const triggerAutoSuspension = async (req, res) => {
   try {
-    const { gracePeriodDays = 7 } = req.body;
+    const { gracePeriodDays } = req.body; // Defaults to each ISP's billing policy
 
     const result = await autoSuspension.autoSuspendCustomers({
       gracePeriodDays,
@@ -330,6 +331,76 @@ const triggerBackup = async (req, res) => {
   }
 };
 
+// @desc    Get scheduled job run history
+// @route   GET /api/automation/jobs
+// @access  Private (Admin, Super Admin)
+const getJobs = async (req, res) => {
+  try {
+    const { type, status, page = 1, limit = 20 } = req.query;
+
+    // ISP admins only see their own tenant's jobs; platform-wide jobs are super admin only
+    const ispId = req.user.role === 'super_admin'
+      ? (req.query.isp_id || null)
+      : (req.ispId || req.user.isp_id);
+
+    if (!ispId && req.user.role !== 'super_admin') {
+      return res.status(400).json({ 
+        message: 'ISP ID is required' 
+      });
+    }
+
+    const history = await jobQueue.getJobHistory({
+      ispId,
+      type,
+      status,
+      page: parseInt(page),
+      limit: parseInt(limit)
+    });
+
+    res.json({
+      success: true,
+      jobTypes: jobQueue.JOB_TYPES,
+      ...history
+    });
+  } catch (error) {
+    console.error('Get scheduled jobs error:', error);
+    res.status(500).json({ 
+      message: 'Server error', 
+      error: error.message 
+    });
+  }
+};
+
+// @desc    Retry a failed scheduled job
+// @route   POST /api/automation/jobs/:id/retry
+// @access  Private (Admin, Super Admin)
+const retryJob = async (req, res) => {
+  try {
+    const job = await ScheduledJob.findByPk(req.params.id);
+    if (!job) {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+
+    if (req.user.role !== 'super_admin' && job.isp_id !== (req.ispId || req.user.isp_id)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    await jobQueue.retryJob(job);
+
+    res.json({
+      success: true,
+      message: 'Job queued for retry',
+      job
+    });
+  } catch (error) {
+    console.error('Retry scheduled job error:', error);
+    res.status(error.status || 500).json({ 
+      message: error.status ? error.message : 'Server error', 
+      error: error.message 
+    });
+  }
+};
+
 module.exports = {
   getAIInsights,
   getHighRiskCustomers,
@@ -339,5 +410,7 @@ module.exports = {
   reconcilePayment,
   reconcileStripePayment,
   triggerAutoSuspension,
-  triggerBackup
+  triggerBackup,
+  getJobs,
+  retryJob
 };
@@ -1,39 +1,17 @@
-const { Bill, Customer, Package, Payment } = require('../models');
+const { Bill, Customer, Package, Payment, BillLineItem } = require('../models');
 const { validationResult } = require('express-validator');
 const { Op } = require('sequelize');
 const moment = require('moment');
 const generateInvoicePDF = require('../utils/generateInvoice');
 const { sendBillNotification } = require('../utils/sendEmail');
 const { sendBillSMS } = require('../utils/smsService');
-
-// Generate unique bill number
-const generateBillNumber = async (ispId) => {
-  if (!ispId) {
-    // Fallback for cases where ISP ID is not available
-    const prefix = 'BILL-';
-    const year = new Date().getFullYear();
-    const count = await Bill.count({
-      where: {
-        createdAt: {
-          [Op.gte]: new Date(`${year}-01-01`)
-        }
-      }
-    });
-    return `${prefix}${year}-${String(count + 1).padStart(6, '0')}`;
-  }
-  
-  const prefix = `ISP${ispId}-`;
-  const year = new Date().getFullYear();
-  const count = await Bill.count({
-    where: {
-      isp_id: ispId,
-      createdAt: {
-        [Op.gte]: new Date(`${year}-01-01`)
-      }
-    }
-  });
-  return `${prefix}${year}-${String(count + 1).padStart(6, '0')}`;
-};
+const { applyWalletToBill } = require('../utils/customerWallet');
+const { getBillingPolicy, createPolicyCache } = require('../utils/billingPolicy');
+const { prorateNewBill } = require('../utils/proration');
+const billLineItems = require('../utils/billLineItems');
+const { generateBillNumber } = require('../utils/billNumber');
+const { buildRentalItems } = require('../utils/inventory');
+const { getCustomerForUser } = require('../utils/customerPortal');
 
 // @desc    Get all bills
 // @route   GET /api/bills
@@ -47,16 +25,7 @@ const getBills = async (req, res) => {
 
     // For customers, only show their own bills
     if (req.user.role === 'customer') {
-      // Find customer record by user email or by user's isp_id
-      const customer = await Customer.findOne({ 
-        where: { 
-          [Op.or]: [
-            { email: req.user.email },
-            { phone: req.user.email } // Fallback: some systems use phone as identifier
-          ],
-          ...(req.user.isp_id ? { isp_id: req.user.isp_id } : {})
-        }
-      });
+      const customer = await getCustomerForUser(req.user);
       
       if (!customer) {
         // If no customer found, return empty list (customer might not have customer record yet)
@@ -163,8 +132,14 @@ const getBill = async (req, res) => {
           model: Payment,
           as: 'payments',
           order: [['payment_date', 'DESC']]
+        },
+        {
+          model: BillLineItem,
+          as: 'lineItems',
+          required: false
         }
-      ]
+      ],
+      order: [[{ model: BillLineItem, as: 'lineItems' }, 'sort_order', 'ASC']]
     });
 
     if (!bill) {
@@ -173,16 +148,7 @@ const getBill = async (req, res) => {
 
     // For customers, verify they own this bill
     if (req.user.role === 'customer') {
-      // Find customer record by email or phone (not by user.id)
-      const customer = await Customer.findOne({ 
-        where: { 
-          [Op.or]: [
-            { email: req.user.email },
-            { phone: req.user.email } // Some users use phone as email
-          ],
-          ...(req.user.isp_id ? { isp_id: req.user.isp_id } : {})
-        }
-      });
+      const customer = await getCustomerForUser(req.user);
       
       if (!customer || bill.customer_id !== customer.id) {
         return res.status(403).json({ message: 'Access denied - this bill does not belong to you' });
@@ -193,7 +159,7 @@ const getBill = async (req, res) => {
     const paidAmount = bill.payments
       ? bill.payments
       .filter(p => p.status === 'completed')
-          .reduce((sum, p) => sum + parseFloat(p.amount || 0), 0)
+          .reduce((sum, p) => sum + parseFloat(p.amount || 0) - parseFloat(p.refunded_amount || 0), 0)
       : 0;
 
     const remainingAmount = parseFloat(bill.total_amount || bill.amount || 0) - paidAmount;
@@ -222,7 +188,17 @@ const createBill = async (req, res) => {
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { customer_id, package_id, amount, due_date, billing_period_start, billing_period_end, notes } = req.body;
+    const { customer_id, package_id, amount, due_date, billing_period_start, billing_period_end, notes, line_items, include_subscription } = req.body;
+
+    // Bills without line items are subscription bills; itemized bills carry the package
+    // subscription only when asked, so one-time charges can be billed on their own
+    const includeSubscription = line_items
+      ? include_subscription === true || include_subscription === 'true'
+      : true;
+    const requestedItems = line_items || [];
+    if (!includeSubscription && requestedItems.some(item => item.type === 'subscription')) {
+      return res.status(400).json({ message: 'Subscription line items require include_subscription' });
+    }
 
     // Verify customer exists and belongs to ISP
     // For super_admin, don't filter by isp_id; for others, use req.ispId
@@ -276,7 +252,7 @@ const createBill = async (req, res) => {
       packageData = customer.package;
     }
 
-    if (!packageData) {
+    if (!packageData && includeSubscription) {
       return res.status(400).json({ 
         message: 'Package is required. Please select a package for this customer or assign one to the customer first.' 
       });
@@ -302,60 +278,69 @@ const createBill = async (req, res) => {
       if (due_date) {
         dueDate = typeof due_date === 'string' ? new Date(due_date) : due_date;
       } else {
-        dueDate = moment(periodEnd).add(7, 'days').toDate();
+        const policy = await getBillingPolicy(customerIspId);
+        dueDate = moment(periodEnd).add(policy.due_days, 'days').toDate();
       }
     } catch (dateError) {
       console.error('Date parsing error:', dateError);
       return res.status(400).json({ message: 'Invalid date format. Please check billing period and due date.' });
     }
 
-    // Use package price if amount not provided
-    const billAmount = amount || packageData.price;
+    // Build the bill from line items; a subscription line is added from the package
+    // (or the given amount) when the bill includes the subscription and none was supplied
+    if (includeSubscription && !requestedItems.some(item => item.type === 'subscription')) {
+      requestedItems.unshift(billLineItems.buildSubscriptionItem(packageData, {
+        price: amount || packageData.price,
+        periodStart,
+        periodEnd
+      }));
+    }
 
-    const bill = await Bill.create({
+    let items;
+    try {
+      items = billLineItems.buildLineItems(requestedItems);
+    } catch (itemError) {
+      return res.status(itemError.status || 400).json({ message: itemError.message });
+    }
+
+    const bill = await billLineItems.createBillWithLineItems({
       bill_number,
       customer_id,
-      package_id: package_id || customer.package_id,
-      amount: billAmount,
-      total_amount: billAmount, // Total amount (will include late fees if overdue)
+      package_id: packageData ? packageData.id : null,
       paid_amount: 0, // No payment yet
-      late_fee: 0, // No late fee initially
       due_date: dueDate,
       billing_period_start: periodStart,
       billing_period_end: periodEnd,
       notes,
       isp_id: customerIspId,
       status: 'pending'
-    });
+    }, items);
 
     // Update customer's package if a new package is assigned
     if (package_id && package_id !== customer.package_id) {
       await customer.update({
         package_id: package_id,
-        next_billing_date: moment(periodEnd).add(1, 'day').toDate()
+        ...(includeSubscription ? { next_billing_date: moment(periodEnd).add(1, 'day').toDate() } : {})
       });
-    } else {
+    } else if (includeSubscription) {
     // Update customer's next billing date
     await customer.update({
       next_billing_date: moment(periodEnd).add(1, 'day').toDate()
       });
     }
 
+    // Bills priced from the package are prorated for a recent connection and pending adjustments
+    if (includeSubscription && !amount) {
+      await prorateNewBill(bill, customer, packageData, { userId: req.user.id });
+    }
+
     // Create notification for customer portal
     // Link notification to both customer record and user account (if exists)
     const Notification = require('../models/Notification');
     const User = require('../models/User');
     
-    // Find customer's user account by email
-    let customerUser = null;
-    if (customer.email) {
-      customerUser = await User.findOne({ 
-        where: { 
-          email: customer.email,
-          role: 'customer'
-        }
-      });
-    }
+    // Find the customer's linked portal account
+    const customerUser = await User.findOne({ where: { customer_id: customer.id } });
 
     await Notification.create({
       customer_id: customer.id,
@@ -363,7 +348,7 @@ const createBill = async (req, res) => {
       bill_id: bill.id,
       type: 'bill_generated',
       title: 'New Bill Generated',
-      message: `Your bill ${bill_number} has been generated. Amount: PKR ${billAmount.toFixed(2)}. Due date: ${moment(dueDate).format('MMM DD, YYYY')}. You can view and download the invoice from your portal.`,
+      message: `Your bill ${bill_number} has been generated. Amount: PKR ${parseFloat(bill.total_amount).toFixed(2)}. Due date: ${moment(dueDate).format('MMM DD, YYYY')}. You can view and download the invoice from your portal.`,
       channel: 'both',
       scheduled_at: new Date(),
       isp_id: customerIspId
@@ -442,38 +427,44 @@ const autoGenerateBills = async (req, res) => {
     });
 
     const generatedBills = [];
+    const getPolicy = createPolicyCache();
 
     for (const customer of customers) {
       if (!customer.package) continue;
 
+      const policy = await getPolicy(customer.isp_id);
       const periodStart = customer.next_billing_date || new Date();
       const periodEnd = moment(periodStart).add(customer.billing_cycle || 1, 'months').toDate();
-      const dueDate = moment(periodEnd).add(7, 'days').toDate();
+      const dueDate = moment(periodEnd).add(policy.due_days, 'days').toDate();
 
       const ispId = req.ispId || req.user.isp_id || customer.isp_id;
       const bill_number = await generateBillNumber(ispId);
 
-      const billAmount = parseFloat(customer.package.price);
-
-      const bill = await Bill.create({
+      const bill = await billLineItems.createBillWithLineItems({
         bill_number,
         customer_id: customer.id,
         package_id: customer.package_id,
-        amount: billAmount,
-        total_amount: billAmount, // Total amount (will include late fees if overdue)
         paid_amount: 0, // No payment yet
-        late_fee: 0, // No late fee initially
         due_date: dueDate,
         billing_period_start: periodStart,
         billing_period_end: periodEnd,
         isp_id: ispId,
         status: 'pending'
-      });
+      }, [
+        billLineItems.buildSubscriptionItem(customer.package, { periodStart, periodEnd }),
+        ...(await buildRentalItems(customer.id, { periodStart, periodEnd }))
+      ]);
 
       await customer.update({
         next_billing_date: moment(periodEnd).add(1, 'day').toDate()
       });
 
+      // Prorate for a recent connection and apply pending package-change adjustments
+      await prorateNewBill(bill, customer, customer.package, { userId: req.user.id });
+
+      // Apply any wallet credit (overpayments / advances) to the new bill
+      await applyWalletToBill(bill, { userId: req.user.id });
+
       generatedBills.push(bill);
 
       // Send notifications (async, don't wait)
@@ -541,9 +532,14 @@ const generateInvoice = async (req, res) => {
         {
           model: Payment,
           as: 'payments',
-          attributes: ['id', 'amount', 'method', 'payment_date', 'receipt_number', 'status'],
+          attributes: ['id', 'amount', 'refunded_amount', 'method', 'payment_date', 'receipt_number', 'status'],
           where: { status: 'completed' },
           required: false
+        },
+        {
+          model: BillLineItem,
+          as: 'lineItems',
+          required: false
         }
       ]
     });
@@ -554,16 +550,7 @@ const generateInvoice = async (req, res) => {
 
     // For customers, verify they own this bill
     if (req.user.role === 'customer') {
-      // Get customer ID from user's customer record
-      const customer = await Customer.findOne({ 
-        where: { 
-          [Op.or]: [
-            { email: req.user.email },
-            { phone: req.user.email }
-          ],
-          ...(req.user.isp_id ? { isp_id: req.user.isp_id } : {})
-        }
-      });
+      const customer = await getCustomerForUser(req.user);
       
       if (!customer || bill.customer_id !== customer.id) {
         return res.status(403).json({ message: 'Access denied - this bill does not belong to you' });
@@ -638,8 +625,19 @@ const updateBill = async (req, res) => {
 
     const { amount, due_date, status, notes, billing_period_start, billing_period_end } = req.body;
 
+    // Amount changes are recorded as an adjustment line so the items still add up
+    if (amount !== undefined) {
+      const difference = Math.round((parseFloat(amount) - parseFloat(bill.amount)) * 100) / 100;
+      if (difference !== 0) {
+        await billLineItems.addLineItems(bill, [billLineItems.buildLineItem({
+          type: 'adjustment',
+          description: 'Manual adjustment',
+          unit_price: difference
+        })]);
+      }
+    }
+
     await bill.update({
-      amount: amount !== undefined ? amount : bill.amount,
       due_date: due_date || bill.due_date,
       status: status || bill.status,
       notes: notes !== undefined ? notes : bill.notes,
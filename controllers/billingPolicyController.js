@@ -0,0 +1,185 @@
+const { BillingPolicy, ISP } = require('../models');
+const { validationResult } = require('express-validator');
+const createActivityLog = require('../utils/activityLogger');
+const billingPolicy = require('../utils/billingPolicy');
+
+const POLICY_FIELDS = [
+  'billing_anchor_day',
+  'due_days',
+  'late_fee_type',
+  'late_fee_value',
+  'late_fee_cap',
+  'late_fee_repeat_days',
+  'grace_period_days',
+  'reminder_days_before'
+];
+
+// @desc    List configured billing policies
+// @route   GET /api/billing-policies
+// @access  Private (Super Admin - all ISPs; Admin, Account Manager - own ISP)
+const getPolicies = async (req, res) => {
+  try {
+    const whereClause = {};
+    if (req.user.role !== 'super_admin') {
+      whereClause.isp_id = req.ispId || req.user.isp_id;
+    } else if (req.query.isp_id) {
+      whereClause.isp_id = req.query.isp_id;
+    }
+
+    const policies = await BillingPolicy.findAll({
+      where: whereClause,
+      include: [
+        {
+          model: ISP,
+          as: 'isp',
+          attributes: ['id', 'name']
+        }
+      ],
+      order: [['isp_id', 'ASC']]
+    });
+
+    res.json({
+      success: true,
+      defaults: billingPolicy.DEFAULT_POLICY,
+      policies
+    });
+  } catch (error) {
+    console.error('Get billing policies error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Get the billing policy in effect for the ISP (defaults if not configured)
+// @route   GET /api/billing-policies/current
+// @access  Private (Admin, Account Manager, Super Admin)
+const getCurrentPolicy = async (req, res) => {
+  try {
+    const ispId = req.user.role === 'super_admin'
+      ? (req.query.isp_id || req.ispId)
+      : (req.ispId || req.user.isp_id);
+
+    if (!ispId) {
+      return res.status(400).json({ message: 'ISP ID is required' });
+    }
+
+    const policy = await billingPolicy.getBillingPolicy(ispId);
+
+    res.json({
+      success: true,
+      policy
+    });
+  } catch (error) {
+    console.error('Get billing policy error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Create or update the ISP's billing policy
+// @route   PUT /api/billing-policies
+// @access  Private (Admin, Super Admin)
+const upsertPolicy = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const ispId = req.user.role === 'super_admin'
+      ? (req.body.isp_id || req.ispId)
+      : (req.ispId || req.user.isp_id);
+
+    if (!ispId) {
+      return res.status(400).json({ message: 'ISP ID is required' });
+    }
+
+    const values = {};
+    for (const field of POLICY_FIELDS) {
+      if (req.body[field] !== undefined) values[field] = req.body[field];
+    }
+    if (values.reminder_days_before !== undefined) {
+      values.reminder_days_before = billingPolicy.normalizeReminderDays(values.reminder_days_before);
+    }
+
+    let policy = await BillingPolicy.findOne({ where: { isp_id: ispId } });
+    const oldValues = policy ? policy.toJSON() : null;
+
+    if (policy) {
+      await policy.update({ ...values, updated_by: req.user.id });
+    } else {
+      policy = await BillingPolicy.create({
+        ...billingPolicy.DEFAULT_POLICY,
+        ...values,
+        isp_id: ispId,
+        updated_by: req.user.id
+      });
+    }
+
+    await createActivityLog(
+      req.user.id,
+      oldValues ? 'UPDATE_BILLING_POLICY' : 'CREATE_BILLING_POLICY',
+      'BillingPolicy',
+      policy.id,
+      oldValues,
+      policy.toJSON(),
+      ispId,
+      req.ip,
+      req.get('user-agent')
+    );
+
+    res.json({
+      success: true,
+      message: 'Billing policy saved successfully',
+      policy: await billingPolicy.getBillingPolicy(ispId)
+    });
+  } catch (error) {
+    console.error('Save billing policy error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Delete the ISP's billing policy (reverts to platform defaults)
+// @route   DELETE /api/billing-policies/:id
+// @access  Private (Admin, Super Admin)
+const deletePolicy = async (req, res) => {
+  try {
+    const whereClause = { id: req.params.id };
+    if (req.user.role !== 'super_admin') {
+      whereClause.isp_id = req.ispId || req.user.isp_id;
+    }
+
+    const policy = await BillingPolicy.findOne({ where: whereClause });
+    if (!policy) {
+      return res.status(404).json({ message: 'Billing policy not found' });
+    }
+
+    const oldValues = policy.toJSON();
+    await policy.destroy();
+
+    await createActivityLog(
+      req.user.id,
+      'DELETE_BILLING_POLICY',
+      'BillingPolicy',
+      oldValues.id,
+      oldValues,
+      null,
+      oldValues.isp_id,
+      req.ip,
+      req.get('user-agent')
+    );
+
+    res.json({
+      success: true,
+      message: 'Billing policy reset to defaults'
+    });
+  } catch (error) {
+    console.error('Delete billing policy error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+module.exports = {
+  getPolicies,
+  getCurrentPolicy,
+  upsertPolicy,
+  deletePolicy
+};
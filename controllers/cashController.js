@@ -0,0 +1,168 @@
+const { CashTransaction, Payment, Recovery } = require('../models');
+const { validationResult } = require('express-validator');
+const createActivityLog = require('../utils/activityLogger');
+const cashCustody = require('../utils/cashCustody');
+
+// @desc    Cash held by each recovery officer (float, unsettled collections, last settlement)
+// @route   GET /api/cash/floats
+// @access  Private (Admin, Account Manager, Super Admin)
+const getOfficerFloats = async (req, res) => {
+  try {
+    const ispId = req.user.role === 'super_admin'
+      ? (req.query.isp_id || req.ispId)
+      : (req.ispId || req.user.isp_id);
+
+    const floats = await cashCustody.getOfficerFloats(ispId);
+
+    res.json({
+      success: true,
+      floats,
+      total_cash_in_hand: Math.round(floats.reduce((sum, entry) => sum + entry.cash_in_hand, 0) * 100) / 100
+    });
+  } catch (error) {
+    console.error('Get officer floats error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Cash custody ledger for an officer
+// @route   GET /api/cash/ledger?officer_id=
+// @access  Private (Admin, Account Manager, Recovery Officer - own ledger)
+const getCashLedger = async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const offset = (page - 1) * limit;
+
+    const officerId = req.user.role === 'recovery_officer' ? req.user.id : req.query.officer_id;
+    if (!officerId) {
+      return res.status(400).json({ message: 'Recovery officer ID is required' });
+    }
+
+    const whereClause = { officer_id: officerId };
+    if (req.user.role !== 'super_admin') {
+      whereClause.isp_id = req.ispId || req.user.isp_id;
+    }
+
+    const transactions = await CashTransaction.findAndCountAll({
+      where: whereClause,
+      include: [
+        {
+          model: Payment,
+          as: 'payment',
+          attributes: ['id', 'receipt_number', 'bill_id', 'customer_id', 'payment_date'],
+          required: false
+        },
+        {
+          model: Recovery,
+          as: 'recovery',
+          attributes: ['id', 'customer_id', 'bill_id', 'status'],
+          required: false
+        }
+      ],
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      order: [['id', 'DESC']]
+    });
+
+    res.json({
+      success: true,
+      cash_in_hand: await cashCustody.getOfficerBalance(officerId),
+      transactions: transactions.rows,
+      total: transactions.count,
+      page: parseInt(page),
+      pages: Math.ceil(transactions.count / limit)
+    });
+  } catch (error) {
+    console.error('Get cash ledger error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Confirm cash handed in by an officer at day end
+// @route   POST /api/cash/settlements
+// @access  Private (Account Manager, Admin, Super Admin)
+const createSettlement = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { officer_id, received_amount, settlement_date, notes } = req.body;
+    const ispId = req.user.role === 'super_admin' ? null : (req.ispId || req.user.isp_id);
+
+    const settlement = await cashCustody.settleOfficerCash({
+      officerId: officer_id,
+      receivedAmount: received_amount,
+      settlementDate: settlement_date || new Date(),
+      notes,
+      userId: req.user.id,
+      ispId
+    });
+
+    await createActivityLog(
+      req.user.id,
+      'CASH_SETTLEMENT',
+      'CashSettlement',
+      settlement.id,
+      null,
+      settlement.toJSON(),
+      settlement.isp_id,
+      req.ip,
+      req.get('user-agent'),
+      `Settled PKR ${parseFloat(settlement.received_amount).toFixed(2)} from officer ${settlement.officer_id} (${settlement.status})`
+    );
+
+    res.status(201).json({
+      success: true,
+      message: settlement.status === 'balanced'
+        ? 'Cash settled successfully'
+        : `Cash settled with a discrepancy of PKR ${Math.abs(parseFloat(settlement.discrepancy)).toFixed(2)} (${settlement.status})`,
+      settlement,
+      cash_in_hand: await cashCustody.getOfficerBalance(settlement.officer_id)
+    });
+  } catch (error) {
+    console.error('Create cash settlement error:', error);
+    res.status(error.status || 500).json({
+      message: error.status ? error.message : 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Settlement report with discrepancy totals
+// @route   GET /api/cash/settlements
+// @access  Private (Admin, Account Manager, Recovery Officer - own settlements)
+const getSettlements = async (req, res) => {
+  try {
+    const { officer_id, start_date, end_date, status, flagged } = req.query;
+
+    const ispId = req.user.role === 'super_admin'
+      ? (req.query.isp_id || req.ispId)
+      : (req.ispId || req.user.isp_id);
+
+    const report = await cashCustody.getSettlementReport({
+      ispId,
+      officerId: req.user.role === 'recovery_officer' ? req.user.id : officer_id,
+      startDate: start_date,
+      endDate: end_date,
+      status,
+      flaggedOnly: flagged === 'true'
+    });
+
+    res.json({
+      success: true,
+      ...report
+    });
+  } catch (error) {
+    console.error('Get cash settlements error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+module.exports = {
+  getOfficerFloats,
+  getCashLedger,
+  createSettlement,
+  getSettlements
+};
@@ -0,0 +1,501 @@
+const { CommissionRule, CommissionStatement, User } = require('../models');
+const { validationResult } = require('express-validator');
+const { Op } = require('sequelize');
+const createActivityLog = require('../utils/activityLogger');
+const commissions = require('../utils/commissions');
+
+// Officer-specific rules must point at a recovery officer of the same ISP
+const checkOfficer = async (officerId, ispId) => {
+  if (!officerId) return true;
+  const officer = await User.findOne({ where: { id: officerId, role: 'recovery_officer', isp_id: ispId } });
+  return !!officer;
+};
+
+// @desc    List commission rules
+// @route   GET /api/commissions/rules
+// @access  Private (Admin, Account Manager, Super Admin)
+const getRules = async (req, res) => {
+  try {
+    const ispId = req.user.role === 'super_admin'
+      ? (req.query.isp_id || req.ispId)
+      : (req.ispId || req.user.isp_id);
+    const whereClause = {};
+    if (ispId) whereClause.isp_id = ispId;
+
+    const rules = await CommissionRule.findAll({
+      where: whereClause,
+      include: [
+        {
+          model: User,
+          as: 'officer',
+          attributes: ['id', 'name', 'email'],
+          required: false
+        }
+      ],
+      order: [['is_active', 'DESC'], ['officer_id', 'ASC'], ['updatedAt', 'DESC']]
+    });
+
+    res.json({
+      success: true,
+      rules
+    });
+  } catch (error) {
+    console.error('Get commission rules error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Create a commission rule (replaces the active rule for the same scope)
+// @route   POST /api/commissions/rules
+// @access  Private (Admin, Super Admin)
+const createRule = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const ispId = req.user.role === 'super_admin'
+      ? (req.body.isp_id || req.ispId)
+      : (req.ispId || req.user.isp_id);
+    if (!ispId) {
+      return res.status(400).json({ message: 'ISP ID is required' });
+    }
+
+    const { name, officer_id, basis, tiers, is_active = true } = req.body;
+    if (!(await checkOfficer(officer_id, ispId))) {
+      return res.status(404).json({ message: 'Recovery officer not found' });
+    }
+
+    const rule = await CommissionRule.create({
+      name,
+      officer_id: officer_id || null,
+      basis,
+      tiers: commissions.normalizeTiers(tiers, basis),
+      is_active,
+      created_by: req.user.id,
+      isp_id: ispId
+    });
+
+    // One active rule per scope (ISP-wide or per officer)
+    if (rule.is_active) {
+      await CommissionRule.update(
+        { is_active: false },
+        { where: { isp_id: ispId, officer_id: rule.officer_id, is_active: true, id: { [Op.ne]: rule.id } } }
+      );
+    }
+
+    await createActivityLog(
+      req.user.id,
+      'CREATE_COMMISSION_RULE',
+      'CommissionRule',
+      rule.id,
+      null,
+      rule.toJSON(),
+      ispId,
+      req.ip,
+      req.get('user-agent')
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Commission rule created successfully',
+      rule
+    });
+  } catch (error) {
+    console.error('Create commission rule error:', error);
+    res.status(error.status || 500).json({
+      message: error.status ? error.message : 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Update a commission rule
+// @route   PUT /api/commissions/rules/:id
+// @access  Private (Admin, Super Admin)
+const updateRule = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const whereClause = { id: req.params.id };
+    if (req.user.role !== 'super_admin') {
+      whereClause.isp_id = req.ispId || req.user.isp_id;
+    }
+
+    const rule = await CommissionRule.findOne({ where: whereClause });
+    if (!rule) {
+      return res.status(404).json({ message: 'Commission rule not found' });
+    }
+
+    const oldValues = rule.toJSON();
+    const values = {};
+    ['name', 'basis', 'is_active'].forEach((field) => {
+      if (req.body[field] !== undefined) values[field] = req.body[field];
+    });
+    if (req.body.officer_id !== undefined) {
+      if (!(await checkOfficer(req.body.officer_id, rule.isp_id))) {
+        return res.status(404).json({ message: 'Recovery officer not found' });
+      }
+      values.officer_id = req.body.officer_id || null;
+    }
+    if (req.body.tiers !== undefined || values.basis !== undefined) {
+      values.tiers = commissions.normalizeTiers(
+        req.body.tiers !== undefined ? req.body.tiers : rule.tiers,
+        values.basis || rule.basis
+      );
+    }
+
+    await rule.update(values);
+
+    if (rule.is_active) {
+      await CommissionRule.update(
+        { is_active: false },
+        { where: { isp_id: rule.isp_id, officer_id: rule.officer_id, is_active: true, id: { [Op.ne]: rule.id } } }
+      );
+    }
+
+    await createActivityLog(
+      req.user.id,
+      'UPDATE_COMMISSION_RULE',
+      'CommissionRule',
+      rule.id,
+      oldValues,
+      rule.toJSON(),
+      rule.isp_id,
+      req.ip,
+      req.get('user-agent')
+    );
+
+    res.json({
+      success: true,
+      message: 'Commission rule updated successfully',
+      rule
+    });
+  } catch (error) {
+    console.error('Update commission rule error:', error);
+    res.status(error.status || 500).json({
+      message: error.status ? error.message : 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Delete a commission rule (rules used by statements are deactivated instead)
+// @route   DELETE /api/commissions/rules/:id
+// @access  Private (Admin, Super Admin)
+const deleteRule = async (req, res) => {
+  try {
+    const whereClause = { id: req.params.id };
+    if (req.user.role !== 'super_admin') {
+      whereClause.isp_id = req.ispId || req.user.isp_id;
+    }
+
+    const rule = await CommissionRule.findOne({ where: whereClause });
+    if (!rule) {
+      return res.status(404).json({ message: 'Commission rule not found' });
+    }
+
+    const oldValues = rule.toJSON();
+    const used = await CommissionStatement.count({ where: { rule_id: rule.id } });
+    if (used > 0) {
+      await rule.update({ is_active: false });
+    } else {
+      await rule.destroy();
+    }
+
+    await createActivityLog(
+      req.user.id,
+      used > 0 ? 'DEACTIVATE_COMMISSION_RULE' : 'DELETE_COMMISSION_RULE',
+      'CommissionRule',
+      oldValues.id,
+      oldValues,
+      used > 0 ? rule.toJSON() : null,
+      oldValues.isp_id,
+      req.ip,
+      req.get('user-agent')
+    );
+
+    res.json({
+      success: true,
+      message: used > 0
+        ? 'Commission rule is used by statements and has been deactivated'
+        : 'Commission rule deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete commission rule error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    List commission statements
+// @route   GET /api/commissions/statements
+// @access  Private (Admin, Account Manager, Recovery Officer - own statements)
+const getStatements = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, month, officer_id, status } = req.query;
+    const offset = (page - 1) * limit;
+
+    const whereClause = {};
+    const ispId = req.user.role === 'super_admin'
+      ? (req.query.isp_id || req.ispId)
+      : (req.ispId || req.user.isp_id);
+    if (ispId) whereClause.isp_id = ispId;
+    if (req.user.role === 'recovery_officer') {
+      whereClause.officer_id = req.user.id;
+    } else if (officer_id) {
+      whereClause.officer_id = officer_id;
+    }
+    if (status) whereClause.status = status;
+    if (month) whereClause.period_start = commissions.getPeriod(month).periodStart;
+
+    const statements = await CommissionStatement.findAndCountAll({
+      where: whereClause,
+      include: [
+        {
+          model: User,
+          as: 'officer',
+          attributes: ['id', 'name', 'email']
+        },
+        {
+          model: User,
+          as: 'approvedBy',
+          attributes: ['id', 'name'],
+          required: false
+        },
+        {
+          model: User,
+          as: 'paidBy',
+          attributes: ['id', 'name'],
+          required: false
+        }
+      ],
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      order: [['period_start', 'DESC'], ['officer_id', 'ASC']]
+    });
+
+    res.json({
+      success: true,
+      statements: statements.rows,
+      total: statements.count,
+      page: parseInt(page),
+      pages: Math.ceil(statements.count / limit)
+    });
+  } catch (error) {
+    console.error('Get commission statements error:', error);
+    res.status(error.status || 500).json({
+      message: error.status ? error.message : 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get a commission statement with the collections it covers
+// @route   GET /api/commissions/statements/:id
+// @access  Private (Admin, Account Manager, Recovery Officer - own statements)
+const getStatement = async (req, res) => {
+  try {
+    const whereClause = { id: req.params.id };
+    if (req.user.role !== 'super_admin') {
+      whereClause.isp_id = req.ispId || req.user.isp_id;
+    }
+    if (req.user.role === 'recovery_officer') {
+      whereClause.officer_id = req.user.id;
+    }
+
+    const statement = await CommissionStatement.findOne({
+      where: whereClause,
+      include: [
+        {
+          model: User,
+          as: 'officer',
+          attributes: ['id', 'name', 'email']
+        },
+        {
+          model: CommissionRule,
+          as: 'rule',
+          required: false
+        }
+      ]
+    });
+    if (!statement) {
+      return res.status(404).json({ message: 'Commission statement not found' });
+    }
+
+    const { collections } = await commissions.getOfficerCollections({
+      officerId: statement.officer_id,
+      ispId: statement.isp_id,
+      periodStart: statement.period_start,
+      periodEnd: statement.period_end
+    });
+
+    res.json({
+      success: true,
+      statement,
+      collections
+    });
+  } catch (error) {
+    console.error('Get commission statement error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Compute draft commission statements for a month
+// @route   POST /api/commissions/statements/generate
+// @access  Private (Admin, Account Manager, Super Admin)
+const generateCommissionStatements = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const ispId = req.user.role === 'super_admin'
+      ? (req.body.isp_id || req.ispId)
+      : (req.ispId || req.user.isp_id);
+    const { statements, locked } = await commissions.generateStatements({
+      ispId,
+      month: req.body.month,
+      officerIds: req.body.officer_ids
+    });
+
+    await createActivityLog(
+      req.user.id,
+      'GENERATE_COMMISSION_STATEMENTS',
+      'CommissionStatement',
+      null,
+      null,
+      { month: req.body.month, statement_ids: statements.map(statement => statement.id) },
+      ispId,
+      req.ip,
+      req.get('user-agent')
+    );
+
+    res.json({
+      success: true,
+      message: `${statements.length} commission statements drafted${locked.length > 0 ? `, ${locked.length} already approved or paid` : ''}`,
+      statements,
+      locked
+    });
+  } catch (error) {
+    console.error('Generate commission statements error:', error);
+    res.status(error.status || 500).json({
+      message: error.status ? error.message : 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Approve a commission statement for payout
+// @route   PUT /api/commissions/statements/:id/approve
+// @access  Private (Admin, Super Admin)
+const approveCommissionStatement = async (req, res) => {
+  try {
+    const whereClause = { id: req.params.id };
+    if (req.user.role !== 'super_admin') {
+      whereClause.isp_id = req.ispId || req.user.isp_id;
+    }
+
+    const statement = await CommissionStatement.findOne({ where: whereClause });
+    if (!statement) {
+      return res.status(404).json({ message: 'Commission statement not found' });
+    }
+
+    const oldValues = statement.toJSON();
+    await commissions.approveStatement(statement, req.user.id);
+
+    await createActivityLog(
+      req.user.id,
+      'APPROVE_COMMISSION',
+      'CommissionStatement',
+      statement.id,
+      oldValues,
+      statement.toJSON(),
+      statement.isp_id,
+      req.ip,
+      req.get('user-agent')
+    );
+
+    res.json({
+      success: true,
+      message: 'Commission statement approved',
+      statement
+    });
+  } catch (error) {
+    console.error('Approve commission statement error:', error);
+    res.status(error.status || 500).json({
+      message: error.status ? error.message : 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Record the payout of an approved commission statement
+// @route   PUT /api/commissions/statements/:id/pay
+// @access  Private (Admin, Super Admin)
+const payCommissionStatement = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const whereClause = { id: req.params.id };
+    if (req.user.role !== 'super_admin') {
+      whereClause.isp_id = req.ispId || req.user.isp_id;
+    }
+
+    const statement = await CommissionStatement.findOne({ where: whereClause });
+    if (!statement) {
+      return res.status(404).json({ message: 'Commission statement not found' });
+    }
+
+    const oldValues = statement.toJSON();
+    await commissions.markStatementPaid(statement, {
+      userId: req.user.id,
+      payoutReference: req.body.payout_reference,
+      notes: req.body.notes
+    });
+
+    await createActivityLog(
+      req.user.id,
+      'PAY_COMMISSION',
+      'CommissionStatement',
+      statement.id,
+      oldValues,
+      statement.toJSON(),
+      statement.isp_id,
+      req.ip,
+      req.get('user-agent'),
+      `Paid PKR ${parseFloat(statement.commission_amount).toFixed(2)} commission to officer ${statement.officer_id}`
+    );
+
+    res.json({
+      success: true,
+      message: 'Commission payout recorded',
+      statement
+    });
+  } catch (error) {
+    console.error('Pay commission statement error:', error);
+    res.status(error.status || 500).json({
+      message: error.status ? error.message : 'Server error',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getRules,
+  createRule,
+  updateRule,
+  deleteRule,
+  getStatements,
+  getStatement,
+  generateCommissionStatements,
+  approveCommissionStatement,
+  payCommissionStatement
+};
@@ -1,6 +1,15 @@
-const { Customer, Package, ISP, Bill } = require('../models');
+const { Customer, Package, ISP, Bill, User } = require('../models');
 const { validationResult } = require('express-validator');
 const { Op } = require('sequelize');
+const { sequelize } = require('../config/db');
+const proration = require('../utils/proration');
+const customerPortal = require('../utils/customerPortal');
+const inventory = require('../utils/inventory');
+const ipam = require('../utils/ipam');
+const networkEnforcement = require('../utils/networkEnforcement');
+const createActivityLog = require('../utils/activityLogger');
+const { runWithinLimit } = require('../services/planLimitService');
+const { sendPlanLimitExceeded } = require('../middlewares/planLimitMiddleware');
 
 // @desc    Get all customers
 // @route   GET /api/customers
@@ -98,6 +107,12 @@ const getCustomer = async (req, res) => {
           as: 'bills',
           limit: 10,
           order: [['createdAt', 'DESC']]
+        },
+        {
+          model: User,
+          as: 'portalUser',
+          attributes: ['id', 'email', 'is_active', 'last_login'],
+          required: false
         }
       ]
     });
@@ -126,7 +141,7 @@ const createCustomer = async (req, res) => {
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { name, email, phone, address, cnic, package_id, connection_date, billing_cycle, isp_id } = req.body;
+    const { name, email, phone, address, area, latitude, longitude, cnic, package_id, connection_date, billing_cycle, isp_id, preferred_language } = req.body;
 
     // Determine ISP ID
     let ispId;
@@ -163,18 +178,24 @@ const createCustomer = async (req, res) => {
       return res.status(400).json({ message: 'Customer with this phone or CNIC already exists in this ISP' });
     }
 
-    const customer = await Customer.create({
+    // Counted against the business's max_customers with the business locked, so
+    // concurrent creates cannot both take the last free slot
+    const customer = await runWithinLimit(ispId, 'customers', (transaction) => Customer.create({
       name,
       email,
       phone,
       address,
+      area,
+      latitude,
+      longitude,
       cnic,
       package_id,
       isp_id: ispId,
       connection_date: connection_date || new Date(),
       billing_cycle: billing_cycle || 1,
-      next_billing_date: new Date(Date.now() + (billing_cycle || 1) * 30 * 24 * 60 * 60 * 1000)
-    });
+      next_billing_date: new Date(Date.now() + (billing_cycle || 1) * 30 * 24 * 60 * 60 * 1000),
+      preferred_language: preferred_language || 'en'
+    }, { transaction }));
 
     res.status(201).json({
       success: true,
@@ -182,6 +203,9 @@ const createCustomer = async (req, res) => {
       customer
     });
   } catch (error) {
+    if (error.planLimit) {
+      return sendPlanLimitExceeded(res, error.planLimit);
+    }
     console.error('Create customer error:', error);
     res.status(500).json({ message: 'Server error', error: error.message });
   }
@@ -218,22 +242,58 @@ const updateCustomer = async (req, res) => {
       return res.status(404).json({ message: 'Customer not found' });
     }
 
-    const { name, email, phone, address, package_id, status, billing_cycle } = req.body;
-
-    await customer.update({
-      name: name || customer.name,
-      email: email || customer.email,
-      phone: phone || customer.phone,
-      address: address || customer.address,
-      package_id: package_id !== undefined ? package_id : customer.package_id,
-      status: status || customer.status,
-      billing_cycle: billing_cycle || customer.billing_cycle
+    const { name, email, phone, address, area, latitude, longitude, package_id, status, billing_cycle, preferred_language } = req.body;
+    const oldPackageId = customer.package_id;
+    const oldStatus = customer.status;
+
+    // The change and its proration adjustments (or final bill) are saved together
+    const prorations = [];
+    await sequelize.transaction(async (transaction) => {
+      await customer.update({
+        name: name || customer.name,
+        email: email || customer.email,
+        phone: phone || customer.phone,
+        address: address || customer.address,
+        area: area !== undefined ? area : customer.area,
+        latitude: latitude !== undefined ? latitude : customer.latitude,
+        longitude: longitude !== undefined ? longitude : customer.longitude,
+        package_id: package_id !== undefined ? package_id : customer.package_id,
+        status: status || customer.status,
+        billing_cycle: billing_cycle || customer.billing_cycle,
+        preferred_language: preferred_language || customer.preferred_language
+      }, { transaction });
+
+      // Prorate mid-period package and connection changes
+      if (oldPackageId && customer.package_id && String(oldPackageId) !== String(customer.package_id)) {
+        prorations.push(await proration.handlePackageChange(customer, oldPackageId, { userId: req.user.id, transaction }));
+      }
+      if (oldStatus !== customer.status) {
+        prorations.push(await proration.handleStatusChange(customer, oldStatus, { userId: req.user.id, transaction }));
+      }
     });
 
+    // Disconnected customers hand their equipment back (rental charges stop) and lose their IP addresses
+    let equipmentToCollect = [];
+    let releasedAddresses = [];
+    if (oldStatus !== 'disconnected' && customer.status === 'disconnected') {
+      equipmentToCollect = await inventory.requestCustomerReturns(customer, { userId: req.user.id });
+      releasedAddresses = (await ipam.releaseCustomerAddresses(customer)).map(allocation => allocation.ip_address);
+    }
+
+    // Apply the new status or package speed on the network
+    let network = null;
+    if (oldStatus !== customer.status || String(oldPackageId) !== String(customer.package_id)) {
+      network = await networkEnforcement.syncCustomer(customer, { reason: 'customer updated', triggeredBy: 'api' });
+    }
+
     res.json({
       success: true,
       message: 'Customer updated successfully',
-      customer
+      customer,
+      adjustments: prorations.flatMap(result => result.adjustments),
+      equipment_to_collect: equipmentToCollect,
+      released_ip_addresses: releasedAddresses,
+      network
     });
   } catch (error) {
     console.error('Update customer error:', error);
@@ -241,6 +301,95 @@ const updateCustomer = async (req, res) => {
   }
 };
 
+// @desc    Get proration adjustments for a customer
+// @route   GET /api/customers/:id/adjustments
+// @access  Private (Admin, Account Manager, Super Admin)
+const getCustomerAdjustments = async (req, res) => {
+  try {
+    const whereClause = { id: req.params.id };
+    if (req.user.role !== 'super_admin') {
+      whereClause.isp_id = req.ispId || req.user.isp_id;
+    }
+
+    const customer = await Customer.findOne({ where: whereClause });
+    if (!customer) {
+      return res.status(404).json({ message: 'Customer not found' });
+    }
+
+    const adjustments = await proration.getCustomerAdjustments(customer.id, {
+      status: req.query.status
+    });
+
+    res.json({
+      success: true,
+      adjustments
+    });
+  } catch (error) {
+    console.error('Get customer adjustments error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Invite a customer to claim their portal account (email, SMS or shareable link)
+// @route   POST /api/customers/:id/portal-invite
+// @access  Private (Admin, Account Manager, Super Admin)
+const sendPortalInvite = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const whereClause = { id: req.params.id };
+    if (req.user.role !== 'super_admin') {
+      whereClause.isp_id = req.ispId || req.user.isp_id;
+    }
+
+    const customer = await Customer.findOne({ where: whereClause });
+    if (!customer) {
+      return res.status(404).json({ message: 'Customer not found' });
+    }
+
+    const { invite, link, delivery } = await customerPortal.createPortalInvite(customer, {
+      channel: req.body.channel || 'email',
+      userId: req.user.id
+    });
+
+    await createActivityLog(
+      req.user.id,
+      'SEND_PORTAL_INVITE',
+      'Customer',
+      customer.id,
+      null,
+      { invite_id: invite.id, channel: invite.channel, sent_to: invite.sent_to },
+      customer.isp_id,
+      req.ip,
+      req.get('user-agent')
+    );
+
+    res.status(201).json({
+      success: true,
+      message: invite.channel === 'link'
+        ? 'Portal invite link created'
+        : `Portal invite sent by ${invite.channel}`,
+      invite: {
+        id: invite.id,
+        channel: invite.channel,
+        sent_to: invite.sent_to,
+        expires_at: invite.expires_at
+      },
+      link,
+      delivered: delivery ? delivery.success !== false : undefined
+    });
+  } catch (error) {
+    console.error('Send portal invite error:', error);
+    res.status(error.status || 500).json({
+      message: error.status ? error.message : 'Server error',
+      error: error.message
+    });
+  }
+};
+
 // @desc    Delete customer
 // @route   DELETE /api/customers/:id
 // @access  Private (Admin only)
@@ -288,15 +437,7 @@ const getMyInfo = async (req, res) => {
       return res.status(403).json({ message: 'Access denied. This endpoint is for customers only.' });
     }
 
-    // Find customer by email or phone
-    const customer = await Customer.findOne({
-      where: {
-        [Op.or]: [
-          { email: req.user.email },
-          { phone: req.user.email }
-        ],
-        ...(req.user.isp_id ? { isp_id: req.user.isp_id } : {})
-      },
+    const customer = await customerPortal.getCustomerForUser(req.user, {
       include: [
         {
           model: Package,
@@ -351,6 +492,8 @@ module.exports = {
   createCustomer,
   updateCustomer,
   deleteCustomer,
-  getMyInfo
+  getMyInfo,
+  getCustomerAdjustments,
+  sendPortalInvite
 };
 
@@ -1,7 +1,23 @@
-const { Installation, Customer, User, ISP } = require('../models');
+const { Installation, Customer, User, ISP, Bill, InventoryItem, EquipmentType, IpAllocation, IpPool } = require('../models');
 const { validationResult } = require('express-validator');
 const { Op } = require('sequelize');
 const createActivityLog = require('../utils/activityLogger');
+const technicianSchedule = require('../utils/technicianSchedule');
+const ipam = require('../utils/ipam');
+const networkEnforcement = require('../utils/networkEnforcement');
+const { completeInstallation } = require('../utils/installationLifecycle');
+const moment = require('moment');
+
+// Technicians must be active technical officers of the installation's ISP
+const findTechnician = async (technicianId, ispId) => User.findOne({
+  where: { id: technicianId, role: 'technical_officer', is_active: true, isp_id: ispId }
+});
+
+const sendScheduleError = (res, error) => res.status(error.status || 500).json({
+  message: error.status ? error.message : 'Server error',
+  error: error.message,
+  ...(error.conflicts ? { conflicts: error.conflicts } : {})
+});
 
 // @desc    Get all installations
 // @route   GET /api/installations
@@ -91,6 +107,24 @@ const getInstallation = async (req, res) => {
           model: ISP,
           as: 'isp',
           attributes: ['id', 'name']
+        },
+        {
+          model: Bill,
+          as: 'bill',
+          attributes: ['id', 'bill_number', 'total_amount', 'paid_amount', 'due_date', 'status'],
+          required: false
+        },
+        {
+          model: InventoryItem,
+          as: 'equipment',
+          include: [{ model: EquipmentType, as: 'equipmentType', attributes: ['id', 'name', 'category', 'unit'] }],
+          required: false
+        },
+        {
+          model: IpAllocation,
+          as: 'ipAllocation',
+          include: [{ model: IpPool, as: 'pool', attributes: ['id', 'name', 'cidr', 'vlan_id', 'gateway'] }],
+          required: false
         }
       ]
     });
@@ -124,7 +158,19 @@ const createInstallation = async (req, res) => {
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { customer_id, service_address, connection_type, bandwidth, scheduled_date } = req.body;
+    const {
+      customer_id,
+      service_address,
+      connection_type,
+      bandwidth,
+      scheduled_date,
+      technical_officer_id,
+      installation_charge,
+      ip_address,
+      ip_pool_id,
+      ip_version,
+      duration_minutes = technicianSchedule.SLOT_MINUTES
+    } = req.body;
 
     const customer = await Customer.findByPk(customer_id);
     if (!customer) {
@@ -136,24 +182,73 @@ const createInstallation = async (req, res) => {
       return res.status(403).json({ message: 'Access denied' });
     }
 
-    const installation = await Installation.create({
-      customer_id,
-      service_address,
-      connection_type,
-      bandwidth,
-      scheduled_date,
-      status: 'pending',
-      isp_id: customer.isp_id
+    if (technical_officer_id && !(await findTechnician(technical_officer_id, customer.isp_id))) {
+      return res.status(404).json({ message: 'Technical officer not found' });
+    }
+
+    const scheduledEnd = scheduled_date
+      ? moment(scheduled_date).add(duration_minutes, 'minutes').toDate()
+      : null;
+
+    // A technician with a time slot is booked straight away
+    if (technical_officer_id && scheduled_date) {
+      await technicianSchedule.checkSlot({
+        technicianId: technical_officer_id,
+        start: scheduled_date,
+        end: scheduledEnd
+      });
+    }
+
+    // Requested static address, or the next free address of the ISP's pools
+    const allocation = await ipam.allocateAddress({
+      ispId: customer.isp_id,
+      customerId: customer.id,
+      ipAddress: ip_address,
+      poolId: ip_pool_id,
+      version: ip_version ? parseInt(ip_version) : null,
+      userId: req.user.id
     });
 
+    let installation;
+    try {
+      installation = await Installation.create({
+        customer_id,
+        service_address,
+        connection_type,
+        bandwidth,
+        ip_address: allocation ? allocation.ip_address : null,
+        installation_charge: installation_charge !== undefined ? installation_charge : null,
+        technical_officer_id: technical_officer_id || null,
+        scheduled_date,
+        scheduled_end: scheduledEnd,
+        status: technical_officer_id && scheduled_date ? 'scheduled' : 'pending',
+        isp_id: customer.isp_id
+      });
+    } catch (error) {
+      if (allocation) await allocation.destroy();
+      throw error;
+    }
+    if (allocation) {
+      await allocation.update({ installation_id: installation.id });
+    }
+
     await createActivityLog(req.user.id, 'CREATE_INSTALLATION', 'Installation', installation.id, null, {
-      customer_id, service_address, connection_type, bandwidth
+      customer_id, service_address, connection_type, bandwidth, technical_officer_id, scheduled_date, ip_address: installation.ip_address
     }, req.user.isp_id, req.ip, req.get('user-agent'));
 
-    res.status(201).json({ success: true, installation });
+    // Unbooked requests come back with the earliest free slots to pick from
+    const suggestedSlots = installation.status === 'pending'
+      ? await technicianSchedule.findFreeSlots({
+        ispId: customer.isp_id,
+        technicianId: technical_officer_id || null,
+        durationMinutes: duration_minutes
+      })
+      : [];
+
+    res.status(201).json({ success: true, installation, suggested_slots: suggestedSlots });
   } catch (error) {
     console.error('Error creating installation:', error);
-    res.status(500).json({ message: 'Server error', error: error.message });
+    sendScheduleError(res, error);
   }
 };
 
@@ -182,30 +277,103 @@ const updateInstallation = async (req, res) => {
     }
 
     const oldValues = installation.toJSON();
-    
+
+    if (req.body.technical_officer_id && req.body.technical_officer_id !== installation.technical_officer_id
+      && !(await findTechnician(req.body.technical_officer_id, installation.isp_id))) {
+      return res.status(404).json({ message: 'Technical officer not found' });
+    }
+
     // If assigning technical officer
     if (req.body.technical_officer_id && !installation.technical_officer_id) {
       req.body.status = 'scheduled';
     }
 
+    // Moving the slot keeps its length unless a new duration is given
+    const { duration_minutes } = req.body;
+    delete req.body.duration_minutes;
+    if (req.body.scheduled_date !== undefined || duration_minutes !== undefined) {
+      const start = req.body.scheduled_date !== undefined ? req.body.scheduled_date : installation.scheduled_date;
+      const currentLength = installation.scheduled_date
+        ? moment(technicianSchedule.getSlotEnd(installation)).diff(moment(installation.scheduled_date), 'minutes')
+        : technicianSchedule.SLOT_MINUTES;
+      req.body.scheduled_end = start
+        ? moment(start).add(duration_minutes !== undefined ? duration_minutes : currentLength, 'minutes').toDate()
+        : null;
+    }
+
+    // Re-check the booking when the technician or slot changes, or a closed job is reopened
+    const technicianId = req.body.technical_officer_id !== undefined ? req.body.technical_officer_id : installation.technical_officer_id;
+    const slotStart = req.body.scheduled_date !== undefined ? req.body.scheduled_date : installation.scheduled_date;
+    const slotEnd = req.body.scheduled_end !== undefined ? req.body.scheduled_end : installation.scheduled_end;
+    const nextStatus = req.body.status || installation.status;
+    const bookingChanged = ['technical_officer_id', 'scheduled_date', 'scheduled_end'].some(field => req.body[field] !== undefined)
+      || !technicianSchedule.BOOKED_STATUSES.includes(installation.status);
+    if (bookingChanged && technicianId && slotStart && technicianSchedule.BOOKED_STATUSES.includes(nextStatus)) {
+      await technicianSchedule.checkSlot({
+        technicianId,
+        start: slotStart,
+        end: slotEnd || moment(slotStart).add(technicianSchedule.SLOT_MINUTES, 'minutes').toDate(),
+        excludeInstallationId: installation.id
+      });
+    }
+
+    // A new static address or pool replaces the current address; null releases it
+    const { ip_pool_id, ip_version } = req.body;
+    delete req.body.ip_pool_id;
+    delete req.body.ip_version;
+    let newAllocation = null;
+    let releaseAddress = false;
+    if (req.body.ip_address !== undefined || ip_pool_id) {
+      const requested = req.body.ip_address ? ipam.normalizeIp(req.body.ip_address) : null;
+      if (ip_pool_id || (requested && requested !== installation.ip_address)) {
+        newAllocation = await ipam.allocateAddress({
+          ispId: installation.isp_id,
+          customerId: installation.customer_id,
+          ipAddress: requested,
+          poolId: ip_pool_id,
+          version: ip_version ? parseInt(ip_version) : null,
+          userId: req.user.id
+        });
+        req.body.ip_address = newAllocation.ip_address;
+      } else if (requested) {
+        req.body.ip_address = requested;
+      } else {
+        releaseAddress = true;
+      }
+    }
+
     // If marking as completed
     const wasCompleted = installation.status === 'completed';
     if (req.body.status === 'completed' && !installation.installation_date) {
       req.body.installation_date = new Date();
     }
 
-    await installation.update(req.body);
+    try {
+      await installation.update(req.body);
+    } catch (error) {
+      if (newAllocation) await newAllocation.destroy();
+      throw error;
+    }
+
+    // Cancelled installations give their address back to the pool
+    if (newAllocation || releaseAddress || (installation.status === 'cancelled' && oldValues.status !== 'cancelled')) {
+      await ipam.releaseInstallationAddress(installation);
+    }
+    if (newAllocation) {
+      await newAllocation.update({ installation_id: installation.id });
+    }
+    if (installation.ip_address !== oldValues.ip_address) {
+      await networkEnforcement.syncCustomerById(installation.customer_id, { reason: 'IP address changed', triggeredBy: 'api' });
+    }
     const newValues = installation.toJSON();
 
-    // Auto-generate invoice when installation is completed (first time only)
+    // Activate the customer and raise the first bill when installation is completed (first time only)
     if (req.body.status === 'completed' && !wasCompleted && installation.customer_id) {
       try {
-        const { generateInstallationInvoice } = require('./automationController');
-        await generateInstallationInvoice(installation.customer_id, installation.id, 'api');
-        console.log(`✅ Auto-generated installation invoice for customer ${installation.customer_id}`);
+        await completeInstallation(installation, { userId: req.user.id, triggeredBy: 'api' });
       } catch (error) {
-        console.error(`⚠️  Error generating installation invoice:`, error.message);
-        // Don't fail the update if invoice generation fails
+        console.error(`⚠️  Error running installation completion:`, error.message);
+        // Don't fail the update if the completion hook fails
       }
     }
 
@@ -214,7 +382,7 @@ const updateInstallation = async (req, res) => {
     res.json({ success: true, installation });
   } catch (error) {
     console.error('Error updating installation:', error);
-    res.status(500).json({ message: 'Server error', error: error.message });
+    sendScheduleError(res, error);
   }
 };
 
@@ -240,6 +408,7 @@ const deleteInstallation = async (req, res) => {
 
     await createActivityLog(req.user.id, 'DELETE_INSTALLATION', 'Installation', installation.id, installation.toJSON(), null, req.user.isp_id, req.ip, req.get('user-agent'));
 
+    await ipam.releaseInstallationAddress(installation);
     await installation.destroy();
 
     res.json({ success: true, message: 'Installation deleted successfully' });
@@ -249,11 +418,178 @@ const deleteInstallation = async (req, res) => {
   }
 };
 
+// @desc    Technician calendar (JSON, or iCalendar with format=ics)
+// @route   GET /api/installations/calendar?technician_id=&from=&to=&format=ics
+// @access  Private (Admin, Account Manager, Technical Officer - own calendar)
+const getTechnicianCalendar = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const technicianId = req.user.role === 'technical_officer' ? req.user.id : req.query.technician_id;
+    if (!technicianId) {
+      return res.status(400).json({ message: 'Technician ID is required' });
+    }
+
+    const technicianWhere = { id: technicianId, role: 'technical_officer' };
+    if (req.user.role !== 'super_admin') {
+      technicianWhere.isp_id = req.ispId || req.user.isp_id;
+    }
+    const technician = await User.findOne({ where: technicianWhere, attributes: ['id', 'name', 'email'] });
+    if (!technician) {
+      return res.status(404).json({ message: 'Technical officer not found' });
+    }
+
+    const from = req.query.from ? moment(req.query.from).startOf('day') : moment().startOf('day');
+    const to = req.query.to ? moment(req.query.to).endOf('day') : from.clone().add(30, 'days').endOf('day');
+    if (to.diff(from, 'days') > 366) {
+      return res.status(400).json({ message: 'Calendar range cannot exceed one year' });
+    }
+
+    const events = await technicianSchedule.getCalendar({
+      technicianId: technician.id,
+      from: from.toDate(),
+      to: to.toDate()
+    });
+
+    if (req.query.format === 'ics') {
+      res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="installations_${technician.id}.ics"`);
+      return res.send(technicianSchedule.buildICalendar(events, `Installations - ${technician.name}`));
+    }
+
+    const { hours, is_default } = await technicianSchedule.getWorkingHours(technician.id);
+
+    res.json({
+      success: true,
+      technician,
+      from: from.toDate(),
+      to: to.toDate(),
+      working_hours: hours,
+      default_working_hours: is_default,
+      events
+    });
+  } catch (error) {
+    console.error('Error fetching technician calendar:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Earliest free installation slots
+// @route   GET /api/installations/available-slots?technician_id=&duration_minutes=&from=&days=&limit=
+// @access  Private (Admin, Account Manager, Technical Officer)
+const getAvailableSlots = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const ispId = req.user.role === 'super_admin'
+      ? (req.query.isp_id || req.ispId)
+      : (req.ispId || req.user.isp_id);
+    if (!ispId) {
+      return res.status(400).json({ message: 'ISP ID is required' });
+    }
+
+    const slots = await technicianSchedule.findFreeSlots({
+      ispId,
+      technicianId: req.query.technician_id || null,
+      durationMinutes: req.query.duration_minutes ? parseInt(req.query.duration_minutes) : technicianSchedule.SLOT_MINUTES,
+      from: req.query.from ? moment.max(moment(req.query.from), moment()).toDate() : new Date(),
+      days: req.query.days ? parseInt(req.query.days) : 14,
+      limit: req.query.limit ? parseInt(req.query.limit) : 3
+    });
+
+    res.json({
+      success: true,
+      slots
+    });
+  } catch (error) {
+    console.error('Error finding available slots:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Get a technician's weekly working hours
+// @route   GET /api/installations/working-hours/:technicianId
+// @access  Private (Admin, Account Manager, Technical Officer - own hours)
+const getTechnicianWorkingHours = async (req, res) => {
+  try {
+    if (req.user.role === 'technical_officer' && parseInt(req.params.technicianId) !== req.user.id) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const technicianWhere = { id: req.params.technicianId, role: 'technical_officer' };
+    if (req.user.role !== 'super_admin') {
+      technicianWhere.isp_id = req.ispId || req.user.isp_id;
+    }
+    const technician = await User.findOne({ where: technicianWhere, attributes: ['id', 'name', 'email'] });
+    if (!technician) {
+      return res.status(404).json({ message: 'Technical officer not found' });
+    }
+
+    const { hours, is_default } = await technicianSchedule.getWorkingHours(technician.id);
+
+    res.json({
+      success: true,
+      technician,
+      working_hours: hours,
+      is_default
+    });
+  } catch (error) {
+    console.error('Error fetching working hours:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Replace a technician's weekly working hours (empty list = defaults)
+// @route   PUT /api/installations/working-hours/:technicianId
+// @access  Private (Admin, Account Manager, Super Admin)
+const updateTechnicianWorkingHours = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const technicianWhere = { id: req.params.technicianId, role: 'technical_officer' };
+    if (req.user.role !== 'super_admin') {
+      technicianWhere.isp_id = req.ispId || req.user.isp_id;
+    }
+    const technician = await User.findOne({ where: technicianWhere });
+    if (!technician) {
+      return res.status(404).json({ message: 'Technical officer not found' });
+    }
+
+    const oldValues = await technicianSchedule.getWorkingHours(technician.id);
+    const { hours, is_default } = await technicianSchedule.setWorkingHours(technician, req.body.working_hours);
+
+    await createActivityLog(req.user.id, 'UPDATE_WORKING_HOURS', 'User', technician.id, oldValues, { hours, is_default }, technician.isp_id, req.ip, req.get('user-agent'));
+
+    res.json({
+      success: true,
+      message: 'Working hours updated successfully',
+      working_hours: hours,
+      is_default
+    });
+  } catch (error) {
+    console.error('Error updating working hours:', error);
+    sendScheduleError(res, error);
+  }
+};
+
 module.exports = {
   getInstallations,
   getInstallation,
   createInstallation,
   updateInstallation,
-  deleteInstallation
+  deleteInstallation,
+  getTechnicianCalendar,
+  getAvailableSlots,
+  getTechnicianWorkingHours,
+  updateTechnicianWorkingHours
 };
 
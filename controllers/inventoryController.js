@@ -0,0 +1,578 @@
+const { EquipmentType, InventoryItem, InventoryMovement, Installation, Customer, User } = require('../models');
+const { validationResult } = require('express-validator');
+const { Op } = require('sequelize');
+const createActivityLog = require('../utils/activityLogger');
+const inventory = require('../utils/inventory');
+
+// Load an item the user may act on: same ISP, and technicians only their own custody
+const findAccessibleItem = async (req) => {
+  const item = await inventory.findItem(req.params.id);
+  if (!item) return null;
+  if (req.user.role !== 'super_admin' && item.isp_id !== (req.ispId || req.user.isp_id)) return null;
+  if (req.user.role === 'technical_officer' && item.technician_id !== req.user.id) return null;
+  return item;
+};
+
+const findTechnician = async (technicianId, ispId) => {
+  if (!technicianId) return null;
+  return await User.findOne({ where: { id: technicianId, role: 'technical_officer', isp_id: ispId } });
+};
+
+const logMovement = async (req, action, item, oldValues, description) => {
+  await createActivityLog(
+    req.user.id,
+    action,
+    'InventoryItem',
+    item.id,
+    oldValues,
+    item.toJSON(),
+    item.isp_id,
+    req.ip,
+    req.get('user-agent'),
+    description
+  );
+};
+
+// @desc    List equipment types
+// @route   GET /api/inventory/types
+// @access  Private (Admin, Account Manager, Technical Officer, Super Admin)
+const getEquipmentTypes = async (req, res) => {
+  try {
+    const { category, is_active } = req.query;
+    const ispId = req.user.role === 'super_admin'
+      ? (req.query.isp_id || req.ispId)
+      : (req.ispId || req.user.isp_id);
+
+    const whereClause = {};
+    if (ispId) whereClause.isp_id = ispId;
+    if (category) whereClause.category = category;
+    if (is_active !== undefined) whereClause.is_active = is_active === 'true';
+
+    const types = await EquipmentType.findAll({
+      where: whereClause,
+      order: [['category', 'ASC'], ['name', 'ASC']]
+    });
+
+    res.json({
+      success: true,
+      types
+    });
+  } catch (error) {
+    console.error('Get equipment types error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Add an equipment type to the catalogue
+// @route   POST /api/inventory/types
+// @access  Private (Admin, Super Admin)
+const createEquipmentType = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const ispId = req.user.role === 'super_admin'
+      ? (req.body.isp_id || req.ispId)
+      : (req.ispId || req.user.isp_id);
+    if (!ispId) {
+      return res.status(400).json({ message: 'ISP ID is required' });
+    }
+
+    const {
+      name,
+      category,
+      brand,
+      model_number,
+      is_serialized = true,
+      unit,
+      unit_cost,
+      rental_price,
+      low_stock_threshold,
+      is_active = true
+    } = req.body;
+
+    const type = await EquipmentType.create({
+      name,
+      category,
+      brand,
+      model_number,
+      is_serialized,
+      unit: unit || (is_serialized ? 'piece' : 'meter'),
+      unit_cost,
+      rental_price,
+      low_stock_threshold: low_stock_threshold || 0,
+      is_active,
+      isp_id: ispId
+    });
+
+    await createActivityLog(
+      req.user.id,
+      'CREATE_EQUIPMENT_TYPE',
+      'EquipmentType',
+      type.id,
+      null,
+      type.toJSON(),
+      ispId,
+      req.ip,
+      req.get('user-agent')
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Equipment type created successfully',
+      type
+    });
+  } catch (error) {
+    console.error('Create equipment type error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Update an equipment type
+// @route   PUT /api/inventory/types/:id
+// @access  Private (Admin, Super Admin)
+const updateEquipmentType = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const whereClause = { id: req.params.id };
+    if (req.user.role !== 'super_admin') {
+      whereClause.isp_id = req.ispId || req.user.isp_id;
+    }
+
+    const type = await EquipmentType.findOne({ where: whereClause });
+    if (!type) {
+      return res.status(404).json({ message: 'Equipment type not found' });
+    }
+
+    // Tracking mode cannot change once stock exists
+    if (req.body.is_serialized !== undefined && Boolean(req.body.is_serialized) !== type.is_serialized) {
+      const stockCount = await InventoryItem.count({ where: { equipment_type_id: type.id } });
+      if (stockCount > 0) {
+        return res.status(400).json({ message: 'Cannot change serial tracking for a type that already has stock' });
+      }
+    }
+
+    const oldValues = type.toJSON();
+    const values = {};
+    ['name', 'category', 'brand', 'model_number', 'is_serialized', 'unit', 'unit_cost', 'rental_price', 'low_stock_threshold', 'is_active'].forEach((field) => {
+      if (req.body[field] !== undefined) values[field] = req.body[field];
+    });
+    await type.update(values);
+
+    await createActivityLog(
+      req.user.id,
+      'UPDATE_EQUIPMENT_TYPE',
+      'EquipmentType',
+      type.id,
+      oldValues,
+      type.toJSON(),
+      type.isp_id,
+      req.ip,
+      req.get('user-agent')
+    );
+
+    res.json({
+      success: true,
+      message: 'Equipment type updated successfully',
+      type
+    });
+  } catch (error) {
+    console.error('Update equipment type error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    List inventory items
+// @route   GET /api/inventory/items
+// @access  Private (Admin, Account Manager, Technical Officer - own custody, Super Admin)
+const getInventoryItems = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, equipment_type_id, technician_id, customer_id, warehouse, search } = req.query;
+    const offset = (page - 1) * limit;
+
+    const whereClause = {};
+    if (req.user.role !== 'super_admin') {
+      whereClause.isp_id = req.ispId || req.user.isp_id;
+    } else if (req.query.isp_id) {
+      whereClause.isp_id = req.query.isp_id;
+    }
+    if (status) whereClause.status = status;
+    if (equipment_type_id) whereClause.equipment_type_id = equipment_type_id;
+    if (customer_id) whereClause.customer_id = customer_id;
+    if (warehouse) whereClause.warehouse = warehouse;
+    if (search) {
+      whereClause[Op.or] = [
+        { serial_number: { [Op.like]: `%${search}%` } },
+        { mac_address: { [Op.like]: `%${search}%` } }
+      ];
+    }
+    whereClause.technician_id = req.user.role === 'technical_officer' ? req.user.id : technician_id;
+    if (!whereClause.technician_id) delete whereClause.technician_id;
+
+    const items = await InventoryItem.findAndCountAll({
+      where: whereClause,
+      include: [
+        { model: EquipmentType, as: 'equipmentType', attributes: ['id', 'name', 'category', 'unit', 'is_serialized'] },
+        { model: User, as: 'technician', attributes: ['id', 'name'], required: false },
+        { model: Customer, as: 'customer', attributes: ['id', 'name', 'phone'], required: false }
+      ],
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      order: [['updatedAt', 'DESC']]
+    });
+
+    res.json({
+      success: true,
+      items: items.rows,
+      total: items.count,
+      page: parseInt(page),
+      pages: Math.ceil(items.count / limit)
+    });
+  } catch (error) {
+    console.error('Get inventory items error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Get an inventory item with its movement history
+// @route   GET /api/inventory/items/:id
+// @access  Private (Admin, Account Manager, Technical Officer - own custody, Super Admin)
+const getInventoryItem = async (req, res) => {
+  try {
+    const item = await findAccessibleItem(req);
+    if (!item) {
+      return res.status(404).json({ message: 'Inventory item not found' });
+    }
+
+    const movements = await InventoryMovement.findAll({
+      where: { item_id: item.id },
+      include: [
+        { model: User, as: 'technician', attributes: ['id', 'name'], required: false },
+        { model: Customer, as: 'customer', attributes: ['id', 'name'], required: false },
+        { model: User, as: 'createdBy', attributes: ['id', 'name'], required: false }
+      ],
+      order: [['id', 'ASC']]
+    });
+
+    res.json({
+      success: true,
+      item,
+      movements
+    });
+  } catch (error) {
+    console.error('Get inventory item error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Receive stock into a warehouse
+// @route   POST /api/inventory/items/receive
+// @access  Private (Admin, Account Manager, Super Admin)
+const receiveInventory = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const whereClause = { id: req.body.equipment_type_id };
+    if (req.user.role !== 'super_admin') {
+      whereClause.isp_id = req.ispId || req.user.isp_id;
+    }
+    const type = await EquipmentType.findOne({ where: whereClause });
+    if (!type) {
+      return res.status(404).json({ message: 'Equipment type not found' });
+    }
+
+    const items = await inventory.receiveStock({
+      type,
+      items: req.body.items,
+      quantity: req.body.quantity,
+      warehouse: req.body.warehouse,
+      notes: req.body.notes,
+      userId: req.user.id
+    });
+
+    await createActivityLog(
+      req.user.id,
+      'RECEIVE_INVENTORY',
+      'EquipmentType',
+      type.id,
+      null,
+      { item_ids: items.map(item => item.id) },
+      type.isp_id,
+      req.ip,
+      req.get('user-agent'),
+      `Received ${type.is_serialized ? items.length : items[0].quantity} ${type.unit}(s) of ${type.name}`
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Stock received successfully',
+      items
+    });
+  } catch (error) {
+    console.error('Receive inventory error:', error);
+    res.status(error.status || 500).json({
+      message: error.status ? error.message : 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Issue stock to a technician
+// @route   POST /api/inventory/items/:id/issue
+// @access  Private (Admin, Account Manager, Super Admin)
+const issueInventoryItem = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const item = await findAccessibleItem(req);
+    if (!item) {
+      return res.status(404).json({ message: 'Inventory item not found' });
+    }
+
+    const oldValues = item.toJSON();
+    const issued = await inventory.issueToTechnician(item, {
+      technician: await findTechnician(req.body.technician_id, item.isp_id),
+      quantity: req.body.quantity,
+      notes: req.body.notes,
+      userId: req.user.id
+    });
+
+    await logMovement(req, 'ISSUE_INVENTORY', issued, oldValues, `Issued ${issued.serial_number || `${issued.quantity} unit(s)`} to technician ${issued.technician_id}`);
+
+    res.json({
+      success: true,
+      message: 'Item issued to technician',
+      item: issued
+    });
+  } catch (error) {
+    console.error('Issue inventory item error:', error);
+    res.status(error.status || 500).json({
+      message: error.status ? error.message : 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Return technician stock or a faulty item to the warehouse
+// @route   POST /api/inventory/items/:id/return-to-warehouse
+// @access  Private (Admin, Account Manager, Super Admin)
+const returnInventoryToWarehouse = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const item = await findAccessibleItem(req);
+    if (!item) {
+      return res.status(404).json({ message: 'Inventory item not found' });
+    }
+
+    const oldValues = item.toJSON();
+    const returned = await inventory.returnToWarehouse(item, {
+      warehouse: req.body.warehouse,
+      quantity: req.body.quantity,
+      notes: req.body.notes,
+      userId: req.user.id
+    });
+
+    await logMovement(req, 'RETURN_INVENTORY_TO_WAREHOUSE', returned, oldValues, `Returned ${returned.serial_number || `${returned.quantity} unit(s)`} to the warehouse`);
+
+    res.json({
+      success: true,
+      message: 'Item returned to the warehouse',
+      item: returned
+    });
+  } catch (error) {
+    console.error('Return inventory to warehouse error:', error);
+    res.status(error.status || 500).json({
+      message: error.status ? error.message : 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Install an item for an installation's customer
+// @route   POST /api/inventory/items/:id/assign
+// @access  Private (Admin, Account Manager, Technical Officer - own custody and jobs, Super Admin)
+const assignInventoryItem = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const item = await findAccessibleItem(req);
+    if (!item) {
+      return res.status(404).json({ message: 'Inventory item not found' });
+    }
+
+    const installation = await Installation.findOne({
+      where: { id: req.body.installation_id, isp_id: item.isp_id }
+    });
+    if (!installation) {
+      return res.status(404).json({ message: 'Installation not found' });
+    }
+    if (req.user.role === 'technical_officer' && installation.technical_officer_id !== req.user.id) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const oldValues = item.toJSON();
+    const installed = await inventory.assignToInstallation(item, installation, {
+      quantity: req.body.quantity,
+      isRental: req.body.is_rental,
+      rentalPrice: req.body.rental_price !== undefined ? req.body.rental_price : null,
+      notes: req.body.notes,
+      userId: req.user.id
+    });
+
+    await logMovement(req, 'ASSIGN_INVENTORY', installed, oldValues, `Installed ${installed.serial_number || `${installed.quantity} unit(s)`} for customer ${installed.customer_id}${installed.is_rental ? ' (rental)' : ''}`);
+
+    res.json({
+      success: true,
+      message: 'Item assigned to installation',
+      item: installed
+    });
+  } catch (error) {
+    console.error('Assign inventory item error:', error);
+    res.status(error.status || 500).json({
+      message: error.status ? error.message : 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Take an item back from a customer
+// @route   POST /api/inventory/items/:id/return
+// @access  Private (Admin, Account Manager, Super Admin)
+const returnInventoryFromCustomer = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const item = await findAccessibleItem(req);
+    if (!item) {
+      return res.status(404).json({ message: 'Inventory item not found' });
+    }
+
+    let technician = null;
+    if (req.body.technician_id) {
+      technician = await findTechnician(req.body.technician_id, item.isp_id);
+      if (!technician) {
+        return res.status(404).json({ message: 'Technician not found' });
+      }
+    }
+
+    const oldValues = item.toJSON();
+    const returned = await inventory.returnFromCustomer(item, {
+      condition: req.body.condition,
+      technician,
+      warehouse: req.body.warehouse,
+      notes: req.body.notes,
+      userId: req.user.id
+    });
+
+    await logMovement(req, 'RETURN_INVENTORY_FROM_CUSTOMER', returned, oldValues, `Returned ${returned.serial_number || `${returned.quantity} unit(s)`} from customer ${oldValues.customer_id} (${returned.status})`);
+
+    res.json({
+      success: true,
+      message: 'Item returned from customer',
+      item: returned
+    });
+  } catch (error) {
+    console.error('Return inventory from customer error:', error);
+    res.status(error.status || 500).json({
+      message: error.status ? error.message : 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Mark an item faulty, lost or retired
+// @route   POST /api/inventory/items/:id/write-off
+// @access  Private (Admin, Super Admin)
+const writeOffInventoryItem = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const item = await findAccessibleItem(req);
+    if (!item) {
+      return res.status(404).json({ message: 'Inventory item not found' });
+    }
+
+    const oldValues = item.toJSON();
+    const updated = await inventory.writeOff(item, {
+      status: req.body.status,
+      notes: req.body.notes,
+      userId: req.user.id
+    });
+
+    await logMovement(req, 'WRITE_OFF_INVENTORY', updated, oldValues, `Marked ${updated.serial_number || `${updated.quantity} unit(s)`} as ${updated.status}`);
+
+    res.json({
+      success: true,
+      message: `Item marked as ${updated.status}`,
+      item: updated
+    });
+  } catch (error) {
+    console.error('Write off inventory item error:', error);
+    res.status(error.status || 500).json({
+      message: error.status ? error.message : 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Stock levels per equipment type with low-stock flags
+// @route   GET /api/inventory/stock
+// @access  Private (Admin, Account Manager, Technical Officer, Super Admin)
+const getStockLevels = async (req, res) => {
+  try {
+    const ispId = req.user.role === 'super_admin'
+      ? (req.query.isp_id || req.ispId)
+      : (req.ispId || req.user.isp_id);
+
+    const levels = await inventory.getStockLevels(ispId);
+
+    res.json({
+      success: true,
+      levels,
+      low_stock: levels.filter(level => level.low_stock).length
+    });
+  } catch (error) {
+    console.error('Get stock levels error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+module.exports = {
+  getEquipmentTypes,
+  createEquipmentType,
+  updateEquipmentType,
+  getInventoryItems,
+  getInventoryItem,
+  receiveInventory,
+  issueInventoryItem,
+  returnInventoryToWarehouse,
+  assignInventoryItem,
+  returnInventoryFromCustomer,
+  writeOffInventoryItem,
+  getStockLevels
+};
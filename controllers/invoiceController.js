@@ -4,7 +4,9 @@ const { validationResult } = require('express-validator');
 const { Op } = require('sequelize');
 const moment = require('moment');
 const generateInvoicePDF = require('../utils/generateInvoice');
+const { recalculateBillTotals } = require('../utils/billLineItems');
 const createActivityLog = require('../utils/activityLogger');
+const { getCustomerForUser } = require('../utils/customerPortal');
 
 /**
  * Generate unique invoice number
@@ -54,7 +56,7 @@ const autoGenerateInvoice = async (billId, triggeredBy = 'api') => {
         {
           model: Payment,
           as: 'payments',
-          attributes: ['id', 'amount', 'method', 'payment_date', 'receipt_number', 'status'],
+          attributes: ['id', 'amount', 'refunded_amount', 'method', 'payment_date', 'receipt_number', 'status'],
           where: { status: 'completed' },
           required: false
         }
@@ -65,6 +67,9 @@ const autoGenerateInvoice = async (billId, triggeredBy = 'api') => {
       throw new Error('Bill not found');
     }
 
+    // Totals always come from the bill's line items (bills created before itemization get them now)
+    await recalculateBillTotals(bill);
+
     // Get ISP separately
     const ISP = require('../models/ISP');
     const isp = await ISP.findByPk(bill.isp_id);
@@ -76,7 +81,7 @@ const autoGenerateInvoice = async (billId, triggeredBy = 'api') => {
     // Calculate payment totals
     const totalAmount = parseFloat(bill.total_amount || bill.amount || 0);
     const paidAmount = bill.payments
-      ? bill.payments.reduce((sum, p) => sum + parseFloat(p.amount || 0), 0)
+      ? bill.payments.reduce((sum, p) => sum + parseFloat(p.amount || 0) - parseFloat(p.refunded_amount || 0), 0)
       : parseFloat(bill.paid_amount || 0);
     
     const remainingAmount = totalAmount - paidAmount;
@@ -127,12 +132,7 @@ const autoGenerateInvoice = async (billId, triggeredBy = 'api') => {
 
     // Create notification for customer (if exists)
     if (bill.customer) {
-      const customerUser = await User.findOne({
-        where: {
-          email: bill.customer.email,
-          role: 'customer'
-        }
-      });
+      const customerUser = await User.findOne({ where: { customer_id: bill.customer.id } });
 
       await Notification.create({
         customer_id: bill.customer_id,
@@ -207,15 +207,7 @@ const getInvoices = async (req, res) => {
 
     // For customers, only show their own invoices
     if (req.user.role === 'customer') {
-      const customer = await Customer.findOne({ 
-        where: { 
-          [Op.or]: [
-            { email: req.user.email },
-            { phone: req.user.email }
-          ],
-          ...(req.user.isp_id ? { isp_id: req.user.isp_id } : {})
-        }
-      });
+      const customer = await getCustomerForUser(req.user);
       
       if (!customer) {
         return res.json({
@@ -260,7 +252,7 @@ const getInvoices = async (req, res) => {
         {
           model: Payment,
           as: 'payments',
-          attributes: ['id', 'amount', 'method', 'payment_date', 'receipt_number', 'status'],
+          attributes: ['id', 'amount', 'refunded_amount', 'method', 'payment_date', 'receipt_number', 'status'],
           where: { status: 'completed' },
           required: false
         },
@@ -289,7 +281,7 @@ const getInvoices = async (req, res) => {
       const billData = bill.toJSON();
       const totalAmount = parseFloat(billData.total_amount || billData.amount || 0);
       const paidAmount = billData.payments
-        ? billData.payments.reduce((sum, p) => sum + parseFloat(p.amount || 0), 0)
+        ? billData.payments.reduce((sum, p) => sum + parseFloat(p.amount || 0) - parseFloat(p.refunded_amount || 0), 0)
         : parseFloat(billData.paid_amount || 0);
       
       const remainingAmount = totalAmount - paidAmount;
@@ -341,14 +333,7 @@ const getInvoice = async (req, res) => {
     const billWhere = { id: req.params.id };
 
     if (req.user.role === 'customer') {
-      const customer = await Customer.findOne({ 
-        where: { 
-          [Op.or]: [
-            { email: req.user.email },
-            { phone: req.user.email }
-          ]
-        }
-      });
+      const customer = await getCustomerForUser(req.user);
       
       if (customer) {
         billWhere.customer_id = customer.id;
@@ -374,7 +359,7 @@ const getInvoice = async (req, res) => {
         {
           model: Payment,
           as: 'payments',
-          attributes: ['id', 'amount', 'method', 'payment_date', 'receipt_number', 'status'],
+          attributes: ['id', 'amount', 'refunded_amount', 'method', 'payment_date', 'receipt_number', 'status'],
           where: { status: 'completed' },
           required: false,
           order: [['payment_date', 'DESC']]
@@ -393,7 +378,7 @@ const getInvoice = async (req, res) => {
     const billData = bill.toJSON();
     const totalAmount = parseFloat(billData.total_amount || billData.amount || 0);
     const paidAmount = billData.payments
-      ? billData.payments.reduce((sum, p) => sum + parseFloat(p.amount || 0), 0)
+      ? billData.payments.reduce((sum, p) => sum + parseFloat(p.amount || 0) - parseFloat(p.refunded_amount || 0), 0)
       : parseFloat(billData.paid_amount || 0);
     
     const remainingAmount = totalAmount - paidAmount;
@@ -0,0 +1,456 @@
+const { IpPool, IpAllocation, Installation, Customer, User } = require('../models');
+const { validationResult } = require('express-validator');
+const createActivityLog = require('../utils/activityLogger');
+const ipam = require('../utils/ipam');
+const networkEnforcement = require('../utils/networkEnforcement');
+
+const findPool = async (req) => {
+  const whereClause = { id: req.params.id };
+  if (req.user.role !== 'super_admin') {
+    whereClause.isp_id = req.ispId || req.user.isp_id;
+  }
+  return await IpPool.findOne({ where: whereClause });
+};
+
+// @desc    List IP pools with utilisation
+// @route   GET /api/ipam/pools
+// @access  Private (Admin, Account Manager, Technical Officer, Super Admin)
+const getPools = async (req, res) => {
+  try {
+    const ispId = req.user.role === 'super_admin'
+      ? (req.query.isp_id || req.ispId)
+      : (req.ispId || req.user.isp_id);
+
+    const pools = await ipam.getUtilizationReport(ispId);
+
+    res.json({
+      success: true,
+      pools
+    });
+  } catch (error) {
+    console.error('Get IP pools error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Create an IP pool and import installation addresses inside it
+// @route   POST /api/ipam/pools
+// @access  Private (Admin, Super Admin)
+const createPool = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const ispId = req.user.role === 'super_admin'
+      ? (req.body.isp_id || req.ispId)
+      : (req.ispId || req.user.isp_id);
+    if (!ispId) {
+      return res.status(400).json({ message: 'ISP ID is required' });
+    }
+
+    const { name, cidr, vlan_id, gateway, description, is_active = true } = req.body;
+    const network = await ipam.validatePool({ ispId, cidr, gateway });
+
+    const pool = await IpPool.create({
+      name,
+      ...network,
+      vlan_id: vlan_id || null,
+      description,
+      is_active,
+      isp_id: ispId
+    });
+
+    const imported = await ipam.importInstallationAddresses({ ispId, poolId: pool.id, userId: req.user.id });
+
+    await createActivityLog(
+      req.user.id,
+      'CREATE_IP_POOL',
+      'IpPool',
+      pool.id,
+      null,
+      pool.toJSON(),
+      ispId,
+      req.ip,
+      req.get('user-agent'),
+      `Created IP pool ${pool.name} (${pool.cidr}), imported ${imported.imported.length} address(es)`
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'IP pool created successfully',
+      pool,
+      imported
+    });
+  } catch (error) {
+    console.error('Create IP pool error:', error);
+    res.status(error.status || 500).json({
+      message: error.status ? error.message : 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Update an IP pool (the range can only change while it has no allocations)
+// @route   PUT /api/ipam/pools/:id
+// @access  Private (Admin, Super Admin)
+const updatePool = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const pool = await findPool(req);
+    if (!pool) {
+      return res.status(404).json({ message: 'IP pool not found' });
+    }
+
+    const oldValues = pool.toJSON();
+    const values = {};
+    ['name', 'vlan_id', 'description', 'is_active'].forEach((field) => {
+      if (req.body[field] !== undefined) values[field] = req.body[field];
+    });
+
+    if (req.body.cidr !== undefined || req.body.gateway !== undefined) {
+      const cidr = req.body.cidr !== undefined ? req.body.cidr : pool.cidr;
+      const network = await ipam.validatePool({
+        ispId: pool.isp_id,
+        cidr,
+        gateway: req.body.gateway !== undefined ? req.body.gateway : pool.gateway,
+        excludePoolId: pool.id
+      });
+
+      if (network.cidr !== pool.cidr && (await IpAllocation.count({ where: { pool_id: pool.id } })) > 0) {
+        return res.status(400).json({ message: 'Cannot change the range of a pool with allocated addresses' });
+      }
+      if (network.gateway && network.gateway !== pool.gateway
+        && (await IpAllocation.count({ where: { pool_id: pool.id, ip_address: network.gateway } })) > 0) {
+        return res.status(409).json({ message: `${network.gateway} is already allocated` });
+      }
+      Object.assign(values, network);
+    }
+
+    await pool.update(values);
+
+    await createActivityLog(
+      req.user.id,
+      'UPDATE_IP_POOL',
+      'IpPool',
+      pool.id,
+      oldValues,
+      pool.toJSON(),
+      pool.isp_id,
+      req.ip,
+      req.get('user-agent')
+    );
+
+    res.json({
+      success: true,
+      message: 'IP pool updated successfully',
+      pool
+    });
+  } catch (error) {
+    console.error('Update IP pool error:', error);
+    res.status(error.status || 500).json({
+      message: error.status ? error.message : 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Delete an empty IP pool
+// @route   DELETE /api/ipam/pools/:id
+// @access  Private (Admin, Super Admin)
+const deletePool = async (req, res) => {
+  try {
+    const pool = await findPool(req);
+    if (!pool) {
+      return res.status(404).json({ message: 'IP pool not found' });
+    }
+
+    if ((await IpAllocation.count({ where: { pool_id: pool.id } })) > 0) {
+      return res.status(400).json({ message: 'Cannot delete a pool with allocated addresses; deactivate it instead' });
+    }
+
+    await createActivityLog(req.user.id, 'DELETE_IP_POOL', 'IpPool', pool.id, pool.toJSON(), null, pool.isp_id, req.ip, req.get('user-agent'));
+
+    await pool.destroy();
+
+    res.json({ success: true, message: 'IP pool deleted successfully' });
+  } catch (error) {
+    console.error('Delete IP pool error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Addresses allocated or reserved in a pool
+// @route   GET /api/ipam/pools/:id/allocations
+// @access  Private (Admin, Account Manager, Technical Officer, Super Admin)
+const getPoolAllocations = async (req, res) => {
+  try {
+    const { page = 1, limit = 50, status } = req.query;
+    const offset = (page - 1) * limit;
+
+    const pool = await findPool(req);
+    if (!pool) {
+      return res.status(404).json({ message: 'IP pool not found' });
+    }
+
+    const whereClause = { pool_id: pool.id };
+    if (status) whereClause.status = status;
+
+    const allocations = await IpAllocation.findAndCountAll({
+      where: whereClause,
+      include: [
+        { model: Customer, as: 'customer', attributes: ['id', 'name', 'phone', 'status'], required: false },
+        { model: Installation, as: 'installation', attributes: ['id', 'status', 'service_address'], required: false },
+        { model: User, as: 'allocatedBy', attributes: ['id', 'name'], required: false }
+      ],
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      order: [['id', 'ASC']]
+    });
+
+    res.json({
+      success: true,
+      ...(await ipam.getPoolUtilization(pool)),
+      allocations: allocations.rows,
+      total: allocations.count,
+      page: parseInt(page),
+      pages: Math.ceil(allocations.count / limit)
+    });
+  } catch (error) {
+    console.error('Get pool allocations error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Reserve an address in a pool (routers, servers)
+// @route   POST /api/ipam/pools/:id/reserve
+// @access  Private (Admin, Super Admin)
+const reservePoolAddress = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const pool = await findPool(req);
+    if (!pool) {
+      return res.status(404).json({ message: 'IP pool not found' });
+    }
+
+    const allocation = await ipam.reserveAddress(pool, {
+      ipAddress: req.body.ip_address,
+      notes: req.body.notes,
+      userId: req.user.id
+    });
+
+    await createActivityLog(req.user.id, 'RESERVE_IP_ADDRESS', 'IpAllocation', allocation.id, null, allocation.toJSON(), pool.isp_id, req.ip, req.get('user-agent'));
+
+    res.status(201).json({
+      success: true,
+      message: `${allocation.ip_address} reserved`,
+      allocation
+    });
+  } catch (error) {
+    console.error('Reserve IP address error:', error);
+    res.status(error.status || 500).json({
+      message: error.status ? error.message : 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Allocate an address to an installation (static address, pool or next free)
+// @route   POST /api/ipam/allocations
+// @access  Private (Admin, Account Manager, Technical Officer, Super Admin)
+const allocateInstallationAddress = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const whereClause = { id: req.body.installation_id };
+    if (req.user.role !== 'super_admin') {
+      whereClause.isp_id = req.ispId || req.user.isp_id;
+    }
+    const installation = await Installation.findOne({ where: whereClause });
+    if (!installation) {
+      return res.status(404).json({ message: 'Installation not found' });
+    }
+    if (req.user.role === 'technical_officer' && installation.technical_officer_id !== req.user.id) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+    if (installation.status === 'cancelled') {
+      return res.status(400).json({ message: 'Cannot allocate an address to a cancelled installation' });
+    }
+    if (await IpAllocation.findOne({ where: { installation_id: installation.id } })) {
+      return res.status(409).json({ message: 'Installation already has an address; release it first' });
+    }
+
+    const allocation = await ipam.allocateAddress({
+      ispId: installation.isp_id,
+      customerId: installation.customer_id,
+      installationId: installation.id,
+      ipAddress: req.body.ip_address,
+      poolId: req.body.ip_pool_id,
+      version: req.body.ip_version ? parseInt(req.body.ip_version) : null,
+      userId: req.user.id,
+      notes: req.body.notes
+    });
+    if (!allocation) {
+      return res.status(400).json({ message: 'No active IP pools to allocate from' });
+    }
+    await installation.update({ ip_address: allocation.ip_address });
+    await networkEnforcement.syncCustomerById(installation.customer_id, { reason: 'IP address allocated', triggeredBy: 'api' });
+
+    await createActivityLog(
+      req.user.id,
+      'ALLOCATE_IP_ADDRESS',
+      'IpAllocation',
+      allocation.id,
+      null,
+      allocation.toJSON(),
+      installation.isp_id,
+      req.ip,
+      req.get('user-agent'),
+      `Allocated ${allocation.ip_address} to installation #${installation.id}`
+    );
+
+    res.status(201).json({
+      success: true,
+      message: `${allocation.ip_address} allocated`,
+      allocation
+    });
+  } catch (error) {
+    console.error('Allocate IP address error:', error);
+    res.status(error.status || 500).json({
+      message: error.status ? error.message : 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Release an allocated or reserved address
+// @route   DELETE /api/ipam/allocations/:id
+// @access  Private (Admin, Account Manager, Super Admin)
+const releaseAddress = async (req, res) => {
+  try {
+    const whereClause = { id: req.params.id };
+    if (req.user.role !== 'super_admin') {
+      whereClause.isp_id = req.ispId || req.user.isp_id;
+    }
+
+    const allocation = await IpAllocation.findOne({ where: whereClause });
+    if (!allocation) {
+      return res.status(404).json({ message: 'IP allocation not found' });
+    }
+
+    await createActivityLog(
+      req.user.id,
+      'RELEASE_IP_ADDRESS',
+      'IpAllocation',
+      allocation.id,
+      allocation.toJSON(),
+      null,
+      allocation.isp_id,
+      req.ip,
+      req.get('user-agent'),
+      `Released ${allocation.ip_address}`
+    );
+
+    await ipam.releaseAllocation(allocation);
+    await networkEnforcement.syncCustomerById(allocation.customer_id, { reason: 'IP address released', triggeredBy: 'api' });
+
+    res.json({ success: true, message: `${allocation.ip_address} released` });
+  } catch (error) {
+    console.error('Release IP address error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Duplicate, invalid and unmanaged installation addresses
+// @route   GET /api/ipam/conflicts
+// @access  Private (Admin, Account Manager, Super Admin)
+const getConflicts = async (req, res) => {
+  try {
+    const ispId = req.user.role === 'super_admin'
+      ? (req.query.isp_id || req.ispId)
+      : (req.ispId || req.user.isp_id);
+    if (!ispId) {
+      return res.status(400).json({ message: 'ISP ID is required' });
+    }
+
+    const conflicts = await ipam.findConflicts(ispId);
+
+    res.json({
+      success: true,
+      ...conflicts
+    });
+  } catch (error) {
+    console.error('Get IP conflicts error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Import existing installation addresses into the pools
+// @route   POST /api/ipam/import
+// @access  Private (Admin, Super Admin)
+const importAddresses = async (req, res) => {
+  try {
+    const ispId = req.user.role === 'super_admin'
+      ? (req.body.isp_id || req.ispId)
+      : (req.ispId || req.user.isp_id);
+    if (!ispId) {
+      return res.status(400).json({ message: 'ISP ID is required' });
+    }
+
+    const report = await ipam.importInstallationAddresses({ ispId, userId: req.user.id });
+
+    await createActivityLog(
+      req.user.id,
+      'IMPORT_IP_ADDRESSES',
+      'IpPool',
+      null,
+      null,
+      {
+        imported: report.imported.length,
+        conflicts: report.conflicts.length,
+        invalid: report.invalid.length,
+        unmatched: report.unmatched.length
+      },
+      ispId,
+      req.ip,
+      req.get('user-agent')
+    );
+
+    res.json({
+      success: true,
+      message: `Imported ${report.imported.length} address(es)`,
+      ...report
+    });
+  } catch (error) {
+    console.error('Import IP addresses error:', error);
+    res.status(error.status || 500).json({
+      message: error.status ? error.message : 'Server error',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getPools,
+  createPool,
+  updatePool,
+  deletePool,
+  getPoolAllocations,
+  reservePoolAddress,
+  allocateInstallationAddress,
+  releaseAddress,
+  getConflicts,
+  importAddresses
+};
@@ -1,5 +1,8 @@
-const { ISP } = require('../models');
+const { ISP, User } = require('../models');
+const { validationResult } = require('express-validator');
+const createActivityLog = require('../utils/activityLogger');
 const authMiddleware = require('../middlewares/authMiddleware');
+const { getUsageSummary } = require('../services/planLimitService');
 
 // @desc    Get all ISPs
 // @route   GET /api/isps
@@ -50,7 +53,7 @@ const getISPs = async (req, res) => {
 const getISP = async (req, res) => {
   try {
     const isp = await ISP.findByPk(req.params.id, {
-      attributes: ['id', 'name', 'email', 'contact', 'address', 'subscription_status', 'subscription_plan']
+      attributes: ['id', 'name', 'email', 'contact', 'address', 'subscription_status', 'subscription_plan', 'require_admin_two_factor']
     });
 
     if (!isp) {
@@ -73,8 +76,90 @@ const getISP = async (req, res) => {
   }
 };
 
+// @desc    Get ISP usage against its SaaS package limits
+// @route   GET /api/isps/:id/usage
+// @access  Private (Super Admin, or Admin can see their own ISP)
+const getISPUsage = async (req, res) => {
+  try {
+    const ispId = parseInt(req.params.id);
+
+    // Super admin can access any ISP
+    // Admin can only access their own ISP
+    if (req.user.role !== 'super_admin' && !(req.user.role === 'admin' && req.user.isp_id === ispId)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const usage = await getUsageSummary(ispId);
+
+    if (!usage) {
+      return res.status(404).json({ message: 'ISP not found' });
+    }
+
+    res.json({
+      success: true,
+      usage
+    });
+  } catch (error) {
+    console.error('Get ISP usage error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Update ISP security settings (require 2FA for business admins)
+// @route   PUT /api/isps/:id/security
+// @access  Private (Super Admin, or Admin for their own ISP)
+const updateISPSecurity = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const isp = await ISP.findByPk(req.params.id);
+    if (!isp) {
+      return res.status(404).json({ message: 'ISP not found' });
+    }
+
+    if (req.user.role !== 'super_admin' && req.user.isp_id !== isp.id) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const oldValues = { require_admin_two_factor: isp.require_admin_two_factor };
+    await isp.update({ require_admin_two_factor: req.body.require_admin_two_factor });
+
+    await createActivityLog(
+      req.user.id,
+      'UPDATE_ISP_SECURITY',
+      'ISP',
+      isp.id,
+      oldValues,
+      { require_admin_two_factor: isp.require_admin_two_factor },
+      isp.id,
+      req.ip,
+      req.get('user-agent')
+    );
+
+    // Admins without 2FA will be asked to set it up the next time they log in
+    const adminsWithoutTwoFactor = isp.require_admin_two_factor
+      ? await User.count({ where: { isp_id: isp.id, role: 'admin', is_active: true, two_factor_enabled: false } })
+      : 0;
+
+    res.json({
+      success: true,
+      message: 'Security settings updated successfully',
+      require_admin_two_factor: isp.require_admin_two_factor,
+      admins_without_two_factor: adminsWithoutTwoFactor
+    });
+  } catch (error) {
+    console.error('Update ISP security error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
 module.exports = {
   getISPs,
-  getISP
+  getISP,
+  getISPUsage,
+  updateISPSecurity
 };
 
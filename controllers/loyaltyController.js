@@ -0,0 +1,228 @@
+const { Customer, LoyaltySetting } = require('../models');
+const { validationResult } = require('express-validator');
+const { Op } = require('sequelize');
+const createActivityLog = require('../utils/activityLogger');
+const loyaltyPoints = require('../utils/loyaltyPoints');
+
+// Find the Customer record for a logged-in customer user
+const findCustomerForUser = async (user) => {
+  return await Customer.findOne({
+    where: {
+      [Op.or]: [
+        { email: user.email },
+        { phone: user.email } // Some users use phone as email
+      ],
+      ...(user.isp_id ? { isp_id: user.isp_id } : {})
+    }
+  });
+};
+
+// @desc    Get loyalty settings for the ISP
+// @route   GET /api/loyalty/settings
+// @access  Private (Admin, Account Manager, Super Admin)
+const getSettings = async (req, res) => {
+  try {
+    const ispId = req.user.role === 'super_admin'
+      ? (req.query.isp_id || req.ispId)
+      : (req.ispId || req.user.isp_id);
+
+    if (!ispId) {
+      return res.status(400).json({ message: 'ISP ID is required' });
+    }
+
+    const settings = await loyaltyPoints.getLoyaltySettings(ispId);
+
+    res.json({
+      success: true,
+      settings
+    });
+  } catch (error) {
+    console.error('Get loyalty settings error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Create or update loyalty settings (earn/redeem rates, expiry)
+// @route   PUT /api/loyalty/settings
+// @access  Private (Admin, Super Admin)
+const updateSettings = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const ispId = req.user.role === 'super_admin'
+      ? (req.body.isp_id || req.ispId)
+      : (req.ispId || req.user.isp_id);
+
+    if (!ispId) {
+      return res.status(400).json({ message: 'ISP ID is required' });
+    }
+
+    const { is_enabled, earn_rate, redeem_rate, min_redeem_points, expiry_months } = req.body;
+
+    let setting = await LoyaltySetting.findOne({ where: { isp_id: ispId } });
+    const oldValues = setting ? setting.toJSON() : null;
+
+    const values = {};
+    if (is_enabled !== undefined) values.is_enabled = is_enabled;
+    if (earn_rate !== undefined) values.earn_rate = parseFloat(earn_rate);
+    if (redeem_rate !== undefined) values.redeem_rate = parseFloat(redeem_rate);
+    if (min_redeem_points !== undefined) values.min_redeem_points = parseFloat(min_redeem_points);
+    if (expiry_months !== undefined) values.expiry_months = expiry_months === null ? null : parseInt(expiry_months);
+
+    if (setting) {
+      await setting.update(values);
+    } else {
+      setting = await LoyaltySetting.create({
+        ...loyaltyPoints.DEFAULT_SETTINGS,
+        ...values,
+        isp_id: ispId
+      });
+    }
+
+    await createActivityLog(
+      req.user.id,
+      'UPDATE_LOYALTY_SETTINGS',
+      'LoyaltySetting',
+      setting.id,
+      oldValues,
+      setting.toJSON(),
+      ispId,
+      req.ip,
+      req.get('user-agent')
+    );
+
+    res.json({
+      success: true,
+      message: 'Loyalty settings updated successfully',
+      settings: setting
+    });
+  } catch (error) {
+    console.error('Update loyalty settings error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Get points history for a customer
+// @route   GET /api/loyalty/customers/:customerId/history
+// @access  Private (Admin, Account Manager, Super Admin)
+const getCustomerHistory = async (req, res) => {
+  try {
+    const customerWhere = { id: req.params.customerId };
+    if (req.user.role !== 'super_admin') {
+      customerWhere.isp_id = req.ispId || req.user.isp_id;
+    }
+
+    const customer = await Customer.findOne({ where: customerWhere });
+    if (!customer) {
+      return res.status(404).json({ message: 'Customer not found' });
+    }
+
+    const { page = 1, limit = 20 } = req.query;
+    const history = await loyaltyPoints.getPointsHistory(customer.id, { page, limit });
+
+    res.json({
+      success: true,
+      ...history
+    });
+  } catch (error) {
+    console.error('Get customer points history error:', error);
+    res.status(error.status || 500).json({ message: error.status ? error.message : 'Server error', error: error.message });
+  }
+};
+
+// @desc    Get points history for logged-in customer
+// @route   GET /api/loyalty/my-history
+// @access  Private (Customer only)
+const getMyHistory = async (req, res) => {
+  try {
+    const customer = await findCustomerForUser(req.user);
+    if (!customer) {
+      return res.status(404).json({
+        message: 'Customer record not found. Please contact support to link your account.'
+      });
+    }
+
+    const { page = 1, limit = 20 } = req.query;
+    const history = await loyaltyPoints.getPointsHistory(customer.id, { page, limit });
+
+    res.json({
+      success: true,
+      ...history
+    });
+  } catch (error) {
+    console.error('Get my points history error:', error);
+    res.status(error.status || 500).json({ message: error.status ? error.message : 'Server error', error: error.message });
+  }
+};
+
+// @desc    Redeem points as a credit against a bill
+// @route   POST /api/loyalty/redeem
+// @access  Private (Customer for own bills, Admin, Account Manager, Super Admin)
+const redeem = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { bill_id, points } = req.body;
+    let customer;
+
+    if (req.user.role === 'customer') {
+      customer = await findCustomerForUser(req.user);
+    } else {
+      const customerWhere = { id: req.body.customer_id };
+      if (req.user.role !== 'super_admin') {
+        customerWhere.isp_id = req.ispId || req.user.isp_id;
+      }
+      customer = req.body.customer_id ? await Customer.findOne({ where: customerWhere }) : null;
+    }
+
+    if (!customer) {
+      return res.status(404).json({ message: 'Customer not found' });
+    }
+
+    const result = await loyaltyPoints.redeemPoints({
+      customerId: customer.id,
+      billId: bill_id,
+      points: parseFloat(points),
+      userId: req.user.id
+    });
+
+    await createActivityLog(
+      req.user.id,
+      'REDEEM_POINTS',
+      'Bill',
+      result.bill.id,
+      null,
+      { points: result.pointsRedeemed, credit: result.creditAmount, total_amount: result.bill.total_amount },
+      customer.isp_id,
+      req.ip,
+      req.get('user-agent'),
+      `Redeemed ${result.pointsRedeemed} points for PKR ${result.creditAmount.toFixed(2)} credit`
+    );
+
+    res.json({
+      success: true,
+      message: `Redeemed ${result.pointsRedeemed} points for a credit of PKR ${result.creditAmount.toFixed(2)}`,
+      pointsRedeemed: result.pointsRedeemed,
+      creditAmount: result.creditAmount,
+      balance: parseFloat(result.transaction.balance_after),
+      bill: result.bill
+    });
+  } catch (error) {
+    console.error('Redeem points error:', error);
+    res.status(error.status || 500).json({ message: error.status ? error.message : 'Server error', error: error.message });
+  }
+};
+
+module.exports = {
+  getSettings,
+  updateSettings,
+  getCustomerHistory,
+  getMyHistory,
+  redeem
+};
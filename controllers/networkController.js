@@ -0,0 +1,279 @@
+const { NetworkSetting, Customer } = require('../models');
+const { validationResult } = require('express-validator');
+const createActivityLog = require('../utils/activityLogger');
+const networkEnforcement = require('../utils/networkEnforcement');
+
+// Never return backend credentials or the accounting secret to the client
+const maskSecrets = (setting) => {
+  const data = setting.toJSON();
+  const config = { ...(data.config_json || {}) };
+  if (config.password) {
+    config.password = `****${String(config.password).slice(-4)}`;
+  }
+  return {
+    ...data,
+    config_json: config,
+    accounting_secret: data.accounting_secret ? '****' : null
+  };
+};
+
+const getIspId = (req, source) => (req.user.role === 'super_admin'
+  ? (source.isp_id || req.ispId)
+  : (req.ispId || req.user.isp_id));
+
+const findCustomer = (req) => {
+  const whereClause = { id: req.params.id };
+  if (req.user.role !== 'super_admin') {
+    whereClause.isp_id = req.ispId || req.user.isp_id;
+  }
+  return Customer.findOne({ where: whereClause });
+};
+
+// @desc    Get network enforcement settings for the ISP
+// @route   GET /api/network/settings
+// @access  Private (Admin, Super Admin)
+const getSettings = async (req, res) => {
+  try {
+    const ispId = getIspId(req, req.query);
+    if (!ispId) {
+      return res.status(400).json({ message: 'ISP ID is required' });
+    }
+
+    const setting = await NetworkSetting.findOne({ where: { isp_id: ispId } });
+
+    res.json({
+      success: true,
+      settings: setting ? maskSecrets(setting) : null
+    });
+  } catch (error) {
+    console.error('Get network settings error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Create or update network enforcement settings
+// @route   PUT /api/network/settings
+// @access  Private (Admin, Super Admin)
+const updateSettings = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const ispId = getIspId(req, req.body);
+    if (!ispId) {
+      return res.status(400).json({ message: 'ISP ID is required' });
+    }
+
+    const {
+      backend,
+      is_enabled,
+      config_json,
+      active_group,
+      suspended_group,
+      reject_suspended,
+      rate_limit_attribute,
+      auto_reconcile,
+      accounting_secret
+    } = req.body;
+
+    let setting = await NetworkSetting.findOne({ where: { isp_id: ispId } });
+    const oldValues = setting ? maskSecrets(setting) : null;
+
+    const values = {};
+    if (backend !== undefined) values.backend = backend;
+    if (is_enabled !== undefined) values.is_enabled = is_enabled;
+    if (config_json !== undefined) {
+      // Keep the stored password when the client sends back the masked value
+      const existing = setting ? (setting.config_json || {}) : {};
+      const merged = { ...existing, ...config_json };
+      if (typeof config_json.password === 'string' && config_json.password.startsWith('****')) {
+        merged.password = existing.password;
+      }
+      values.config_json = merged;
+    }
+    if (active_group !== undefined) values.active_group = active_group || null;
+    if (suspended_group !== undefined) values.suspended_group = suspended_group || null;
+    if (reject_suspended !== undefined) values.reject_suspended = reject_suspended;
+    if (rate_limit_attribute !== undefined) values.rate_limit_attribute = rate_limit_attribute;
+    if (auto_reconcile !== undefined) values.auto_reconcile = auto_reconcile;
+    if (accounting_secret !== undefined && accounting_secret !== '****') values.accounting_secret = accounting_secret || null;
+
+    if (setting) {
+      await setting.update(values);
+    } else {
+      setting = await NetworkSetting.create({
+        ...values,
+        isp_id: ispId
+      });
+    }
+
+    await createActivityLog(
+      req.user.id,
+      'UPDATE_NETWORK_SETTINGS',
+      'NetworkSetting',
+      setting.id,
+      oldValues,
+      maskSecrets(setting),
+      ispId,
+      req.ip,
+      req.get('user-agent')
+    );
+
+    res.json({
+      success: true,
+      message: 'Network settings updated successfully',
+      settings: maskSecrets(setting)
+    });
+  } catch (error) {
+    console.error('Update network settings error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Test the connection to the network backend
+// @route   POST /api/network/test
+// @access  Private (Admin, Super Admin)
+const testConnection = async (req, res) => {
+  try {
+    const ispId = getIspId(req, req.body);
+    if (!ispId) {
+      return res.status(400).json({ message: 'ISP ID is required' });
+    }
+
+    const result = await networkEnforcement.testConnection(ispId);
+
+    res.status(result.ok ? 200 : 400).json({
+      success: result.ok,
+      ...result
+    });
+  } catch (error) {
+    console.error('Test network connection error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Compare a customer's billing status with the network
+// @route   GET /api/network/customers/:id
+// @access  Private (Admin, Account Manager, Technical Officer, Super Admin)
+const getCustomerState = async (req, res) => {
+  try {
+    const customer = await findCustomer(req);
+    if (!customer) {
+      return res.status(404).json({ message: 'Customer not found' });
+    }
+
+    const state = await networkEnforcement.getCustomerNetworkState(customer);
+    if (state.expected) {
+      delete state.expected.password;
+    }
+    if (state.actual) {
+      delete state.actual.password;
+    }
+
+    res.json({
+      success: true,
+      customer: { id: customer.id, customer_id: customer.customer_id, name: customer.name, status: customer.status },
+      network: state
+    });
+  } catch (error) {
+    console.error('Get customer network state error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Push a customer's current status, speed and address to the network
+// @route   POST /api/network/customers/:id/sync
+// @access  Private (Admin, Account Manager, Super Admin)
+const syncCustomer = async (req, res) => {
+  try {
+    const customer = await findCustomer(req);
+    if (!customer) {
+      return res.status(404).json({ message: 'Customer not found' });
+    }
+
+    const result = await networkEnforcement.syncCustomer(customer, { reason: 'manual sync', triggeredBy: 'api' });
+    if (!result.configured) {
+      return res.status(400).json({ message: 'Network enforcement is not configured' });
+    }
+
+    await createActivityLog(
+      req.user.id,
+      'SYNC_CUSTOMER_NETWORK',
+      'Customer',
+      customer.id,
+      null,
+      { username: result.username, success: result.success },
+      customer.isp_id,
+      req.ip,
+      req.get('user-agent'),
+      `Synced ${customer.name} to the network`
+    );
+
+    res.status(result.success ? 200 : 502).json({
+      success: result.success,
+      message: result.success ? 'Customer synced to the network' : result.error,
+      username: result.username
+    });
+  } catch (error) {
+    console.error('Sync customer network error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Detect (and optionally fix) drift between billing status and the network
+// @route   POST /api/network/reconcile
+// @access  Private (Admin, Super Admin)
+const runReconciliation = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const ispId = getIspId(req, req.body);
+    if (!ispId) {
+      return res.status(400).json({ message: 'ISP ID is required' });
+    }
+
+    const result = await networkEnforcement.reconcile({
+      ispId,
+      fix: req.body.fix === undefined ? null : req.body.fix === true || req.body.fix === 'true',
+      triggeredBy: 'api'
+    });
+    if (!result.configured) {
+      return res.status(400).json({ message: 'Network enforcement is not configured' });
+    }
+
+    await createActivityLog(
+      req.user.id,
+      'RECONCILE_NETWORK',
+      'NetworkSetting',
+      null,
+      null,
+      { checked: result.checked, drift: result.drift.length, fixed: result.fixed, failed: result.failed },
+      ispId,
+      req.ip,
+      req.get('user-agent'),
+      `Network reconciliation: ${result.drift.length} of ${result.checked} customers out of sync`
+    );
+
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    console.error('Network reconciliation error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+module.exports = {
+  getSettings,
+  updateSettings,
+  testConnection,
+  getCustomerState,
+  syncCustomer,
+  runReconciliation
+};
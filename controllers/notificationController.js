@@ -3,6 +3,7 @@ const { validationResult } = require('express-validator');
 const { Op } = require('sequelize');
 const sendEmail = require('../utils/sendEmail');
 const sendSMS = require('../utils/smsService');
+const { getCustomerForUser } = require('../utils/customerPortal');
 
 // @desc    Get all notifications
 // @route   GET /api/notifications
@@ -16,15 +17,7 @@ const getNotifications = async (req, res) => {
     
     // Customers see only their notifications
     if (req.user.role === 'customer') {
-      const customer = await Customer.findOne({ 
-        where: { 
-          [Op.or]: [
-            { email: req.user.email },
-            { phone: req.user.email }
-          ],
-          ...(req.user.isp_id ? { isp_id: req.user.isp_id } : {})
-        } 
-      });
+      const customer = await getCustomerForUser(req.user);
       if (customer) {
         whereClause[Op.or] = [
           { customer_id: customer.id },
@@ -125,15 +118,7 @@ const getNotification = async (req, res) => {
 
     // Check access
     if (req.user.role === 'customer') {
-      const customer = await Customer.findOne({ 
-        where: { 
-          [Op.or]: [
-            { email: req.user.email },
-            { phone: req.user.email }
-          ],
-          ...(req.user.isp_id ? { isp_id: req.user.isp_id } : {})
-        } 
-      });
+      const customer = await getCustomerForUser(req.user);
       if (notification.customer_id !== customer?.id && notification.user_id !== req.user.id) {
         return res.status(403).json({ message: 'Access denied' });
       }
@@ -213,15 +198,7 @@ const markAsRead = async (req, res) => {
 
     // Check access
     if (req.user.role === 'customer') {
-      const customer = await Customer.findOne({ 
-        where: { 
-          [Op.or]: [
-            { email: req.user.email },
-            { phone: req.user.email }
-          ],
-          ...(req.user.isp_id ? { isp_id: req.user.isp_id } : {})
-        } 
-      });
+      const customer = await getCustomerForUser(req.user);
       if (notification.customer_id !== customer?.id && notification.user_id !== req.user.id) {
         return res.status(403).json({ message: 'Access denied' });
       }
@@ -248,15 +225,7 @@ const markAllAsRead = async (req, res) => {
     const whereClause = { is_read: false };
     
     if (req.user.role === 'customer') {
-      const customer = await Customer.findOne({ 
-        where: { 
-          [Op.or]: [
-            { email: req.user.email },
-            { phone: req.user.email }
-          ],
-          ...(req.user.isp_id ? { isp_id: req.user.isp_id } : {})
-        } 
-      });
+      const customer = await getCustomerForUser(req.user);
       if (customer) {
         whereClause[Op.or] = [
           { customer_id: customer.id },
@@ -294,15 +263,7 @@ const deleteNotification = async (req, res) => {
 
     // Check access
     if (req.user.role === 'customer') {
-      const customer = await Customer.findOne({ 
-        where: { 
-          [Op.or]: [
-            { email: req.user.email },
-            { phone: req.user.email }
-          ],
-          ...(req.user.isp_id ? { isp_id: req.user.isp_id } : {})
-        } 
-      });
+      const customer = await getCustomerForUser(req.user);
       if (notification.customer_id !== customer?.id && notification.user_id !== req.user.id) {
         return res.status(403).json({ message: 'Access denied' });
       }
@@ -353,10 +314,12 @@ const sendNotificationChannels = async (notification) => {
     // Send SMS
     if ((notification.channel === 'sms' || notification.channel === 'both') && phone && !notification.sms_sent) {
       try {
-        await sendSMS(phone, notification.message);
-        notification.sms_sent = true;
-        notification.sms_sent_at = new Date();
-        await notification.save();
+        // sms_sent / sms_sent_at are set from the provider's delivery outcome
+        await sendSMS(phone, notification.message, {
+          ispId: notification.isp_id,
+          customerId: notification.customer_id,
+          notificationId: notification.id
+        });
       } catch (error) {
         console.error('Error sending SMS notification:', error);
       }
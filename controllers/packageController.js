@@ -2,6 +2,7 @@ const { Package, ISP, Customer } = require('../models');
 const { validationResult } = require('express-validator');
 const { Op } = require('sequelize');
 const createActivityLog = require('../utils/activityLogger');
+const networkEnforcement = require('../utils/networkEnforcement');
 
 // @desc    Get all packages
 // @route   GET /api/packages
@@ -141,7 +142,7 @@ const createPackage = async (req, res) => {
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { name, speed, price, data_limit, duration, description } = req.body;
+    const { name, speed, price, data_limit, installation_fee, duration, description } = req.body;
 
     // Determine ISP ID
     let ispId;
@@ -172,6 +173,7 @@ const createPackage = async (req, res) => {
       data_limit: data_limit && data_limit !== '' && !isNaN(parseFloat(data_limit)) 
         ? parseFloat(data_limit) 
         : null,
+      installation_fee: installation_fee ? parseFloat(installation_fee) : 0,
       duration: duration ? parseInt(duration) : 1,
       description: description ? description.trim() : null,
       isp_id: ispId,
@@ -265,6 +267,7 @@ const updatePackage = async (req, res) => {
         ? parseFloat(req.body.data_limit)
         : null;
     }
+    if (req.body.installation_fee !== undefined) updateData.installation_fee = parseFloat(req.body.installation_fee) || 0;
     if (req.body.duration !== undefined) updateData.duration = parseInt(req.body.duration) || 1;
     if (req.body.description !== undefined) updateData.description = req.body.description ? req.body.description.trim() : null;
     if (req.body.is_active !== undefined) updateData.is_active = req.body.is_active;
@@ -291,6 +294,17 @@ const updatePackage = async (req, res) => {
       // Don't fail the request if logging fails
     }
 
+    // Apply a new speed to customers on the network (async, don't wait)
+    if (oldValues.speed !== pkg.speed) {
+      networkEnforcement.syncPackageCustomers(pkg)
+        .then(result => {
+          if (result.synced > 0 || result.failed > 0) {
+            console.log(`🛰️  Package ${pkg.id} speed pushed to ${result.synced} customer(s), ${result.failed} failed`);
+          }
+        })
+        .catch(error => console.error(`Error syncing customers of package ${pkg.id}:`, error));
+    }
+
     res.json({ success: true, package: pkg });
   } catch (error) {
     console.error('Error updating package:', error);
@@ -4,8 +4,14 @@ const { Op } = require('sequelize');
 const { Sequelize } = require('sequelize');
 const moment = require('moment');
 const generateReceipt = require('../utils/generateReceipt');
+const generateCreditNote = require('../utils/generateCreditNote');
 const createActivityLog = require('../utils/activityLogger');
 const sendEmail = require('../utils/sendEmail');
+const { recordBillPayment } = require('../utils/paymentRecording');
+const { sumNetPayments } = require('../utils/billBalance');
+const paymentRefund = require('../utils/paymentRefund');
+const { renderMessage } = require('../utils/messageTemplates');
+const { getCustomerForUser } = require('../utils/customerPortal');
 
 // Generate unique receipt number
 const generateReceiptNumber = async (ispId) => {
@@ -183,16 +189,7 @@ const createPayment = async (req, res) => {
 
     // For customers, verify they own this bill
     if (req.user.role === 'customer') {
-      // Find customer record by email or phone (not by user.id)
-      const customer = await Customer.findOne({
-        where: {
-          [Op.or]: [
-            { email: req.user.email },
-            { phone: req.user.email } // Some users use phone as email
-          ],
-          ...(req.user.isp_id ? { isp_id: req.user.isp_id } : {})
-        }
-      });
+      const customer = await getCustomerForUser(req.user);
 
       if (!customer || bill.customer_id !== customer.id) {
         return res.status(403).json({ message: 'Access denied - this bill does not belong to you' });
@@ -207,39 +204,19 @@ const createPayment = async (req, res) => {
     // Generate receipt number
     const receipt_number = await generateReceiptNumber(ispId);
 
-    // Create payment
-    const payment = await Payment.create({
-      bill_id,
-      customer_id: bill.customer_id,
-      amount,
+    // Anything above the bill's outstanding amount goes to the customer's wallet
+    const receivedAmount = parseFloat(amount);
+    const { payment, walletTransaction, walletCredit: excessAmount } = await recordBillPayment({
+      bill,
+      amount: receivedAmount,
       method,
-      transaction_id,
-      receipt_number,
+      transactionId: transaction_id,
+      receiptNumber: receipt_number,
       notes,
-      isp_id: ispId,
-      status: 'completed',
-      payment_date: new Date()
-    });
-
-    // Update bill status based on payments
-    const totalPaid = await Payment.sum('amount', {
-      where: {
-        bill_id,
-        status: 'completed'
-      }
+      ispId,
+      userId: req.user.id
     });
 
-    const billAmount = parseFloat(bill.total_amount || bill.amount);
-    const paidAmount = parseFloat(totalPaid);
-
-    if (paidAmount >= billAmount) {
-      await bill.update({ status: 'paid', paid_amount: paidAmount });
-    } else if (paidAmount > 0) {
-      await bill.update({ status: 'partial', paid_amount: paidAmount });
-    } else {
-      await bill.update({ paid_amount: paidAmount });
-    }
-
     // Auto-reactivate customer if suspended and all bills are now paid
     try {
       const autoSuspension = require('../utils/autoSuspension');
@@ -256,15 +233,7 @@ const createPayment = async (req, res) => {
     if (bill.customer) {
       // Find customer's user account for notification
       const User = require('../models/User');
-      let customerUser = null;
-      if (bill.customer.email) {
-        customerUser = await User.findOne({ 
-          where: { 
-            email: bill.customer.email,
-            role: 'customer'
-          }
-        });
-      }
+      const customerUser = await User.findOne({ where: { customer_id: bill.customer.id } });
 
       await Notification.create({
         customer_id: bill.customer_id,
@@ -272,7 +241,9 @@ const createPayment = async (req, res) => {
         bill_id: bill.id,
         type: 'payment_received',
         title: 'Payment Received',
-        message: `Payment of PKR ${amount.toFixed(2)} has been received for bill ${bill.bill_number}. Receipt: ${receipt_number}. You can download the invoice from your portal.`,
+        message: payment
+          ? `Payment of PKR ${receivedAmount.toFixed(2)} has been received for bill ${bill.bill_number}. Receipt: ${receipt_number}. You can download the invoice from your portal.`
+          : `Payment of PKR ${receivedAmount.toFixed(2)} has been received. Bill ${bill.bill_number} was already settled, so the amount was credited to your wallet.`,
         channel: 'both',
         scheduled_at: new Date(),
         isp_id: ispId
@@ -284,9 +255,9 @@ const createPayment = async (req, res) => {
       req.user?.id || null,
       'CREATE_PAYMENT',
       'Payment',
-      payment.id,
+      payment ? payment.id : null,
       null,
-      { amount, method, receipt_number },
+      { amount, method, receipt_number, wallet_credit: excessAmount },
       ispId,
       req.ip,
       req.get('user-agent')
@@ -294,8 +265,12 @@ const createPayment = async (req, res) => {
 
     res.status(201).json({
       success: true,
-      message: 'Payment recorded successfully',
-      payment
+      message: excessAmount > 0
+        ? `Payment recorded successfully. PKR ${excessAmount.toFixed(2)} credited to customer wallet`
+        : 'Payment recorded successfully',
+      payment,
+      walletCredit: excessAmount,
+      walletTransaction
     });
   } catch (error) {
     console.error('Create payment error:', error);
@@ -322,15 +297,7 @@ const processOnlinePayment = async (req, res) => {
 
     // If user is authenticated and is a customer, verify they own this bill
     if (req.user && req.user.role === 'customer') {
-      const customer = await Customer.findOne({
-        where: {
-          [Op.or]: [
-            { email: req.user.email },
-            { phone: req.user.email } // Some users use phone as email
-          ],
-          ...(req.user.isp_id ? { isp_id: req.user.isp_id } : {})
-        }
-      });
+      const customer = await getCustomerForUser(req.user);
 
       if (!customer || bill.customer_id !== customer.id) {
         return res.status(403).json({ message: 'Access denied - this bill does not belong to you' });
@@ -350,39 +317,18 @@ const processOnlinePayment = async (req, res) => {
           return_url: `${process.env.FRONTEND_URL}/payments/success`
         });
 
-        // Create payment record
+        // Create payment record; anything above the outstanding amount goes to the wallet
         const receipt_number = await generateReceiptNumber(bill.isp_id);
-        const payment = await Payment.create({
-          bill_id,
-          customer_id: bill.customer_id,
-          amount,
+        const receivedAmount = parseFloat(amount);
+        const { payment, walletTransaction, walletCredit } = await recordBillPayment({
+          bill,
+          amount: receivedAmount,
           method: 'stripe',
-          transaction_id: paymentIntent.id,
-          receipt_number,
-          isp_id: bill.isp_id,
-          status: paymentIntent.status === 'succeeded' ? 'completed' : 'pending',
-          payment_date: new Date()
+          transactionId: paymentIntent.id,
+          receiptNumber: receipt_number,
+          status: paymentIntent.status === 'succeeded' ? 'completed' : 'pending'
         });
 
-        // Update bill status
-        const totalPaid = await Payment.sum('amount', {
-          where: {
-            bill_id,
-            status: 'completed'
-          }
-        });
-
-        const billAmount = parseFloat(bill.total_amount || bill.amount);
-        const paidAmount = parseFloat(totalPaid);
-
-        if (paidAmount >= billAmount) {
-          await bill.update({ status: 'paid', paid_amount: paidAmount });
-        } else if (paidAmount > 0) {
-          await bill.update({ status: 'partial', paid_amount: paidAmount });
-        } else {
-          await bill.update({ paid_amount: paidAmount });
-        }
-
         // Create payment notification
         if (bill.customer) {
           await Notification.create({
@@ -390,20 +336,19 @@ const processOnlinePayment = async (req, res) => {
             bill_id: bill.id,
             type: 'payment_received',
             title: 'Payment Received',
-            message: `Online payment of $${amount.toFixed(2)} has been received for bill ${bill.bill_number}. Receipt: ${receipt_number}`,
+            message: payment
+              ? `Online payment of PKR ${receivedAmount.toFixed(2)} has been received for bill ${bill.bill_number}. Receipt: ${receipt_number}`
+              : `Online payment of PKR ${receivedAmount.toFixed(2)} has been received. Bill ${bill.bill_number} was already settled, so the amount was credited to your wallet.`,
             channel: 'both',
             scheduled_at: new Date(),
             isp_id: bill.isp_id
           });
 
           // Send confirmation email
-          if (bill.customer.email) {
+          if (payment && bill.customer.email) {
             try {
-              await sendEmail.sendEmail(
-                bill.customer.email,
-                'Payment Confirmation',
-                `Dear ${bill.customer.name},\n\nYour payment of $${amount.toFixed(2)} has been successfully processed.\nReceipt Number: ${receipt_number}\nTransaction ID: ${paymentIntent.id}\n\nThank you!`
-              );
+              const email = await renderMessage('payment_received', 'email', { customer: bill.customer, bill, payment });
+              await sendEmail.sendEmail(bill.customer.email, email.subject, email.text, email.html);
             } catch (error) {
               console.error('Error sending payment confirmation email:', error);
             }
@@ -412,8 +357,12 @@ const processOnlinePayment = async (req, res) => {
 
         res.json({
           success: true,
-          message: 'Payment processed successfully',
+          message: walletCredit > 0
+            ? `Payment processed successfully. PKR ${walletCredit.toFixed(2)} credited to your wallet`
+            : 'Payment processed successfully',
           payment,
+          walletCredit,
+          walletTransaction,
           paymentIntent
         });
       } catch (stripeError) {
@@ -464,19 +413,17 @@ const getPaymentStats = async (req, res) => {
       },
       attributes: [
         'method',
-        [Sequelize.fn('SUM', Sequelize.col('amount')), 'total_amount'],
+        [Sequelize.fn('SUM', Sequelize.literal('amount - refunded_amount')), 'total_amount'],
         [Sequelize.fn('COUNT', Sequelize.col('id')), 'count']
       ],
       group: ['method']
     });
 
-    const totalRevenue = await Payment.sum('amount', {
-      where: {
-        isp_id: req.ispId,
-        status: 'completed',
-        payment_date: {
-          [Op.between]: [new Date(start_date), new Date(end_date)]
-        }
+    const totalRevenue = await sumNetPayments({
+      isp_id: req.ispId,
+      status: 'completed',
+      payment_date: {
+        [Op.between]: [new Date(start_date), new Date(end_date)]
       }
     });
 
@@ -544,16 +491,7 @@ const getMyPayments = async (req, res) => {
       return res.status(403).json({ message: 'Access denied. This endpoint is for customers only.' });
     }
 
-    // Find customer by email or phone
-    const customer = await Customer.findOne({
-      where: {
-        [Op.or]: [
-          { email: req.user.email },
-          { phone: req.user.email }
-        ],
-        ...(req.user.isp_id ? { isp_id: req.user.isp_id } : {})
-      }
-    });
+    const customer = await getCustomerForUser(req.user);
 
     if (!customer) {
       return res.status(404).json({ 
@@ -593,13 +531,99 @@ const getMyPayments = async (req, res) => {
   }
 };
 
+// @desc    Refund a payment (full or partial)
+// @route   POST /api/payments/:id/refund
+// @access  Private (Admin, Account Manager, Super Admin)
+const refundPayment = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const whereClause = { id: req.params.id };
+    if (req.user.role !== 'super_admin') {
+      whereClause.isp_id = req.ispId || req.user.isp_id;
+    }
+
+    const payment = await Payment.findOne({ where: whereClause });
+    if (!payment) {
+      return res.status(404).json({ message: 'Payment not found' });
+    }
+
+    const { amount, reason } = req.body;
+
+    const result = await paymentRefund.refundPayment({
+      paymentId: payment.id,
+      amount: amount !== undefined && amount !== null ? parseFloat(amount) : null,
+      reason: reason || null,
+      userId: req.user.id
+    });
+
+    await createActivityLog(
+      req.user.id,
+      'REFUND_PAYMENT',
+      'Payment',
+      payment.id,
+      result.oldValues,
+      { ...result.newValues, refund_amount: parseFloat(result.refund.amount), credit_note_number: result.refund.credit_note_number },
+      payment.isp_id,
+      req.ip,
+      req.get('user-agent'),
+      `${result.refund.type === 'full' ? 'Full' : 'Partial'} refund of PKR ${parseFloat(result.refund.amount).toFixed(2)} on bill ${result.bill.bill_number}`
+    );
+
+    res.json({
+      success: true,
+      message: `Refund of PKR ${parseFloat(result.refund.amount).toFixed(2)} processed successfully`,
+      refund: result.refund,
+      payment: result.payment,
+      bill: result.bill,
+      customerSuspended: !!result.suspension?.success
+    });
+  } catch (error) {
+    console.error('Refund payment error:', error);
+    res.status(error.status || 500).json({ message: error.status ? error.message : 'Server error', error: error.message });
+  }
+};
+
+// @desc    Generate credit note PDF for a refund
+// @route   GET /api/payments/refunds/:refundId/credit-note
+// @access  Private
+const generateRefundCreditNote = async (req, res) => {
+  try {
+    const ispId = req.user.role === 'super_admin' ? null : (req.ispId || req.user.isp_id);
+    const refund = await paymentRefund.getRefundForCreditNote(req.params.refundId, ispId);
+
+    if (!refund) {
+      return res.status(404).json({ message: 'Refund not found' });
+    }
+
+    // Generate credit note
+    const creditNotePath = await generateCreditNote(refund);
+
+    // Send file
+    res.download(creditNotePath, `credit-note-${refund.credit_note_number}.pdf`, (err) => {
+      if (err) {
+        console.error('Error sending credit note:', err);
+        res.status(500).json({ message: 'Error generating credit note' });
+      }
+    });
+  } catch (error) {
+    console.error('Generate credit note error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
 module.exports = {
+  generateReceiptNumber,
   getPayments,
   getPayment,
   createPayment,
   processOnlinePayment,
   getMyPayments,
   getPaymentStats,
-  generatePaymentReceipt
+  generatePaymentReceipt,
+  refundPayment,
+  generateRefundCreditNote
 };
-
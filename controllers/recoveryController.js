@@ -1,6 +1,11 @@
-const { Recovery, Customer, Bill, User, Package } = require('../models');
+const { Recovery, Customer, Bill, User, Package, ISP } = require('../models');
 const { validationResult } = require('express-validator');
 const { Op } = require('sequelize');
+const visitSheet = require('../utils/visitSheet');
+const generateVisitSheetPDF = require('../utils/generateVisitSheet');
+const { recordCollection } = require('../utils/cashCustody');
+const { sumNetPayments } = require('../utils/billBalance');
+const { generateReceiptNumber } = require('./paymentController');
 
 // @desc    Get all recoveries
 // @route   GET /api/recoveries
@@ -257,8 +262,8 @@ const updateRecovery = async (req, res) => {
       const bill = await Bill.findByPk(recovery.bill_id);
       if (bill) {
         const ispId = req.ispId || req.user.isp_id || recovery.isp_id;
-        const receipt_number = `RCP${ispId || 'UNK'}-${Date.now()}`;
-        await Payment.create({
+        const receipt_number = await generateReceiptNumber(ispId);
+        const payment = await Payment.create({
           bill_id: recovery.bill_id,
           customer_id: recovery.customer_id,
           amount: amount_collected,
@@ -270,12 +275,18 @@ const updateRecovery = async (req, res) => {
           payment_date: visit_date || new Date()
         });
 
+        // The officer now holds this cash until it is handed in at settlement
+        await recordCollection({
+          officerId: recovery.recovery_officer_id,
+          payment,
+          recoveryId: recovery.id,
+          userId: req.user.id
+        });
+
         // Update bill status
-        const totalPaid = await Payment.sum('amount', {
-          where: {
-            bill_id: recovery.bill_id,
-            status: 'completed'
-          }
+        const totalPaid = await sumNetPayments({
+          bill_id: recovery.bill_id,
+          status: 'completed'
         });
 
         const billAmount = parseFloat(bill.total_amount || bill.amount);
@@ -361,7 +372,7 @@ const getOverdueBills = async (req, res) => {
         {
           model: Customer,
           as: 'customer',
-          attributes: ['id', 'name', 'phone', 'address']
+          attributes: ['id', 'name', 'phone', 'address', 'area']
         },
         {
           model: Package,
@@ -382,6 +393,108 @@ const getOverdueBills = async (req, res) => {
   }
 };
 
+// @desc    Get an officer's daily visit sheet (grouped by area, in route order), as JSON or PDF
+// @route   GET /api/recoveries/visit-sheet?officer_id=&date=YYYY-MM-DD&format=pdf
+// @access  Private (Admin, Recovery Officer - own sheet)
+const getVisitSheet = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { officer_id, date, format, start_lat, start_lng } = req.query;
+
+    // Recovery officers only get their own sheet
+    const officerId = req.user.role === 'recovery_officer' ? req.user.id : officer_id;
+    if (!officerId) {
+      return res.status(400).json({ message: 'Recovery officer ID is required' });
+    }
+
+    const ispId = req.user.role === 'super_admin' ? null : (req.ispId || req.user.isp_id);
+
+    const sheet = await visitSheet.buildVisitSheet({
+      officerId,
+      date: date ? new Date(date) : new Date(),
+      ispId,
+      start: start_lat && start_lng ? { latitude: start_lat, longitude: start_lng } : null
+    });
+
+    if (format !== 'pdf') {
+      return res.json({
+        success: true,
+        sheet
+      });
+    }
+
+    const isp = await ISP.findByPk(sheet.officer.isp_id);
+    const { filePath, fileName } = await generateVisitSheetPDF(sheet, isp);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+
+    res.download(filePath, fileName, (err) => {
+      if (err) {
+        console.error('Error downloading visit sheet:', err);
+        if (!res.headersSent) {
+          res.status(500).json({ message: 'Error downloading visit sheet', error: err.message });
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get visit sheet error:', error);
+    res.status(error.status || 500).json({
+      message: error.status ? error.message : 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Bulk-assign unassigned overdue bills to recovery officers by area, balancing workload
+// @route   POST /api/recoveries/bulk-assign
+// @access  Private (Admin, Super Admin)
+const bulkAssignRecoveries = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const ispId = req.user.role === 'super_admin'
+      ? (req.body.isp_id || req.ispId)
+      : (req.ispId || req.user.isp_id);
+
+    if (!ispId) {
+      return res.status(400).json({ message: 'ISP ID is required' });
+    }
+
+    const { officer_ids, areas, bill_ids, next_visit_date, dry_run } = req.body;
+
+    const result = await visitSheet.assignOverdueBills({
+      ispId,
+      officerIds: officer_ids,
+      areas,
+      billIds: bill_ids,
+      nextVisitDate: next_visit_date || null,
+      dryRun: !!dry_run
+    });
+
+    res.status(dry_run ? 200 : 201).json({
+      success: true,
+      message: dry_run
+        ? `${result.assignments.length} overdue bills would be assigned`
+        : `${result.assignments.length} overdue bills assigned`,
+      ...result
+    });
+  } catch (error) {
+    console.error('Bulk assign recoveries error:', error);
+    res.status(error.status || 500).json({
+      message: error.status ? error.message : 'Server error',
+      error: error.message
+    });
+  }
+};
+
 // @desc    Delete recovery
 // @route   DELETE /api/recoveries/:id
 // @access  Private (Admin)
@@ -420,6 +533,8 @@ module.exports = {
   createRecovery,
   updateRecovery,
   deleteRecovery,
-  getOverdueBills
+  getOverdueBills,
+  getVisitSheet,
+  bulkAssignRecoveries
 };
 
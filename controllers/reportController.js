@@ -2,6 +2,9 @@ const { Bill, Payment, Customer, Package } = require('../models');
 const { Op } = require('sequelize');
 const { Sequelize } = require('sequelize');
 const moment = require('moment');
+const { getCustomerForUser } = require('../utils/customerPortal');
+const { sumNetPayments } = require('../utils/billBalance');
+const commissions = require('../utils/commissions');
 
 // @desc    Get dashboard statistics
 // @route   GET /api/reports/dashboard
@@ -14,16 +17,7 @@ const getDashboardStats = async (req, res) => {
 
     // For customers, show their own stats
     if (req.user.role === 'customer') {
-      // Find customer record by email
-      const customer = await Customer.findOne({ 
-        where: { 
-          [Op.or]: [
-            { email: req.user.email },
-            { phone: req.user.email }
-          ],
-          ...(req.user.isp_id ? { isp_id: req.user.isp_id } : {})
-        }
-      });
+      const customer = await getCustomerForUser(req.user);
 
       if (!customer) {
         return res.json({
@@ -55,22 +49,18 @@ const getDashboardStats = async (req, res) => {
       });
 
       // Customer's payments
-      const totalRevenue = await Payment.sum('amount', {
-        where: {
-          customer_id: customer.id,
-          status: 'completed'
-        }
-      }) || 0;
+      const totalRevenue = await sumNetPayments({
+        customer_id: customer.id,
+        status: 'completed'
+      });
 
-      const monthlyRevenue = await Payment.sum('amount', {
-        where: {
-          customer_id: customer.id,
-          status: 'completed',
-          payment_date: {
-            [Op.between]: [startOfMonth, endOfMonth]
-          }
+      const monthlyRevenue = await sumNetPayments({
+        customer_id: customer.id,
+        status: 'completed',
+        payment_date: {
+          [Op.between]: [startOfMonth, endOfMonth]
         }
-      }) || 0;
+      });
 
       // Customer's overdue bills
       const overdueBills = await Bill.count({
@@ -91,7 +81,7 @@ const getDashboardStats = async (req, res) => {
             [Op.lt]: today
           }
         }
-      }) || 0;
+      });
 
       // Customer's recent payments
       const recentPayments = await Payment.findAll({
@@ -179,22 +169,18 @@ const getDashboardStats = async (req, res) => {
     });
 
     // Revenue
-    const totalRevenue = await Payment.sum('amount', {
-      where: {
-        ...ispFilter,
-        status: 'completed'
-      }
-    }) || 0;
+    const totalRevenue = await sumNetPayments({
+      ...ispFilter,
+      status: 'completed'
+    });
 
-    const monthlyRevenue = await Payment.sum('amount', {
-      where: {
-        ...ispFilter,
-        status: 'completed',
-        payment_date: {
-          [Op.between]: [startOfMonth, endOfMonth]
-        }
+    const monthlyRevenue = await sumNetPayments({
+      ...ispFilter,
+      status: 'completed',
+      payment_date: {
+        [Op.between]: [startOfMonth, endOfMonth]
       }
-    }) || 0;
+    });
 
     // Overdue bills
     const overdueBills = await Bill.count({
@@ -215,7 +201,7 @@ const getDashboardStats = async (req, res) => {
           [Op.lt]: today
         }
       }
-    }) || 0;
+    });
 
     // Recent payments
     const recentPayments = await Payment.findAll({
@@ -289,7 +275,7 @@ const getRevenueReport = async (req, res) => {
       },
       attributes: [
         [Sequelize.fn('DATE_FORMAT', Sequelize.col('payment_date'), dateFormat), 'period'],
-        [Sequelize.fn('SUM', Sequelize.col('amount')), 'total'],
+        [Sequelize.fn('SUM', Sequelize.literal('amount - refunded_amount')), 'total'],
         [Sequelize.fn('COUNT', Sequelize.col('id')), 'count']
       ],
       group: ['period'],
@@ -306,6 +292,33 @@ const getRevenueReport = async (req, res) => {
   }
 };
 
+// @desc    Get recovery officer commission report (statements, or live figures for open months)
+// @route   GET /api/reports/commissions?start_month=YYYY-MM&end_month=YYYY-MM&officer_id=
+// @access  Private (Admin, Account Manager)
+const getCommissionReport = async (req, res) => {
+  try {
+    const { start_month, end_month, officer_id } = req.query;
+
+    const report = await commissions.getCommissionReport({
+      ispId: req.ispId,
+      officerId: officer_id,
+      startMonth: start_month,
+      endMonth: end_month
+    });
+
+    res.json({
+      success: true,
+      ...report
+    });
+  } catch (error) {
+    console.error('Get commission report error:', error);
+    res.status(error.status || 500).json({
+      message: error.status ? error.message : 'Server error',
+      error: error.message
+    });
+  }
+};
+
 // @desc    Get customer report
 // @route   GET /api/reports/customers
 // @access  Private (Admin, Account Manager)
@@ -407,7 +420,7 @@ const getBillReport = async (req, res) => {
         {
           model: Payment,
           as: 'payments',
-          attributes: ['id', 'amount', 'payment_date', 'method']
+          attributes: ['id', 'amount', 'refunded_amount', 'payment_date', 'method']
         }
       ],
       order: [['createdAt', 'DESC']]
@@ -418,7 +431,7 @@ const getBillReport = async (req, res) => {
       const payments = bill.payments || [];
       const paidAmount = payments
         .filter(p => p.status === 'completed')
-        .reduce((sum, p) => sum + parseFloat(p.amount || 0), 0);
+        .reduce((sum, p) => sum + parseFloat(p.amount || 0) - parseFloat(p.refunded_amount || 0), 0);
       const remainingAmount = parseFloat(bill.amount) - paidAmount;
 
       return {
@@ -441,6 +454,7 @@ const getBillReport = async (req, res) => {
 module.exports = {
   getDashboardStats,
   getRevenueReport,
+  getCommissionReport,
   getCustomerReport,
   getBillReport
 };
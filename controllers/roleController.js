@@ -291,7 +291,7 @@ const deleteRole = async (req, res) => {
     }
 
     // Check if role is in use
-    const usersWithRole = await User.count({ where: { role: role.name } });
+    const usersWithRole = await User.count({ where: { role_id: role.id } });
     if (usersWithRole > 0) {
       return res.status(400).json({ 
         message: `Cannot delete role. ${usersWithRole} user(s) are using this role.` 
@@ -321,7 +321,7 @@ const deleteRole = async (req, res) => {
 
 // @desc    Assign permissions to role
 // @route   POST /api/roles/:id/permissions
-// @access  Private (Super Admin)
+// @access  Private (Super Admin, Business Admin)
 const assignPermissions = async (req, res) => {
   try {
     const { permission_ids } = req.body;
@@ -335,6 +335,13 @@ const assignPermissions = async (req, res) => {
       return res.status(404).json({ message: 'Role not found' });
     }
 
+    // Business Admin can only change permissions of roles for their business
+    if (req.user.role !== 'super_admin' && role.business_id !== req.user.isp_id) {
+      return res.status(403).json({ 
+        message: 'Access denied. You can only update roles for your business.' 
+      });
+    }
+
     // Verify all permissions exist
     const permissions = await Permission.findAll({
       where: { id: { [Op.in]: permission_ids } }
@@ -0,0 +1,232 @@
+const { SmsSetting, SmsMessage, Customer } = require('../models');
+const { validationResult } = require('express-validator');
+const { Op } = require('sequelize');
+const createActivityLog = require('../utils/activityLogger');
+const smsService = require('../utils/smsService');
+
+// Never return provider secrets to the client
+const maskSecrets = (setting) => {
+  const data = setting.toJSON();
+  const config = { ...(data.config_json || {}) };
+  ['auth_token', 'api_key'].forEach(key => {
+    if (config[key]) {
+      config[key] = `****${String(config[key]).slice(-4)}`;
+    }
+  });
+  return {
+    ...data,
+    config_json: config,
+    webhook_secret: data.webhook_secret ? '****' : null
+  };
+};
+
+const getIspId = (req, source) => (req.user.role === 'super_admin'
+  ? (source.isp_id || req.ispId)
+  : (req.ispId || req.user.isp_id));
+
+// @desc    Get SMS provider settings for the ISP
+// @route   GET /api/sms/settings
+// @access  Private (Admin, Super Admin)
+const getSettings = async (req, res) => {
+  try {
+    const ispId = getIspId(req, req.query);
+    if (!ispId) {
+      return res.status(400).json({ message: 'ISP ID is required' });
+    }
+
+    const setting = await SmsSetting.findOne({ where: { isp_id: ispId } });
+
+    res.json({
+      success: true,
+      settings: setting ? maskSecrets(setting) : null
+    });
+  } catch (error) {
+    console.error('Get SMS settings error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Create or update SMS provider settings
+// @route   PUT /api/sms/settings
+// @access  Private (Admin, Super Admin)
+const updateSettings = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const ispId = getIspId(req, req.body);
+    if (!ispId) {
+      return res.status(400).json({ message: 'ISP ID is required' });
+    }
+
+    const { provider, is_enabled, sender_id, config_json, cost_per_message, max_retries, webhook_secret } = req.body;
+
+    let setting = await SmsSetting.findOne({ where: { isp_id: ispId } });
+    const oldValues = setting ? maskSecrets(setting) : null;
+
+    const values = {};
+    if (provider !== undefined) values.provider = provider;
+    if (is_enabled !== undefined) values.is_enabled = is_enabled;
+    if (sender_id !== undefined) values.sender_id = sender_id;
+    if (config_json !== undefined) {
+      // Keep stored secrets when the client sends back masked values
+      const existing = setting ? (setting.config_json || {}) : {};
+      const merged = { ...existing, ...config_json };
+      Object.keys(config_json).forEach(key => {
+        if (typeof config_json[key] === 'string' && config_json[key].startsWith('****')) {
+          merged[key] = existing[key];
+        }
+      });
+      values.config_json = merged;
+    }
+    if (cost_per_message !== undefined) values.cost_per_message = cost_per_message === null ? null : parseFloat(cost_per_message);
+    if (max_retries !== undefined) values.max_retries = parseInt(max_retries);
+    if (webhook_secret !== undefined && webhook_secret !== '****') values.webhook_secret = webhook_secret;
+
+    if (setting) {
+      await setting.update(values);
+    } else {
+      setting = await SmsSetting.create({
+        ...values,
+        isp_id: ispId
+      });
+    }
+
+    await createActivityLog(
+      req.user.id,
+      'UPDATE_SMS_SETTINGS',
+      'SmsSetting',
+      setting.id,
+      oldValues,
+      maskSecrets(setting),
+      ispId,
+      req.ip,
+      req.get('user-agent')
+    );
+
+    res.json({
+      success: true,
+      message: 'SMS settings updated successfully',
+      settings: maskSecrets(setting)
+    });
+  } catch (error) {
+    console.error('Update SMS settings error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Get sent SMS messages with delivery status
+// @route   GET /api/sms/messages
+// @access  Private (Admin, Account Manager, Super Admin)
+const getMessages = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status = '', customer_id = '', search = '' } = req.query;
+    const offset = (page - 1) * limit;
+
+    const whereClause = {};
+    if (req.user.role !== 'super_admin') {
+      whereClause.isp_id = req.ispId || req.user.isp_id;
+    } else if (req.query.isp_id) {
+      whereClause.isp_id = req.query.isp_id;
+    }
+
+    if (status) {
+      whereClause.status = status;
+    }
+
+    if (customer_id) {
+      whereClause.customer_id = customer_id;
+    }
+
+    if (search) {
+      whereClause[Op.or] = [
+        { to: { [Op.like]: `%${search}%` } },
+        { body: { [Op.like]: `%${search}%` } }
+      ];
+    }
+
+    const messages = await SmsMessage.findAndCountAll({
+      where: whereClause,
+      include: [{
+        model: Customer,
+        as: 'customer',
+        attributes: ['id', 'name', 'phone'],
+        required: false
+      }],
+      order: [['createdAt', 'DESC']],
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+
+    res.json({
+      success: true,
+      messages: messages.rows,
+      total: messages.count,
+      page: parseInt(page),
+      pages: Math.ceil(messages.count / limit)
+    });
+  } catch (error) {
+    console.error('Get SMS messages error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Send a test SMS through the ISP's provider
+// @route   POST /api/sms/test
+// @access  Private (Admin, Super Admin)
+const sendTestSms = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const ispId = getIspId(req, req.body);
+    const { phone, message } = req.body;
+
+    const result = await smsService.sendSMS(phone, message || 'Test message from your ISP billing system', { ispId });
+
+    res.status(result.success ? 200 : 400).json({
+      ...result,
+      message: result.success ? 'Test SMS sent' : (result.error || result.message)
+    });
+  } catch (error) {
+    console.error('Send test SMS error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Delivery receipt webhook from SMS providers
+// @route   POST /api/sms/delivery/:provider/:ispId?
+// @access  Public (verified per provider)
+const deliveryReceipt = async (req, res) => {
+  try {
+    const ispId = req.params.ispId ? parseInt(req.params.ispId, 10) : null;
+    if (req.params.ispId && !Number.isInteger(ispId)) {
+      return res.status(404).json({ message: 'Not found' });
+    }
+
+    // Authenticate the receipt before looking anything up, so 403/404 reveal nothing
+    await smsService.verifyDeliveryReceipt(req.params.provider, ispId, req);
+    const smsMessage = await smsService.handleDeliveryReceipt(req.params.provider, ispId, req);
+
+    res.json({
+      success: true,
+      id: smsMessage.id,
+      status: smsMessage.status
+    });
+  } catch (error) {
+    console.error('SMS delivery receipt error:', error.message);
+    res.status(error.status || 500).json({ message: error.status ? error.message : 'Server error', error: error.message });
+  }
+};
+
+module.exports = {
+  getSettings,
+  updateSettings,
+  getMessages,
+  sendTestSms,
+  deliveryReceipt
+};
@@ -503,7 +503,7 @@ const updateISP = async (req, res) => {
       return res.status(404).json({ message: 'Business not found' });
     }
 
-    const { name, email, contact, address, owner_name, status, saas_package_id, password } = req.body;
+    const { name, email, contact, address, owner_name, status, saas_package_id, password, require_admin_two_factor } = req.body;
 
     // Check email uniqueness if changed
     if (email && email !== isp.email) {
@@ -525,7 +525,8 @@ const updateISP = async (req, res) => {
       contact: contact || isp.contact,
       address: address || isp.address,
       subscription_status: status || isp.subscription_status,
-      saas_package_id: saas_package_id !== undefined ? saas_package_id : isp.saas_package_id
+      saas_package_id: saas_package_id !== undefined ? saas_package_id : isp.saas_package_id,
+      require_admin_two_factor: require_admin_two_factor !== undefined ? require_admin_two_factor : isp.require_admin_two_factor
     });
 
     // Update admin user password if provided
@@ -563,7 +564,8 @@ const updateISP = async (req, res) => {
         email: isp.email,
         contact: isp.contact,
         address: isp.address,
-        status: isp.subscription_status
+        status: isp.subscription_status,
+        require_admin_two_factor: isp.require_admin_two_factor
       }
     });
   } catch (error) {
@@ -0,0 +1,275 @@
+const { MessageTemplate, Customer, Bill, Payment } = require('../models');
+const { validationResult } = require('express-validator');
+const createActivityLog = require('../utils/activityLogger');
+const messageTemplates = require('../utils/messageTemplates');
+
+const getIspId = (req, source) => (req.user.role === 'super_admin'
+  ? (source.isp_id || req.ispId)
+  : (req.ispId || req.user.isp_id));
+
+// Sample data used by the preview endpoint when no customer/bill is given
+const SAMPLE_DATA = {
+  customer: { name: 'Ali Khan', phone: '03001234567', email: 'ali@example.com', customer_id: 'CUST-0001' },
+  bill: {
+    bill_number: 'ISP001-0001-1700000000000',
+    amount: 2000,
+    late_fee: 100,
+    total_amount: 2100,
+    paid_amount: 0,
+    due_date: new Date(),
+    billing_period_start: new Date(),
+    billing_period_end: new Date()
+  },
+  payment: { amount: 2100, receipt_number: 'RCP1-2024-000001', payment_date: new Date(), method: 'cash' },
+  invite: { link: 'https://portal.example.com/portal/claim?token=sample', otp: '123456', expires_at: new Date() },
+  installation: { service_address: 'House 12, Street 4, Gulberg, Lahore', installation_date: new Date() },
+  usage: { used: 40.5, limit: 50, remaining: 9.5, percentage_used: 81 },
+  account: { name: 'Ali Khan', email: 'ali@example.com', link: 'https://portal.example.com/reset-password?token=sample', expires_at: new Date() }
+};
+
+// @desc    Get effective templates (custom overrides merged with defaults)
+// @route   GET /api/templates
+// @access  Private (Admin, Account Manager, Super Admin)
+const getTemplates = async (req, res) => {
+  try {
+    const ispId = getIspId(req, req.query);
+    if (!ispId) {
+      return res.status(400).json({ message: 'ISP ID is required' });
+    }
+
+    const { event = '', channel = '', locale = '' } = req.query;
+
+    const customTemplates = await MessageTemplate.findAll({ where: { isp_id: ispId } });
+    const customByKey = {};
+    customTemplates.forEach(template => {
+      customByKey[`${template.event}:${template.channel}:${template.locale}`] = template;
+    });
+
+    const templates = [];
+    messageTemplates.EVENTS.filter(e => !event || e === event).forEach(e => {
+      messageTemplates.CHANNELS.filter(c => !channel || c === channel).forEach(c => {
+        messageTemplates.LOCALES.filter(l => !locale || l === locale).forEach(l => {
+          const custom = customByKey[`${e}:${c}:${l}`];
+          const fallback = messageTemplates.getDefaultTemplate(e, c, l);
+          // Some events are only sent on some channels (e.g. account emails)
+          if (!fallback) return;
+          templates.push({
+            id: custom ? custom.id : null,
+            event: e,
+            channel: c,
+            locale: l,
+            subject: custom ? custom.subject : (fallback.subject || null),
+            body: custom ? custom.body : fallback.body,
+            html_body: custom ? custom.html_body : null,
+            is_active: custom ? custom.is_active : true,
+            is_custom: !!custom
+          });
+        });
+      });
+    });
+
+    res.json({
+      success: true,
+      templates
+    });
+  } catch (error) {
+    console.error('Get templates error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Get events, channels, locales and variables available to templates
+// @route   GET /api/templates/variables
+// @access  Private (Admin, Account Manager, Super Admin)
+const getTemplateVariables = async (req, res) => {
+  res.json({
+    success: true,
+    events: messageTemplates.EVENTS,
+    channels: messageTemplates.CHANNELS,
+    locales: messageTemplates.LOCALES,
+    variables: messageTemplates.VARIABLES
+  });
+};
+
+// @desc    Create or update a custom template for an event/channel/locale
+// @route   PUT /api/templates
+// @access  Private (Admin, Super Admin)
+const upsertTemplate = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const ispId = getIspId(req, req.body);
+    if (!ispId) {
+      return res.status(400).json({ message: 'ISP ID is required' });
+    }
+
+    const { event, channel, locale = 'en', subject, body, html_body, is_active } = req.body;
+
+    if (!messageTemplates.getDefaultTemplate(event, channel)) {
+      return res.status(400).json({ message: `${event} messages are not sent by ${channel}` });
+    }
+
+    if (channel === 'email' && !subject) {
+      return res.status(400).json({ message: 'Subject is required for email templates' });
+    }
+
+    let template = await MessageTemplate.findOne({
+      where: { isp_id: ispId, event, channel, locale }
+    });
+    const oldValues = template ? template.toJSON() : null;
+
+    const values = {
+      subject: channel === 'email' ? subject : null,
+      body,
+      html_body: channel === 'email' ? (html_body || null) : null,
+      updated_by: req.user.id
+    };
+    if (is_active !== undefined) values.is_active = is_active;
+
+    if (template) {
+      await template.update(values);
+    } else {
+      template = await MessageTemplate.create({
+        ...values,
+        isp_id: ispId,
+        event,
+        channel,
+        locale
+      });
+    }
+
+    await createActivityLog(
+      req.user.id,
+      oldValues ? 'UPDATE_MESSAGE_TEMPLATE' : 'CREATE_MESSAGE_TEMPLATE',
+      'MessageTemplate',
+      template.id,
+      oldValues,
+      template.toJSON(),
+      ispId,
+      req.ip,
+      req.get('user-agent')
+    );
+
+    res.json({
+      success: true,
+      message: 'Template saved successfully',
+      template
+    });
+  } catch (error) {
+    console.error('Save template error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Delete a custom template (reverts to the default)
+// @route   DELETE /api/templates/:id
+// @access  Private (Admin, Super Admin)
+const deleteTemplate = async (req, res) => {
+  try {
+    const whereClause = { id: req.params.id };
+    if (req.user.role !== 'super_admin') {
+      whereClause.isp_id = req.ispId || req.user.isp_id;
+    }
+
+    const template = await MessageTemplate.findOne({ where: whereClause });
+    if (!template) {
+      return res.status(404).json({ message: 'Template not found' });
+    }
+
+    const oldValues = template.toJSON();
+    await template.destroy();
+
+    await createActivityLog(
+      req.user.id,
+      'DELETE_MESSAGE_TEMPLATE',
+      'MessageTemplate',
+      oldValues.id,
+      oldValues,
+      null,
+      oldValues.isp_id,
+      req.ip,
+      req.get('user-agent')
+    );
+
+    res.json({
+      success: true,
+      message: 'Template reset to default'
+    });
+  } catch (error) {
+    console.error('Delete template error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Preview a template rendered with sample or real data
+// @route   POST /api/templates/preview
+// @access  Private (Admin, Account Manager, Super Admin)
+const previewTemplate = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const ispId = getIspId(req, req.body);
+    const { event, channel, locale, subject, body, html_body, customer_id, bill_id, payment_id } = req.body;
+    const scope = req.user.role === 'super_admin' || !ispId ? {} : { isp_id: ispId };
+
+    const customer = customer_id ? await Customer.findOne({ where: { id: customer_id, ...scope } }) : null;
+    const bill = bill_id ? await Bill.findOne({ where: { id: bill_id, ...scope } }) : null;
+    const payment = payment_id ? await Payment.findOne({ where: { id: payment_id, ...scope } }) : null;
+
+    const data = {
+      ispId,
+      locale,
+      customer: customer || SAMPLE_DATA.customer,
+      bill: bill || SAMPLE_DATA.bill,
+      payment: payment || SAMPLE_DATA.payment,
+      invite: SAMPLE_DATA.invite,
+      installation: SAMPLE_DATA.installation,
+      usage: SAMPLE_DATA.usage,
+      account: SAMPLE_DATA.account
+    };
+
+    let preview;
+    if (body) {
+      // Render unsaved draft text
+      const context = messageTemplates.buildContext(data);
+      const text = messageTemplates.renderString(body, context);
+      preview = {
+        subject: subject ? messageTemplates.renderString(subject, context) : null,
+        text,
+        html: channel === 'email' && html_body
+          ? messageTemplates.renderString(html_body, context, { escape: true })
+          : null,
+        source: 'draft',
+        locale: locale || 'en'
+      };
+    } else {
+      if (!messageTemplates.getDefaultTemplate(event, channel)) {
+        return res.status(400).json({ message: `${event} messages are not sent by ${channel}` });
+      }
+      preview = await messageTemplates.renderMessage(event, channel, data);
+    }
+
+    res.json({
+      success: true,
+      preview,
+      usingSampleData: !customer && !bill && !payment
+    });
+  } catch (error) {
+    console.error('Preview template error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+module.exports = {
+  getTemplates,
+  getTemplateVariables,
+  upsertTemplate,
+  deleteTemplate,
+  previewTemplate
+};
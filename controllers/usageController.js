@@ -0,0 +1,174 @@
+const { Customer, UsageImport, User } = require('../models');
+const { validationResult } = require('express-validator');
+const createActivityLog = require('../utils/activityLogger');
+const usageIngestion = require('../utils/usageIngestion');
+const { calculateRemainingData } = require('../utils/calculateDataUsage');
+const { getCustomerForUser } = require('../utils/customerPortal');
+
+const getIspId = (req, source) => (req.user.role === 'super_admin'
+  ? (source.isp_id || req.ispId)
+  : (req.ispId || req.user.isp_id));
+
+// @desc    Receive RADIUS accounting records from a collector (e.g. the FreeRADIUS rest module)
+// @route   POST /api/usage/accounting/:ispId
+// @access  Public (X-Accounting-Secret)
+const receiveAccounting = async (req, res) => {
+  try {
+    const ispId = parseInt(req.params.ispId);
+    const secret = req.get('X-Accounting-Secret') || '';
+
+    if (!ispId || !(await usageIngestion.verifyAccountingSecret(ispId, secret))) {
+      return res.status(403).json({ message: 'Invalid accounting secret' });
+    }
+
+    // A single record, an array of records or { records: [...] }
+    const body = req.body || {};
+    const records = Array.isArray(body) ? body : (Array.isArray(body.records) ? body.records : [body]);
+
+    const summary = await usageIngestion.ingestAccountingRecords({ ispId, records });
+
+    res.json({
+      success: true,
+      ...summary
+    });
+  } catch (error) {
+    console.error('Receive accounting error:', error.message);
+    res.status(error.status || 500).json({ message: error.status ? error.message : 'Server error', error: error.message });
+  }
+};
+
+// @desc    Import a CSV or nfdump usage summary file
+// @route   POST /api/usage/import
+// @access  Private (Admin, Super Admin)
+const importUsageFile = async (req, res) => {
+  try {
+    const ispId = getIspId(req, req.body);
+    if (!ispId) {
+      return res.status(400).json({ message: 'ISP ID is required' });
+    }
+    if (!req.file) {
+      return res.status(400).json({ message: 'A usage file is required' });
+    }
+
+    const usageImport = await usageIngestion.importUsageFile({
+      ispId,
+      filename: req.file.originalname,
+      content: req.file.buffer,
+      userId: req.user.id
+    });
+
+    await createActivityLog(
+      req.user.id,
+      'IMPORT_USAGE_FILE',
+      'UsageImport',
+      usageImport.id,
+      null,
+      usageImport.toJSON(),
+      ispId,
+      req.ip,
+      req.get('user-agent'),
+      `Imported usage file ${usageImport.filename}: ${usageImport.matched_rows} of ${usageImport.total_rows} row(s) matched`
+    );
+
+    res.status(201).json({
+      success: true,
+      message: `Imported ${usageImport.matched_rows} usage row(s)`,
+      import: usageImport
+    });
+  } catch (error) {
+    console.error('Import usage file error:', error);
+    res.status(error.status || 500).json({ message: error.status ? error.message : 'Server error', error: error.message });
+  }
+};
+
+// @desc    Get imported usage files
+// @route   GET /api/usage/imports
+// @access  Private (Admin, Account Manager, Super Admin)
+const getImports = async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const offset = (page - 1) * limit;
+
+    const whereClause = {};
+    if (req.user.role !== 'super_admin') {
+      whereClause.isp_id = req.ispId || req.user.isp_id;
+    } else if (req.query.isp_id) {
+      whereClause.isp_id = req.query.isp_id;
+    }
+
+    const imports = await UsageImport.findAndCountAll({
+      where: whereClause,
+      include: [{
+        model: User,
+        as: 'importedBy',
+        attributes: ['id', 'name'],
+        required: false
+      }],
+      order: [['createdAt', 'DESC']],
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+
+    res.json({
+      success: true,
+      imports: imports.rows,
+      total: imports.count,
+      page: parseInt(page),
+      pages: Math.ceil(imports.count / limit)
+    });
+  } catch (error) {
+    console.error('Get usage imports error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Get a customer's data usage history (daily or monthly) for graphs
+// @route   GET /api/usage/customers/:id
+// @access  Private (Admin, Account Manager, Technical Officer, Super Admin, own Customer)
+const getCustomerUsage = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    let customer;
+    if (req.user.role === 'customer') {
+      customer = await getCustomerForUser(req.user);
+      if (!customer || customer.id !== parseInt(req.params.id)) {
+        return res.status(403).json({ message: 'Access denied - this account does not belong to you' });
+      }
+    } else {
+      const whereClause = { id: req.params.id };
+      if (req.user.role !== 'super_admin') {
+        whereClause.isp_id = req.ispId || req.user.isp_id;
+      }
+      customer = await Customer.findOne({ where: whereClause });
+    }
+
+    if (!customer) {
+      return res.status(404).json({ message: 'Customer not found' });
+    }
+
+    const { from, to, granularity } = req.query;
+    const history = await usageIngestion.getUsageHistory({ customer, from, to, granularity });
+    const current = await calculateRemainingData(customer.id);
+
+    res.json({
+      success: true,
+      customer: { id: customer.id, customer_id: customer.customer_id, name: customer.name },
+      current,
+      ...history
+    });
+  } catch (error) {
+    console.error('Get customer usage error:', error);
+    res.status(error.status || 500).json({ message: error.status ? error.message : 'Server error', error: error.message });
+  }
+};
+
+module.exports = {
+  receiveAccounting,
+  importUsageFile,
+  getImports,
+  getCustomerUsage
+};
@@ -3,6 +3,11 @@ const { validationResult } = require('express-validator');
 const { Op } = require('sequelize');
 const createActivityLog = require('../utils/activityLogger');
 const { buildTenantWhere } = require('../middlewares/tenantMiddleware');
+const { validateRoleAssignment, outranks } = require('../utils/rbac');
+const { disableTwoFactor } = require('../utils/twoFactor');
+const { revokeUserSessions } = require('../utils/authSessions');
+const { STAFF_ROLES, runWithinLimit } = require('../services/planLimitService');
+const { sendPlanLimitExceeded } = require('../middlewares/planLimitMiddleware');
 
 // @desc    Get all users (with tenant isolation)
 // @route   GET /api/users
@@ -103,7 +108,7 @@ const createUser = async (req, res) => {
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { name, email, password, role, isp_id, phone, address } = req.body;
+    const { name, email, password, role, isp_id, phone, address, role_id } = req.body;
 
     // Role-based permission check
     const allowedRoles = ['super_admin', 'admin'];
@@ -159,44 +164,59 @@ const createUser = async (req, res) => {
       }
     }
 
-    // Create user
-    const user = await User.create({
+    // Custom role must belong to the user's business (or be a system role)
+    const assignedRole = await validateRoleAssignment({
+      roleId: role_id,
+      ispId: finalIspId,
+      userRole: role || 'customer',
+      assignedBy: req.user
+    });
+
+    const createAccount = (transaction) => User.create({
       name,
       email,
       password,
       role: role || 'customer',
+      role_id: assignedRole ? assignedRole.id : null,
       isp_id: finalIspId,
       is_active: true
-    });
+    }, { transaction });
 
-    // If customer role, also create customer record (handle errors gracefully)
+    // Staff accounts take a max_users seat and new customer records count against max_customers;
+    // the limit is checked and the rows written in one transaction with the business locked
+    let user;
     if (role === 'customer' && phone && address) {
-      try {
-        // Check if customer already exists with this phone/email
-        const existingCustomer = await Customer.findOne({
-          where: {
-            [Op.or]: [
-              { phone, isp_id: finalIspId },
-              { email, isp_id: finalIspId }
-            ]
-          }
-        });
+      const existingCustomer = await Customer.findOne({
+        where: {
+          [Op.or]: [
+            { phone, isp_id: finalIspId },
+            { email, isp_id: finalIspId }
+          ]
+        }
+      });
 
-        if (!existingCustomer) {
-          await Customer.create({
-            name,
-            email,
-            phone,
-            address,
-            isp_id: finalIspId,
-            connection_date: new Date()
-          });
+      user = await runWithinLimit(finalIspId, 'customers', async (transaction) => {
+        const created = await createAccount(transaction);
+        const customer = existingCustomer || await Customer.create({
+          name,
+          email,
+          phone,
+          address,
+          isp_id: finalIspId,
+          connection_date: new Date()
+        }, { transaction });
+
+        // Link the portal account unless the customer already has one
+        const linkedUser = await User.findOne({ where: { customer_id: customer.id }, transaction });
+        if (!linkedUser) {
+          await created.update({ customer_id: customer.id }, { transaction });
         }
-      } catch (customerError) {
-        console.error('Error creating customer record:', customerError);
-        // Don't fail user creation if customer record creation fails
-        // User is already created, just log the error
-      }
+        return created;
+      }, { adding: existingCustomer ? 0 : 1 });
+    } else if (STAFF_ROLES.includes(role)) {
+      user = await runWithinLimit(finalIspId, 'users', createAccount);
+    } else {
+      user = await createAccount(null);
     }
 
     // Log activity (handle errors gracefully)
@@ -207,7 +227,7 @@ const createUser = async (req, res) => {
         'User',
         user.id,
         null,
-        { name, email, role, isp_id: finalIspId },
+        { name, email, role, role_id: user.role_id, isp_id: finalIspId },
         finalIspId || req.user.isp_id,
         req.ip,
         req.get('user-agent'),
@@ -234,7 +254,15 @@ const createUser = async (req, res) => {
       user: userResponse
     });
   } catch (error) {
+    if (error.planLimit) {
+      return sendPlanLimitExceeded(res, error.planLimit);
+    }
+
     console.error('Create user error:', error);
+
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
     
     // Provide more specific error messages
     if (error.name === 'SequelizeValidationError') {
@@ -280,7 +308,7 @@ const updateUser = async (req, res) => {
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { name, email, role, isp_id, is_active, password } = req.body;
+    const { name, email, role, isp_id, is_active, password, role_id } = req.body;
     const user = await User.findByPk(req.params.id);
 
     if (!user) {
@@ -299,7 +327,7 @@ const updateUser = async (req, res) => {
     }
 
     // Only super admin and admin can change role and isp_id
-    if ((role !== undefined || isp_id !== undefined) && !isSuperAdmin && !isAdminOfSameISP) {
+    if ((role !== undefined || isp_id !== undefined || role_id !== undefined) && !isSuperAdmin && !isAdminOfSameISP) {
       return res.status(403).json({ message: 'Only admin can change role and ISP assignment' });
     }
 
@@ -318,30 +346,56 @@ const updateUser = async (req, res) => {
       return res.status(403).json({ message: 'Only Super Admin can manage Super Admin roles' });
     }
 
+    // The custom role must stay valid for the user's role and business
+    let assignedRoleId = user.role_id;
+    if (role_id !== undefined || role !== undefined || (isp_id !== undefined && isSuperAdmin)) {
+      const assignedRole = await validateRoleAssignment({
+        roleId: role_id !== undefined ? role_id : user.role_id,
+        ispId: isp_id !== undefined && isSuperAdmin ? isp_id : user.isp_id,
+        userRole: role !== undefined ? role : user.role,
+        assignedBy: req.user
+      });
+      assignedRoleId = assignedRole ? assignedRole.id : null;
+    }
+
     // Get old values for logging before updating
     const oldValues = {
       name: user.name,
       email: user.email,
       role: user.role,
+      role_id: user.role_id,
       isp_id: user.isp_id,
       is_active: user.is_active
     };
 
+    // A staff role (or a move to another business) takes one of the business's max_users seats
+    const seatIspId = STAFF_ROLES.includes(user.role) ? parseInt(user.isp_id, 10) : null;
+
     // Update fields
     if (name !== undefined) user.name = name;
     if (email !== undefined) user.email = email;
     if (password !== undefined) user.password = password;
     if (role !== undefined && (isSuperAdmin || isAdminOfSameISP)) user.role = role;
     if (isp_id !== undefined && isSuperAdmin) user.isp_id = isp_id;
+    user.role_id = assignedRoleId;
     if (is_active !== undefined && (isSuperAdmin || isAdminOfSameISP)) user.is_active = is_active;
 
-    await user.save();
+    // Password, deactivation and role changes sign the user out everywhere (see User hooks);
+    // users changing their own password stay signed in on this session
+    const keepSessionId = isSelf ? req.sessionId : undefined;
+    const takesStaffSeat = STAFF_ROLES.includes(user.role) && user.isp_id && parseInt(user.isp_id, 10) !== seatIspId;
+    if (takesStaffSeat) {
+      await runWithinLimit(user.isp_id, 'users', (transaction) => user.save({ keepSessionId, transaction }));
+    } else {
+      await user.save({ keepSessionId });
+    }
 
     // Prepare new values for logging (exclude password)
     const newValues = {
       name: user.name,
       email: user.email,
       role: user.role,
+      role_id: user.role_id,
       isp_id: user.isp_id,
       is_active: user.is_active
     };
@@ -378,6 +432,14 @@ const updateUser = async (req, res) => {
     });
   } catch (error) {
     console.error('Update user error:', error);
+
+    if (error.planLimit) {
+      return sendPlanLimitExceeded(res, error.planLimit);
+    }
+
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
     
     // Provide more specific error messages
     if (error.name === 'SequelizeValidationError') {
@@ -463,11 +525,70 @@ const deleteUser = async (req, res) => {
   }
 };
 
+// @desc    Reset a user's two-factor authentication (lost authenticator and backup codes)
+// @route   DELETE /api/users/:id/two-factor
+// @access  Private (Super Admin, Admin)
+const resetUserTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findByPk(req.params.id, {
+      attributes: { exclude: ['password'] }
+    });
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    // Users turn off their own 2FA with their password and a code
+    if (user.id === req.user.id) {
+      return res.status(400).json({ message: 'Use your own two-factor settings to change your 2FA' });
+    }
+
+    if (req.user.role !== 'super_admin' && user.isp_id !== req.user.isp_id) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    if (outranks(user, req.user)) {
+      return res.status(403).json({ message: 'Cannot reset two-factor authentication for an account with a higher role' });
+    }
+
+    if (!user.two_factor_enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled for this user' });
+    }
+
+    await disableTwoFactor(user);
+
+    // Whoever had the lost device should not stay signed in
+    await revokeUserSessions(user.id, 'two_factor_reset');
+
+    await createActivityLog(
+      req.user.id,
+      'RESET_TWO_FACTOR',
+      'User',
+      user.id,
+      { two_factor_enabled: true },
+      { two_factor_enabled: false },
+      user.isp_id || req.user.isp_id,
+      req.ip,
+      req.get('user-agent'),
+      `Reset two-factor authentication for ${user.name} (${user.email})`
+    );
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication reset. The user will set it up again if their account requires it.'
+    });
+  } catch (error) {
+    console.error('Reset user two-factor error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
 module.exports = {
   getUsers,
   getUserById,
   createUser,
   updateUser,
-  deleteUser
+  deleteUser,
+  resetUserTwoFactor
 };
 
@@ -0,0 +1,238 @@
+const { Customer, Bill } = require('../models');
+const { validationResult } = require('express-validator');
+const { Op } = require('sequelize');
+const createActivityLog = require('../utils/activityLogger');
+const customerWallet = require('../utils/customerWallet');
+
+// Find the Customer record for a logged-in customer user
+const findCustomerForUser = async (user) => {
+  return await Customer.findOne({
+    where: {
+      [Op.or]: [
+        { email: user.email },
+        { phone: user.email } // Some users use phone as email
+      ],
+      ...(user.isp_id ? { isp_id: user.isp_id } : {})
+    }
+  });
+};
+
+// Find a customer scoped to the requesting user's ISP
+const findScopedCustomer = async (req) => {
+  const customerWhere = { id: req.params.customerId };
+  if (req.user.role !== 'super_admin') {
+    customerWhere.isp_id = req.ispId || req.user.isp_id;
+  }
+  return await Customer.findOne({ where: customerWhere });
+};
+
+// @desc    Get wallet balance and transactions for logged-in customer
+// @route   GET /api/wallet/my-wallet
+// @access  Private (Customer only)
+const getMyWallet = async (req, res) => {
+  try {
+    const customer = await findCustomerForUser(req.user);
+    if (!customer) {
+      return res.status(404).json({
+        message: 'Customer record not found. Please contact support to link your account.'
+      });
+    }
+
+    const { page = 1, limit = 20, type = '' } = req.query;
+    const history = await customerWallet.getWalletHistory(customer.id, { page, limit, type });
+
+    res.json({
+      success: true,
+      ...history
+    });
+  } catch (error) {
+    console.error('Get my wallet error:', error);
+    res.status(error.status || 500).json({ message: error.status ? error.message : 'Server error', error: error.message });
+  }
+};
+
+// @desc    Get wallet balance and full transaction history for a customer
+// @route   GET /api/wallet/customers/:customerId/transactions
+// @access  Private (Admin, Account Manager, Super Admin)
+const getCustomerTransactions = async (req, res) => {
+  try {
+    const customer = await findScopedCustomer(req);
+    if (!customer) {
+      return res.status(404).json({ message: 'Customer not found' });
+    }
+
+    const { page = 1, limit = 20, type = '' } = req.query;
+    const history = await customerWallet.getWalletHistory(customer.id, { page, limit, type });
+
+    res.json({
+      success: true,
+      ...history
+    });
+  } catch (error) {
+    console.error('Get customer wallet transactions error:', error);
+    res.status(error.status || 500).json({ message: error.status ? error.message : 'Server error', error: error.message });
+  }
+};
+
+// @desc    Record an advance payment into a customer's wallet
+// @route   POST /api/wallet/customers/:customerId/advance
+// @access  Private (Admin, Account Manager, Super Admin)
+const addAdvance = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const customer = await findScopedCustomer(req);
+    if (!customer) {
+      return res.status(404).json({ message: 'Customer not found' });
+    }
+
+    const { amount, method, reference, notes } = req.body;
+
+    const transaction = await customerWallet.creditWallet({
+      customerId: customer.id,
+      amount: parseFloat(amount),
+      type: 'advance',
+      reference: reference || null,
+      description: notes || `Advance payment${method ? ` (${method})` : ''}`,
+      userId: req.user.id
+    });
+
+    await createActivityLog(
+      req.user.id,
+      'WALLET_ADVANCE',
+      'Customer',
+      customer.id,
+      null,
+      { amount: transaction.amount, balance: transaction.balance_after, method, reference },
+      customer.isp_id,
+      req.ip,
+      req.get('user-agent')
+    );
+
+    res.status(201).json({
+      success: true,
+      message: `Advance of PKR ${parseFloat(transaction.amount).toFixed(2)} credited to wallet`,
+      balance: parseFloat(transaction.balance_after),
+      transaction
+    });
+  } catch (error) {
+    console.error('Add wallet advance error:', error);
+    res.status(error.status || 500).json({ message: error.status ? error.message : 'Server error', error: error.message });
+  }
+};
+
+// @desc    Manually adjust a customer's wallet balance
+// @route   POST /api/wallet/customers/:customerId/adjust
+// @access  Private (Admin, Super Admin)
+const adjustBalance = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const customer = await findScopedCustomer(req);
+    if (!customer) {
+      return res.status(404).json({ message: 'Customer not found' });
+    }
+
+    const { amount, reason } = req.body;
+    const oldBalance = parseFloat(customer.credit_balance || 0);
+
+    const transaction = await customerWallet.adjustWallet({
+      customerId: customer.id,
+      amount: parseFloat(amount),
+      description: reason,
+      userId: req.user.id
+    });
+
+    await createActivityLog(
+      req.user.id,
+      'WALLET_ADJUSTMENT',
+      'Customer',
+      customer.id,
+      { credit_balance: oldBalance },
+      { credit_balance: parseFloat(transaction.balance_after) },
+      customer.isp_id,
+      req.ip,
+      req.get('user-agent'),
+      reason
+    );
+
+    res.json({
+      success: true,
+      message: 'Wallet balance adjusted successfully',
+      balance: parseFloat(transaction.balance_after),
+      transaction
+    });
+  } catch (error) {
+    console.error('Adjust wallet balance error:', error);
+    res.status(error.status || 500).json({ message: error.status ? error.message : 'Server error', error: error.message });
+  }
+};
+
+// @desc    Apply a customer's wallet balance to one of their bills
+// @route   POST /api/wallet/customers/:customerId/apply
+// @access  Private (Admin, Account Manager, Super Admin)
+const applyToBill = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const customer = await findScopedCustomer(req);
+    if (!customer) {
+      return res.status(404).json({ message: 'Customer not found' });
+    }
+
+    const bill = await Bill.findOne({ where: { id: req.body.bill_id, customer_id: customer.id } });
+    if (!bill) {
+      return res.status(404).json({ message: 'Bill not found for this customer' });
+    }
+
+    const result = await customerWallet.applyWalletToBill(bill, {
+      userId: req.user.id,
+      maxAmount: req.body.amount !== undefined ? parseFloat(req.body.amount) : null
+    });
+
+    if (!result) {
+      return res.status(400).json({ message: 'No wallet balance or outstanding amount to apply' });
+    }
+
+    await createActivityLog(
+      req.user.id,
+      'WALLET_APPLIED',
+      'Bill',
+      bill.id,
+      null,
+      { amount: result.amountApplied, paid_amount: bill.paid_amount, status: bill.status },
+      customer.isp_id,
+      req.ip,
+      req.get('user-agent')
+    );
+
+    res.json({
+      success: true,
+      message: `Applied PKR ${result.amountApplied.toFixed(2)} wallet credit to bill ${bill.bill_number}`,
+      amountApplied: result.amountApplied,
+      balance: parseFloat(result.transaction.balance_after),
+      bill,
+      payment: result.payment
+    });
+  } catch (error) {
+    console.error('Apply wallet to bill error:', error);
+    res.status(error.status || 500).json({ message: error.status ? error.message : 'Server error', error: error.message });
+  }
+};
+
+module.exports = {
+  getMyWallet,
+  getCustomerTransactions,
+  addAdvance,
+  adjustBalance,
+  applyToBill
+};
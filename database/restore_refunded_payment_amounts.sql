@@ -0,0 +1,13 @@
+-- Migration: Keep the amount originally received on partially refunded payments
+-- Partial refunds used to reduce payments.amount; the amount now stays as received
+-- and paid totals subtract refunded_amount. Run once after upgrading.
+
+-- Partially refunded payments: add the refunded part back
+UPDATE payments
+SET amount = amount + refunded_amount
+WHERE status = 'completed' AND refunded_amount > 0;
+
+-- Fully refunded payments that had earlier partial refunds: everything received was refunded
+UPDATE payments
+SET amount = refunded_amount
+WHERE status = 'refunded' AND refunded_amount > amount;
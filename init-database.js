@@ -105,9 +105,9 @@ const initDatabase = async () => {
       // Sync tables in correct order
       await ISP.sync({ alter: true, force: false });
       await SaaSPackage.sync({ alter: true, force: false });
-      await User.sync({ alter: true, force: false });
       await Package.sync({ alter: true, force: false });
       await Customer.sync({ alter: true, force: false });
+      await User.sync({ alter: true, force: false });
       await Bill.sync({ alter: true, force: false });
       await Payment.sync({ alter: true, force: false });
       await Recovery.sync({ alter: true, force: false });
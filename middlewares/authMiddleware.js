@@ -1,5 +1,7 @@
 const jwt = require('jsonwebtoken');
+const { Op } = require('sequelize');
 const User = require('../models/User');
+const AuthSession = require('../models/AuthSession');
 
 const authMiddleware = async (req, res, next) => {
   try {
@@ -10,6 +12,21 @@ const authMiddleware = async (req, res, next) => {
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Tokens only work while their session is active, so logout and revocation take effect immediately
+    const session = decoded.sid && await AuthSession.findOne({
+      where: {
+        id: decoded.sid,
+        user_id: decoded.id,
+        revoked_at: null,
+        expires_at: { [Op.gt]: new Date() }
+      }
+    });
+
+    if (!session) {
+      return res.status(401).json({ message: 'Session has expired or been revoked' });
+    }
+
     const user = await User.findByPk(decoded.id, {
       attributes: { exclude: ['password'] }
     });
@@ -18,7 +35,17 @@ const authMiddleware = async (req, res, next) => {
       return res.status(401).json({ message: 'Token is not valid or user is inactive' });
     }
 
+    // Unverified self-registered accounts can sign in and look around, but cannot make
+    // changes outside /api/auth until they confirm their email address
+    if (!user.email_verified && req.method !== 'GET' && !req.originalUrl.startsWith('/api/auth/')) {
+      return res.status(403).json({
+        message: 'Please verify your email address to continue',
+        code: 'EMAIL_NOT_VERIFIED'
+      });
+    }
+
     req.user = user;
+    req.sessionId = session.id;
     next();
   } catch (error) {
     res.status(401).json({ message: 'Token is not valid' });
@@ -0,0 +1,92 @@
+/**
+ * Plan Limit Middleware
+ * Enforces SaaS package quotas (max_customers, max_users) and feature flags (features_json)
+ * Must be mounted after tenantMiddleware so req.tenantId is available
+ */
+
+const { checkLimit, checkFeature, planLimitMessage } = require('../services/planLimitService');
+
+/**
+ * Send the 402 response for a create the plan does not allow
+ * @param {Object} res - Express response
+ * @param {Object} result - Result of checkLimit
+ */
+const sendPlanLimitExceeded = (res, result) => res.status(402).json({
+  success: false,
+  code: 'PLAN_LIMIT_EXCEEDED',
+  message: planLimitMessage(result),
+  resource: result.resource,
+  limit: result.limit,
+  used: result.used
+});
+
+/**
+ * Reject creates that would take the business over its plan limit early. This is only
+ * a fast path: controllers re-check with runWithinLimit in the transaction that inserts.
+ * @param {string|Function} resource - 'customers' | 'users', or a function (req) => resource|null
+ */
+const enforcePlanLimit = (resource) => {
+  return async (req, res, next) => {
+    try {
+      const resolvedResource = typeof resource === 'function' ? resource(req) : resource;
+      // Super Admin creates rows for the business named in the body
+      const tenantId = (req.user?.role === 'super_admin' && req.body?.isp_id)
+        || req.tenantId || req.ispId || req.user?.isp_id;
+
+      // Nothing to enforce (e.g. Super Admin without business context, or resource not limited)
+      if (!resolvedResource || !tenantId) {
+        return next();
+      }
+
+      const result = await checkLimit(tenantId, resolvedResource);
+
+      if (!result.allowed) {
+        return sendPlanLimitExceeded(res, result);
+      }
+
+      next();
+    } catch (error) {
+      console.error('Plan limit middleware error:', error);
+      res.status(500).json({ message: 'Error checking plan limits', error: error.message });
+    }
+  };
+};
+
+/**
+ * Only allow the route if the business's plan includes the feature
+ * @param {string} feature - Feature key in SaaSPackage.features_json
+ */
+const requireFeature = (feature) => {
+  return async (req, res, next) => {
+    try {
+      const tenantId = req.tenantId || req.ispId || req.user?.isp_id;
+
+      // Super Admin (platform level) is never feature-gated
+      if (req.user?.role === 'super_admin' || !tenantId) {
+        return next();
+      }
+
+      const result = await checkFeature(tenantId, feature);
+
+      if (!result.allowed) {
+        return res.status(403).json({
+          success: false,
+          code: 'FEATURE_NOT_AVAILABLE',
+          message: `The '${feature}' feature is not included in your plan${result.package ? ` (${result.package})` : ''}. Please upgrade your subscription.`,
+          feature
+        });
+      }
+
+      next();
+    } catch (error) {
+      console.error('Feature gate middleware error:', error);
+      res.status(500).json({ message: 'Error checking plan features', error: error.message });
+    }
+  };
+};
+
+module.exports = {
+  enforcePlanLimit,
+  requireFeature,
+  sendPlanLimitExceeded
+};
@@ -0,0 +1,100 @@
+/**
+ * Rate Limit Middleware
+ * Counts requests per client IP or per account in fixed windows and answers 429 with
+ * a Retry-After header once the limit is reached. Counters live in the store chosen
+ * with RATE_LIMIT_STORE (see utils/rateLimitStores); RATE_LIMIT_ENABLED=false turns
+ * limiting off.
+ */
+
+const { getConfiguredStore } = require('../utils/rateLimitStores');
+const createActivityLog = require('../utils/activityLogger');
+
+const secondsUntil = (date) => Math.max(1, Math.ceil((new Date(date).getTime() - Date.now()) / 1000));
+
+// What a limiter can count by
+const keyByIp = (req) => req.ip;
+const keyByUser = (req) => (req.user ? req.user.id : null);
+const keyByBodyField = (field) => (req) => {
+  const value = req.body ? req.body[field] : null;
+  return value ? String(value).trim().toLowerCase() : null;
+};
+
+/**
+ * Limit how often a route can be called
+ * @param {Object} options
+ * @param {string} options.name - Limiter name, used in counter keys and logs
+ * @param {number} options.windowMs - Window length in milliseconds
+ * @param {number} options.max - Requests allowed per key in a window
+ * @param {Function} [options.key] - (req) => what to count by (defaults to the client IP); nothing is counted when it returns null
+ * @param {string} [options.message] - Message for rejected requests
+ */
+const rateLimit = ({
+  name,
+  windowMs,
+  max,
+  key = keyByIp,
+  message = 'Too many requests. Please try again later.'
+}) => {
+  return async (req, res, next) => {
+    if (process.env.RATE_LIMIT_ENABLED === 'false') {
+      return next();
+    }
+
+    const subject = key(req);
+    if (!subject) {
+      return next();
+    }
+
+    let counter;
+    try {
+      counter = await getConfiguredStore().increment(`${name}:${subject}`, windowMs);
+    } catch (error) {
+      // A store outage should not take the API down with it
+      console.error(`Rate limit "${name}" store error:`, error.message);
+      return next();
+    }
+
+    res.set({
+      'RateLimit-Limit': String(max),
+      'RateLimit-Remaining': String(Math.max(0, max - counter.count)),
+      'RateLimit-Reset': String(secondsUntil(counter.expiresAt))
+    });
+
+    if (counter.count <= max) {
+      return next();
+    }
+
+    // Log the first rejection in each window rather than every one
+    if (counter.count === max + 1) {
+      console.warn(`⚠️  Rate limit "${name}" reached for ${subject}`);
+      await createActivityLog(
+        req.user ? req.user.id : null,
+        'RATE_LIMIT_EXCEEDED',
+        'RateLimit',
+        null,
+        null,
+        { limiter: name, key: String(subject), max, window_seconds: Math.round(windowMs / 1000) },
+        req.user ? req.user.isp_id : null,
+        req.ip,
+        req.get('user-agent'),
+        `Rate limit "${name}" reached for ${subject}`
+      );
+    }
+
+    const retryAfter = secondsUntil(counter.expiresAt);
+    res.set('Retry-After', String(retryAfter));
+    res.status(429).json({
+      success: false,
+      code: 'RATE_LIMITED',
+      message,
+      retry_after: retryAfter
+    });
+  };
+};
+
+module.exports = {
+  rateLimit,
+  keyByIp,
+  keyByUser,
+  keyByBodyField
+};
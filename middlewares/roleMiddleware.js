@@ -1,3 +1,5 @@
+const { getUserPermissions } = require('../utils/rbac');
+
 const roleMiddleware = (...allowedRoles) => {
   return (req, res, next) => {
     if (!req.user) {
@@ -59,6 +61,8 @@ const ispMiddleware = async (req, res, next) => {
 };
 
 // Permission-based middleware - checks if user has specific permission
+// Super Admin passes every check; everyone else is resolved through their role's
+// permissions (see utils/rbac), looked up once per request
 const permissionMiddleware = (requiredPermission) => {
   return async (req, res, next) => {
     try {
@@ -66,33 +70,13 @@ const permissionMiddleware = (requiredPermission) => {
         return res.status(401).json({ message: 'Unauthorized - no user found' });
       }
 
-      // Super admin and Business Admin bypass all permission checks
-      if (req.user.role === 'super_admin' || req.user.role === 'admin') {
+      if (req.user.role === 'super_admin') {
         return next();
       }
 
-      // Get user's role and check permissions
-      const { Role, Permission } = require('../models');
-      const role = await Role.findOne({
-        where: { name: req.user.role, is_active: true },
-        include: [{
-          model: Permission,
-          as: 'permissions',
-          through: { attributes: [] },
-          attributes: ['name']
-        }]
-      });
-
-      if (!role) {
-        return res.status(403).json({ message: 'Role not found or inactive' });
-      }
-
-      // Check if role has the required permission
-      const hasPermission = role.permissions.some(
-        perm => perm.name === requiredPermission
-      );
+      const permissions = await getUserPermissions(req);
 
-      if (!hasPermission) {
+      if (!permissions.has(requiredPermission)) {
         return res.status(403).json({ 
           message: `Access denied. Required permission: ${requiredPermission}` 
         });
@@ -114,30 +98,12 @@ const anyPermissionMiddleware = (...requiredPermissions) => {
         return res.status(401).json({ message: 'Unauthorized - no user found' });
       }
 
-      // Super admin and Business Admin bypass all permission checks
-      if (req.user.role === 'super_admin' || req.user.role === 'admin') {
+      if (req.user.role === 'super_admin') {
         return next();
       }
 
-      const { Role, Permission } = require('../models');
-      const role = await Role.findOne({
-        where: { name: req.user.role, is_active: true },
-        include: [{
-          model: Permission,
-          as: 'permissions',
-          through: { attributes: [] },
-          attributes: ['name']
-        }]
-      });
-
-      if (!role) {
-        return res.status(403).json({ message: 'Role not found or inactive' });
-      }
-
-      const rolePermissions = role.permissions.map(p => p.name);
-      const hasAnyPermission = requiredPermissions.some(perm => 
-        rolePermissions.includes(perm)
-      );
+      const permissions = await getUserPermissions(req);
+      const hasAnyPermission = requiredPermissions.some(perm => permissions.has(perm));
 
       if (!hasAnyPermission) {
         return res.status(403).json({ 
@@ -47,8 +47,27 @@ const upload = multer({
 // Middleware for single file upload
 const uploadPaymentProof = upload.single('proof_file');
 
+// Usage files (CSV / nfdump output) are parsed in memory and not kept on disk
+const usageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 20 * 1024 * 1024 // 20MB max file size
+  },
+  fileFilter: (req, file, cb) => {
+    if (/\.(csv|txt)$/i.test(file.originalname)) {
+      return cb(null, true);
+    }
+    const error = new Error('Only CSV or text files are allowed!');
+    error.status = 400;
+    cb(error);
+  }
+});
+
+const uploadUsageFile = usageUpload.single('file');
+
 module.exports = {
-  uploadPaymentProof
+  uploadPaymentProof,
+  uploadUsageFile
 };
 
 
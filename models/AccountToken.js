@@ -0,0 +1,52 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/db');
+
+const AccountToken = sequelize.define('AccountToken', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  user_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  purpose: {
+    type: DataTypes.ENUM('password_reset', 'email_verification'),
+    allowNull: false
+  },
+  token_hash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: true,
+    comment: 'SHA-256 of the emailed token'
+  },
+  expires_at: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  used_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Set when the token is redeemed or superseded; tokens are single-use'
+  },
+  requested_ip: {
+    type: DataTypes.STRING(45),
+    allowNull: true
+  }
+}, {
+  tableName: 'account_tokens',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['user_id', 'purpose', 'used_at']
+    }
+  ]
+});
+
+module.exports = AccountToken;
@@ -0,0 +1,69 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/db');
+
+const AuthSession = sequelize.define('AuthSession', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  user_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  token_hash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: true,
+    comment: 'SHA-256 of the current refresh token'
+  },
+  previous_token_hash: {
+    type: DataTypes.STRING(64),
+    allowNull: true,
+    comment: 'SHA-256 of the refresh token it replaced, to detect reuse of a rotated token'
+  },
+  user_agent: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  ip_address: {
+    type: DataTypes.STRING(45),
+    allowNull: true
+  },
+  last_used_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'When the refresh token was last exchanged'
+  },
+  expires_at: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  revoked_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  revoked_reason: {
+    type: DataTypes.STRING(50),
+    allowNull: true,
+    comment: 'logout, revoked, password_changed, deactivated, role_changed, two_factor_enabled, two_factor_reset or refresh_token_reuse'
+  }
+}, {
+  tableName: 'auth_sessions',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['user_id', 'revoked_at']
+    },
+    {
+      fields: ['previous_token_hash']
+    }
+  ]
+});
+
+module.exports = AuthSession;
@@ -17,6 +17,9 @@ const AutomationLog = sequelize.define('AutomationLog', {
       'business_suspended',
       'business_reactivated',
       'installation_invoice',
+      'customer_activated',
+      'network_sync',
+      'network_reconciliation',
       'n8n_webhook'
     ),
     allowNull: false,
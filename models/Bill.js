@@ -30,7 +30,8 @@ const Bill = sequelize.define('Bill', {
   },
   amount: {
     type: DataTypes.DECIMAL(10, 2),
-    allowNull: false
+    allowNull: false,
+    comment: 'Sum of line items other than late fees'
   },
   due_date: {
     type: DataTypes.DATE,
@@ -55,12 +56,17 @@ const Bill = sequelize.define('Bill', {
   late_fee: {
     type: DataTypes.DECIMAL(10, 2),
     defaultValue: 0,
-    comment: 'Late fee amount (5% of bill if overdue)'
+    comment: 'Total of late_fee line items, per the ISP billing policy'
+  },
+  last_late_fee_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'When the most recent late fee was charged (for repeating late fees)'
   },
   total_amount: {
     type: DataTypes.DECIMAL(10, 2),
     allowNull: false,
-    comment: 'Total amount including late fees'
+    comment: 'Sum of all line items (amount + late_fee)'
   },
   paid_amount: {
     type: DataTypes.DECIMAL(10, 2),
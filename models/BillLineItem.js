@@ -0,0 +1,79 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/db');
+
+const BillLineItem = sequelize.define('BillLineItem', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  bill_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'bills',
+      key: 'id'
+    }
+  },
+  type: {
+    type: DataTypes.ENUM('subscription', 'rental', 'one_time', 'late_fee', 'tax', 'discount', 'adjustment'),
+    allowNull: false
+  },
+  description: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  quantity: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 1
+  },
+  unit_price: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false
+  },
+  amount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    comment: 'quantity x unit_price; negative for discounts and credits'
+  },
+  package_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'packages',
+      key: 'id'
+    }
+  },
+  adjustment_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'billing_adjustments',
+      key: 'id'
+    },
+    comment: 'Proration adjustment this line came from'
+  },
+  sort_order: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  isp_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'isps',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'bill_line_items',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['bill_id']
+    }
+  ]
+});
+
+module.exports = BillLineItem;
@@ -0,0 +1,100 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/db');
+
+const BillingAdjustment = sequelize.define('BillingAdjustment', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  customer_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'customers',
+      key: 'id'
+    }
+  },
+  bill_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'bills',
+      key: 'id'
+    },
+    comment: 'Bill the adjustment was applied to (null while pending)'
+  },
+  type: {
+    type: DataTypes.ENUM('credit', 'debit'),
+    allowNull: false,
+    comment: 'credit reduces the bill, debit adds to it'
+  },
+  reason: {
+    type: DataTypes.ENUM('package_change', 'connection', 'disconnection', 'reconnection'),
+    allowNull: false
+  },
+  amount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    comment: 'Always positive; direction is given by type'
+  },
+  description: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  calculation: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: 'Proration inputs: price, days, period_days, daily_rate, from, to'
+  },
+  period_start: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  period_end: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'applied', 'cancelled'),
+    defaultValue: 'pending'
+  },
+  applied_to: {
+    type: DataTypes.ENUM('bill', 'wallet'),
+    allowNull: true,
+    comment: 'Credits with no open bill to reduce go to the customer wallet'
+  },
+  applied_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  created_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  isp_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'isps',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'billing_adjustments',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['customer_id', 'status']
+    },
+    {
+      fields: ['bill_id']
+    }
+  ]
+});
+
+module.exports = BillingAdjustment;
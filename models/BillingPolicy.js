@@ -0,0 +1,77 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/db');
+
+const BillingPolicy = sequelize.define('BillingPolicy', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  isp_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    unique: true,
+    references: {
+      model: 'isps',
+      key: 'id'
+    }
+  },
+  billing_anchor_day: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1,
+    comment: 'Day of month (1-28) monthly bills are generated and billing periods start'
+  },
+  due_days: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 7,
+    comment: 'Days after bill generation the bill is due'
+  },
+  late_fee_type: {
+    type: DataTypes.ENUM('percentage', 'flat'),
+    allowNull: false,
+    defaultValue: 'percentage'
+  },
+  late_fee_value: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 5.00,
+    comment: 'Percent of the bill amount, or flat PKR amount, charged per late fee'
+  },
+  late_fee_cap: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true,
+    comment: 'Maximum total late fee per bill in PKR (null = no cap)'
+  },
+  late_fee_repeat_days: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Charge the late fee again every N days while overdue (null = charge once)'
+  },
+  grace_period_days: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 7,
+    comment: 'Days after the due date before an overdue customer is suspended'
+  },
+  reminder_days_before: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: [7],
+    comment: 'Days before the due date to send reminders, e.g. [7, 3, 1]'
+  },
+  updated_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'billing_policies',
+  timestamps: true
+});
+
+module.exports = BillingPolicy;
@@ -0,0 +1,93 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/db');
+
+const CashSettlement = sequelize.define('CashSettlement', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  officer_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  settlement_date: {
+    type: DataTypes.DATEONLY,
+    allowNull: false,
+    comment: 'Business day being closed'
+  },
+  collections_count: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'Cash collections covered by this settlement'
+  },
+  collected_amount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'Cash collected since the previous settlement'
+  },
+  expected_amount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    comment: 'Cash the officer should hand in (float held at settlement time)'
+  },
+  received_amount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    comment: 'Cash confirmed as received by the office'
+  },
+  discrepancy: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'received_amount - expected_amount (negative = short)'
+  },
+  status: {
+    type: DataTypes.ENUM('balanced', 'short', 'over'),
+    allowNull: false,
+    defaultValue: 'balanced'
+  },
+  is_flagged: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+    comment: 'Discrepancy exceeds the allowed tolerance'
+  },
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  settled_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    comment: 'Account manager who confirmed the received amount'
+  },
+  isp_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'isps',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'cash_settlements',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['officer_id', 'settlement_date']
+    }
+  ]
+});
+
+module.exports = CashSettlement;
@@ -0,0 +1,91 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/db');
+
+const CashTransaction = sequelize.define('CashTransaction', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  officer_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    comment: 'Recovery officer holding the cash'
+  },
+  type: {
+    type: DataTypes.ENUM('collection', 'deposit', 'adjustment'),
+    allowNull: false,
+    comment: 'collection adds to the officer float, deposit (handed in at settlement) clears it'
+  },
+  amount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    comment: 'Signed amount (positive = cash taken into custody, negative = cash handed in)'
+  },
+  balance_after: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    comment: 'Cash held by the officer after this transaction'
+  },
+  payment_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'payments',
+      key: 'id'
+    }
+  },
+  recovery_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'recoveries',
+      key: 'id'
+    }
+  },
+  settlement_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'cash_settlements',
+      key: 'id'
+    }
+  },
+  description: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  created_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  isp_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'isps',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'cash_transactions',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['officer_id']
+    },
+    {
+      fields: ['settlement_id']
+    }
+  ]
+});
+
+module.exports = CashTransaction;
@@ -0,0 +1,60 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/db');
+
+const CommissionRule = sequelize.define('CommissionRule', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+  officer_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    comment: 'Recovery officer this rule applies to (null = all officers of the ISP)'
+  },
+  basis: {
+    type: DataTypes.ENUM('percentage', 'per_visit'),
+    allowNull: false,
+    defaultValue: 'percentage',
+    comment: 'percentage = % of amount collected; per_visit = flat PKR per successful visit'
+  },
+  tiers: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: [],
+    comment: 'Monthly tiers [{ min, rate }]: min is PKR collected (percentage) or successful visits (per_visit)'
+  },
+  is_active: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  },
+  created_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  isp_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'isps',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'commission_rules',
+  timestamps: true
+});
+
+module.exports = CommissionRule;
@@ -0,0 +1,116 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/db');
+
+const CommissionStatement = sequelize.define('CommissionStatement', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  officer_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  period_start: {
+    type: DataTypes.DATEONLY,
+    allowNull: false
+  },
+  period_end: {
+    type: DataTypes.DATEONLY,
+    allowNull: false
+  },
+  rule_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'commission_rules',
+      key: 'id'
+    }
+  },
+  basis: {
+    type: DataTypes.ENUM('percentage', 'per_visit'),
+    allowNull: true,
+    comment: 'Copied from the rule when the statement was computed'
+  },
+  tier_min: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: true,
+    comment: 'Threshold of the tier reached'
+  },
+  rate: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true,
+    comment: 'Percent or PKR per visit of the tier reached'
+  },
+  successful_visits: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  collected_amount: {
+    type: DataTypes.DECIMAL(12, 2),
+    defaultValue: 0
+  },
+  commission_amount: {
+    type: DataTypes.DECIMAL(10, 2),
+    defaultValue: 0
+  },
+  status: {
+    type: DataTypes.ENUM('draft', 'approved', 'paid'),
+    defaultValue: 'draft'
+  },
+  approved_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  approved_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  paid_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  paid_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  payout_reference: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  isp_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'isps',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'commission_statements',
+  timestamps: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['officer_id', 'period_start']
+    }
+  ]
+});
+
+module.exports = CommissionStatement;
@@ -26,6 +26,19 @@ const Customer = sequelize.define('Customer', {
     type: DataTypes.TEXT,
     allowNull: false
   },
+  area: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+    comment: 'Area or sector used to group recovery visits'
+  },
+  latitude: {
+    type: DataTypes.DECIMAL(10, 7),
+    allowNull: true
+  },
+  longitude: {
+    type: DataTypes.DECIMAL(10, 7),
+    allowNull: true
+  },
   cnic: {
     type: DataTypes.STRING(20),
     allowNull: true,
@@ -79,16 +92,42 @@ const Customer = sequelize.define('Customer', {
     allowNull: true,
     comment: 'Date when data usage resets'
   },
+  data_alert_level: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+    comment: 'Highest data usage alert sent this period (0, 80 or 100 percent)'
+  },
   customer_id: {
     type: DataTypes.STRING(50),
     allowNull: true,
     unique: true,
     comment: 'Unique customer identifier for login'
   },
+  radius_username: {
+    type: DataTypes.STRING(64),
+    allowNull: true,
+    unique: true,
+    comment: 'PPPoE/RADIUS username (generated on first network sync)'
+  },
+  radius_password: {
+    type: DataTypes.STRING(64),
+    allowNull: true,
+    comment: 'PPPoE/RADIUS password'
+  },
   points: {
     type: DataTypes.DECIMAL(10, 2),
     defaultValue: 0,
     comment: 'Loyalty points earned from payments (0.01 points per PKR paid)'
+  },
+  credit_balance: {
+    type: DataTypes.DECIMAL(10, 2),
+    defaultValue: 0,
+    comment: 'Wallet balance from overpayments and advance payments'
+  },
+  preferred_language: {
+    type: DataTypes.ENUM('en', 'ur'),
+    defaultValue: 'en',
+    comment: 'Locale used when rendering notification templates'
   }
 }, {
   tableName: 'customers',
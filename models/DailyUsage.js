@@ -0,0 +1,55 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/db');
+
+const DailyUsage = sequelize.define('DailyUsage', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  customer_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'customers',
+      key: 'id'
+    }
+  },
+  usage_date: {
+    type: DataTypes.DATEONLY,
+    allowNull: false
+  },
+  download_bytes: {
+    type: DataTypes.BIGINT,
+    allowNull: false,
+    defaultValue: 0
+  },
+  upload_bytes: {
+    type: DataTypes.BIGINT,
+    allowNull: false,
+    defaultValue: 0
+  },
+  isp_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'isps',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'daily_usage',
+  timestamps: true,
+  indexes: [
+    {
+      // One row per customer per day; ingestion increments it
+      unique: true,
+      fields: ['customer_id', 'usage_date']
+    },
+    {
+      fields: ['isp_id', 'usage_date']
+    }
+  ]
+});
+
+module.exports = DailyUsage;
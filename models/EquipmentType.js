@@ -0,0 +1,70 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/db');
+
+const EquipmentType = sequelize.define('EquipmentType', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+  category: {
+    type: DataTypes.ENUM('ont', 'router', 'switch', 'cable', 'splitter', 'connector', 'other'),
+    allowNull: false,
+    defaultValue: 'other'
+  },
+  brand: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  model_number: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  is_serialized: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true,
+    comment: 'Serialized items are tracked one by one; others (cable, connectors) by quantity'
+  },
+  unit: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: 'piece',
+    comment: 'e.g. piece, meter'
+  },
+  unit_cost: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true
+  },
+  rental_price: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true,
+    comment: 'Default monthly rental when the item is rented to a customer'
+  },
+  low_stock_threshold: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'Alert when warehouse stock falls below this quantity (0 = no alert)'
+  },
+  is_active: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  },
+  isp_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'isps',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'equipment_types',
+  timestamps: true
+});
+
+module.exports = EquipmentType;
@@ -63,6 +63,12 @@ const ISP = sequelize.define('ISP', {
     type: DataTypes.DATE,
     allowNull: true,
     defaultValue: DataTypes.NOW
+  },
+  require_admin_two_factor: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+    comment: 'Business admins must set up two-factor authentication before they can sign in'
   }
 }, {
   tableName: 'isps',
@@ -30,7 +30,13 @@ const Installation = sequelize.define('Installation', {
   },
   scheduled_date: {
     type: DataTypes.DATE,
-    allowNull: true
+    allowNull: true,
+    comment: 'Start of the booked time slot'
+  },
+  scheduled_end: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'End of the booked time slot'
   },
   installation_date: {
     type: DataTypes.DATE,
@@ -57,6 +63,20 @@ const Installation = sequelize.define('Installation', {
     type: DataTypes.TEXT,
     allowNull: true
   },
+  installation_charge: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true,
+    comment: 'One-time installation charge (null = package installation fee)'
+  },
+  bill_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'bills',
+      key: 'id'
+    },
+    comment: 'Bill raised when the installation was completed'
+  },
   installation_notes: {
     type: DataTypes.TEXT,
     allowNull: true
@@ -0,0 +1,110 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/db');
+
+const InventoryItem = sequelize.define('InventoryItem', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  equipment_type_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'equipment_types',
+      key: 'id'
+    }
+  },
+  serial_number: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+    comment: 'Required for serialized equipment'
+  },
+  mac_address: {
+    type: DataTypes.STRING(17),
+    allowNull: true
+  },
+  quantity: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 1,
+    comment: 'Always 1 for serialized equipment'
+  },
+  status: {
+    type: DataTypes.ENUM('in_stock', 'with_technician', 'installed', 'awaiting_return', 'faulty', 'lost', 'retired'),
+    defaultValue: 'in_stock'
+  },
+  warehouse: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+    comment: 'Warehouse holding the item while in stock'
+  },
+  technician_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    comment: 'Technician holding the item'
+  },
+  customer_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'customers',
+      key: 'id'
+    }
+  },
+  installation_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'installations',
+      key: 'id'
+    }
+  },
+  is_rental: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false,
+    comment: 'Rented items add a monthly charge to the customer bill'
+  },
+  rental_price: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true,
+    comment: 'Monthly rental (null = equipment type rental price)'
+  },
+  assigned_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  isp_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'isps',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'inventory_items',
+  timestamps: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['isp_id', 'serial_number']
+    },
+    {
+      fields: ['equipment_type_id', 'status']
+    },
+    {
+      fields: ['customer_id']
+    }
+  ]
+});
+
+module.exports = InventoryItem;
@@ -0,0 +1,101 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/db');
+
+const InventoryMovement = sequelize.define('InventoryMovement', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  item_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'inventory_items',
+      key: 'id'
+    }
+  },
+  action: {
+    type: DataTypes.ENUM(
+      'received',
+      'issued',
+      'returned_to_warehouse',
+      'installed',
+      'return_requested',
+      'returned_from_customer',
+      'written_off'
+    ),
+    allowNull: false
+  },
+  quantity: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 1
+  },
+  from_status: {
+    type: DataTypes.STRING(30),
+    allowNull: true
+  },
+  to_status: {
+    type: DataTypes.STRING(30),
+    allowNull: false
+  },
+  warehouse: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  technician_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  customer_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'customers',
+      key: 'id'
+    }
+  },
+  installation_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'installations',
+      key: 'id'
+    }
+  },
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  created_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  isp_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'isps',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'inventory_movements',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['item_id']
+    }
+  ]
+});
+
+module.exports = InventoryMovement;
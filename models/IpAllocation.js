@@ -0,0 +1,82 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/db');
+
+const IpAllocation = sequelize.define('IpAllocation', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  pool_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'ip_pools',
+      key: 'id'
+    }
+  },
+  ip_address: {
+    type: DataTypes.STRING(45),
+    allowNull: false,
+    comment: 'Canonical form (IPv6 compressed, lowercase)'
+  },
+  status: {
+    type: DataTypes.ENUM('allocated', 'reserved'),
+    defaultValue: 'allocated',
+    comment: 'reserved = held for infrastructure, not a customer'
+  },
+  customer_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'customers',
+      key: 'id'
+    }
+  },
+  installation_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'installations',
+      key: 'id'
+    }
+  },
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  allocated_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  isp_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'isps',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'ip_allocations',
+  timestamps: true,
+  indexes: [
+    {
+      // An address can only be held once per ISP; released addresses are deleted
+      unique: true,
+      fields: ['isp_id', 'ip_address']
+    },
+    {
+      fields: ['pool_id']
+    },
+    {
+      fields: ['customer_id']
+    }
+  ]
+});
+
+module.exports = IpAllocation;
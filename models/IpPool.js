@@ -0,0 +1,61 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/db');
+
+const IpPool = sequelize.define('IpPool', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+  cidr: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    comment: 'Network in CIDR notation, e.g. 10.20.0.0/22 or 2400:cb00:10::/64'
+  },
+  version: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: '4 or 6'
+  },
+  vlan_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  gateway: {
+    type: DataTypes.STRING(45),
+    allowNull: true,
+    comment: 'Gateway address inside the pool (never allocated)'
+  },
+  description: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  is_active: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true,
+    comment: 'Inactive pools keep their allocations but hand out no new addresses'
+  },
+  isp_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'isps',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'ip_pools',
+  timestamps: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['isp_id', 'cidr']
+    }
+  ]
+});
+
+module.exports = IpPool;
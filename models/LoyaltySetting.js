@@ -0,0 +1,52 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/db');
+
+const LoyaltySetting = sequelize.define('LoyaltySetting', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  isp_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    unique: true,
+    references: {
+      model: 'isps',
+      key: 'id'
+    }
+  },
+  is_enabled: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  },
+  earn_rate: {
+    type: DataTypes.DECIMAL(10, 4),
+    allowNull: false,
+    defaultValue: 0.01,
+    comment: 'Points earned per PKR paid'
+  },
+  redeem_rate: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 1.00,
+    comment: 'PKR credit given per point redeemed'
+  },
+  min_redeem_points: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'Minimum points required for a single redemption'
+  },
+  expiry_months: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    defaultValue: 12,
+    comment: 'Months after which earned points expire (null = never)'
+  }
+}, {
+  tableName: 'loyalty_settings',
+  timestamps: true
+});
+
+module.exports = LoyaltySetting;
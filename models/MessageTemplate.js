@@ -0,0 +1,69 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/db');
+
+const MessageTemplate = sequelize.define('MessageTemplate', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  isp_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'isps',
+      key: 'id'
+    }
+  },
+  event: {
+    type: DataTypes.ENUM('bill_generated', 'bill_reminder', 'overdue', 'suspension', 'reactivation', 'payment_received', 'portal_invite', 'installation_completed', 'data_usage_alert', 'password_reset', 'email_verification'),
+    allowNull: false
+  },
+  channel: {
+    type: DataTypes.ENUM('email', 'sms', 'whatsapp'),
+    allowNull: false
+  },
+  locale: {
+    type: DataTypes.ENUM('en', 'ur'),
+    allowNull: false,
+    defaultValue: 'en'
+  },
+  subject: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    comment: 'Email subject (email channel only)'
+  },
+  body: {
+    type: DataTypes.TEXT,
+    allowNull: false,
+    comment: 'Message text with {{variable}} placeholders, e.g. {{customer.name}}'
+  },
+  html_body: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: 'Optional HTML version for email (generated from body when empty)'
+  },
+  is_active: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  },
+  updated_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'message_templates',
+  timestamps: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['isp_id', 'event', 'channel', 'locale']
+    }
+  ]
+});
+
+module.exports = MessageTemplate;
@@ -0,0 +1,75 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/db');
+
+const NetworkSetting = sequelize.define('NetworkSetting', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  isp_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    unique: true,
+    references: {
+      model: 'isps',
+      key: 'id'
+    }
+  },
+  backend: {
+    type: DataTypes.ENUM('freeradius', 'mock'),
+    allowNull: false,
+    defaultValue: 'freeradius',
+    comment: 'freeradius = FreeRADIUS SQL tables, mock = local JSON files (testing)'
+  },
+  is_enabled: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  },
+  config_json: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: 'Backend connection, e.g. {"dialect": "mysql", "host": "...", "port": 3306, "database": "radius", "username": "...", "password": "..."}'
+  },
+  active_group: {
+    type: DataTypes.STRING(64),
+    allowNull: true,
+    comment: 'RADIUS group for active customers (null = no group)'
+  },
+  suspended_group: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    defaultValue: 'suspended',
+    comment: 'RADIUS group for suspended customers, e.g. a captive payment page'
+  },
+  reject_suspended: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true,
+    comment: 'Reject authentication of suspended customers (Auth-Type := Reject)'
+  },
+  rate_limit_attribute: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    defaultValue: 'Mikrotik-Rate-Limit',
+    comment: 'Reply attribute carrying the package speed as "<rx>M/<tx>M"'
+  },
+  auto_reconcile: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false,
+    comment: 'Let the daily reconciliation job correct drift instead of only reporting it'
+  },
+  accounting_secret: {
+    type: DataTypes.STRING(128),
+    allowNull: true,
+    comment: 'Shared secret the RADIUS accounting collector sends in X-Accounting-Secret'
+  },
+  last_reconciled_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'network_settings',
+  timestamps: true
+});
+
+module.exports = NetworkSetting;
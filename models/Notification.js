@@ -45,7 +45,8 @@ const Notification = sequelize.define('Notification', {
       'subscription_renewed',
       'business_suspended',
       'business_reactivated',
-      'installation_completed'
+      'installation_completed',
+      'data_usage_alert'
     ),
     allowNull: false
   },
@@ -25,6 +25,12 @@ const Package = sequelize.define('Package', {
     allowNull: true,
     comment: 'Monthly data limit in GB (null = unlimited)'
   },
+  installation_fee: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'One-time charge billed when an installation on this package is completed'
+  },
   duration: {
     type: DataTypes.INTEGER,
     defaultValue: 1,
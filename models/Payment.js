@@ -28,8 +28,9 @@ const Payment = sequelize.define('Payment', {
     allowNull: false
   },
   method: {
-    type: DataTypes.ENUM('cash', 'card', 'online', 'bank_transfer', 'jazzcash', 'easypaisa', 'stripe', 'paypal'),
-    allowNull: false
+    type: DataTypes.ENUM('cash', 'card', 'online', 'bank_transfer', 'jazzcash', 'easypaisa', 'stripe', 'paypal', 'wallet'),
+    allowNull: false,
+    comment: 'wallet = customer credit balance applied to the bill'
   },
   transaction_id: {
     type: DataTypes.STRING(100),
@@ -45,6 +46,11 @@ const Payment = sequelize.define('Payment', {
     allowNull: false,
     defaultValue: DataTypes.NOW
   },
+  refunded_amount: {
+    type: DataTypes.DECIMAL(10, 2),
+    defaultValue: 0,
+    comment: 'Total refunded; amount stays as received. A full refund sets status to refunded'
+  },
   receipt_number: {
     type: DataTypes.STRING(50),
     allowNull: true,
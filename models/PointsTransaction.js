@@ -0,0 +1,96 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/db');
+
+const PointsTransaction = sequelize.define('PointsTransaction', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  customer_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'customers',
+      key: 'id'
+    }
+  },
+  type: {
+    type: DataTypes.ENUM('earn', 'redeem', 'expire', 'adjust'),
+    allowNull: false
+  },
+  points: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    comment: 'Signed points movement (positive = credit, negative = debit)'
+  },
+  balance_after: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    comment: 'Customer points balance after this transaction'
+  },
+  remaining_points: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true,
+    comment: 'Unspent points left on an earn entry (consumed FIFO by redeem/expire)'
+  },
+  expires_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'When the unspent points of an earn entry expire'
+  },
+  payment_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'payments',
+      key: 'id'
+    }
+  },
+  bill_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'bills',
+      key: 'id'
+    }
+  },
+  amount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true,
+    comment: 'PKR value (payment amount for earn, credit amount for redeem)'
+  },
+  description: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  created_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  isp_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'isps',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'points_transactions',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['customer_id', 'type']
+    },
+    {
+      fields: ['expires_at']
+    }
+  ]
+});
+
+module.exports = PointsTransaction;
@@ -0,0 +1,94 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/db');
+
+const PortalInvite = sequelize.define('PortalInvite', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  customer_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'customers',
+      key: 'id'
+    }
+  },
+  channel: {
+    type: DataTypes.ENUM('email', 'sms', 'link'),
+    allowNull: false,
+    defaultValue: 'email',
+    comment: 'How the invite was delivered (link = shared manually by staff)'
+  },
+  sent_to: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+    comment: 'Email address or phone number the invite was sent to'
+  },
+  token_hash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: true,
+    comment: 'SHA-256 of the invite link token'
+  },
+  otp_hash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    comment: 'SHA-256 of the one-time code'
+  },
+  otp_attempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'Failed one-time code attempts'
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'claimed', 'revoked'),
+    allowNull: false,
+    defaultValue: 'pending'
+  },
+  expires_at: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  claimed_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  user_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    comment: 'Portal account that claimed the invite'
+  },
+  created_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  isp_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'isps',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'portal_invites',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['customer_id', 'status']
+    }
+  ]
+});
+
+module.exports = PortalInvite;
@@ -0,0 +1,36 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/db');
+
+const RateLimitCounter = sequelize.define('RateLimitCounter', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  key: {
+    type: DataTypes.STRING(191),
+    allowNull: false,
+    unique: true,
+    comment: 'Limiter name and what is counted, e.g. login:ip:203.0.113.7'
+  },
+  count: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  expires_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    comment: 'End of the current window; the counter starts over after this'
+  }
+}, {
+  tableName: 'rate_limit_counters',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['expires_at']
+    }
+  ]
+});
+
+module.exports = RateLimitCounter;
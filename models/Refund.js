@@ -0,0 +1,87 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/db');
+
+const Refund = sequelize.define('Refund', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  credit_note_number: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    unique: true
+  },
+  payment_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'payments',
+      key: 'id'
+    }
+  },
+  bill_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'bills',
+      key: 'id'
+    }
+  },
+  customer_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'customers',
+      key: 'id'
+    }
+  },
+  amount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false
+  },
+  type: {
+    type: DataTypes.ENUM('full', 'partial'),
+    allowNull: false
+  },
+  method: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    comment: 'Method the money was returned through (same as the original payment)'
+  },
+  reason: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  gateway_refund_id: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+    comment: 'Refund ID returned by the payment gateway (e.g., Stripe re_...)'
+  },
+  refund_date: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  created_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  isp_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'isps',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'refunds',
+  timestamps: true
+});
+
+module.exports = Refund;
@@ -32,7 +32,7 @@ const SaaSPackage = sequelize.define('SaaSPackage', {
   features_json: {
     type: DataTypes.JSON,
     allowNull: true,
-    comment: 'JSON object with package features: {max_customers: 100, max_users: 5, analytics: true}'
+    comment: 'JSON object with package features: {max_customers: 100, max_users: 5, analytics: true, automation: true}'
   },
   max_customers: {
     type: DataTypes.INTEGER,
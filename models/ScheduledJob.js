@@ -0,0 +1,90 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/db');
+
+const ScheduledJob = sequelize.define('ScheduledJob', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  type: {
+    type: DataTypes.ENUM('generate_bills', 'bill_reminders', 'process_overdue', 'reset_data_usage', 'auto_suspend', 'network_reconcile', 'prune_usage_sessions', 'prune_auth_sessions', 'prune_rate_limits', 'expire_points', 'auto_backup'),
+    allowNull: false
+  },
+  run_key: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    unique: true,
+    comment: 'Idempotency key: type:isp:period, e.g. generate_bills:isp3:2024-05'
+  },
+  period: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    comment: 'Scheduled period this run covers (YYYY-MM or YYYY-MM-DD)'
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'running', 'completed', 'failed'),
+    defaultValue: 'pending'
+  },
+  attempts: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  max_attempts: {
+    type: DataTypes.INTEGER,
+    defaultValue: 5
+  },
+  run_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW,
+    comment: 'Earliest time the job may run (pushed back on retry)'
+  },
+  locked_by: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+    comment: 'Server instance currently running the job'
+  },
+  locked_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  started_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  finished_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  result: {
+    type: DataTypes.JSON,
+    allowNull: true
+  },
+  last_error: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  isp_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'isps',
+      key: 'id'
+    },
+    comment: 'Tenant the job runs for (null for platform-wide jobs such as backups)'
+  }
+}, {
+  tableName: 'scheduled_jobs',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['status', 'run_at']
+    },
+    {
+      fields: ['isp_id', 'type']
+    }
+  ]
+});
+
+module.exports = ScheduledJob;
@@ -0,0 +1,100 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/db');
+
+const SmsMessage = sequelize.define('SmsMessage', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  to: {
+    type: DataTypes.STRING(30),
+    allowNull: false
+  },
+  body: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  provider: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    comment: 'twilio, http, outbox or none (not configured)'
+  },
+  provider_message_id: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  status: {
+    type: DataTypes.ENUM('queued', 'sent', 'delivered', 'undelivered', 'failed'),
+    defaultValue: 'queued'
+  },
+  cost: {
+    type: DataTypes.DECIMAL(10, 4),
+    allowNull: true
+  },
+  currency: {
+    type: DataTypes.STRING(10),
+    allowNull: true
+  },
+  retry_count: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  next_retry_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'When a queued message whose send failed is tried again'
+  },
+  error_message: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  sent_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  delivered_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  notification_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'notifications',
+      key: 'id'
+    }
+  },
+  customer_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'customers',
+      key: 'id'
+    }
+  },
+  isp_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'isps',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'sms_messages',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['provider', 'provider_message_id']
+    },
+    {
+      fields: ['isp_id', 'status']
+    },
+    {
+      fields: ['status', 'next_retry_at']
+    }
+  ]
+});
+
+module.exports = SmsMessage;
@@ -0,0 +1,59 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/db');
+
+const SmsSetting = sequelize.define('SmsSetting', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  isp_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    unique: true,
+    references: {
+      model: 'isps',
+      key: 'id'
+    }
+  },
+  provider: {
+    type: DataTypes.ENUM('twilio', 'http', 'outbox'),
+    allowNull: false,
+    defaultValue: 'http',
+    comment: 'twilio = Twilio REST API, http = generic HTTP gateway, outbox = write to local files (testing)'
+  },
+  is_enabled: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  },
+  sender_id: {
+    type: DataTypes.STRING(50),
+    allowNull: true,
+    comment: 'From number or alphanumeric sender ID'
+  },
+  config_json: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: 'Provider credentials, e.g. {"account_sid": "...", "auth_token": "..."} or {"api_url": "...", "api_key": "..."}'
+  },
+  cost_per_message: {
+    type: DataTypes.DECIMAL(10, 4),
+    allowNull: true,
+    comment: 'Fallback cost per message when the provider does not report one'
+  },
+  max_retries: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 2
+  },
+  webhook_secret: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+    comment: 'Shared secret the HTTP gateway sends with delivery receipts'
+  }
+}, {
+  tableName: 'sms_settings',
+  timestamps: true
+});
+
+module.exports = SmsSetting;
@@ -0,0 +1,75 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/db');
+
+const UsageImport = sequelize.define('UsageImport', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  filename: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  checksum: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    comment: 'SHA-256 of the file, so the same file is not counted twice'
+  },
+  format: {
+    type: DataTypes.ENUM('csv', 'nfdump'),
+    allowNull: false
+  },
+  total_rows: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  matched_rows: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  unmatched_rows: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  invalid_rows: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  total_bytes: {
+    type: DataTypes.BIGINT,
+    defaultValue: 0
+  },
+  unmatched_identifiers: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: 'Sample of usernames/addresses that matched no customer'
+  },
+  imported_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  isp_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'isps',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'usage_imports',
+  timestamps: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['isp_id', 'checksum']
+    }
+  ]
+});
+
+module.exports = UsageImport;
@@ -0,0 +1,73 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/db');
+
+const UsageSession = sequelize.define('UsageSession', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  session_key: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+    comment: 'Acct-Unique-Session-Id, or NAS|username|Acct-Session-Id'
+  },
+  username: {
+    type: DataTypes.STRING(128),
+    allowNull: false
+  },
+  customer_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'customers',
+      key: 'id'
+    }
+  },
+  input_bytes: {
+    type: DataTypes.BIGINT,
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'Highest Acct-Input-Octets (with gigawords) seen, i.e. uploaded by the customer'
+  },
+  output_bytes: {
+    type: DataTypes.BIGINT,
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'Highest Acct-Output-Octets (with gigawords) seen, i.e. downloaded by the customer'
+  },
+  started_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  last_update_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  stopped_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  isp_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'isps',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'usage_sessions',
+  timestamps: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['isp_id', 'session_key']
+    },
+    {
+      fields: ['last_update_at']
+    }
+  ]
+});
+
+module.exports = UsageSession;
@@ -37,10 +37,45 @@ const User = sequelize.define('User', {
       key: 'id'
     }
   },
+  customer_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    unique: true,
+    references: {
+      model: 'customers',
+      key: 'id'
+    },
+    comment: 'Customer record this portal account belongs to (customer role only)'
+  },
+  role_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'roles',
+      key: 'id'
+    },
+    comment: 'Custom or system role granting permissions; falls back to the role column when null'
+  },
   is_active: {
     type: DataTypes.BOOLEAN,
     defaultValue: true
   },
+  email_verified: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true,
+    comment: 'False for self-registered customers until they confirm their email'
+  },
+  email_verified_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  two_factor_enabled: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+    comment: 'Login asks for an authenticator code; the secret lives in user_two_factor'
+  },
   last_login: {
     type: DataTypes.DATE,
     allowNull: true
@@ -58,6 +93,26 @@ const User = sequelize.define('User', {
       if (user.changed('password')) {
         user.password = await bcrypt.hash(user.password, 10);
       }
+    },
+    // Sign the user out everywhere when their credentials, access or permissions change.
+    // Pass { keepSessionId } to save()/update() to keep the session making the change.
+    afterUpdate: async (user, options) => {
+      let reason = null;
+      if (user.changed('password')) {
+        reason = 'password_changed';
+      } else if (user.changed('is_active') && !user.is_active) {
+        reason = 'deactivated';
+      } else if (user.changed('role') || user.changed('role_id')) {
+        reason = 'role_changed';
+      }
+
+      if (reason) {
+        const { revokeUserSessions } = require('../utils/authSessions');
+        await revokeUserSessions(user.id, reason, {
+          exceptSessionId: options.keepSessionId,
+          transaction: options.transaction
+        });
+      }
     }
   }
 });
@@ -0,0 +1,60 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/db');
+
+const UserTwoFactor = sequelize.define('UserTwoFactor', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  user_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    unique: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  secret: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: 'Encrypted TOTP secret, set once enrolment is confirmed'
+  },
+  pending_secret: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: 'Encrypted TOTP secret awaiting its first valid code'
+  },
+  backup_code_hashes: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: [],
+    comment: 'SHA-256 of each unused backup code'
+  },
+  last_used_step: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'TOTP time step of the last accepted code, so a code cannot be used twice'
+  },
+  failed_attempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  locked_until: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Codes are refused until then after too many wrong ones'
+  },
+  enabled_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'user_two_factor',
+  timestamps: true
+});
+
+module.exports = UserTwoFactor;
@@ -0,0 +1,88 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/db');
+
+const WalletTransaction = sequelize.define('WalletTransaction', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  customer_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'customers',
+      key: 'id'
+    }
+  },
+  type: {
+    type: DataTypes.ENUM('overpayment', 'advance', 'applied', 'refund', 'adjustment'),
+    allowNull: false,
+    comment: 'overpayment/advance credit the wallet, applied debits it against a bill'
+  },
+  amount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    comment: 'Signed amount (positive = credit, negative = debit)'
+  },
+  balance_after: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    comment: 'Customer credit balance after this transaction'
+  },
+  bill_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'bills',
+      key: 'id'
+    }
+  },
+  payment_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'payments',
+      key: 'id'
+    },
+    comment: 'Source payment for credits, or the wallet payment created when applied'
+  },
+  reference: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+    comment: 'External reference (e.g., gateway transaction ID)'
+  },
+  description: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  created_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  isp_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'isps',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'wallet_transactions',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['customer_id']
+    },
+    {
+      fields: ['reference']
+    }
+  ]
+});
+
+module.exports = WalletTransaction;
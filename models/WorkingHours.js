@@ -0,0 +1,52 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/db');
+
+const WorkingHours = sequelize.define('WorkingHours', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  technician_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  day_of_week: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: '0 = Sunday ... 6 = Saturday'
+  },
+  start_time: {
+    type: DataTypes.STRING(5),
+    allowNull: false,
+    comment: 'HH:mm (server time)'
+  },
+  end_time: {
+    type: DataTypes.STRING(5),
+    allowNull: false,
+    comment: 'HH:mm (server time)'
+  },
+  isp_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'isps',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'technician_working_hours',
+  timestamps: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['technician_id', 'day_of_week']
+    }
+  ]
+});
+
+module.exports = WorkingHours;
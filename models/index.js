@@ -13,6 +13,36 @@ const Permission = require('./Permission');
 const RolePermission = require('./RolePermission');
 const SaaSPackage = require('./SaaSPackage');
 const AutomationLog = require('./AutomationLog');
+const LoyaltySetting = require('./LoyaltySetting');
+const PointsTransaction = require('./PointsTransaction');
+const WalletTransaction = require('./WalletTransaction');
+const Refund = require('./Refund');
+const SmsSetting = require('./SmsSetting');
+const SmsMessage = require('./SmsMessage');
+const MessageTemplate = require('./MessageTemplate');
+const ScheduledJob = require('./ScheduledJob');
+const BillingPolicy = require('./BillingPolicy');
+const BillingAdjustment = require('./BillingAdjustment');
+const BillLineItem = require('./BillLineItem');
+const PortalInvite = require('./PortalInvite');
+const CashSettlement = require('./CashSettlement');
+const CashTransaction = require('./CashTransaction');
+const CommissionRule = require('./CommissionRule');
+const CommissionStatement = require('./CommissionStatement');
+const WorkingHours = require('./WorkingHours');
+const EquipmentType = require('./EquipmentType');
+const InventoryItem = require('./InventoryItem');
+const InventoryMovement = require('./InventoryMovement');
+const IpPool = require('./IpPool');
+const IpAllocation = require('./IpAllocation');
+const NetworkSetting = require('./NetworkSetting');
+const DailyUsage = require('./DailyUsage');
+const UsageSession = require('./UsageSession');
+const UsageImport = require('./UsageImport');
+const AuthSession = require('./AuthSession');
+const AccountToken = require('./AccountToken');
+const UserTwoFactor = require('./UserTwoFactor');
+const RateLimitCounter = require('./RateLimitCounter');
 
 // Define associations
 User.belongsTo(ISP, { foreignKey: 'isp_id', as: 'isp' });
@@ -64,6 +94,7 @@ Installation.belongsTo(User, { foreignKey: 'technical_officer_id', as: 'technica
 User.hasMany(Installation, { foreignKey: 'technical_officer_id', as: 'installations' });
 
 Installation.belongsTo(ISP, { foreignKey: 'isp_id', as: 'isp' });
+Installation.belongsTo(Bill, { foreignKey: 'bill_id', as: 'bill' });
 ISP.hasMany(Installation, { foreignKey: 'isp_id', as: 'installations' });
 
 Notification.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
@@ -108,8 +139,198 @@ Customer.hasMany(AutomationLog, { foreignKey: 'customer_id', as: 'automationLogs
 AutomationLog.belongsTo(Bill, { foreignKey: 'invoice_id', as: 'invoice' });
 Bill.hasMany(AutomationLog, { foreignKey: 'invoice_id', as: 'automationLogs' });
 
-// User to Role relationship (optional - for future use)
-// User.belongsTo(Role, { foreignKey: 'role_id', as: 'roleDetails' });
+// Loyalty Points Associations
+LoyaltySetting.belongsTo(ISP, { foreignKey: 'isp_id', as: 'isp' });
+ISP.hasOne(LoyaltySetting, { foreignKey: 'isp_id', as: 'loyaltySetting' });
+
+PointsTransaction.belongsTo(Customer, { foreignKey: 'customer_id', as: 'customer' });
+Customer.hasMany(PointsTransaction, { foreignKey: 'customer_id', as: 'pointsTransactions' });
+
+PointsTransaction.belongsTo(Payment, { foreignKey: 'payment_id', as: 'payment' });
+Payment.hasMany(PointsTransaction, { foreignKey: 'payment_id', as: 'pointsTransactions' });
+
+PointsTransaction.belongsTo(Bill, { foreignKey: 'bill_id', as: 'bill' });
+Bill.hasMany(PointsTransaction, { foreignKey: 'bill_id', as: 'pointsTransactions' });
+
+PointsTransaction.belongsTo(ISP, { foreignKey: 'isp_id', as: 'isp' });
+ISP.hasMany(PointsTransaction, { foreignKey: 'isp_id', as: 'pointsTransactions' });
+
+// Customer Wallet Associations
+WalletTransaction.belongsTo(Customer, { foreignKey: 'customer_id', as: 'customer' });
+Customer.hasMany(WalletTransaction, { foreignKey: 'customer_id', as: 'walletTransactions' });
+
+WalletTransaction.belongsTo(Bill, { foreignKey: 'bill_id', as: 'bill' });
+Bill.hasMany(WalletTransaction, { foreignKey: 'bill_id', as: 'walletTransactions' });
+
+WalletTransaction.belongsTo(Payment, { foreignKey: 'payment_id', as: 'payment' });
+Payment.hasMany(WalletTransaction, { foreignKey: 'payment_id', as: 'walletTransactions' });
+
+WalletTransaction.belongsTo(User, { foreignKey: 'created_by', as: 'createdBy' });
+
+WalletTransaction.belongsTo(ISP, { foreignKey: 'isp_id', as: 'isp' });
+ISP.hasMany(WalletTransaction, { foreignKey: 'isp_id', as: 'walletTransactions' });
+
+// Refund Associations
+Refund.belongsTo(Payment, { foreignKey: 'payment_id', as: 'payment' });
+Payment.hasMany(Refund, { foreignKey: 'payment_id', as: 'refunds' });
+
+Refund.belongsTo(Bill, { foreignKey: 'bill_id', as: 'bill' });
+Bill.hasMany(Refund, { foreignKey: 'bill_id', as: 'refunds' });
+
+Refund.belongsTo(Customer, { foreignKey: 'customer_id', as: 'customer' });
+Customer.hasMany(Refund, { foreignKey: 'customer_id', as: 'refunds' });
+
+Refund.belongsTo(User, { foreignKey: 'created_by', as: 'createdBy' });
+
+Refund.belongsTo(ISP, { foreignKey: 'isp_id', as: 'isp' });
+ISP.hasMany(Refund, { foreignKey: 'isp_id', as: 'refunds' });
+
+// SMS Associations
+SmsSetting.belongsTo(ISP, { foreignKey: 'isp_id', as: 'isp' });
+ISP.hasOne(SmsSetting, { foreignKey: 'isp_id', as: 'smsSetting' });
+
+SmsMessage.belongsTo(Notification, { foreignKey: 'notification_id', as: 'notification' });
+Notification.hasMany(SmsMessage, { foreignKey: 'notification_id', as: 'smsMessages' });
+
+SmsMessage.belongsTo(Customer, { foreignKey: 'customer_id', as: 'customer' });
+Customer.hasMany(SmsMessage, { foreignKey: 'customer_id', as: 'smsMessages' });
+
+SmsMessage.belongsTo(ISP, { foreignKey: 'isp_id', as: 'isp' });
+ISP.hasMany(SmsMessage, { foreignKey: 'isp_id', as: 'smsMessages' });
+
+// Message Template Associations
+MessageTemplate.belongsTo(ISP, { foreignKey: 'isp_id', as: 'isp' });
+ISP.hasMany(MessageTemplate, { foreignKey: 'isp_id', as: 'messageTemplates' });
+
+MessageTemplate.belongsTo(User, { foreignKey: 'updated_by', as: 'updatedBy' });
+
+// Scheduled Job Associations
+ScheduledJob.belongsTo(ISP, { foreignKey: 'isp_id', as: 'isp' });
+ISP.hasMany(ScheduledJob, { foreignKey: 'isp_id', as: 'scheduledJobs' });
+
+// Billing Policy Associations
+BillingPolicy.belongsTo(ISP, { foreignKey: 'isp_id', as: 'isp' });
+ISP.hasOne(BillingPolicy, { foreignKey: 'isp_id', as: 'billingPolicy' });
+
+BillingPolicy.belongsTo(User, { foreignKey: 'updated_by', as: 'updatedBy' });
+
+// Billing Adjustment Associations
+BillingAdjustment.belongsTo(Customer, { foreignKey: 'customer_id', as: 'customer' });
+Customer.hasMany(BillingAdjustment, { foreignKey: 'customer_id', as: 'billingAdjustments' });
+
+BillingAdjustment.belongsTo(Bill, { foreignKey: 'bill_id', as: 'bill' });
+Bill.hasMany(BillingAdjustment, { foreignKey: 'bill_id', as: 'adjustments' });
+
+BillingAdjustment.belongsTo(User, { foreignKey: 'created_by', as: 'createdBy' });
+
+// Bill Line Item Associations
+BillLineItem.belongsTo(Bill, { foreignKey: 'bill_id', as: 'bill' });
+Bill.hasMany(BillLineItem, { foreignKey: 'bill_id', as: 'lineItems' });
+
+BillLineItem.belongsTo(Package, { foreignKey: 'package_id', as: 'package' });
+
+BillLineItem.belongsTo(BillingAdjustment, { foreignKey: 'adjustment_id', as: 'adjustment' });
+
+// Customer Portal Associations
+User.belongsTo(Customer, { foreignKey: 'customer_id', as: 'customer' });
+Customer.hasOne(User, { foreignKey: 'customer_id', as: 'portalUser' });
+
+PortalInvite.belongsTo(Customer, { foreignKey: 'customer_id', as: 'customer' });
+Customer.hasMany(PortalInvite, { foreignKey: 'customer_id', as: 'portalInvites' });
+
+PortalInvite.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
+PortalInvite.belongsTo(User, { foreignKey: 'created_by', as: 'createdBy' });
+
+// Cash Custody Associations
+CashTransaction.belongsTo(User, { foreignKey: 'officer_id', as: 'officer' });
+User.hasMany(CashTransaction, { foreignKey: 'officer_id', as: 'cashTransactions' });
+
+CashTransaction.belongsTo(Payment, { foreignKey: 'payment_id', as: 'payment' });
+CashTransaction.belongsTo(Recovery, { foreignKey: 'recovery_id', as: 'recovery' });
+CashTransaction.belongsTo(User, { foreignKey: 'created_by', as: 'createdBy' });
+
+CashTransaction.belongsTo(CashSettlement, { foreignKey: 'settlement_id', as: 'settlement' });
+CashSettlement.hasMany(CashTransaction, { foreignKey: 'settlement_id', as: 'transactions' });
+
+CashSettlement.belongsTo(User, { foreignKey: 'officer_id', as: 'officer' });
+User.hasMany(CashSettlement, { foreignKey: 'officer_id', as: 'cashSettlements' });
+
+CashSettlement.belongsTo(User, { foreignKey: 'settled_by', as: 'settledBy' });
+
+// Commission Associations
+CommissionRule.belongsTo(User, { foreignKey: 'officer_id', as: 'officer' });
+CommissionRule.belongsTo(User, { foreignKey: 'created_by', as: 'createdBy' });
+CommissionRule.belongsTo(ISP, { foreignKey: 'isp_id', as: 'isp' });
+
+CommissionStatement.belongsTo(User, { foreignKey: 'officer_id', as: 'officer' });
+User.hasMany(CommissionStatement, { foreignKey: 'officer_id', as: 'commissionStatements' });
+
+CommissionStatement.belongsTo(CommissionRule, { foreignKey: 'rule_id', as: 'rule' });
+CommissionStatement.belongsTo(User, { foreignKey: 'approved_by', as: 'approvedBy' });
+CommissionStatement.belongsTo(User, { foreignKey: 'paid_by', as: 'paidBy' });
+
+// Technician Scheduling Associations
+WorkingHours.belongsTo(User, { foreignKey: 'technician_id', as: 'technician' });
+User.hasMany(WorkingHours, { foreignKey: 'technician_id', as: 'workingHours' });
+
+// Inventory Associations
+EquipmentType.hasMany(InventoryItem, { foreignKey: 'equipment_type_id', as: 'items' });
+InventoryItem.belongsTo(EquipmentType, { foreignKey: 'equipment_type_id', as: 'equipmentType' });
+
+InventoryItem.belongsTo(User, { foreignKey: 'technician_id', as: 'technician' });
+User.hasMany(InventoryItem, { foreignKey: 'technician_id', as: 'equipmentCustody' });
+
+InventoryItem.belongsTo(Customer, { foreignKey: 'customer_id', as: 'customer' });
+Customer.hasMany(InventoryItem, { foreignKey: 'customer_id', as: 'equipment' });
+
+InventoryItem.belongsTo(Installation, { foreignKey: 'installation_id', as: 'installation' });
+Installation.hasMany(InventoryItem, { foreignKey: 'installation_id', as: 'equipment' });
+
+InventoryItem.hasMany(InventoryMovement, { foreignKey: 'item_id', as: 'movements' });
+InventoryMovement.belongsTo(InventoryItem, { foreignKey: 'item_id', as: 'item' });
+InventoryMovement.belongsTo(User, { foreignKey: 'technician_id', as: 'technician' });
+InventoryMovement.belongsTo(Customer, { foreignKey: 'customer_id', as: 'customer' });
+InventoryMovement.belongsTo(User, { foreignKey: 'created_by', as: 'createdBy' });
+
+// IPAM Associations
+IpPool.hasMany(IpAllocation, { foreignKey: 'pool_id', as: 'allocations' });
+IpAllocation.belongsTo(IpPool, { foreignKey: 'pool_id', as: 'pool' });
+
+IpAllocation.belongsTo(Customer, { foreignKey: 'customer_id', as: 'customer' });
+Customer.hasMany(IpAllocation, { foreignKey: 'customer_id', as: 'ipAllocations' });
+
+IpAllocation.belongsTo(Installation, { foreignKey: 'installation_id', as: 'installation' });
+Installation.hasOne(IpAllocation, { foreignKey: 'installation_id', as: 'ipAllocation' });
+
+IpAllocation.belongsTo(User, { foreignKey: 'allocated_by', as: 'allocatedBy' });
+
+// Network Enforcement Associations
+ISP.hasOne(NetworkSetting, { foreignKey: 'isp_id', as: 'networkSetting' });
+NetworkSetting.belongsTo(ISP, { foreignKey: 'isp_id', as: 'isp' });
+
+// Usage Associations
+Customer.hasMany(DailyUsage, { foreignKey: 'customer_id', as: 'dailyUsage' });
+DailyUsage.belongsTo(Customer, { foreignKey: 'customer_id', as: 'customer' });
+
+UsageSession.belongsTo(Customer, { foreignKey: 'customer_id', as: 'customer' });
+
+UsageImport.belongsTo(User, { foreignKey: 'imported_by', as: 'importedBy' });
+
+// Auth Session Associations
+User.hasMany(AuthSession, { foreignKey: 'user_id', as: 'authSessions', onDelete: 'CASCADE' });
+AuthSession.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
+
+// Account Token Associations
+User.hasMany(AccountToken, { foreignKey: 'user_id', as: 'accountTokens', onDelete: 'CASCADE' });
+AccountToken.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
+
+// Two-Factor Associations
+User.hasOne(UserTwoFactor, { foreignKey: 'user_id', as: 'twoFactor', onDelete: 'CASCADE' });
+UserTwoFactor.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
+
+// User to Role relationship
+User.belongsTo(Role, { foreignKey: 'role_id', as: 'roleDetails' });
+Role.hasMany(User, { foreignKey: 'role_id', as: 'users' });
 
 module.exports = {
   User,
@@ -126,6 +347,36 @@ module.exports = {
   Permission,
   RolePermission,
   SaaSPackage,
-  AutomationLog
+  AutomationLog,
+  LoyaltySetting,
+  PointsTransaction,
+  WalletTransaction,
+  Refund,
+  SmsSetting,
+  SmsMessage,
+  MessageTemplate,
+  ScheduledJob,
+  BillingPolicy,
+  BillingAdjustment,
+  BillLineItem,
+  PortalInvite,
+  CashSettlement,
+  CashTransaction,
+  CommissionRule,
+  CommissionStatement,
+  WorkingHours,
+  EquipmentType,
+  InventoryItem,
+  InventoryMovement,
+  IpPool,
+  IpAllocation,
+  NetworkSetting,
+  DailyUsage,
+  UsageSession,
+  UsageImport,
+  AuthSession,
+  AccountToken,
+  UserTwoFactor,
+  RateLimitCounter
 };
 
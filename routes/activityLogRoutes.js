@@ -6,14 +6,14 @@ const {
   getEntityActivityLogs
 } = require('../controllers/activityLogController');
 const authMiddleware = require('../middlewares/authMiddleware');
-const { roleMiddleware, ispMiddleware } = require('../middlewares/roleMiddleware');
+const { permissionMiddleware, ispMiddleware } = require('../middlewares/roleMiddleware');
 
 router.use(authMiddleware);
 router.use(ispMiddleware);
 
-router.get('/', roleMiddleware('admin', 'super_admin'), getActivityLogs);
-router.get('/:id', roleMiddleware('admin', 'super_admin'), getActivityLog);
-router.get('/entity/:entity_type/:entity_id', roleMiddleware('admin', 'super_admin'), getEntityActivityLogs);
+router.get('/', permissionMiddleware('view_activity_logs'), getActivityLogs);
+router.get('/:id', permissionMiddleware('view_activity_logs'), getActivityLog);
+router.get('/entity/:entity_type/:entity_id', permissionMiddleware('view_activity_logs'), getEntityActivityLogs);
 
 module.exports = router;
 
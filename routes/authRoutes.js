@@ -1,8 +1,31 @@
 const express = require('express');
 const router = express.Router();
 const { body } = require('express-validator');
-const { register, login, getMe } = require('../controllers/authController');
+const {
+  register,
+  login,
+  claimPortal,
+  getMe,
+  refreshToken,
+  logout,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
+  verifyLoginTwoFactor,
+  setupLoginTwoFactor,
+  enableLoginTwoFactor,
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateBackupCodes
+} = require('../controllers/authController');
 const authMiddleware = require('../middlewares/authMiddleware');
+const { rateLimit, keyByIp, keyByBodyField } = require('../middlewares/rateLimitMiddleware');
 
 // Validation rules
 const registerValidation = [
@@ -17,14 +40,96 @@ const loginValidation = [
   body('password').notEmpty().withMessage('Password is required')
 ];
 
+const claimPortalValidation = [
+  body('token').optional().isString().withMessage('Invalid invite token'),
+  body('customer_id').if(body('token').not().exists()).notEmpty().withMessage('Account ID is required'),
+  body('otp').if(body('token').not().exists()).isLength({ min: 6, max: 6 }).withMessage('Code must be 6 digits'),
+  body('email').optional().isEmail().withMessage('Please provide a valid email'),
+  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+];
+
+const refreshValidation = [
+  body('refresh_token').isString().notEmpty().withMessage('Refresh token is required')
+];
+
+const forgotPasswordValidation = [
+  body('email').isEmail().withMessage('Please provide a valid email')
+];
+
+const resetPasswordValidation = [
+  body('token').isString().notEmpty().withMessage('Reset token is required'),
+  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+];
+
+const verifyEmailValidation = [
+  body('token').isString().notEmpty().withMessage('Verification token is required')
+];
+
+const challengeValidation = [
+  body('challenge_token').isString().notEmpty().withMessage('Challenge token is required')
+];
+
+const totpValidation = [
+  body('code').matches(/^\d{6}$/).withMessage('Code must be 6 digits')
+];
+
+// Either a code from the authenticator app or one of the backup codes
+const secondFactorValidation = [
+  body('code').if(body('backup_code').not().exists()).matches(/^\d{6}$/).withMessage('Code must be 6 digits'),
+  body('backup_code').optional().isString().notEmpty().withMessage('Invalid backup code')
+];
+
+const disableTwoFactorValidation = [
+  body('password').notEmpty().withMessage('Password is required'),
+  ...secondFactorValidation
+];
+
+// Brute-force protection. Failed logins also lock the account (see utils/loginProtection).
+const MINUTE = 60 * 1000;
+const loginLimiters = [
+  rateLimit({ name: 'login-ip', windowMs: 15 * MINUTE, max: 30, key: keyByIp, message: 'Too many login attempts from this network. Please try again later.' }),
+  rateLimit({ name: 'login-account', windowMs: 15 * MINUTE, max: 10, key: keyByBodyField('email'), message: 'Too many login attempts for this account. Please try again later.' })
+];
+const twoFactorLoginLimiter = rateLimit({ name: 'login-2fa-ip', windowMs: 15 * MINUTE, max: 30, key: keyByIp });
+const registerLimiter = rateLimit({ name: 'register-ip', windowMs: 60 * MINUTE, max: 10, key: keyByIp });
+const forgotPasswordLimiters = [
+  rateLimit({ name: 'forgot-password-ip', windowMs: 60 * MINUTE, max: 10, key: keyByIp }),
+  rateLimit({ name: 'forgot-password-account', windowMs: 60 * MINUTE, max: 5, key: keyByBodyField('email') })
+];
+const tokenLimiter = rateLimit({ name: 'auth-token-ip', windowMs: 15 * MINUTE, max: 20, key: keyByIp });
+// Each client refreshes about once per access token lifetime; staff offices share one address
+const refreshLimiter = rateLimit({ name: 'refresh-ip', windowMs: 15 * MINUTE, max: 120, key: keyByIp });
+
 // Error wrapper for async route handlers
 const asyncHandler = (fn) => (req, res, next) => {
   Promise.resolve(fn(req, res, next)).catch(next);
 };
 
-router.post('/register', registerValidation, asyncHandler(register));
-router.post('/login', loginValidation, asyncHandler(login));
+router.post('/register', registerLimiter, registerValidation, asyncHandler(register));
+router.post('/login', loginLimiters, loginValidation, asyncHandler(login));
+router.post('/login/2fa', twoFactorLoginLimiter, challengeValidation, secondFactorValidation, asyncHandler(verifyLoginTwoFactor));
+router.post('/login/2fa/setup', twoFactorLoginLimiter, challengeValidation, asyncHandler(setupLoginTwoFactor));
+router.post('/login/2fa/enable', twoFactorLoginLimiter, challengeValidation, totpValidation, asyncHandler(enableLoginTwoFactor));
+router.post('/claim-portal', tokenLimiter, claimPortalValidation, asyncHandler(claimPortal));
+router.post('/refresh', refreshLimiter, refreshValidation, asyncHandler(refreshToken));
+router.post('/forgot-password', forgotPasswordLimiters, forgotPasswordValidation, asyncHandler(forgotPassword));
+router.post('/reset-password', tokenLimiter, resetPasswordValidation, asyncHandler(resetPassword));
+router.post('/verify-email', tokenLimiter, verifyEmailValidation, asyncHandler(verifyEmail));
+router.post('/resend-verification', authMiddleware, asyncHandler(resendVerification));
 router.get('/me', authMiddleware, asyncHandler(getMe));
+router.post('/logout', authMiddleware, asyncHandler(logout));
+
+// Session management for the signed-in user
+router.get('/sessions', authMiddleware, asyncHandler(getSessions));
+router.delete('/sessions', authMiddleware, asyncHandler(revokeOtherSessions));
+router.delete('/sessions/:id', authMiddleware, asyncHandler(revokeSession));
+
+// Two-factor authentication for the signed-in user
+router.get('/2fa', authMiddleware, asyncHandler(getTwoFactorStatus));
+router.post('/2fa/setup', authMiddleware, asyncHandler(setupTwoFactor));
+router.post('/2fa/enable', authMiddleware, totpValidation, asyncHandler(enableTwoFactor));
+router.post('/2fa/disable', authMiddleware, disableTwoFactorValidation, asyncHandler(disableTwoFactor));
+router.post('/2fa/backup-codes', authMiddleware, totpValidation, asyncHandler(regenerateBackupCodes));
 
 module.exports = router;
 
@@ -6,68 +6,90 @@ const express = require('express');
 const router = express.Router();
 const automationController = require('../controllers/automationController');
 const authMiddleware = require('../middlewares/authMiddleware');
-const { roleMiddleware, ispMiddleware } = require('../middlewares/roleMiddleware');
+const { permissionMiddleware, ispMiddleware } = require('../middlewares/roleMiddleware');
+const { tenantMiddleware } = require('../middlewares/tenantMiddleware');
+const { requireFeature } = require('../middlewares/planLimitMiddleware');
+const { rateLimit } = require('../middlewares/rateLimitMiddleware');
 
 // Stripe payment reconciliation (webhook - public, no auth required)
 router.post('/reconcile-stripe',
+  rateLimit({ name: 'reconcile-stripe-ip', windowMs: 60 * 1000, max: 100 }),
   automationController.reconcileStripePayment
 );
 
 // All other routes require authentication
 router.use(authMiddleware);
 
+// Automation is a plan feature - gated on SaaSPackage.features_json.automation
+router.use(tenantMiddleware);
+router.use(requireFeature('automation'));
+
 // AI Insights - Admin, Super Admin
 router.get('/insights', 
-  roleMiddleware(['super_admin', 'admin']),
+  permissionMiddleware('view_ai_insights'),
   ispMiddleware,
   automationController.getAIInsights
 );
 
 // High-risk customers - Admin, Super Admin, Recovery Officer
 router.get('/high-risk-customers',
-  roleMiddleware(['super_admin', 'admin', 'recovery_officer']),
+  permissionMiddleware('view_high_risk_customers'),
   ispMiddleware,
   automationController.getHighRiskCustomers
 );
 
 // Customer churn risk - Admin, Super Admin, Account Manager
 router.get('/churn-risk/:customerId',
-  roleMiddleware(['super_admin', 'admin', 'account_manager']),
+  permissionMiddleware('view_churn_risk'),
   ispMiddleware,
   automationController.getCustomerChurnRisk
 );
 
 // Fraud detection - Admin, Super Admin, Account Manager
 router.post('/detect-fraud',
-  roleMiddleware(['super_admin', 'admin', 'account_manager']),
+  permissionMiddleware('detect_fraud'),
   ispMiddleware,
   automationController.detectFraud
 );
 
 // Revenue projection - Admin, Super Admin
 router.get('/revenue-projection',
-  roleMiddleware(['super_admin', 'admin']),
+  permissionMiddleware('view_ai_insights'),
   ispMiddleware,
   automationController.getRevenueProjection
 );
 
 // Payment reconciliation - Admin, Super Admin (or public for webhooks)
 router.post('/reconcile-payment',
-  roleMiddleware(['super_admin', 'admin']),
+  permissionMiddleware('manage_automation'),
   automationController.reconcilePayment
 );
 
 // Auto-suspension trigger - Admin, Super Admin
 router.post('/auto-suspend',
-  roleMiddleware(['super_admin', 'admin']),
+  permissionMiddleware('manage_automation'),
   ispMiddleware,
   automationController.triggerAutoSuspension
 );
 
 // Backup trigger - Super Admin only
 router.post('/backup',
-  roleMiddleware(['super_admin']),
+  permissionMiddleware('run_backups'),
   automationController.triggerBackup
 );
 
+// Scheduled job history - Admin, Super Admin
+router.get('/jobs',
+  permissionMiddleware('view_automation'),
+  ispMiddleware,
+  automationController.getJobs
+);
+
+// Retry a failed scheduled job - Admin, Super Admin
+router.post('/jobs/:id/retry',
+  permissionMiddleware('manage_automation'),
+  ispMiddleware,
+  automationController.retryJob
+);
+
 module.exports = router;
@@ -0,0 +1,37 @@
+const express = require('express');
+const router = express.Router();
+const { body } = require('express-validator');
+const {
+  getPolicies,
+  getCurrentPolicy,
+  upsertPolicy,
+  deletePolicy
+} = require('../controllers/billingPolicyController');
+const authMiddleware = require('../middlewares/authMiddleware');
+const { permissionMiddleware, ispMiddleware } = require('../middlewares/roleMiddleware');
+
+// Validation rules
+const policyValidation = [
+  body('isp_id').optional().isInt().withMessage('ISP ID must be an integer'),
+  body('billing_anchor_day').optional().isInt({ min: 1, max: 28 }).withMessage('Billing anchor day must be between 1 and 28'),
+  body('due_days').optional().isInt({ min: 0, max: 60 }).withMessage('Due days must be between 0 and 60'),
+  body('late_fee_type').optional().isIn(['percentage', 'flat']).withMessage('Late fee type must be percentage or flat'),
+  body('late_fee_value').optional().isFloat({ min: 0 }).withMessage('Late fee value must be a positive number'),
+  body('late_fee_value').if(body('late_fee_type').equals('percentage')).optional()
+    .isFloat({ max: 100 }).withMessage('Percentage late fee cannot exceed 100'),
+  body('late_fee_cap').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Late fee cap must be a positive number'),
+  body('late_fee_repeat_days').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Late fee repeat interval must be at least 1 day'),
+  body('grace_period_days').optional().isInt({ min: 0, max: 90 }).withMessage('Grace period must be between 0 and 90 days'),
+  body('reminder_days_before').optional().isArray({ max: 10 }).withMessage('Reminder days must be a list of at most 10 offsets'),
+  body('reminder_days_before.*').isInt({ min: 0, max: 30 }).withMessage('Reminder offsets must be between 0 and 30 days')
+];
+
+router.use(authMiddleware);
+router.use(ispMiddleware);
+
+router.get('/', permissionMiddleware('view_billing_policies'), getPolicies);
+router.get('/current', permissionMiddleware('view_billing_policies'), getCurrentPolicy);
+router.put('/', permissionMiddleware('manage_billing_policies'), policyValidation, upsertPolicy);
+router.delete('/:id', permissionMiddleware('manage_billing_policies'), deletePolicy);
+
+module.exports = router;
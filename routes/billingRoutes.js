@@ -12,13 +12,23 @@ const {
   deleteBill
 } = require('../controllers/billingController');
 const authMiddleware = require('../middlewares/authMiddleware');
-const { roleMiddleware, ispMiddleware } = require('../middlewares/roleMiddleware');
+const { permissionMiddleware, ispMiddleware } = require('../middlewares/roleMiddleware');
 
 // Validation rules
 const billValidation = [
   body('customer_id').notEmpty().withMessage('Customer ID is required'),
-  body('amount').isFloat({ min: 0 }).withMessage('Amount must be a positive number'),
-  body('due_date').optional().isISO8601().withMessage('Invalid date format')
+  body('amount').if(body('line_items').not().exists()).isFloat({ min: 0 }).withMessage('Amount must be a positive number'),
+  body('amount').optional().isFloat({ min: 0 }).withMessage('Amount must be a positive number'),
+  body('due_date').optional().isISO8601().withMessage('Invalid date format'),
+  body('line_items').optional().isArray({ min: 1 }).withMessage('Line items must be a non-empty list'),
+  body('include_subscription').optional().isBoolean().withMessage('include_subscription must be true or false'),
+  body('line_items.*.type')
+    .isIn(['subscription', 'rental', 'one_time', 'tax', 'discount', 'adjustment'])
+    .withMessage('Invalid line item type'),
+  body('line_items.*.description').optional().isString().withMessage('Line item description must be text'),
+  body('line_items.*.quantity').optional().isFloat({ gt: 0 }).withMessage('Line item quantity must be greater than 0'),
+  body('line_items.*.unit_price').optional().isFloat().withMessage('Line item unit price must be a number'),
+  body('line_items.*.rate').optional().isFloat({ min: 0, max: 100 }).withMessage('Tax rate must be between 0 and 100')
 ];
 
 router.use(authMiddleware);
@@ -31,11 +41,11 @@ router.get('/:id', getBill); // Customers can view their own bill details
 router.get('/:id/invoice', generateInvoice); // Customers can download their own invoices
 
 // Admin/Account Manager only routes
-router.post('/', roleMiddleware('super_admin', 'admin', 'account_manager'), billValidation, createBill);
-router.put('/:id', roleMiddleware('super_admin', 'admin', 'account_manager'), updateBill);
-router.post('/auto-generate', roleMiddleware('super_admin', 'admin', 'account_manager'), autoGenerateBills);
-router.put('/:id/status', roleMiddleware('super_admin', 'admin', 'account_manager'), updateBillStatus);
-router.delete('/:id', roleMiddleware('super_admin', 'admin'), deleteBill);
+router.post('/', permissionMiddleware('create_bills'), billValidation, createBill);
+router.put('/:id', permissionMiddleware('update_bills'), updateBill);
+router.post('/auto-generate', permissionMiddleware('generate_bills'), autoGenerateBills);
+router.put('/:id/status', permissionMiddleware('update_bills'), updateBillStatus);
+router.delete('/:id', permissionMiddleware('delete_bills'), deleteBill);
 
 module.exports = router;
 
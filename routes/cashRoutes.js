@@ -0,0 +1,29 @@
+const express = require('express');
+const router = express.Router();
+const { body } = require('express-validator');
+const {
+  getOfficerFloats,
+  getCashLedger,
+  createSettlement,
+  getSettlements
+} = require('../controllers/cashController');
+const authMiddleware = require('../middlewares/authMiddleware');
+const { permissionMiddleware, ispMiddleware } = require('../middlewares/roleMiddleware');
+
+// Validation rules
+const settlementValidation = [
+  body('officer_id').isInt().withMessage('Recovery officer ID is required'),
+  body('received_amount').isFloat({ min: 0 }).withMessage('Received amount must be zero or more'),
+  body('settlement_date').optional().isISO8601().withMessage('Invalid settlement date'),
+  body('notes').optional().isString().isLength({ max: 1000 }).withMessage('Notes must be at most 1000 characters')
+];
+
+router.use(authMiddleware);
+router.use(ispMiddleware);
+
+router.get('/floats', permissionMiddleware('view_cash_floats'), getOfficerFloats);
+router.get('/ledger', permissionMiddleware('view_cash_ledger'), getCashLedger);
+router.get('/settlements', permissionMiddleware('view_cash_ledger'), getSettlements);
+router.post('/settlements', permissionMiddleware('create_cash_settlements'), settlementValidation, createSettlement);
+
+module.exports = router;
@@ -0,0 +1,64 @@
+const express = require('express');
+const router = express.Router();
+const { body } = require('express-validator');
+const {
+  getRules,
+  createRule,
+  updateRule,
+  deleteRule,
+  getStatements,
+  getStatement,
+  generateCommissionStatements,
+  approveCommissionStatement,
+  payCommissionStatement
+} = require('../controllers/commissionController');
+const authMiddleware = require('../middlewares/authMiddleware');
+const { permissionMiddleware, ispMiddleware } = require('../middlewares/roleMiddleware');
+
+// Validation rules
+const ruleValidation = [
+  body('name').trim().notEmpty().withMessage('Rule name is required'),
+  body('basis').isIn(['percentage', 'per_visit']).withMessage('Basis must be percentage or per_visit'),
+  body('tiers').isArray({ min: 1, max: 20 }).withMessage('Tiers must be a list of 1 to 20 entries'),
+  body('tiers.*.min').isFloat({ min: 0 }).withMessage('Tier minimum must be zero or more'),
+  body('tiers.*.rate').isFloat({ min: 0 }).withMessage('Tier rate must be zero or more'),
+  body('officer_id').optional({ nullable: true }).isInt().withMessage('Recovery officer ID must be an integer'),
+  body('is_active').optional().isBoolean().withMessage('is_active must be a boolean')
+];
+
+const ruleUpdateValidation = [
+  body('name').optional().trim().notEmpty().withMessage('Rule name cannot be empty'),
+  body('basis').optional().isIn(['percentage', 'per_visit']).withMessage('Basis must be percentage or per_visit'),
+  body('tiers').optional().isArray({ min: 1, max: 20 }).withMessage('Tiers must be a list of 1 to 20 entries'),
+  body('tiers.*.min').isFloat({ min: 0 }).withMessage('Tier minimum must be zero or more'),
+  body('tiers.*.rate').isFloat({ min: 0 }).withMessage('Tier rate must be zero or more'),
+  body('officer_id').optional({ nullable: true }).isInt().withMessage('Recovery officer ID must be an integer'),
+  body('is_active').optional().isBoolean().withMessage('is_active must be a boolean')
+];
+
+const generateValidation = [
+  body('month').optional().matches(/^\d{4}-(0[1-9]|1[0-2])$/).withMessage('Month must be in YYYY-MM format'),
+  body('officer_ids').optional().isArray().withMessage('Officer IDs must be a list'),
+  body('officer_ids.*').isInt().withMessage('Officer IDs must be integers')
+];
+
+const payoutValidation = [
+  body('payout_reference').optional().isString().isLength({ max: 100 }).withMessage('Payout reference must be at most 100 characters'),
+  body('notes').optional().isString()
+];
+
+router.use(authMiddleware);
+router.use(ispMiddleware);
+
+router.get('/rules', permissionMiddleware('view_commission_rules'), getRules);
+router.post('/rules', permissionMiddleware('manage_commission_rules'), ruleValidation, createRule);
+router.put('/rules/:id', permissionMiddleware('manage_commission_rules'), ruleUpdateValidation, updateRule);
+router.delete('/rules/:id', permissionMiddleware('manage_commission_rules'), deleteRule);
+
+router.get('/statements', permissionMiddleware('view_commission_statements'), getStatements);
+router.post('/statements/generate', permissionMiddleware('generate_commission_statements'), generateValidation, generateCommissionStatements);
+router.get('/statements/:id', permissionMiddleware('view_commission_statements'), getStatement);
+router.put('/statements/:id/approve', permissionMiddleware('approve_commission_statements'), approveCommissionStatement);
+router.put('/statements/:id/pay', permissionMiddleware('pay_commission_statements'), payoutValidation, payCommissionStatement);
+
+module.exports = router;
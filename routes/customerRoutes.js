@@ -6,17 +6,25 @@ const {
   getCustomer,
   createCustomer,
   updateCustomer,
-  deleteCustomer
+  deleteCustomer,
+  getCustomerAdjustments,
+  sendPortalInvite
 } = require('../controllers/customerController');
 const authMiddleware = require('../middlewares/authMiddleware');
-const { roleMiddleware, ispMiddleware } = require('../middlewares/roleMiddleware');
+const { permissionMiddleware, ispMiddleware } = require('../middlewares/roleMiddleware');
+const { tenantMiddleware } = require('../middlewares/tenantMiddleware');
+const { enforcePlanLimit } = require('../middlewares/planLimitMiddleware');
 
 // Validation rules
 const customerValidation = [
   body('name').notEmpty().withMessage('Name is required'),
   body('phone').notEmpty().withMessage('Phone is required'),
   body('address').notEmpty().withMessage('Address is required'),
-  body('email').optional().isEmail().withMessage('Please provide a valid email')
+  body('email').optional().isEmail().withMessage('Please provide a valid email'),
+  body('area').optional({ nullable: true }).isLength({ max: 100 }).withMessage('Area must be at most 100 characters'),
+  body('latitude').optional({ nullable: true }).isFloat({ min: -90, max: 90 }).withMessage('Latitude must be between -90 and 90'),
+  body('longitude').optional({ nullable: true }).isFloat({ min: -180, max: 180 }).withMessage('Longitude must be between -180 and 180'),
+  body('preferred_language').optional().isIn(['en', 'ur']).withMessage('Preferred language must be en or ur')
 ];
 
 router.use(authMiddleware);
@@ -24,13 +32,17 @@ router.use(authMiddleware);
 router.use(ispMiddleware);
 
 // Customer can access their own info
-router.get('/me', roleMiddleware('customer'), require('../controllers/customerController').getMyInfo);
+router.get('/me', permissionMiddleware('use_customer_portal'), require('../controllers/customerController').getMyInfo);
 
-router.get('/', roleMiddleware('super_admin', 'admin', 'account_manager', 'technical_officer', 'recovery_officer'), getCustomers);
-router.get('/:id', roleMiddleware('super_admin', 'admin', 'account_manager', 'technical_officer', 'recovery_officer'), getCustomer);
-router.post('/', roleMiddleware('super_admin', 'admin', 'account_manager'), customerValidation, createCustomer);
-router.put('/:id', roleMiddleware('super_admin', 'admin', 'account_manager'), customerValidation, updateCustomer);
-router.delete('/:id', roleMiddleware('super_admin', 'admin'), deleteCustomer);
+router.get('/', permissionMiddleware('view_customers'), getCustomers);
+router.post('/:id/portal-invite', permissionMiddleware('update_customers'), [
+  body('channel').optional().isIn(['email', 'sms', 'link']).withMessage('Channel must be email, sms or link')
+], sendPortalInvite);
+router.get('/:id/adjustments', permissionMiddleware('view_billing_adjustments'), getCustomerAdjustments);
+router.get('/:id', permissionMiddleware('view_customers'), getCustomer);
+router.post('/', permissionMiddleware('create_customers'), customerValidation, tenantMiddleware, enforcePlanLimit('customers'), createCustomer);
+router.put('/:id', permissionMiddleware('update_customers'), customerValidation, updateCustomer);
+router.delete('/:id', permissionMiddleware('delete_customers'), deleteCustomer);
 
 module.exports = router;
 
@@ -1,32 +1,83 @@
 const express = require('express');
 const router = express.Router();
-const { body } = require('express-validator');
+const { body, query } = require('express-validator');
 const {
   getInstallations,
   getInstallation,
   createInstallation,
   updateInstallation,
-  deleteInstallation
+  deleteInstallation,
+  getTechnicianCalendar,
+  getAvailableSlots,
+  getTechnicianWorkingHours,
+  updateTechnicianWorkingHours
 } = require('../controllers/installationController');
 const authMiddleware = require('../middlewares/authMiddleware');
-const { roleMiddleware, ispMiddleware } = require('../middlewares/roleMiddleware');
+const { permissionMiddleware, ispMiddleware } = require('../middlewares/roleMiddleware');
 
 // Validation rules
 const installationValidation = [
   body('customer_id').isInt().withMessage('Customer ID is required'),
   body('service_address').notEmpty().withMessage('Service address is required'),
   body('connection_type').optional().isIn(['fiber', 'wireless', 'cable', 'dsl']).withMessage('Invalid connection type'),
-  body('bandwidth').optional().notEmpty().withMessage('Bandwidth is required if provided')
+  body('bandwidth').optional().notEmpty().withMessage('Bandwidth is required if provided'),
+  body('technical_officer_id').optional({ nullable: true }).isInt().withMessage('Technical officer ID must be an integer'),
+  body('scheduled_date').optional({ nullable: true }).isISO8601().withMessage('Invalid scheduled date'),
+  body('duration_minutes').optional().isInt({ min: 15, max: 720 }).withMessage('Duration must be between 15 and 720 minutes'),
+  body('installation_charge').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Installation charge must be a positive number'),
+  body('ip_address').optional({ nullable: true }).isIP().withMessage('Invalid IP address'),
+  body('ip_pool_id').optional({ nullable: true }).isInt().withMessage('IP pool ID must be an integer'),
+  body('ip_version').optional().isIn([4, 6, '4', '6']).withMessage('IP version must be 4 or 6')
+];
+
+const installationUpdateValidation = [
+  body('technical_officer_id').optional({ nullable: true }).isInt().withMessage('Technical officer ID must be an integer'),
+  body('scheduled_date').optional({ nullable: true }).isISO8601().withMessage('Invalid scheduled date'),
+  body('duration_minutes').optional().isInt({ min: 15, max: 720 }).withMessage('Duration must be between 15 and 720 minutes'),
+  body('installation_charge').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Installation charge must be a positive number'),
+  body('ip_address').optional({ nullable: true }).isIP().withMessage('Invalid IP address'),
+  body('ip_pool_id').optional({ nullable: true }).isInt().withMessage('IP pool ID must be an integer'),
+  body('ip_version').optional().isIn([4, 6, '4', '6']).withMessage('IP version must be 4 or 6'),
+  body('bill_id').not().exists().withMessage('The completion bill cannot be set directly')
+];
+
+const calendarValidation = [
+  query('technician_id').optional().isInt().withMessage('Technician ID must be an integer'),
+  query('from').optional().isISO8601().withMessage('Invalid from date'),
+  query('to').optional().isISO8601().withMessage('Invalid to date'),
+  query('format').optional().isIn(['json', 'ics']).withMessage('Format must be json or ics')
+];
+
+const slotValidation = [
+  query('technician_id').optional().isInt().withMessage('Technician ID must be an integer'),
+  query('duration_minutes').optional().isInt({ min: 15, max: 720 }).withMessage('Duration must be between 15 and 720 minutes'),
+  query('from').optional().isISO8601().withMessage('Invalid from date'),
+  query('days').optional().isInt({ min: 1, max: 60 }).withMessage('Days must be between 1 and 60'),
+  query('limit').optional().isInt({ min: 1, max: 20 }).withMessage('Limit must be between 1 and 20')
+];
+
+const workingHoursValidation = [
+  body('working_hours').isArray({ max: 7 }).withMessage('Working hours must be a list of at most 7 days'),
+  body('working_hours.*.day_of_week').isInt({ min: 0, max: 6 }).withMessage('Day of week must be between 0 (Sunday) and 6 (Saturday)'),
+  body('working_hours.*.start_time').matches(/^([01]\d|2[0-3]):[0-5]\d$/).withMessage('Start time must be HH:mm'),
+  body('working_hours.*.end_time').matches(/^([01]\d|2[0-3]):[0-5]\d$/).withMessage('End time must be HH:mm')
 ];
 
 router.use(authMiddleware);
 router.use(ispMiddleware);
 
 router.get('/', getInstallations);
+
+// Scheduling routes (before /:id)
+router.get('/calendar', permissionMiddleware('view_technician_schedules'), calendarValidation, getTechnicianCalendar);
+router.get('/available-slots', permissionMiddleware('view_technician_schedules'), slotValidation, getAvailableSlots);
+router.get('/working-hours/:technicianId', permissionMiddleware('view_technician_schedules'), getTechnicianWorkingHours);
+router.put('/working-hours/:technicianId', permissionMiddleware('manage_working_hours'), workingHoursValidation, updateTechnicianWorkingHours);
+
 router.get('/:id', getInstallation);
-router.post('/', roleMiddleware('admin', 'account_manager', 'technical_officer', 'super_admin'), installationValidation, createInstallation);
-router.put('/:id', roleMiddleware('admin', 'account_manager', 'technical_officer', 'super_admin'), updateInstallation);
-router.delete('/:id', roleMiddleware('admin', 'super_admin'), deleteInstallation);
+router.post('/', permissionMiddleware('create_installations'), installationValidation, createInstallation);
+router.put('/:id', permissionMiddleware('update_installations'), installationUpdateValidation, updateInstallation);
+router.delete('/:id', permissionMiddleware('delete_installations'), deleteInstallation);
 
 module.exports = router;
 
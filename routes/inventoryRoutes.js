@@ -0,0 +1,103 @@
+const express = require('express');
+const router = express.Router();
+const { body } = require('express-validator');
+const {
+  getEquipmentTypes,
+  createEquipmentType,
+  updateEquipmentType,
+  getInventoryItems,
+  getInventoryItem,
+  receiveInventory,
+  issueInventoryItem,
+  returnInventoryToWarehouse,
+  assignInventoryItem,
+  returnInventoryFromCustomer,
+  writeOffInventoryItem,
+  getStockLevels
+} = require('../controllers/inventoryController');
+const authMiddleware = require('../middlewares/authMiddleware');
+const { permissionMiddleware, ispMiddleware } = require('../middlewares/roleMiddleware');
+
+const EQUIPMENT_CATEGORIES = ['ont', 'router', 'switch', 'cable', 'splitter', 'connector', 'other'];
+
+// Validation rules
+const equipmentTypeValidation = [
+  body('name').trim().notEmpty().withMessage('Name is required'),
+  body('category').isIn(EQUIPMENT_CATEGORIES).withMessage('Invalid equipment category'),
+  body('is_serialized').optional().isBoolean().withMessage('is_serialized must be true or false'),
+  body('unit').optional().trim().isLength({ min: 1, max: 20 }).withMessage('Unit must be at most 20 characters'),
+  body('unit_cost').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Unit cost must be zero or more'),
+  body('rental_price').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Rental price must be zero or more'),
+  body('low_stock_threshold').optional().isFloat({ min: 0 }).withMessage('Low stock threshold must be zero or more'),
+  body('is_active').optional().isBoolean().withMessage('is_active must be true or false')
+];
+
+const equipmentTypeUpdateValidation = [
+  body('name').optional().trim().notEmpty().withMessage('Name cannot be empty'),
+  body('category').optional().isIn(EQUIPMENT_CATEGORIES).withMessage('Invalid equipment category'),
+  ...equipmentTypeValidation.slice(2)
+];
+
+const receiveValidation = [
+  body('equipment_type_id').isInt().withMessage('Equipment type ID is required'),
+  body('items').optional().isArray({ min: 1, max: 500 }).withMessage('Items must be a list of 1 to 500 entries'),
+  body('items.*.serial_number').optional().trim().isLength({ min: 1, max: 100 }).withMessage('Invalid serial number'),
+  body('items.*.mac_address').optional({ nullable: true }).isMACAddress().withMessage('Invalid MAC address'),
+  body('quantity').optional().isFloat({ gt: 0 }).withMessage('Quantity must be greater than 0'),
+  body('warehouse').optional().trim().isLength({ max: 100 }).withMessage('Warehouse must be at most 100 characters'),
+  body('notes').optional().isString().isLength({ max: 1000 }).withMessage('Notes must be at most 1000 characters')
+];
+
+const quantityValidation = [
+  body('quantity').optional().isFloat({ gt: 0 }).withMessage('Quantity must be greater than 0'),
+  body('notes').optional().isString().isLength({ max: 1000 }).withMessage('Notes must be at most 1000 characters')
+];
+
+const issueValidation = [
+  body('technician_id').isInt().withMessage('Technician ID is required'),
+  ...quantityValidation
+];
+
+const warehouseValidation = [
+  body('warehouse').optional().trim().isLength({ max: 100 }).withMessage('Warehouse must be at most 100 characters'),
+  ...quantityValidation
+];
+
+const assignValidation = [
+  body('installation_id').isInt().withMessage('Installation ID is required'),
+  body('is_rental').optional().isBoolean().withMessage('is_rental must be true or false'),
+  body('rental_price').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Rental price must be zero or more'),
+  ...quantityValidation
+];
+
+const customerReturnValidation = [
+  body('condition').optional().isIn(['good', 'faulty']).withMessage('Condition must be good or faulty'),
+  body('technician_id').optional({ nullable: true }).isInt().withMessage('Invalid technician ID'),
+  body('warehouse').optional().trim().isLength({ max: 100 }).withMessage('Warehouse must be at most 100 characters'),
+  body('notes').optional().isString().isLength({ max: 1000 }).withMessage('Notes must be at most 1000 characters')
+];
+
+const writeOffValidation = [
+  body('status').isIn(['faulty', 'lost', 'retired']).withMessage('Status must be faulty, lost or retired'),
+  body('notes').optional().isString().isLength({ max: 1000 }).withMessage('Notes must be at most 1000 characters')
+];
+
+router.use(authMiddleware);
+router.use(ispMiddleware);
+
+router.get('/stock', permissionMiddleware('view_inventory'), getStockLevels);
+
+router.get('/types', permissionMiddleware('view_inventory'), getEquipmentTypes);
+router.post('/types', permissionMiddleware('manage_equipment_types'), equipmentTypeValidation, createEquipmentType);
+router.put('/types/:id', permissionMiddleware('manage_equipment_types'), equipmentTypeUpdateValidation, updateEquipmentType);
+
+router.get('/items', permissionMiddleware('view_inventory'), getInventoryItems);
+router.post('/items/receive', permissionMiddleware('move_inventory'), receiveValidation, receiveInventory);
+router.get('/items/:id', permissionMiddleware('view_inventory'), getInventoryItem);
+router.post('/items/:id/issue', permissionMiddleware('move_inventory'), issueValidation, issueInventoryItem);
+router.post('/items/:id/return-to-warehouse', permissionMiddleware('move_inventory'), warehouseValidation, returnInventoryToWarehouse);
+router.post('/items/:id/assign', permissionMiddleware('assign_inventory'), assignValidation, assignInventoryItem);
+router.post('/items/:id/return', permissionMiddleware('move_inventory'), customerReturnValidation, returnInventoryFromCustomer);
+router.post('/items/:id/write-off', permissionMiddleware('write_off_inventory'), writeOffValidation, writeOffInventoryItem);
+
+module.exports = router;
@@ -7,7 +7,7 @@ const {
   regenerateInvoice
 } = require('../controllers/invoiceController');
 const authMiddleware = require('../middlewares/authMiddleware');
-const { roleMiddleware } = require('../middlewares/roleMiddleware');
+const { permissionMiddleware } = require('../middlewares/roleMiddleware');
 const { tenantMiddleware } = require('../middlewares/tenantMiddleware');
 
 router.use(authMiddleware);
@@ -20,10 +20,10 @@ router.get('/', getInvoices);
 router.get('/:id', getInvoice);
 
 // Auto-generate invoice for a bill (Admin, Account Manager)
-router.post('/auto-generate/:billId', roleMiddleware('super_admin', 'admin', 'account_manager'), autoGenerateInvoiceForBill);
+router.post('/auto-generate/:billId', permissionMiddleware('generate_bills'), autoGenerateInvoiceForBill);
 
 // Re-generate invoice (Admin, Account Manager)
-router.post('/:id/regenerate', roleMiddleware('super_admin', 'admin', 'account_manager'), regenerateInvoice);
+router.post('/:id/regenerate', permissionMiddleware('generate_bills'), regenerateInvoice);
 
 module.exports = router;
 
@@ -0,0 +1,64 @@
+const express = require('express');
+const router = express.Router();
+const { body } = require('express-validator');
+const {
+  getPools,
+  createPool,
+  updatePool,
+  deletePool,
+  getPoolAllocations,
+  reservePoolAddress,
+  allocateInstallationAddress,
+  releaseAddress,
+  getConflicts,
+  importAddresses
+} = require('../controllers/ipamController');
+const authMiddleware = require('../middlewares/authMiddleware');
+const { permissionMiddleware, ispMiddleware } = require('../middlewares/roleMiddleware');
+
+// Validation rules
+const poolValidation = [
+  body('name').trim().notEmpty().withMessage('Name is required'),
+  body('cidr').trim().notEmpty().withMessage('CIDR range is required'),
+  body('vlan_id').optional({ nullable: true }).isInt({ min: 1, max: 4094 }).withMessage('VLAN ID must be between 1 and 4094'),
+  body('gateway').optional({ nullable: true }).isIP().withMessage('Gateway must be an IP address'),
+  body('description').optional({ nullable: true }).isString().withMessage('Description must be text'),
+  body('is_active').optional().isBoolean().withMessage('is_active must be true or false')
+];
+
+const poolUpdateValidation = [
+  body('name').optional().trim().notEmpty().withMessage('Name cannot be empty'),
+  body('cidr').optional().trim().notEmpty().withMessage('CIDR range cannot be empty'),
+  ...poolValidation.slice(2)
+];
+
+const reserveValidation = [
+  body('ip_address').isIP().withMessage('A valid IP address is required'),
+  body('notes').optional().isString().isLength({ max: 1000 }).withMessage('Notes must be at most 1000 characters')
+];
+
+const allocationValidation = [
+  body('installation_id').isInt().withMessage('Installation ID is required'),
+  body('ip_address').optional({ nullable: true }).isIP().withMessage('Invalid IP address'),
+  body('ip_pool_id').optional({ nullable: true }).isInt().withMessage('IP pool ID must be an integer'),
+  body('ip_version').optional().isIn([4, 6, '4', '6']).withMessage('IP version must be 4 or 6'),
+  body('notes').optional().isString().isLength({ max: 1000 }).withMessage('Notes must be at most 1000 characters')
+];
+
+router.use(authMiddleware);
+router.use(ispMiddleware);
+
+router.get('/pools', permissionMiddleware('view_ip_pools'), getPools);
+router.post('/pools', permissionMiddleware('manage_ip_pools'), poolValidation, createPool);
+router.put('/pools/:id', permissionMiddleware('manage_ip_pools'), poolUpdateValidation, updatePool);
+router.delete('/pools/:id', permissionMiddleware('manage_ip_pools'), deletePool);
+router.get('/pools/:id/allocations', permissionMiddleware('view_ip_pools'), getPoolAllocations);
+router.post('/pools/:id/reserve', permissionMiddleware('manage_ip_pools'), reserveValidation, reservePoolAddress);
+
+router.post('/allocations', permissionMiddleware('allocate_ip_addresses'), allocationValidation, allocateInstallationAddress);
+router.delete('/allocations/:id', permissionMiddleware('release_ip_addresses'), releaseAddress);
+
+router.get('/conflicts', permissionMiddleware('view_ip_conflicts'), getConflicts);
+router.post('/import', permissionMiddleware('manage_ip_pools'), importAddresses);
+
+module.exports = router;
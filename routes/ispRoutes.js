@@ -1,8 +1,9 @@
 const express = require('express');
 const router = express.Router();
-const { getISPs, getISP } = require('../controllers/ispController');
+const { body } = require('express-validator');
+const { getISPs, getISP, getISPUsage, updateISPSecurity } = require('../controllers/ispController');
 const authMiddleware = require('../middlewares/authMiddleware');
-const { roleMiddleware } = require('../middlewares/roleMiddleware');
+const { permissionMiddleware } = require('../middlewares/roleMiddleware');
 
 // All routes require authentication
 router.use(authMiddleware);
@@ -13,5 +14,13 @@ router.get('/', getISPs);
 // Get single ISP (Super Admin, or Admin can see their own)
 router.get('/:id', getISP);
 
+// Get plan usage against SaaS package limits (Super Admin, or Admin for their own ISP)
+router.get('/:id/usage', getISPUsage);
+
+// Require two-factor authentication for the ISP's admins (Super Admin, or Admin for their own ISP)
+router.put('/:id/security', permissionMiddleware('manage_security_settings'), [
+  body('require_admin_two_factor').isBoolean().withMessage('require_admin_two_factor must be a boolean')
+], updateISPSecurity);
+
 module.exports = router;
 
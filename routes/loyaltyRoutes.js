@@ -0,0 +1,40 @@
+const express = require('express');
+const router = express.Router();
+const { body } = require('express-validator');
+const {
+  getSettings,
+  updateSettings,
+  getCustomerHistory,
+  getMyHistory,
+  redeem
+} = require('../controllers/loyaltyController');
+const authMiddleware = require('../middlewares/authMiddleware');
+const { permissionMiddleware, ispMiddleware } = require('../middlewares/roleMiddleware');
+
+// Validation rules
+const settingsValidation = [
+  body('is_enabled').optional().isBoolean().withMessage('is_enabled must be a boolean'),
+  body('earn_rate').optional().isFloat({ min: 0 }).withMessage('Earn rate must be a positive number'),
+  body('redeem_rate').optional().isFloat({ min: 0.01 }).withMessage('Redeem rate must be greater than zero'),
+  body('min_redeem_points').optional().isFloat({ min: 0 }).withMessage('Minimum redeem points must be a positive number'),
+  body('expiry_months').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Expiry must be at least 1 month')
+];
+
+const redeemValidation = [
+  body('bill_id').isInt().withMessage('Bill ID is required'),
+  body('points').isFloat({ gt: 0 }).withMessage('Points must be greater than zero'),
+  body('customer_id').optional().isInt().withMessage('Customer ID must be an integer')
+];
+
+router.use(authMiddleware);
+router.use(ispMiddleware);
+
+// Customer can access their own points history
+router.get('/my-history', permissionMiddleware('use_customer_portal'), getMyHistory);
+
+router.get('/settings', permissionMiddleware('view_loyalty'), getSettings);
+router.put('/settings', permissionMiddleware('manage_loyalty'), settingsValidation, updateSettings);
+router.get('/customers/:customerId/history', permissionMiddleware('view_loyalty'), getCustomerHistory);
+router.post('/redeem', permissionMiddleware('redeem_loyalty_points'), redeemValidation, redeem);
+
+module.exports = router;
@@ -0,0 +1,44 @@
+const express = require('express');
+const router = express.Router();
+const { body } = require('express-validator');
+const {
+  getSettings,
+  updateSettings,
+  testConnection,
+  getCustomerState,
+  syncCustomer,
+  runReconciliation
+} = require('../controllers/networkController');
+const authMiddleware = require('../middlewares/authMiddleware');
+const { permissionMiddleware, ispMiddleware } = require('../middlewares/roleMiddleware');
+const { BACKEND_NAMES } = require('../utils/networkBackends');
+
+// Validation rules
+const settingsValidation = [
+  body('backend').optional().isIn(BACKEND_NAMES).withMessage(`Backend must be one of: ${BACKEND_NAMES.join(', ')}`),
+  body('is_enabled').optional().isBoolean().withMessage('is_enabled must be a boolean'),
+  body('config_json').optional().isObject().withMessage('config_json must be an object'),
+  body('active_group').optional({ nullable: true }).isString().isLength({ max: 64 }).withMessage('Active group must be at most 64 characters'),
+  body('suspended_group').optional({ nullable: true }).isString().isLength({ max: 64 }).withMessage('Suspended group must be at most 64 characters'),
+  body('reject_suspended').optional().isBoolean().withMessage('reject_suspended must be a boolean'),
+  body('rate_limit_attribute').optional().trim().notEmpty().withMessage('Rate limit attribute cannot be empty'),
+  body('auto_reconcile').optional().isBoolean().withMessage('auto_reconcile must be a boolean'),
+  body('accounting_secret').optional({ nullable: true }).isString().isLength({ max: 128 }).withMessage('Accounting secret must be at most 128 characters')
+];
+
+const reconcileValidation = [
+  body('fix').optional().isBoolean().withMessage('fix must be a boolean')
+];
+
+router.use(authMiddleware);
+router.use(ispMiddleware);
+
+router.get('/settings', permissionMiddleware('manage_network_settings'), getSettings);
+router.put('/settings', permissionMiddleware('manage_network_settings'), settingsValidation, updateSettings);
+router.post('/test', permissionMiddleware('manage_network_settings'), testConnection);
+router.post('/reconcile', permissionMiddleware('manage_network_settings'), reconcileValidation, runReconciliation);
+
+router.get('/customers/:id', permissionMiddleware('view_network_status'), getCustomerState);
+router.post('/customers/:id/sync', permissionMiddleware('sync_customer_network'), syncCustomer);
+
+module.exports = router;
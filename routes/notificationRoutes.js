@@ -10,7 +10,7 @@ const {
   deleteNotification
 } = require('../controllers/notificationController');
 const authMiddleware = require('../middlewares/authMiddleware');
-const { roleMiddleware, ispMiddleware } = require('../middlewares/roleMiddleware');
+const { permissionMiddleware, ispMiddleware } = require('../middlewares/roleMiddleware');
 
 // Validation rules
 const notificationValidation = [
@@ -24,7 +24,7 @@ router.use(ispMiddleware);
 
 router.get('/', getNotifications);
 router.get('/:id', getNotification);
-router.post('/', roleMiddleware('admin', 'account_manager', 'super_admin'), notificationValidation, createNotification);
+router.post('/', permissionMiddleware('create_notifications'), notificationValidation, createNotification);
 router.put('/:id/read', markAsRead);
 router.put('/read-all', markAllAsRead);
 router.delete('/:id', deleteNotification);
@@ -9,7 +9,7 @@ const {
   deletePackage
 } = require('../controllers/packageController');
 const authMiddleware = require('../middlewares/authMiddleware');
-const { roleMiddleware } = require('../middlewares/roleMiddleware');
+const { permissionMiddleware } = require('../middlewares/roleMiddleware');
 const { tenantMiddleware } = require('../middlewares/tenantMiddleware');
 
 // Validation rules
@@ -18,6 +18,7 @@ const packageValidation = [
   body('speed').notEmpty().withMessage('Speed is required'),
   body('price').isFloat({ min: 0 }).withMessage('Price must be a positive number'),
   body('data_limit').optional().isFloat({ min: 0 }).withMessage('Data limit must be a positive number'),
+  body('installation_fee').optional().isFloat({ min: 0 }).withMessage('Installation fee must be a positive number'),
   body('duration').optional().isInt({ min: 1 }).withMessage('Duration must be at least 1 month')
 ];
 
@@ -26,9 +27,9 @@ router.use(tenantMiddleware); // Apply tenant isolation
 
 router.get('/', getPackages);
 router.get('/:id', getPackage);
-router.post('/', roleMiddleware('admin', 'super_admin'), packageValidation, createPackage);
-router.put('/:id', roleMiddleware('admin', 'super_admin'), packageValidation, updatePackage);
-router.delete('/:id', roleMiddleware('admin', 'super_admin'), deletePackage);
+router.post('/', permissionMiddleware('create_packages'), packageValidation, createPackage);
+router.put('/:id', permissionMiddleware('update_packages'), packageValidation, updatePackage);
+router.delete('/:id', permissionMiddleware('delete_packages'), deletePackage);
 
 module.exports = router;
 
@@ -7,10 +7,13 @@ const {
   createPayment,
   processOnlinePayment,
   getPaymentStats,
-  generatePaymentReceipt
+  generatePaymentReceipt,
+  refundPayment,
+  generateRefundCreditNote
 } = require('../controllers/paymentController');
 const authMiddleware = require('../middlewares/authMiddleware');
-const { roleMiddleware, ispMiddleware } = require('../middlewares/roleMiddleware');
+const { permissionMiddleware, ispMiddleware } = require('../middlewares/roleMiddleware');
+const { rateLimit, keyByIp, keyByUser } = require('../middlewares/rateLimitMiddleware');
 
 // Validation rules
 const paymentValidation = [
@@ -19,13 +22,22 @@ const paymentValidation = [
   body('method').isIn(['cash', 'card', 'online', 'bank_transfer', 'jazzcash', 'easypaisa', 'stripe']).withMessage('Invalid payment method')
 ];
 
+const refundValidation = [
+  body('amount').optional({ nullable: true }).isFloat({ gt: 0 }).withMessage('Refund amount must be greater than zero'),
+  body('reason').optional().isString().withMessage('Reason must be text')
+];
+
 router.use(authMiddleware);
 
 // Customer can access their own payment history
-router.get('/my-payments', roleMiddleware('customer'), require('../controllers/paymentController').getMyPayments);
+router.get('/my-payments', permissionMiddleware('use_customer_portal'), require('../controllers/paymentController').getMyPayments);
 
-// Online payment (public for customers)
-router.post('/online', processOnlinePayment);
+// Online payment (public for customers), limited per account and per IP
+const onlinePaymentLimiters = [
+  rateLimit({ name: 'online-payment-user', windowMs: 15 * 60 * 1000, max: 10, key: keyByUser }),
+  rateLimit({ name: 'online-payment-ip', windowMs: 15 * 60 * 1000, max: 30, key: keyByIp })
+];
+router.post('/online', onlinePaymentLimiters, processOnlinePayment);
 
 // Payment creation - allow customers to record their own payments
 router.post('/', paymentValidation, createPayment);
@@ -34,9 +46,11 @@ router.post('/', paymentValidation, createPayment);
 router.use(ispMiddleware);
 
 router.get('/', getPayments);
-router.get('/stats', roleMiddleware('admin', 'account_manager'), getPaymentStats);
+router.get('/stats', permissionMiddleware('view_reports'), getPaymentStats);
+router.get('/refunds/:refundId/credit-note', permissionMiddleware('refund_payments'), generateRefundCreditNote);
 router.get('/:id', getPayment);
 router.get('/:id/receipt', generatePaymentReceipt);
+router.post('/:id/refund', permissionMiddleware('refund_payments'), refundValidation, refundPayment);
 
 module.exports = router;
 
@@ -9,7 +9,7 @@ const {
   deletePermission
 } = require('../controllers/permissionController');
 const authMiddleware = require('../middlewares/authMiddleware');
-const { roleMiddleware } = require('../middlewares/roleMiddleware');
+const { permissionMiddleware } = require('../middlewares/roleMiddleware');
 
 // Validation rules
 const permissionValidation = [
@@ -21,27 +21,14 @@ const permissionValidation = [
 
 router.use(authMiddleware);
 
-// GET routes - allow Super Admin and Business Admin to view permissions
-router.get('/', (req, res, next) => {
-  if (req.user.role === 'super_admin' || req.user.role === 'admin') {
-    next();
-  } else {
-    res.status(403).json({ message: 'Access denied. Only Super Admin and Business Admin can view permissions.' });
-  }
-}, getPermissions);
-
-router.get('/:id', (req, res, next) => {
-  if (req.user.role === 'super_admin' || req.user.role === 'admin') {
-    next();
-  } else {
-    res.status(403).json({ message: 'Access denied. Only Super Admin and Business Admin can view permissions.' });
-  }
-}, getPermission);
+// GET routes - anyone who can view roles can see the permission catalog
+router.get('/', permissionMiddleware('view_roles'), getPermissions);
+router.get('/:id', permissionMiddleware('view_roles'), getPermission);
 
 // POST, PUT, DELETE routes - only Super Admin can manage permissions
-router.post('/', roleMiddleware('super_admin'), permissionValidation, createPermission);
-router.put('/:id', roleMiddleware('super_admin'), permissionValidation, updatePermission);
-router.delete('/:id', roleMiddleware('super_admin'), deletePermission);
+router.post('/', permissionMiddleware('manage_permissions'), permissionValidation, createPermission);
+router.put('/:id', permissionMiddleware('manage_permissions'), permissionValidation, updatePermission);
+router.delete('/:id', permissionMiddleware('manage_permissions'), deletePermission);
 
 module.exports = router;
 
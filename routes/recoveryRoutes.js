@@ -1,16 +1,18 @@
 const express = require('express');
 const router = express.Router();
-const { body } = require('express-validator');
+const { body, query } = require('express-validator');
 const {
   getRecoveries,
   getRecovery,
   createRecovery,
   updateRecovery,
   deleteRecovery,
-  getOverdueBills
+  getOverdueBills,
+  getVisitSheet,
+  bulkAssignRecoveries
 } = require('../controllers/recoveryController');
 const authMiddleware = require('../middlewares/authMiddleware');
-const { roleMiddleware } = require('../middlewares/roleMiddleware');
+const { permissionMiddleware } = require('../middlewares/roleMiddleware');
 const { tenantMiddleware } = require('../middlewares/tenantMiddleware');
 
 // Validation rules
@@ -19,17 +21,37 @@ const recoveryValidation = [
   body('customer_id').notEmpty().withMessage('Customer ID is required')
 ];
 
+const visitSheetValidation = [
+  query('officer_id').optional().isInt().withMessage('Officer ID must be an integer'),
+  query('date').optional().isISO8601().withMessage('Invalid date format'),
+  query('format').optional().isIn(['json', 'pdf']).withMessage('Format must be json or pdf'),
+  query('start_lat').optional().isFloat({ min: -90, max: 90 }).withMessage('Invalid start latitude'),
+  query('start_lng').optional().isFloat({ min: -180, max: 180 }).withMessage('Invalid start longitude')
+];
+
+const bulkAssignValidation = [
+  body('officer_ids').optional().isArray().withMessage('Officer IDs must be a list'),
+  body('officer_ids.*').isInt().withMessage('Officer IDs must be integers'),
+  body('areas').optional().isArray().withMessage('Areas must be a list'),
+  body('bill_ids').optional().isArray().withMessage('Bill IDs must be a list'),
+  body('bill_ids.*').isInt().withMessage('Bill IDs must be integers'),
+  body('next_visit_date').optional({ nullable: true }).isISO8601().withMessage('Invalid next visit date'),
+  body('dry_run').optional().isBoolean().withMessage('dry_run must be true or false')
+];
+
 router.use(authMiddleware);
 router.use(tenantMiddleware); // Apply tenant isolation
 const { ispMiddleware } = require('../middlewares/roleMiddleware');
 router.use(ispMiddleware); // Ensure req.ispId is set
 
-router.get('/', roleMiddleware('admin', 'super_admin', 'recovery_officer'), getRecoveries);
-router.get('/overdue', roleMiddleware('admin', 'super_admin'), getOverdueBills);
-router.get('/:id', roleMiddleware('admin', 'super_admin', 'recovery_officer'), getRecovery);
-router.post('/', roleMiddleware('admin', 'super_admin'), recoveryValidation, createRecovery);
-router.put('/:id', roleMiddleware('admin', 'super_admin', 'recovery_officer'), updateRecovery);
-router.delete('/:id', roleMiddleware('admin', 'super_admin'), deleteRecovery);
+router.get('/', permissionMiddleware('view_recoveries'), getRecoveries);
+router.get('/overdue', permissionMiddleware('create_recoveries'), getOverdueBills);
+router.get('/visit-sheet', permissionMiddleware('view_recoveries'), visitSheetValidation, getVisitSheet);
+router.post('/bulk-assign', permissionMiddleware('create_recoveries'), bulkAssignValidation, bulkAssignRecoveries);
+router.get('/:id', permissionMiddleware('view_recoveries'), getRecovery);
+router.post('/', permissionMiddleware('create_recoveries'), recoveryValidation, createRecovery);
+router.put('/:id', permissionMiddleware('update_recoveries'), updateRecovery);
+router.delete('/:id', permissionMiddleware('delete_recoveries'), deleteRecovery);
 
 module.exports = router;
 
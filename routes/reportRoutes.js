@@ -3,11 +3,12 @@ const router = express.Router();
 const {
   getDashboardStats,
   getRevenueReport,
+  getCommissionReport,
   getCustomerReport,
   getBillReport
 } = require('../controllers/reportController');
 const authMiddleware = require('../middlewares/authMiddleware');
-const { roleMiddleware, ispMiddleware } = require('../middlewares/roleMiddleware');
+const { permissionMiddleware, ispMiddleware } = require('../middlewares/roleMiddleware');
 
 router.use(authMiddleware);
 
@@ -23,9 +24,10 @@ router.get('/dashboard', async (req, res, next) => {
 
 // Other routes require ISP middleware (staff only)
 router.use(ispMiddleware);
-router.get('/revenue', roleMiddleware('admin', 'account_manager'), getRevenueReport);
-router.get('/customers', roleMiddleware('admin', 'account_manager'), getCustomerReport);
-router.get('/bills', roleMiddleware('admin', 'account_manager'), getBillReport);
+router.get('/revenue', permissionMiddleware('view_reports'), getRevenueReport);
+router.get('/commissions', permissionMiddleware('view_reports'), getCommissionReport);
+router.get('/customers', permissionMiddleware('view_reports'), getCustomerReport);
+router.get('/bills', permissionMiddleware('view_reports'), getBillReport);
 
 module.exports = router;
 
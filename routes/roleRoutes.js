@@ -11,7 +11,7 @@ const {
   getRolePermissions
 } = require('../controllers/roleController');
 const authMiddleware = require('../middlewares/authMiddleware');
-const { roleMiddleware } = require('../middlewares/roleMiddleware');
+const { permissionMiddleware } = require('../middlewares/roleMiddleware');
 const { tenantMiddleware } = require('../middlewares/tenantMiddleware');
 
 // Validation rules
@@ -40,24 +40,16 @@ router.post('/initialize', async (req, res) => {
 });
 
 router.use(tenantMiddleware); // Apply tenant isolation
-// Allow Super Admin and Business Admin (admin role) to manage roles
-router.use((req, res, next) => {
-  if (req.user.role === 'super_admin' || req.user.role === 'admin') {
-    next();
-  } else {
-    res.status(403).json({ message: 'Access denied. Only Super Admin and Business Admin can manage roles.' });
-  }
-});
 
-router.get('/', getRoles);
-router.get('/:id', getRole);
-router.get('/:id/permissions', getRolePermissions);
-router.post('/', roleValidation, createRole);
-router.post('/:id/permissions', [
+router.get('/', permissionMiddleware('view_roles'), getRoles);
+router.get('/:id', permissionMiddleware('view_roles'), getRole);
+router.get('/:id/permissions', permissionMiddleware('view_roles'), getRolePermissions);
+router.post('/', permissionMiddleware('create_roles'), roleValidation, createRole);
+router.post('/:id/permissions', permissionMiddleware('update_roles'), [
   body('permission_ids').isArray().withMessage('Permission IDs must be an array')
 ], assignPermissions);
-router.put('/:id', roleValidation, updateRole);
-router.delete('/:id', deleteRole);
+router.put('/:id', permissionMiddleware('update_roles'), roleValidation, updateRole);
+router.delete('/:id', permissionMiddleware('delete_roles'), deleteRole);
 
 module.exports = router;
 
@@ -9,7 +9,7 @@ const {
   deleteSaaSPackage
 } = require('../controllers/saaSPackageController');
 const authMiddleware = require('../middlewares/authMiddleware');
-const { roleMiddleware } = require('../middlewares/roleMiddleware');
+const { permissionMiddleware } = require('../middlewares/roleMiddleware');
 
 // Validation rules
 const packageValidation = [
@@ -19,7 +19,7 @@ const packageValidation = [
 ];
 
 router.use(authMiddleware);
-router.use(roleMiddleware('super_admin')); // Only Super Admin can manage SaaS packages
+router.use(permissionMiddleware('manage_saas_packages')); // Only Super Admin can manage SaaS packages
 
 router.get('/', getSaaSPackages);
 router.get('/:id', getSaaSPackage);
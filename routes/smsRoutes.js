@@ -0,0 +1,41 @@
+const express = require('express');
+const router = express.Router();
+const { body } = require('express-validator');
+const {
+  getSettings,
+  updateSettings,
+  getMessages,
+  sendTestSms,
+  deliveryReceipt
+} = require('../controllers/smsController');
+const authMiddleware = require('../middlewares/authMiddleware');
+const { permissionMiddleware, ispMiddleware } = require('../middlewares/roleMiddleware');
+const { PROVIDER_NAMES } = require('../utils/smsProviders');
+
+// Validation rules
+const settingsValidation = [
+  body('provider').optional().isIn(PROVIDER_NAMES).withMessage(`Provider must be one of: ${PROVIDER_NAMES.join(', ')}`),
+  body('is_enabled').optional().isBoolean().withMessage('is_enabled must be a boolean'),
+  body('config_json').optional().isObject().withMessage('config_json must be an object'),
+  body('cost_per_message').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Cost per message must be a positive number'),
+  body('max_retries').optional().isInt({ min: 0, max: 5 }).withMessage('Max retries must be between 0 and 5')
+];
+
+const testValidation = [
+  body('phone').trim().notEmpty().withMessage('Phone number is required'),
+  body('message').optional().isString().isLength({ max: 480 }).withMessage('Message must be at most 480 characters')
+];
+
+// Delivery receipts from providers (public, verified per provider). Messages sent for an
+// ISP carry its ID in the callback URL so the receipt is checked against that ISP's secret
+router.post('/delivery/:provider/:ispId?', deliveryReceipt);
+
+router.use(authMiddleware);
+router.use(ispMiddleware);
+
+router.get('/settings', permissionMiddleware('manage_sms_settings'), getSettings);
+router.put('/settings', permissionMiddleware('manage_sms_settings'), settingsValidation, updateSettings);
+router.get('/messages', permissionMiddleware('view_sms_messages'), getMessages);
+router.post('/test', permissionMiddleware('manage_sms_settings'), testValidation, sendTestSms);
+
+module.exports = router;
@@ -13,14 +13,14 @@ const {
   getISPAnalytics
 } = require('../controllers/superAdminController');
 const authMiddleware = require('../middlewares/authMiddleware');
-const { roleMiddleware } = require('../middlewares/roleMiddleware');
+const { permissionMiddleware } = require('../middlewares/roleMiddleware');
 
 router.use(authMiddleware);
-router.use(roleMiddleware('super_admin')); // Only Super Admin
+// ISP management permissions are platform-only, so only Super Admin holds them
 
-router.get('/dashboard', getDashboard);
-router.get('/isps', getAllISPs);
-router.post('/isps', [
+router.get('/dashboard', permissionMiddleware('view_isps'), getDashboard);
+router.get('/isps', permissionMiddleware('view_isps'), getAllISPs);
+router.post('/isps', permissionMiddleware('create_isps'), [
   body('name').optional().isString().withMessage('Business name must be a string'),
   body('owner_name').optional().isString().withMessage('Owner name must be a string'),
   body('email').isEmail().withMessage('Valid email is required'),
@@ -29,22 +29,23 @@ router.post('/isps', [
   body('status').optional().isIn(['active', 'pending', 'suspended', 'cancelled', 'expired']).withMessage('Invalid status'),
   body('saas_package_id').optional().isInt().withMessage('SaaS package ID must be an integer')
 ], createISP);
-router.put('/isps/:id', [
+router.put('/isps/:id', permissionMiddleware('update_isps'), [
   body('name').optional().isString().withMessage('Business name must be a string'),
   body('owner_name').optional().isString().withMessage('Owner name must be a string'),
   body('email').optional().isEmail().withMessage('Valid email is required'),
   body('contact').optional().isString().withMessage('Contact must be a string'),
   body('address').optional().isString().withMessage('Address must be a string'),
   body('status').optional().isIn(['active', 'pending', 'suspended', 'cancelled', 'expired']).withMessage('Invalid status'),
-  body('saas_package_id').optional().isInt().withMessage('SaaS package ID must be an integer')
+  body('saas_package_id').optional().isInt().withMessage('SaaS package ID must be an integer'),
+  body('require_admin_two_factor').optional().isBoolean().withMessage('require_admin_two_factor must be a boolean')
 ], updateISP);
-router.delete('/isps/:id', deleteISP);
-router.get('/isps/:id/analytics', getISPAnalytics);
-router.get('/isps/:id/srs', downloadSRS);
-router.post('/isps/:id/subscribe', [
+router.delete('/isps/:id', permissionMiddleware('delete_isps'), deleteISP);
+router.get('/isps/:id/analytics', permissionMiddleware('view_isps'), getISPAnalytics);
+router.get('/isps/:id/srs', permissionMiddleware('view_isps'), downloadSRS);
+router.post('/isps/:id/subscribe', permissionMiddleware('update_isps'), [
   body('package_id').notEmpty().withMessage('Package ID is required')
 ], subscribeISP);
-router.put('/isps/:id/status', [
+router.put('/isps/:id/status', permissionMiddleware('update_isps'), [
   body('status').notEmpty().withMessage('Status is required')
 ], updateISPStatus);
 
@@ -0,0 +1,43 @@
+const express = require('express');
+const router = express.Router();
+const { body } = require('express-validator');
+const {
+  getTemplates,
+  getTemplateVariables,
+  upsertTemplate,
+  deleteTemplate,
+  previewTemplate
+} = require('../controllers/templateController');
+const authMiddleware = require('../middlewares/authMiddleware');
+const { permissionMiddleware, ispMiddleware } = require('../middlewares/roleMiddleware');
+const { EVENTS, CHANNELS, LOCALES } = require('../utils/messageTemplates');
+
+// Validation rules
+const templateValidation = [
+  body('event').isIn(EVENTS).withMessage(`Event must be one of: ${EVENTS.join(', ')}`),
+  body('channel').isIn(CHANNELS).withMessage(`Channel must be one of: ${CHANNELS.join(', ')}`),
+  body('locale').optional().isIn(LOCALES).withMessage(`Locale must be one of: ${LOCALES.join(', ')}`),
+  body('subject').optional({ nullable: true }).isLength({ max: 255 }).withMessage('Subject must be at most 255 characters'),
+  body('body').trim().notEmpty().withMessage('Template body is required'),
+  body('is_active').optional().isBoolean().withMessage('is_active must be a boolean')
+];
+
+const previewValidation = [
+  body('event').isIn(EVENTS).withMessage(`Event must be one of: ${EVENTS.join(', ')}`),
+  body('channel').isIn(CHANNELS).withMessage(`Channel must be one of: ${CHANNELS.join(', ')}`),
+  body('locale').optional().isIn(LOCALES).withMessage(`Locale must be one of: ${LOCALES.join(', ')}`),
+  body('customer_id').optional().isInt().withMessage('Customer ID must be an integer'),
+  body('bill_id').optional().isInt().withMessage('Bill ID must be an integer'),
+  body('payment_id').optional().isInt().withMessage('Payment ID must be an integer')
+];
+
+router.use(authMiddleware);
+router.use(ispMiddleware);
+
+router.get('/', permissionMiddleware('view_templates'), getTemplates);
+router.get('/variables', permissionMiddleware('view_templates'), getTemplateVariables);
+router.post('/preview', permissionMiddleware('view_templates'), previewValidation, previewTemplate);
+router.put('/', permissionMiddleware('manage_templates'), templateValidation, upsertTemplate);
+router.delete('/:id', permissionMiddleware('manage_templates'), deleteTemplate);
+
+module.exports = router;
@@ -0,0 +1,31 @@
+const express = require('express');
+const router = express.Router();
+const { query } = require('express-validator');
+const {
+  receiveAccounting,
+  importUsageFile,
+  getImports,
+  getCustomerUsage
+} = require('../controllers/usageController');
+const authMiddleware = require('../middlewares/authMiddleware');
+const { permissionMiddleware, ispMiddleware } = require('../middlewares/roleMiddleware');
+const { uploadUsageFile } = require('../middlewares/uploadMiddleware');
+
+// Validation rules
+const historyValidation = [
+  query('from').optional().isISO8601().withMessage('from must be a date (YYYY-MM-DD)'),
+  query('to').optional().isISO8601().withMessage('to must be a date (YYYY-MM-DD)'),
+  query('granularity').optional().isIn(['day', 'month']).withMessage('Granularity must be day or month')
+];
+
+// RADIUS accounting from collectors (public, verified by the ISP's accounting secret)
+router.post('/accounting/:ispId', receiveAccounting);
+
+router.use(authMiddleware);
+router.use(ispMiddleware);
+
+router.post('/import', permissionMiddleware('import_usage'), uploadUsageFile, importUsageFile);
+router.get('/imports', permissionMiddleware('view_usage_imports'), getImports);
+router.get('/customers/:id', permissionMiddleware('view_usage'), historyValidation, getCustomerUsage);
+
+module.exports = router;
@@ -1,10 +1,17 @@
 const express = require('express');
 const router = express.Router();
 const { body } = require('express-validator');
-const { getUsers, getUserById, createUser, updateUser, deleteUser } = require('../controllers/userController');
+const { getUsers, getUserById, createUser, updateUser, deleteUser, resetUserTwoFactor } = require('../controllers/userController');
 const authMiddleware = require('../middlewares/authMiddleware');
-const { roleMiddleware } = require('../middlewares/roleMiddleware');
+const { permissionMiddleware } = require('../middlewares/roleMiddleware');
 const { tenantMiddleware } = require('../middlewares/tenantMiddleware');
+const { enforcePlanLimit } = require('../middlewares/planLimitMiddleware');
+
+// Customer accounts count against max_customers, staff accounts against max_users
+const userPlanResource = (req) => {
+  if (req.body.role === 'super_admin') return null;
+  return req.body.role === 'customer' ? 'customers' : 'users';
+};
 
 // Validation rules
 const createUserValidation = [
@@ -13,6 +20,7 @@ const createUserValidation = [
   body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
   body('role').isIn(['super_admin', 'admin', 'account_manager', 'technical_officer', 'recovery_officer', 'customer']).withMessage('Invalid role'),
   body('isp_id').optional().isInt().withMessage('ISP ID must be an integer'),
+  body('role_id').optional({ nullable: true }).isInt().withMessage('Role ID must be an integer'),
   body('phone').optional().isString(),
   body('address').optional().isString()
 ];
@@ -23,6 +31,7 @@ const updateUserValidation = [
   body('password').optional().isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
   body('role').optional().isIn(['super_admin', 'admin', 'account_manager', 'technical_officer', 'recovery_officer', 'customer']).withMessage('Invalid role'),
   body('isp_id').optional().isInt().withMessage('ISP ID must be an integer'),
+  body('role_id').optional({ nullable: true }).isInt().withMessage('Role ID must be an integer'),
   body('is_active').optional().isBoolean().withMessage('is_active must be a boolean')
 ];
 
@@ -31,19 +40,22 @@ router.use(authMiddleware);
 router.use(tenantMiddleware); // Apply tenant isolation
 
 // Get all users (Super Admin, Admin)
-router.get('/', roleMiddleware('super_admin', 'admin'), getUsers);
+router.get('/', permissionMiddleware('view_users'), getUsers);
 
 // Get single user (Super Admin, Admin, or self)
 router.get('/:id', getUserById);
 
 // Create user (Super Admin, Admin)
-router.post('/', roleMiddleware('super_admin', 'admin'), createUserValidation, createUser);
+router.post('/', permissionMiddleware('create_users'), createUserValidation, enforcePlanLimit(userPlanResource), createUser);
 
 // Update user (Super Admin, Admin, or self)
 router.put('/:id', updateUserValidation, updateUser);
 
 // Delete user (Super Admin, Admin)
-router.delete('/:id', roleMiddleware('super_admin', 'admin'), deleteUser);
+router.delete('/:id', permissionMiddleware('delete_users'), deleteUser);
+
+// Reset a user's two-factor authentication (Super Admin, Admin)
+router.delete('/:id/two-factor', permissionMiddleware('reset_user_two_factor'), resetUserTwoFactor);
 
 module.exports = router;
 
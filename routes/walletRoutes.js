@@ -0,0 +1,43 @@
+const express = require('express');
+const router = express.Router();
+const { body } = require('express-validator');
+const {
+  getMyWallet,
+  getCustomerTransactions,
+  addAdvance,
+  adjustBalance,
+  applyToBill
+} = require('../controllers/walletController');
+const authMiddleware = require('../middlewares/authMiddleware');
+const { permissionMiddleware, ispMiddleware } = require('../middlewares/roleMiddleware');
+
+// Validation rules
+const advanceValidation = [
+  body('amount').isFloat({ gt: 0 }).withMessage('Amount must be greater than zero'),
+  body('method').optional().isIn(['cash', 'card', 'online', 'bank_transfer', 'jazzcash', 'easypaisa', 'stripe']).withMessage('Invalid payment method'),
+  body('reference').optional().isString().isLength({ max: 100 }).withMessage('Reference must be at most 100 characters')
+];
+
+const adjustValidation = [
+  body('amount').isFloat().withMessage('Amount must be a number')
+    .custom(value => parseFloat(value) !== 0).withMessage('Amount must not be zero'),
+  body('reason').trim().notEmpty().withMessage('Reason is required')
+];
+
+const applyValidation = [
+  body('bill_id').isInt().withMessage('Bill ID is required'),
+  body('amount').optional().isFloat({ gt: 0 }).withMessage('Amount must be greater than zero')
+];
+
+router.use(authMiddleware);
+router.use(ispMiddleware);
+
+// Customer can view their own wallet
+router.get('/my-wallet', permissionMiddleware('use_customer_portal'), getMyWallet);
+
+router.get('/customers/:customerId/transactions', permissionMiddleware('view_wallets'), getCustomerTransactions);
+router.post('/customers/:customerId/advance', permissionMiddleware('add_wallet_advance'), advanceValidation, addAdvance);
+router.post('/customers/:customerId/adjust', permissionMiddleware('adjust_wallets'), adjustValidation, adjustBalance);
+router.post('/customers/:customerId/apply', permissionMiddleware('apply_wallet_credit'), applyValidation, applyToBill);
+
+module.exports = router;
@@ -29,6 +29,17 @@ const roleRoutes = require('./routes/roleRoutes');
 const permissionRoutes = require('./routes/permissionRoutes');
 const invoiceRoutes = require('./routes/invoiceRoutes');
 const automationRoutes = require('./routes/automationRoutes');
+const loyaltyRoutes = require('./routes/loyaltyRoutes');
+const walletRoutes = require('./routes/walletRoutes');
+const smsRoutes = require('./routes/smsRoutes');
+const templateRoutes = require('./routes/templateRoutes');
+const billingPolicyRoutes = require('./routes/billingPolicyRoutes');
+const cashRoutes = require('./routes/cashRoutes');
+const commissionRoutes = require('./routes/commissionRoutes');
+const inventoryRoutes = require('./routes/inventoryRoutes');
+const ipamRoutes = require('./routes/ipamRoutes');
+const networkRoutes = require('./routes/networkRoutes');
+const usageRoutes = require('./routes/usageRoutes');
 const { initializeScheduler } = require('./utils/monthlyScheduler');
 const initializeRBAC = require('./utils/initializeRBAC');
 
@@ -36,6 +47,14 @@ const initializeRBAC = require('./utils/initializeRBAC');
 const app = express();
 const PORT = process.env.PORT || 8000;
 
+// Behind a load balancer or proxy req.ip is the proxy's address, which would put every
+// client in the same rate limit bucket. TRUST_PROXY is the number of proxy hops (or an
+// Express trust proxy value); Vercel always sits behind one.
+if (process.env.TRUST_PROXY || process.env.VERCEL) {
+  const trustProxy = process.env.TRUST_PROXY || '1';
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? parseInt(trustProxy, 10) : trustProxy === 'true' || trustProxy);
+}
+
 // Middleware
 // Default localhost origins for development
 const defaultLocalhostOrigins = [
@@ -108,7 +127,7 @@ app.use(cors({
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
-  exposedHeaders: ['Content-Range', 'X-Content-Range'],
+  exposedHeaders: ['Content-Range', 'X-Content-Range', 'Retry-After', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset'],
   preflightContinue: false,
   optionsSuccessStatus: 204
 }));
@@ -180,6 +199,17 @@ app.use('/api/roles', roleRoutes);
 app.use('/api/permissions', permissionRoutes);
 app.use('/api/invoices', invoiceRoutes);
 app.use('/api/automation', automationRoutes);
+app.use('/api/loyalty', loyaltyRoutes);
+app.use('/api/wallet', walletRoutes);
+app.use('/api/sms', smsRoutes);
+app.use('/api/templates', templateRoutes);
+app.use('/api/billing-policies', billingPolicyRoutes);
+app.use('/api/cash', cashRoutes);
+app.use('/api/commissions', commissionRoutes);
+app.use('/api/inventory', inventoryRoutes);
+app.use('/api/ipam', ipamRoutes);
+app.use('/api/network', networkRoutes);
+app.use('/api/usage', usageRoutes);
 
 // Health check route
 app.get('/api/health', async (req, res) => {
@@ -0,0 +1,200 @@
+const { ISP, SaaSPackage, Customer, User } = require('../models');
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/db');
+
+// Roles that count towards a plan's max_users (customers are counted separately)
+const STAFF_ROLES = ['admin', 'account_manager', 'technical_officer', 'recovery_officer'];
+
+/**
+ * Resolve a numeric limit from the package column, falling back to features_json
+ * Returns null when the plan does not restrict the resource
+ */
+const resolveLimit = (saasPackage, key) => {
+  if (!saasPackage) return null;
+
+  const columnValue = saasPackage[key];
+  if (columnValue !== null && columnValue !== undefined) {
+    return parseInt(columnValue);
+  }
+
+  const features = saasPackage.features_json || {};
+  if (features[key] !== null && features[key] !== undefined) {
+    return parseInt(features[key]);
+  }
+
+  return null;
+};
+
+/**
+ * Load the ISP together with its SaaS package
+ * @param {number} ispId - ISP (business) ID
+ * @param {Object} options - { transaction }
+ * @returns {Object|null} ISP with saasPackage included
+ */
+const getTenantPlan = async (ispId, { transaction = null } = {}) => {
+  if (!ispId) return null;
+
+  return await ISP.findByPk(ispId, {
+    include: [{
+      model: SaaSPackage,
+      as: 'saasPackage',
+      required: false
+    }],
+    transaction
+  });
+};
+
+/**
+ * Count current usage of each limited resource for an ISP
+ * @param {number} ispId - ISP (business) ID
+ * @param {Object} options - { transaction }
+ * @returns {Object} { customers, users }
+ */
+const countUsage = async (ispId, { transaction = null } = {}) => {
+  const [customers, users] = await Promise.all([
+    Customer.count({ where: { isp_id: ispId }, transaction }),
+    User.count({
+      where: {
+        isp_id: ispId,
+        role: { [Op.in]: STAFF_ROLES }
+      },
+      transaction
+    })
+  ]);
+
+  return { customers, users };
+};
+
+/**
+ * Build the usage-vs-limit summary for an ISP
+ * @param {number} ispId - ISP (business) ID
+ * @returns {Object|null} Usage summary, or null if the ISP does not exist
+ */
+const getUsageSummary = async (ispId) => {
+  const isp = await getTenantPlan(ispId);
+  if (!isp) return null;
+
+  const saasPackage = isp.saasPackage || null;
+  const usage = await countUsage(isp.id);
+
+  const buildEntry = (used, limit) => ({
+    used,
+    limit,
+    remaining: limit === null ? null : Math.max(0, limit - used),
+    exceeded: limit !== null && used >= limit
+  });
+
+  return {
+    isp_id: isp.id,
+    business_id: isp.business_id,
+    subscription_status: isp.subscription_status,
+    package: saasPackage
+      ? { id: saasPackage.id, name: saasPackage.name }
+      : null,
+    limits: {
+      customers: buildEntry(usage.customers, resolveLimit(saasPackage, 'max_customers')),
+      users: buildEntry(usage.users, resolveLimit(saasPackage, 'max_users'))
+    },
+    features: saasPackage ? (saasPackage.features_json || {}) : {}
+  };
+};
+
+/**
+ * Check whether an ISP can add more of a limited resource
+ * @param {number} ispId - ISP (business) ID
+ * @param {string} resource - 'customers' or 'users'
+ * @param {Object} options
+ * @param {number} [options.adding=1] - How many would be added (0 to check the ISP is within its limit)
+ * @param {Object} [options.transaction] - Sequelize transaction
+ * @returns {Object} { allowed, resource, used, limit, package }
+ */
+const checkLimit = async (ispId, resource, { adding = 1, transaction = null } = {}) => {
+  const isp = await getTenantPlan(ispId, { transaction });
+  const saasPackage = isp ? isp.saasPackage : null;
+  const limitKey = resource === 'customers' ? 'max_customers' : 'max_users';
+  const limit = resolveLimit(saasPackage, limitKey);
+
+  // ISPs without a package (or without a limit on this resource) are unrestricted
+  if (limit === null) {
+    return { allowed: true, resource, used: null, limit: null, package: saasPackage?.name || null };
+  }
+
+  const usage = await countUsage(ispId, { transaction });
+  const used = usage[resource];
+
+  return {
+    allowed: used + adding <= limit,
+    resource,
+    used,
+    limit,
+    package: saasPackage.name
+  };
+};
+
+/**
+ * Message shown when a plan limit stops a create
+ * @param {Object} result - Result of checkLimit
+ * @returns {string} Message
+ */
+const planLimitMessage = (result) => `Your plan${result.package ? ` (${result.package})` : ''} allows a maximum of ${result.limit} ${result.resource}. Please upgrade your subscription to add more.`;
+
+/**
+ * Run work that adds to a limited resource only if the plan allows it. The ISP row is
+ * locked for the transaction, so concurrent requests for the same business are counted
+ * one after another and cannot both take the last free slot.
+ * @param {number} ispId - ISP (business) ID
+ * @param {string} resource - 'customers' or 'users'
+ * @param {Function} work - async (transaction) => result; do the inserts/updates here
+ * @param {Object} options - { adding } (see checkLimit)
+ * @returns {Promise<*>} What work returned
+ * @throws {Error} status 402 with error.planLimit set to the checkLimit result
+ */
+const runWithinLimit = async (ispId, resource, work, { adding = 1 } = {}) => {
+  return await sequelize.transaction(async (transaction) => {
+    if (ispId) {
+      await ISP.findByPk(ispId, { attributes: ['id'], transaction, lock: transaction.LOCK.UPDATE });
+    }
+
+    const result = await checkLimit(ispId, resource, { adding, transaction });
+    if (!result.allowed) {
+      const error = new Error(planLimitMessage(result));
+      error.status = 402;
+      error.planLimit = result;
+      throw error;
+    }
+
+    return await work(transaction);
+  });
+};
+
+/**
+ * Check whether an ISP's plan includes a feature flag from features_json
+ * A feature is only denied when the package explicitly disables it
+ * @param {number} ispId - ISP (business) ID
+ * @param {string} feature - Feature key (e.g., 'automation', 'analytics')
+ * @returns {Object} { allowed, feature, package }
+ */
+const checkFeature = async (ispId, feature) => {
+  const isp = await getTenantPlan(ispId);
+  const saasPackage = isp ? isp.saasPackage : null;
+
+  if (!saasPackage) {
+    return { allowed: true, feature, package: null };
+  }
+
+  const features = saasPackage.features_json || {};
+  const allowed = features[feature] === undefined || features[feature] === null || Boolean(features[feature]);
+
+  return { allowed, feature, package: saasPackage.name };
+};
+
+module.exports = {
+  STAFF_ROLES,
+  getTenantPlan,
+  countUsage,
+  getUsageSummary,
+  checkLimit,
+  planLimitMessage,
+  runWithinLimit,
+  checkFeature
+};
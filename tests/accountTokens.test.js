@@ -0,0 +1,165 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { User, AccountToken } = require('../models');
+const accountTokens = require('../utils/accountTokens');
+const { setTransport } = require('../utils/sendEmail');
+const { createStubs, stubTransactions, fakeRecord } = require('./helpers');
+
+let stubs;
+let state;
+
+// Token rows kept in memory; update() honours the where clauses accountTokens uses
+const stubTokenTable = () => {
+  const matches = (row, where) => Object.entries(where).every(([key, value]) => row[key] === value);
+
+  stubs.stub(AccountToken, 'create', async (values, options = {}) => {
+    const row = { id: state.tokens.length + 1, used_at: null, ...values };
+    state.tokens.push(row);
+    state.tokenWrites.push(options.transaction);
+    return row;
+  });
+  stubs.stub(AccountToken, 'update', async (changes, { where, transaction }) => {
+    const rows = state.tokens.filter(row => matches(row, where));
+    rows.forEach(row => Object.assign(row, changes));
+    state.tokenWrites.push(transaction);
+    return [rows.length];
+  });
+  stubs.stub(AccountToken, 'findOne', async ({ where }) => state.tokens.find(row => matches(row, where)) || null);
+};
+
+// Token from the link in the last captured email
+const lastEmailedToken = () => {
+  const mail = state.mails[state.mails.length - 1];
+  return mail.text.match(/token=([0-9a-f]{64})/)[1];
+};
+
+beforeEach(() => {
+  stubs = createStubs();
+  state = { tokens: [], tokenWrites: [], mails: [], saves: [] };
+
+  state.user = fakeRecord({
+    id: 4,
+    name: 'Ayesha Khan',
+    email: 'ayesha@example.com',
+    isp_id: null,
+    customer_id: null,
+    is_active: true,
+    email_verified: false,
+    password: 'old-hash'
+  }, state.saves);
+
+  const { transactions } = stubTransactions(stubs);
+  state.transactions = transactions;
+  stubTokenTable();
+  stubs.stub(User, 'findOne', async ({ where }) => (where.email === state.user.email ? state.user : null));
+  stubs.stub(User, 'findByPk', async (id) => (id === state.user.id ? state.user : null));
+
+  setTransport({
+    sendMail: async (mail) => {
+      state.mails.push(mail);
+      return { messageId: `<capture-${state.mails.length}@test>` };
+    }
+  });
+});
+
+afterEach(() => {
+  setTransport(null);
+  stubs.restore();
+});
+
+test('a password reset link sets the new password once and verifies the email', async () => {
+  await accountTokens.requestPasswordReset('ayesha@example.com', { ip: '203.0.113.9' });
+
+  assert.equal(state.mails.length, 1);
+  assert.equal(state.mails[0].to, 'ayesha@example.com');
+  assert.match(state.mails[0].text, /\/reset-password\?token=/);
+
+  // Only the hash of the emailed token is stored
+  const token = lastEmailedToken();
+  assert.equal(state.tokens.length, 1);
+  assert.notEqual(state.tokens[0].token_hash, token);
+  assert.equal(state.tokens[0].requested_ip, '203.0.113.9');
+
+  const user = await accountTokens.resetPassword(token, 'N3w-Passw0rd!');
+
+  assert.equal(user.password, 'N3w-Passw0rd!');
+  assert.equal(user.email_verified, true);
+  assert.ok(state.tokens[0].used_at);
+
+  // The token is used up and the password saved in the same transaction
+  const resetTransaction = state.transactions[state.transactions.length - 1];
+  assert.equal(state.tokenWrites[state.tokenWrites.length - 1], resetTransaction);
+  assert.equal(state.saves.length, 1);
+  assert.equal(state.saves[0].options.transaction, resetTransaction);
+
+  await assert.rejects(
+    accountTokens.resetPassword(token, 'An0ther-Passw0rd!'),
+    (error) => error.status === 400 && /invalid or has expired/.test(error.message)
+  );
+  assert.equal(state.saves.length, 1);
+});
+
+test('an expired reset link is refused', async () => {
+  await accountTokens.requestPasswordReset('ayesha@example.com');
+  state.tokens[0].expires_at = new Date(Date.now() - 1000);
+
+  await assert.rejects(accountTokens.resetPassword(lastEmailedToken(), 'N3w-Passw0rd!'), /invalid or has expired/);
+  assert.equal(state.tokens[0].used_at, null);
+  assert.equal(state.user.password, 'old-hash');
+});
+
+test('requesting a new reset link replaces the older one', async () => {
+  await accountTokens.requestPasswordReset('ayesha@example.com');
+  const olderToken = lastEmailedToken();
+  await accountTokens.requestPasswordReset('ayesha@example.com');
+  const newerToken = lastEmailedToken();
+
+  assert.equal(state.mails.length, 2);
+  assert.notEqual(olderToken, newerToken);
+  assert.ok(state.tokens[0].used_at);
+  assert.equal(state.tokens[1].used_at, null);
+
+  await assert.rejects(accountTokens.resetPassword(olderToken, 'N3w-Passw0rd!'), /invalid or has expired/);
+  await accountTokens.resetPassword(newerToken, 'N3w-Passw0rd!');
+  assert.equal(state.user.password, 'N3w-Passw0rd!');
+});
+
+test('reset requests for unknown emails send nothing', async () => {
+  const result = await accountTokens.requestPasswordReset('nobody@example.com');
+
+  assert.equal(result, null);
+  assert.equal(state.mails.length, 0);
+  assert.equal(state.tokens.length, 0);
+});
+
+test('a verification link verifies the email once', async () => {
+  await accountTokens.sendEmailVerification(state.user);
+
+  assert.equal(state.mails.length, 1);
+  assert.match(state.mails[0].text, /\/verify-email\?token=/);
+  const token = lastEmailedToken();
+
+  // A reset token cannot be used to verify, or the other way round
+  await assert.rejects(accountTokens.resetPassword(token, 'N3w-Passw0rd!'), /invalid or has expired/);
+
+  await accountTokens.verifyEmail(token);
+  assert.equal(state.user.email_verified, true);
+  assert.ok(state.user.email_verified_at);
+
+  await assert.rejects(accountTokens.verifyEmail(token), /invalid or has expired/);
+  await assert.rejects(accountTokens.sendEmailVerification(state.user), /already verified/);
+});
+
+test('an expired or replaced verification link is refused', async () => {
+  await accountTokens.sendEmailVerification(state.user);
+  const olderToken = lastEmailedToken();
+  await accountTokens.sendEmailVerification(state.user);
+  const newerToken = lastEmailedToken();
+
+  await assert.rejects(accountTokens.verifyEmail(olderToken), /invalid or has expired/);
+
+  state.tokens[1].expires_at = new Date(Date.now() - 1000);
+  await assert.rejects(accountTokens.verifyEmail(newerToken), /invalid or has expired/);
+  assert.equal(state.user.email_verified, false);
+});
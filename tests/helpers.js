@@ -0,0 +1,88 @@
+/**
+ * Test Helpers
+ * The suite runs without a database: model methods are replaced per test and
+ * sequelize.transaction runs its callback against a fake transaction.
+ */
+
+const { sequelize } = require('../config/db');
+
+/**
+ * Replace methods on objects for the length of one test
+ * @returns {Object} { stub(target, name, impl), restore() }
+ */
+const createStubs = () => {
+  const originals = [];
+
+  return {
+    stub(target, name, impl) {
+      originals.push([target, name, target[name]]);
+      target[name] = impl;
+      return impl;
+    },
+    restore() {
+      while (originals.length > 0) {
+        const [target, name, original] = originals.pop();
+        target[name] = original;
+      }
+    }
+  };
+};
+
+/**
+ * Make sequelize.transaction run callbacks immediately, committing after commit hooks
+ * when the outermost callback resolves
+ * @param {Object} stubs - From createStubs()
+ * @returns {Object} { transactions } every fake transaction that was opened
+ */
+const stubTransactions = (stubs) => {
+  const transactions = [];
+
+  stubs.stub(sequelize, 'transaction', async (options, callback) => {
+    const work = callback || options;
+    const parent = callback && options ? options.transaction : null;
+    const hooks = [];
+    const transaction = {
+      LOCK: { UPDATE: 'UPDATE' },
+      parent,
+      afterCommit: (hook) => hooks.push(hook)
+    };
+    transactions.push(transaction);
+
+    const result = await work(transaction);
+    for (const hook of hooks) {
+      await hook();
+    }
+    return result;
+  });
+
+  return { transactions };
+};
+
+/**
+ * Build a model-like record whose save() merges into itself
+ * @param {Object} values - Attributes
+ * @param {Array} saves - Optional list collecting { record, options } per save
+ */
+const fakeRecord = (values, saves = null) => {
+  const record = {
+    ...values,
+    async save(options = {}) {
+      if (saves) saves.push({ record, options });
+      return record;
+    },
+    async update(changes, options = {}) {
+      Object.assign(record, changes);
+      return record.save(options);
+    },
+    toJSON() {
+      return { ...record };
+    }
+  };
+  return record;
+};
+
+module.exports = {
+  createStubs,
+  stubTransactions,
+  fakeRecord
+};
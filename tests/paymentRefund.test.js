@@ -0,0 +1,183 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { Payment, Bill, Customer, Refund, PointsTransaction } = require('../models');
+const { refundPayment } = require('../utils/paymentRefund');
+const autoSuspension = require('../utils/autoSuspension');
+const { createStubs, stubTransactions, fakeRecord } = require('./helpers');
+
+let stubs;
+let state;
+
+// A stripe payment of 1000 on a 1000 bill that earned 10 points
+const setup = ({ refundedAmount = 0 } = {}) => {
+  state = {
+    saves: [],
+    stripeCalls: [],
+    refunds: [],
+    pointsEntries: [],
+    suspensionChecks: []
+  };
+
+  state.payment = fakeRecord({
+    id: 7,
+    bill_id: 3,
+    customer_id: 5,
+    isp_id: 2,
+    amount: '1000.00',
+    refunded_amount: String(refundedAmount),
+    method: 'stripe',
+    status: 'completed',
+    transaction_id: 'pi_123',
+    receipt_number: 'RCP2-2026-000007',
+    notes: null
+  }, state.saves);
+  state.bill = fakeRecord({
+    id: 3,
+    customer_id: 5,
+    isp_id: 2,
+    bill_number: 'BILL-3',
+    total_amount: '1000.00',
+    paid_amount: String(1000 - refundedAmount),
+    status: refundedAmount > 0 ? 'partial' : 'paid',
+    due_date: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000)
+  }, state.saves);
+  state.customer = fakeRecord({ id: 5, isp_id: 2, status: 'active', points: '10.00' }, state.saves);
+  state.earned = fakeRecord({ id: 11, payment_id: 7, type: 'earn', points: '10.00', remaining_points: '10.00' }, state.saves);
+
+  state.stripe = {
+    refunds: {
+      create: async (params, requestOptions) => {
+        state.stripeCalls.push({ params, requestOptions });
+        return { id: `re_${state.stripeCalls.length}` };
+      }
+    }
+  };
+
+  const { transactions } = stubTransactions(stubs);
+  state.transactions = transactions;
+
+  stubs.stub(Payment, 'findByPk', async (id, options) => {
+    state.paymentLock = options.lock;
+    return id === state.payment.id ? state.payment : null;
+  });
+  stubs.stub(Payment, 'sum', async (field, { where }) => {
+    if (where.bill_id !== state.bill.id || state.payment.status !== where.status) return null;
+    return parseFloat(state.payment[field]);
+  });
+  stubs.stub(Bill, 'findByPk', async () => state.bill);
+  stubs.stub(Customer, 'findByPk', async () => state.customer);
+  stubs.stub(Refund, 'count', async () => state.refunds.length);
+  stubs.stub(Refund, 'create', async (values) => {
+    state.refunds.push(values);
+    return values;
+  });
+  stubs.stub(PointsTransaction, 'findOne', async ({ where }) => (where.payment_id === 7 && where.type === 'earn' ? state.earned : null));
+  stubs.stub(PointsTransaction, 'findAll', async () => []);
+  stubs.stub(PointsTransaction, 'create', async (values) => {
+    state.pointsEntries.push(values);
+    return values;
+  });
+  stubs.stub(autoSuspension, 'checkSuspensionAfterRefund', async (customerId, options) => {
+    state.suspensionChecks.push({ customerId, options });
+    return { success: false, message: 'No overdue bills beyond grace period' };
+  });
+};
+
+beforeEach(() => {
+  stubs = createStubs();
+});
+
+afterEach(() => {
+  stubs.restore();
+});
+
+test('full refund marks the payment refunded and reopens the bill', async () => {
+  setup();
+
+  const result = await refundPayment({ paymentId: 7, reason: 'Duplicate charge' }, { stripeClient: state.stripe });
+
+  assert.equal(result.refund.type, 'full');
+  assert.equal(result.refund.amount, 1000);
+  assert.equal(result.refund.gateway_refund_id, 're_1');
+  assert.equal(state.payment.status, 'refunded');
+  assert.equal(parseFloat(state.payment.amount), 1000);
+  assert.equal(state.payment.refunded_amount, 1000);
+  assert.equal(state.bill.paid_amount, 0);
+  assert.equal(state.bill.status, 'pending');
+
+  assert.equal(state.stripeCalls.length, 1);
+  assert.equal(state.stripeCalls[0].params.amount, 100000);
+  assert.equal(state.stripeCalls[0].requestOptions.idempotencyKey, 'refund-7-0.00');
+
+  // All points earned on the payment are taken back
+  assert.equal(state.customer.points, 0);
+  assert.equal(state.earned.remaining_points, 0);
+  assert.equal(state.pointsEntries[0].points, -10);
+});
+
+test('partial refund keeps the original amount and records the refund separately', async () => {
+  setup();
+
+  const result = await refundPayment({ paymentId: 7, amount: 250 }, { stripeClient: state.stripe });
+
+  assert.equal(result.refund.type, 'partial');
+  assert.equal(state.payment.status, 'completed');
+  assert.equal(parseFloat(state.payment.amount), 1000);
+  assert.equal(state.payment.refunded_amount, 250);
+  assert.equal(state.bill.paid_amount, 750);
+  assert.equal(state.bill.status, 'partial');
+  assert.deepEqual(result.newValues.payment, { amount: 1000, status: 'completed', refunded_amount: 250 });
+
+  // A quarter of the payment was refunded, so a quarter of its points go
+  assert.equal(state.customer.points, 7.5);
+  assert.equal(state.pointsEntries[0].points, -2.5);
+
+  // Every write, and the suspension re-check, joined the refund's transaction
+  const [transaction] = state.transactions;
+  assert.equal(state.paymentLock, 'UPDATE');
+  assert.ok(state.saves.length > 0);
+  assert.ok(state.saves.every(({ options }) => options.transaction === transaction || options.transaction.parent === transaction));
+  assert.equal(state.suspensionChecks.length, 1);
+  assert.equal(state.suspensionChecks[0].options.transaction, transaction);
+});
+
+test('a second partial refund uses a new idempotency key and only the remaining balance', async () => {
+  setup({ refundedAmount: 250 });
+
+  const result = await refundPayment({ paymentId: 7, amount: 750 }, { stripeClient: state.stripe });
+
+  assert.equal(result.refund.type, 'full');
+  assert.equal(state.payment.status, 'refunded');
+  assert.equal(state.payment.refunded_amount, 1000);
+  assert.equal(state.stripeCalls[0].requestOptions.idempotencyKey, 'refund-7-250.00');
+});
+
+test('refunds above the refundable balance are rejected before Stripe is called', async () => {
+  setup({ refundedAmount: 250 });
+
+  await assert.rejects(
+    refundPayment({ paymentId: 7, amount: 800 }, { stripeClient: state.stripe }),
+    (error) => {
+      assert.equal(error.status, 400);
+      assert.match(error.message, /exceeds refundable amount of PKR 750\.00/);
+      return true;
+    }
+  );
+
+  assert.equal(state.stripeCalls.length, 0);
+  assert.equal(state.refunds.length, 0);
+  assert.equal(state.payment.refunded_amount, '250');
+  assert.equal(state.saves.length, 0);
+});
+
+test('refunds of payments that are not completed are rejected', async () => {
+  setup();
+  state.payment.status = 'refunded';
+
+  await assert.rejects(
+    refundPayment({ paymentId: 7, amount: 100 }, { stripeClient: state.stripe }),
+    /Only completed payments can be refunded/
+  );
+  assert.equal(state.stripeCalls.length, 0);
+});
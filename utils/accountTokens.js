@@ -0,0 +1,204 @@
+/**
+ * Account Tokens
+ * Password reset and email verification links. Tokens are single-use, expire,
+ * and only their SHA-256 is stored; issuing a new token supersedes older unused ones.
+ */
+
+const crypto = require('crypto');
+const moment = require('moment');
+const { User, Customer, AccountToken } = require('../models');
+const { sequelize } = require('../config/db');
+const { renderMessage } = require('./messageTemplates');
+const { sendEmail } = require('./sendEmail');
+
+const RESET_EXPIRY_MINUTES = parseInt(process.env.PASSWORD_RESET_EXPIRY_MINUTES, 10) || 60;
+const VERIFICATION_EXPIRY_HOURS = parseInt(process.env.EMAIL_VERIFICATION_EXPIRY_HOURS, 10) || 48;
+
+// Frontend page each link opens, and how long it stays valid
+const PURPOSES = {
+  password_reset: {
+    path: '/reset-password',
+    expiresAt: () => moment().add(RESET_EXPIRY_MINUTES, 'minutes').toDate()
+  },
+  email_verification: {
+    path: '/verify-email',
+    expiresAt: () => moment().add(VERIFICATION_EXPIRY_HOURS, 'hours').toDate()
+  }
+};
+
+// Join the caller's transaction, or open one for this call
+const withTransaction = (transaction, work) => (transaction ? work(transaction) : sequelize.transaction(work));
+
+const hashToken = (value) => crypto.createHash('sha256').update(String(value)).digest('hex');
+
+const tokenError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * Issue a token for a user and email them the link
+ * @param {Object} user - User instance
+ * @param {string} purpose - password_reset | email_verification
+ * @param {Object} options - { ip }
+ * @returns {Promise<Object>} { token, delivery } - token is the AccountToken record
+ */
+const sendAccountEmail = async (user, purpose, { ip = null } = {}) => {
+  const { path, expiresAt } = PURPOSES[purpose];
+
+  const token = crypto.randomBytes(32).toString('hex');
+  const record = await sequelize.transaction(async (transaction) => {
+    await AccountToken.update(
+      { used_at: new Date() },
+      { where: { user_id: user.id, purpose, used_at: null }, transaction }
+    );
+
+    return AccountToken.create({
+      user_id: user.id,
+      purpose,
+      token_hash: hashToken(token),
+      expires_at: expiresAt(),
+      requested_ip: ip
+    }, { transaction });
+  });
+
+  const customer = user.customer_id
+    ? await Customer.findByPk(user.customer_id, { attributes: ['id', 'preferred_language'] })
+    : null;
+
+  const message = await renderMessage(purpose, 'email', {
+    ispId: user.isp_id,
+    locale: customer ? customer.preferred_language : undefined,
+    account: {
+      name: user.name,
+      email: user.email,
+      link: `${process.env.FRONTEND_URL || ''}${path}?token=${token}`,
+      expires_at: record.expires_at
+    }
+  });
+
+  const delivery = await sendEmail(user.email, message.subject, message.text, message.html);
+  if (!delivery.success) {
+    console.error(`❌ Could not send ${purpose} email to user ${user.id}:`, delivery.error);
+  }
+
+  return { token: record, delivery };
+};
+
+/**
+ * Redeem a token, marking it used so it cannot be replayed. Pass the transaction
+ * that applies the token's change so a failed change leaves the token unused.
+ * @param {string} token - Token from the emailed link
+ * @param {string} purpose - password_reset | email_verification
+ * @param {Object} options - { transaction }
+ * @returns {Promise<Object>} User the token belongs to
+ */
+const redeemToken = async (token, purpose, { transaction = null } = {}) => withTransaction(transaction, async (t) => {
+  const record = await AccountToken.findOne({
+    where: { token_hash: hashToken(token), purpose },
+    transaction: t,
+    lock: t.LOCK.UPDATE
+  });
+
+  if (!record || record.used_at || record.expires_at <= new Date()) {
+    throw tokenError('This link is invalid or has expired');
+  }
+
+  // Two requests racing with the same token: only one may redeem it
+  const [updated] = await AccountToken.update(
+    { used_at: new Date() },
+    { where: { id: record.id, used_at: null }, transaction: t }
+  );
+  if (!updated) {
+    throw tokenError('This link is invalid or has expired');
+  }
+
+  const user = await User.findByPk(record.user_id, { transaction: t, lock: t.LOCK.UPDATE });
+  if (!user) {
+    throw tokenError('This link is invalid or has expired');
+  }
+
+  return user;
+});
+
+/**
+ * Start a password reset. Unknown and inactive accounts are skipped silently so
+ * the response does not reveal which emails are registered.
+ * @param {string} email - Email address
+ * @param {Object} options - { ip }
+ * @returns {Promise<Object|null>} { token, delivery } or null if no email was sent
+ */
+const requestPasswordReset = async (email, { ip = null } = {}) => {
+  const user = await User.findOne({ where: { email } });
+  if (!user || !user.is_active) {
+    console.log(`🔑 Password reset requested for unknown or inactive account: ${email}`);
+    return null;
+  }
+
+  return sendAccountEmail(user, 'password_reset', { ip });
+};
+
+/**
+ * Set a new password from a reset link. Saving the password signs the user out of
+ * every session (see User hooks); following the link also proves the email address.
+ * The token is only used up if the new password is saved.
+ * @param {string} token - Token from the emailed link
+ * @param {string} password - New password
+ * @returns {Promise<Object>} User
+ */
+const resetPassword = async (token, password) => {
+  const user = await sequelize.transaction(async (transaction) => {
+    const tokenUser = await redeemToken(token, 'password_reset', { transaction });
+    if (!tokenUser.is_active) {
+      throw tokenError('Account is inactive', 403);
+    }
+
+    tokenUser.password = password;
+    if (!tokenUser.email_verified) {
+      tokenUser.email_verified = true;
+      tokenUser.email_verified_at = new Date();
+    }
+    await tokenUser.save({ transaction });
+    return tokenUser;
+  });
+
+  console.log(`🔑 Password reset for user ${user.id}`);
+  return user;
+};
+
+/**
+ * Send (or resend) the email verification link
+ * @param {Object} user - User instance
+ * @param {Object} options - { ip }
+ * @returns {Promise<Object>} { token, delivery }
+ */
+const sendEmailVerification = async (user, options = {}) => {
+  if (user.email_verified) {
+    throw tokenError('Email address is already verified');
+  }
+  return sendAccountEmail(user, 'email_verification', options);
+};
+
+/**
+ * Confirm an email address from a verification link
+ * @param {string} token - Token from the emailed link
+ * @returns {Promise<Object>} User
+ */
+const verifyEmail = async (token) => sequelize.transaction(async (transaction) => {
+  const user = await redeemToken(token, 'email_verification', { transaction });
+
+  if (!user.email_verified) {
+    await user.update({ email_verified: true, email_verified_at: new Date() }, { transaction });
+    console.log(`✅ Email verified for user ${user.id}`);
+  }
+
+  return user;
+});
+
+module.exports = {
+  requestPasswordReset,
+  resetPassword,
+  sendEmailVerification,
+  verifyEmail
+};
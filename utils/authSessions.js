@@ -0,0 +1,210 @@
+/**
+ * Auth Sessions
+ * Every login opens a server-side session. Clients get a short-lived JWT access
+ * token tied to the session and a refresh token (stored hashed) that is rotated on
+ * every use, so sessions can be listed, revoked and expire on their own.
+ */
+
+const crypto = require('crypto');
+const moment = require('moment');
+const { Op } = require('sequelize');
+const { AuthSession, User } = require('../models');
+const generateToken = require('./generateToken');
+
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS, 10) || 30;
+const SESSION_RETENTION_DAYS = parseInt(process.env.AUTH_SESSION_RETENTION_DAYS, 10) || 30;
+
+const hashToken = (value) => crypto.createHash('sha256').update(String(value)).digest('hex');
+
+const sessionError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const refreshExpiry = () => moment().add(REFRESH_TOKEN_DAYS, 'days').toDate();
+
+const clientInfo = (req) => ({
+  user_agent: ((req.get && req.get('user-agent')) || '').slice(0, 255) || null,
+  ip_address: req.ip || null
+});
+
+const activeWhere = () => ({
+  revoked_at: null,
+  expires_at: { [Op.gt]: new Date() }
+});
+
+/**
+ * Open a session for a user who has just authenticated
+ * @param {Object} user - User instance
+ * @param {Object} req - Express request (for user agent and IP)
+ * @returns {Promise<Object>} { token, refresh_token, refresh_expires_at, session }
+ */
+const createSession = async (user, req) => {
+  const refreshToken = crypto.randomBytes(48).toString('hex');
+
+  const session = await AuthSession.create({
+    user_id: user.id,
+    token_hash: hashToken(refreshToken),
+    expires_at: refreshExpiry(),
+    last_used_at: new Date(),
+    ...clientInfo(req)
+  });
+
+  return {
+    token: generateToken(user.id, session.id),
+    refresh_token: refreshToken,
+    refresh_expires_at: session.expires_at,
+    session
+  };
+};
+
+/**
+ * Exchange a refresh token for a new access token and a new refresh token.
+ * Presenting a token that was already rotated means it leaked, so the whole
+ * session is revoked.
+ * @param {string} refreshToken - Refresh token from the client
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} { user, token, refresh_token, refresh_expires_at }
+ */
+const refreshSession = async (refreshToken, req) => {
+  const tokenHash = hashToken(refreshToken);
+  const session = await AuthSession.findOne({ where: { token_hash: tokenHash } });
+
+  if (!session) {
+    const reused = await AuthSession.findOne({
+      where: { previous_token_hash: tokenHash, revoked_at: null }
+    });
+    if (reused) {
+      await reused.update({ revoked_at: new Date(), revoked_reason: 'refresh_token_reuse' });
+      console.warn(`⚠️  Refresh token reuse detected for user ${reused.user_id}; session ${reused.id} revoked`);
+    }
+    throw sessionError('Invalid refresh token', 401);
+  }
+
+  if (session.revoked_at || session.expires_at <= new Date()) {
+    throw sessionError('Session has expired or been revoked', 401);
+  }
+
+  const user = await User.findByPk(session.user_id, {
+    attributes: { exclude: ['password'] }
+  });
+  if (!user || !user.is_active) {
+    throw sessionError('User not found or inactive', 401);
+  }
+
+  const nextToken = crypto.randomBytes(48).toString('hex');
+  const expiresAt = refreshExpiry();
+
+  // Only one of two concurrent refreshes with the same token may win
+  const [updated] = await AuthSession.update({
+    token_hash: hashToken(nextToken),
+    previous_token_hash: tokenHash,
+    last_used_at: new Date(),
+    expires_at: expiresAt,
+    ...clientInfo(req)
+  }, {
+    where: { id: session.id, token_hash: tokenHash, revoked_at: null }
+  });
+  if (!updated) {
+    throw sessionError('Invalid refresh token', 401);
+  }
+
+  return {
+    user,
+    token: generateToken(user.id, session.id),
+    refresh_token: nextToken,
+    refresh_expires_at: expiresAt
+  };
+};
+
+/**
+ * Find a user's session if it is still active
+ * @param {number} sessionId - Session ID
+ * @param {number} userId - User ID
+ * @returns {Promise<Object|null>} Session
+ */
+const getActiveSession = (sessionId, userId) => AuthSession.findOne({
+  where: { id: sessionId, user_id: userId, ...activeWhere() }
+});
+
+/**
+ * List a user's active sessions, most recently used first
+ * @param {number} userId - User ID
+ * @returns {Promise<Array>} Sessions (without token hashes)
+ */
+const listSessions = (userId) => AuthSession.findAll({
+  where: { user_id: userId, ...activeWhere() },
+  attributes: ['id', 'user_agent', 'ip_address', 'last_used_at', 'expires_at', 'createdAt'],
+  order: [['last_used_at', 'DESC']]
+});
+
+/**
+ * Revoke one of a user's sessions
+ * @param {number} sessionId - Session ID
+ * @param {number} userId - Owner of the session
+ * @param {string} reason - Why the session was revoked
+ * @returns {Promise<boolean>} Whether an active session was revoked
+ */
+const revokeSession = async (sessionId, userId, reason) => {
+  const [updated] = await AuthSession.update(
+    { revoked_at: new Date(), revoked_reason: reason },
+    { where: { id: sessionId, user_id: userId, revoked_at: null } }
+  );
+  return updated > 0;
+};
+
+/**
+ * Revoke all of a user's sessions
+ * @param {number} userId - User ID
+ * @param {string} reason - Why the sessions were revoked
+ * @param {Object} options
+ * @param {number} [options.exceptSessionId] - Session to keep (e.g. the one making the change)
+ * @param {Object} [options.transaction] - Sequelize transaction
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+const revokeUserSessions = async (userId, reason, { exceptSessionId = null, transaction = null } = {}) => {
+  const where = { user_id: userId, revoked_at: null };
+  if (exceptSessionId) {
+    where.id = { [Op.ne]: exceptSessionId };
+  }
+
+  const [updated] = await AuthSession.update(
+    { revoked_at: new Date(), revoked_reason: reason },
+    { where, transaction }
+  );
+
+  if (updated > 0) {
+    console.log(`🔒 Revoked ${updated} session(s) for user ${userId} (${reason})`);
+  }
+  return updated;
+};
+
+/**
+ * Delete sessions that expired or were revoked longer ago than the retention period
+ * @returns {Promise<number>} Number of sessions removed
+ */
+const pruneAuthSessions = async () => {
+  const cutoff = moment().subtract(SESSION_RETENTION_DAYS, 'days').toDate();
+  const removed = await AuthSession.destroy({
+    where: {
+      [Op.or]: [
+        { expires_at: { [Op.lt]: cutoff } },
+        { revoked_at: { [Op.lt]: cutoff } }
+      ]
+    }
+  });
+
+  console.log(`🧹 Pruned ${removed} auth session(s)`);
+  return removed;
+};
+
+module.exports = {
+  createSession,
+  refreshSession,
+  getActiveSession,
+  listSessions,
+  revokeSession,
+  revokeUserSessions,
+  pruneAuthSessions
+};
@@ -3,10 +3,13 @@
  * Automatically matches payments from payment gateways with pending bills
  */
 
-const { Bill, Payment, Customer } = require('../models');
+const { Bill, Payment, Customer, WalletTransaction } = require('../models');
 const { Op } = require('sequelize');
 const moment = require('moment');
 const createActivityLog = require('./activityLogger');
+const { sequelize } = require('../config/db');
+const { creditWallet } = require('./customerWallet');
+const { recordBillPayment } = require('./paymentRecording');
 
 /**
  * Reconcile payment from gateway with customer bills
@@ -72,66 +75,113 @@ const reconcilePayment = async (paymentData) => {
       ]
     });
 
-    if (unpaidBills.length === 0) {
+    // Gateway retries of an advance payment are credited to the wallet only once
+    const existingCredit = await WalletTransaction.findOne({
+      where: {
+        customer_id: customer.id,
+        reference: transactionId
+      }
+    });
+
+    if (existingCredit) {
       return {
         success: false,
-        message: 'No unpaid bills found for customer',
-        matched: false,
-        customer: customer
+        message: 'Payment already reconciled',
+        matched: true,
+        walletTransaction: existingCredit
       };
     }
 
     const paymentAmount = parseFloat(amount);
-    let remainingAmount = paymentAmount;
-    const matchedBills = [];
-    const paymentsCreated = [];
 
-    // Match payment to bills
-    for (const bill of unpaidBills) {
-      if (remainingAmount <= 0) break;
+    // No open bills: hold the whole amount as an advance in the customer's wallet
+    if (unpaidBills.length === 0) {
+      const walletTransaction = await creditWallet({
+        customerId: customer.id,
+        amount: paymentAmount,
+        type: 'advance',
+        reference: transactionId,
+        description: `Advance payment via ${method || 'online'} (no unpaid bills)`
+      });
+
+      return {
+        success: true,
+        message: 'No unpaid bills found. Payment credited to customer wallet as advance',
+        matched: true,
+        customer: customer,
+        bills: [],
+        payments: [],
+        remainingAmount: paymentAmount,
+        walletCredit: paymentAmount,
+        walletTransaction
+      };
+    }
+
+    // Every bill payment and the wallet credit for any excess commit together
+    const { matchedBills, paymentsCreated, remainingAmount, walletTransaction } = await sequelize.transaction(async (transaction) => {
+      let remaining = Math.round(paymentAmount * 100) / 100;
+      const matched = [];
+      const created = [];
 
-      const billAmount = parseFloat(bill.total_amount || bill.amount || 0);
-      const paidAmount = parseFloat(bill.paid_amount || 0);
-      const remainingBillAmount = billAmount - paidAmount;
+      // Match payment to bills
+      for (const bill of unpaidBills) {
+        if (remaining <= 0) break;
 
-      if (remainingBillAmount <= 0) continue;
+        const billAmount = parseFloat(bill.total_amount || bill.amount || 0);
+        const paidAmount = parseFloat(bill.paid_amount || 0);
+        const remainingBillAmount = billAmount - paidAmount;
 
-      const paymentForBill = Math.min(remainingAmount, remainingBillAmount);
-      const newPaidAmount = paidAmount + paymentForBill;
+        if (remainingBillAmount <= 0) continue;
 
-      // Create payment record
-      const payment = await Payment.create({
-        bill_id: bill.id,
-        customer_id: customer.id,
-        amount: paymentForBill,
-        method: method || 'online',
-        payment_date: paymentDate || new Date(),
-        transaction_id: transactionId,
-        status: 'completed',
-        notes: `Auto-reconciled from gateway`,
-        isp_id: customer.isp_id
-      });
+        const paymentForBill = Math.round(Math.min(remaining, remainingBillAmount) * 100) / 100;
+        const { payment, bill: updatedBill, amountApplied } = await recordBillPayment({
+          bill,
+          amount: paymentForBill,
+          method: method || 'online',
+          transactionId,
+          notes: 'Auto-reconciled from gateway',
+          ispId: customer.isp_id,
+          paymentDate: paymentDate || new Date(),
+          transaction
+        });
 
-      paymentsCreated.push(payment);
+        // If another payment settled the bill since it was listed, recordBillPayment
+        // has already credited the unapplied share to the wallet
+        remaining = Math.round((remaining - paymentForBill) * 100) / 100;
+        if (!payment) continue;
 
-      // Update bill
-      if (newPaidAmount >= billAmount) {
-        bill.status = 'paid';
-        bill.paid_amount = billAmount;
-      } else {
-        bill.status = 'partial';
-        bill.paid_amount = newPaidAmount;
+        created.push(payment);
+        matched.push({
+          bill: updatedBill,
+          paymentAmount: amountApplied
+        });
       }
-      await bill.save();
 
-      matchedBills.push({
-        bill: bill,
-        paymentAmount: paymentForBill
-      });
+      // If there's remaining amount, hold it as credit in the customer's wallet
+      let credit = null;
+      if (remaining > 0) {
+        console.log(`⚠️  Payment amount ${paymentAmount} exceeds bill amount. Crediting ${remaining} to wallet`);
+        credit = await creditWallet({
+          customerId: customer.id,
+          amount: remaining,
+          type: 'overpayment',
+          paymentId: created.length > 0 ? created[created.length - 1].id : null,
+          reference: transactionId,
+          description: `Overpayment on gateway transaction ${transactionId}`
+        }, { transaction });
+      }
 
-      remainingAmount -= paymentForBill;
+      return {
+        matchedBills: matched,
+        paymentsCreated: created,
+        remainingAmount: remaining,
+        walletTransaction: credit
+      };
+    });
 
-      // Log activity
+    // Log activity
+    for (const { bill } of matchedBills) {
+      const payment = paymentsCreated.find((created) => created.bill_id === bill.id);
       await createActivityLog({
         user_id: null,
         action: 'auto_payment_reconciled',
@@ -142,12 +192,6 @@ const reconcilePayment = async (paymentData) => {
       });
     }
 
-    // If there's remaining amount, create a credit or refund record
-    if (remainingAmount > 0) {
-      // Could create a credit record here
-      console.log(`⚠️  Payment amount ${paymentAmount} exceeds bill amount. Remaining: ${remainingAmount}`);
-    }
-
     return {
       success: true,
       message: `Payment reconciled successfully. Matched ${matchedBills.length} bill(s)`,
@@ -155,7 +199,9 @@ const reconcilePayment = async (paymentData) => {
       customer: customer,
       bills: matchedBills,
       payments: paymentsCreated,
-      remainingAmount: remainingAmount
+      remainingAmount: remainingAmount,
+      walletCredit: walletTransaction ? remainingAmount : 0,
+      walletTransaction
     };
   } catch (error) {
     console.error('Error in reconcilePayment:', error);
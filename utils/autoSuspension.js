@@ -9,7 +9,10 @@ const moment = require('moment');
 const sendEmail = require('./sendEmail');
 const sendSMS = require('./smsService');
 const createActivityLog = require('./activityLogger');
+const { renderMessage } = require('./messageTemplates');
 const { sequelize } = require('../config/db');
+const billingPolicy = require('./billingPolicy');
+const networkEnforcement = require('./networkEnforcement');
 
 /**
  * Check if database connection is available
@@ -25,18 +28,105 @@ const checkDatabaseConnection = async () => {
   }
 };
 
+/**
+ * Suspend a customer for an overdue bill, notify them and log the activity
+ * @param {Object} customer - Customer instance
+ * @param {Object} bill - Overdue bill that triggered the suspension
+ * @param {Object} options - { sendNotification, transaction }
+ */
+const suspendCustomerForBill = async (customer, bill, { sendNotification = true, transaction = null } = {}) => {
+  // Suspend customer
+  customer.status = 'suspended';
+  customer.suspended_at = new Date();
+  customer.suspension_reason = `Auto-suspended due to overdue bill ${bill.bill_number}`;
+  await customer.save({ transaction });
+
+  // Network changes and messages wait until the suspension is committed
+  if (transaction) {
+    transaction.afterCommit(() => announceSuspension(customer, bill, { sendNotification })
+      .catch((error) => console.error(`Error announcing suspension of customer ${customer.id}:`, error)));
+    return;
+  }
+
+  await announceSuspension(customer, bill, { sendNotification });
+};
+
+/**
+ * Block a suspended customer on the network, notify them and log the suspension
+ * @param {Object} customer - Suspended customer
+ * @param {Object} bill - Overdue bill that caused the suspension
+ * @param {Object} options - { sendNotification }
+ */
+const announceSuspension = async (customer, bill, { sendNotification = true } = {}) => {
+  // Block the customer on the network
+  await networkEnforcement.syncCustomer(customer, { reason: `overdue bill ${bill.bill_number}` });
+
+  // Create notification
+  const User = require('../models/User');
+  const customerUser = await User.findOne({ where: { customer_id: customer.id } });
+
+  const notification = await Notification.create({
+    customer_id: customer.id,
+    user_id: customerUser ? customerUser.id : null,
+    bill_id: bill.id,
+    type: 'service_suspended',
+    title: 'Service Suspended',
+    message: `Your service has been suspended due to overdue bill ${bill.bill_number}. Please make payment to reactivate your service.`,
+    channel: 'both',
+    scheduled_at: new Date(),
+    isp_id: customer.isp_id
+  });
+
+  // Send notifications
+  if (sendNotification) {
+    if (customer.email) {
+      try {
+        const email = await renderMessage('suspension', 'email', { customer, bill });
+        await sendEmail.sendEmail(customer.email, email.subject, email.text, email.html);
+      } catch (error) {
+        console.error(`Error sending suspension email to customer ${customer.id}:`, error);
+      }
+    }
+
+    if (customer.phone) {
+      try {
+        const sms = await renderMessage('suspension', 'sms', { customer, bill });
+        await sendSMS(customer.phone, sms.text, {
+          ispId: customer.isp_id,
+          customerId: customer.id,
+          notificationId: notification.id
+        });
+      } catch (error) {
+        console.error(`Error sending suspension SMS to customer ${customer.id}:`, error);
+      }
+    }
+  }
+
+  // Log activity
+  await createActivityLog({
+    user_id: null,
+    action: 'auto_suspend_customer',
+    entity_type: 'customer',
+    entity_id: customer.id,
+    description: `Auto-suspended customer ${customer.name} due to overdue bill ${bill.bill_number}`,
+    isp_id: customer.isp_id
+  });
+};
+
 /**
  * Auto-suspend customers with overdue bills
  * @param {Object} options - Suspension options
- * @param {number} options.gracePeriodDays - Days after due date before suspension (default: 7)
+ * @param {number} options.gracePeriodDays - Days after due date before suspension (default: ISP billing policy)
  * @param {boolean} options.sendNotification - Send notification before suspension (default: true)
+ * @param {number} options.ispId - Limit the run to one ISP (optional)
  * @returns {Object} Suspension result
  */
 const autoSuspendCustomers = async (options = {}) => {
   try {
     const {
-      gracePeriodDays = 7,
-      sendNotification = true
+      gracePeriodDays = null,
+      sendNotification = true,
+      ispId = null
     } = options;
 
     console.log('🚫 Starting auto-suspension process...');
@@ -54,15 +144,16 @@ const autoSuspendCustomers = async (options = {}) => {
       };
     }
 
-    const suspensionDate = moment().subtract(gracePeriodDays, 'days').toDate();
+    const getPolicy = billingPolicy.createPolicyCache();
 
-    // Find customers with overdue bills beyond grace period
+    // Find customers with overdue bills; the grace period is checked per ISP below
     const overdueBills = await Bill.findAll({
       where: {
         status: 'overdue',
         due_date: {
-          [Op.lt]: suspensionDate
-        }
+          [Op.lt]: new Date()
+        },
+        ...(ispId ? { isp_id: ispId } : {})
       },
       include: [
         {
@@ -92,6 +183,15 @@ const autoSuspendCustomers = async (options = {}) => {
           continue;
         }
 
+        // Skip bills still within the ISP's grace period
+        const policy = await getPolicy(bill.isp_id);
+        const suspensionDate = gracePeriodDays !== null && gracePeriodDays !== undefined
+          ? moment().subtract(gracePeriodDays, 'days').toDate()
+          : billingPolicy.getSuspensionCutoff(policy);
+        if (new Date(bill.due_date) >= suspensionDate) {
+          continue;
+        }
+
         // Check if customer has any paid bills in the last 30 days (might be recent payment)
         const recentPayment = await Payment.findOne({
           where: {
@@ -118,71 +218,7 @@ const autoSuspendCustomers = async (options = {}) => {
           continue;
         }
 
-        // Suspend customer
-        customer.status = 'suspended';
-        customer.suspended_at = new Date();
-        customer.suspension_reason = `Auto-suspended due to overdue bill ${bill.bill_number}`;
-        await customer.save();
-
-        // Create notification
-        const User = require('../models/User');
-        let customerUser = null;
-        if (customer.email) {
-          customerUser = await User.findOne({
-            where: {
-              email: customer.email,
-              role: 'customer'
-            }
-          });
-        }
-
-        await Notification.create({
-          customer_id: customer.id,
-          user_id: customerUser ? customerUser.id : null,
-          bill_id: bill.id,
-          type: 'service_suspended',
-          title: 'Service Suspended',
-          message: `Your service has been suspended due to overdue bill ${bill.bill_number}. Please make payment to reactivate your service.`,
-          channel: 'both',
-          scheduled_at: new Date(),
-          isp_id: customer.isp_id
-        });
-
-        // Send notifications
-        if (sendNotification) {
-          if (customer.email) {
-            try {
-              await sendEmail.sendEmail(
-                customer.email,
-                'Service Suspended - Payment Required',
-                `Dear ${customer.name},\n\nYour internet service has been suspended due to overdue bill ${bill.bill_number}.\n\nPlease make payment immediately to reactivate your service.\n\nThank you.`
-              );
-            } catch (error) {
-              console.error(`Error sending suspension email to customer ${customer.id}:`, error);
-            }
-          }
-
-          if (customer.phone) {
-            try {
-              await sendSMS(
-                customer.phone,
-                `Service suspended due to overdue bill ${bill.bill_number}. Please pay to reactivate.`
-              );
-            } catch (error) {
-              console.error(`Error sending suspension SMS to customer ${customer.id}:`, error);
-            }
-          }
-        }
-
-        // Log activity
-        await createActivityLog({
-          user_id: null,
-          action: 'auto_suspend_customer',
-          entity_type: 'customer',
-          entity_id: customer.id,
-          description: `Auto-suspended customer ${customer.name} due to overdue bill ${bill.bill_number}`,
-          isp_id: customer.isp_id
-        });
+        await suspendCustomerForBill(customer, bill, { sendNotification });
 
         suspended++;
         suspensionDetails.push({
@@ -292,21 +328,16 @@ const autoReactivateCustomer = async (customerId, billId) => {
     customer.reactivated_at = new Date();
     await customer.save();
 
+    // Restore network access
+    await networkEnforcement.syncCustomer(customer, { reason: 'payment received' });
+
     // Create notification
     const User = require('../models/User');
-    let customerUser = null;
-    if (customer.email) {
-      customerUser = await User.findOne({
-        where: {
-          email: customer.email,
-          role: 'customer'
-        }
-      });
-    }
+    const customerUser = await User.findOne({ where: { customer_id: customer.id } });
 
     const bill = await Bill.findByPk(billId);
 
-    await Notification.create({
+    const notification = await Notification.create({
       customer_id: customer.id,
       user_id: customerUser ? customerUser.id : null,
       bill_id: billId,
@@ -321,11 +352,8 @@ const autoReactivateCustomer = async (customerId, billId) => {
     // Send notifications
     if (customer.email) {
       try {
-        await sendEmail.sendEmail(
-          customer.email,
-          'Service Reactivated',
-          `Dear ${customer.name},\n\nYour internet service has been reactivated. Thank you for your payment!\n\nYour service is now active and ready to use.`
-        );
+        const email = await renderMessage('reactivation', 'email', { customer, bill });
+        await sendEmail.sendEmail(customer.email, email.subject, email.text, email.html);
       } catch (error) {
         console.error(`Error sending reactivation email to customer ${customer.id}:`, error);
       }
@@ -333,10 +361,12 @@ const autoReactivateCustomer = async (customerId, billId) => {
 
     if (customer.phone) {
       try {
-        await sendSMS(
-          customer.phone,
-          `Service reactivated! Thank you for your payment. Your internet is now active.`
-        );
+        const sms = await renderMessage('reactivation', 'sms', { customer, bill });
+        await sendSMS(customer.phone, sms.text, {
+          ispId: customer.isp_id,
+          customerId: customer.id,
+          notificationId: notification.id
+        });
       } catch (error) {
         console.error(`Error sending reactivation SMS to customer ${customer.id}:`, error);
       }
@@ -400,9 +430,72 @@ const checkAndReactivateAfterPayment = async (customerId) => {
   }
 };
 
+/**
+ * Re-check suspension eligibility after a refund rolled a bill back to unpaid
+ * (called from the refund workflow). Given the refund's transaction, the status
+ * changes commit with the refund, in a savepoint so a failure here is rolled back
+ * on its own; network changes and messages follow the commit.
+ * @param {number} customerId - Customer ID
+ * @param {Object} options - { gracePeriodDays (default: ISP billing policy), sendNotification, transaction }
+ * @returns {Object} Suspension result
+ */
+const checkSuspensionAfterRefund = async (customerId, options = {}) => {
+  try {
+    const {
+      gracePeriodDays = null,
+      sendNotification = true,
+      transaction = null
+    } = options;
+
+    return await sequelize.transaction({ transaction }, async (t) => {
+      const customer = await Customer.findByPk(customerId, { transaction: t, lock: t.LOCK.UPDATE });
+      if (!customer || !['active', 'inactive'].includes(customer.status)) {
+        return { success: false, message: 'Customer not eligible for suspension' };
+      }
+
+      const suspensionDate = gracePeriodDays !== null && gracePeriodDays !== undefined
+        ? moment().subtract(gracePeriodDays, 'days').toDate()
+        : billingPolicy.getSuspensionCutoff(await billingPolicy.getBillingPolicy(customer.isp_id));
+
+      const overdueBill = await Bill.findOne({
+        where: {
+          customer_id: customerId,
+          status: {
+            [Op.in]: ['pending', 'partial', 'overdue']
+          },
+          due_date: {
+            [Op.lt]: suspensionDate
+          }
+        },
+        order: [['due_date', 'ASC']],
+        transaction: t
+      });
+
+      if (!overdueBill) {
+        return { success: false, message: 'No overdue bills beyond grace period' };
+      }
+
+      if (overdueBill.status !== 'overdue') {
+        overdueBill.status = 'overdue';
+        await overdueBill.save({ transaction: t });
+      }
+
+      // Side effects are attached to the outermost transaction so they wait for the real commit
+      await suspendCustomerForBill(customer, overdueBill, { sendNotification, transaction: transaction || t });
+      console.log(`✅ Suspended customer ${customer.id} after refund on overdue bill ${overdueBill.bill_number}`);
+
+      return { success: true, customer, bill: overdueBill };
+    });
+  } catch (error) {
+    console.error('Error in checkSuspensionAfterRefund:', error);
+    return { success: false, error: error.message };
+  }
+};
+
 module.exports = {
   autoSuspendCustomers,
   autoReactivateCustomer,
-  checkAndReactivateAfterPayment
+  checkAndReactivateAfterPayment,
+  checkSuspensionAfterRefund
 };
 
@@ -0,0 +1,50 @@
+/**
+ * Bill Balance Utility
+ * Derives what has been paid on a bill from its payments. Every path that settles a
+ * bill (payments, wallet credit, refunds) recalculates here from the payment rows
+ * rather than adding to the bill's stored paid amount.
+ */
+
+const { Payment } = require('../models');
+
+const round2 = (value) => Math.round(parseFloat(value || 0) * 100) / 100;
+
+/**
+ * Sum payments net of partial refunds (a payment keeps its original amount and
+ * tracks what was given back in refunded_amount)
+ * @param {Object} where - Payment filter
+ * @param {Object} options - { transaction }
+ * @returns {number} Amount received less amount refunded
+ */
+const sumNetPayments = async (where, { transaction = null } = {}) => {
+  const received = await Payment.sum('amount', { where, transaction });
+  const refunded = await Payment.sum('refunded_amount', { where, transaction });
+  return round2((received || 0) - (refunded || 0));
+};
+
+/**
+ * Re-derive a bill's paid amount and status from its completed payments
+ * @param {Object} bill - Bill instance (locked by the caller)
+ * @param {Object} transaction - Open transaction
+ */
+const refreshBillPaidStatus = async (bill, transaction) => {
+  const billAmount = parseFloat(bill.total_amount || bill.amount);
+  const paidAmount = await sumNetPayments({ bill_id: bill.id, status: 'completed' }, { transaction });
+
+  if (paidAmount >= billAmount) {
+    await bill.update({
+      status: 'paid',
+      paid_amount: paidAmount,
+      ...(bill.completed_at ? {} : { completed_at: new Date() })
+    }, { transaction });
+  } else if (paidAmount > 0) {
+    await bill.update({ status: 'partial', paid_amount: paidAmount }, { transaction });
+  } else {
+    await bill.update({ paid_amount: paidAmount }, { transaction });
+  }
+};
+
+module.exports = {
+  sumNetPayments,
+  refreshBillPaidStatus
+};
@@ -0,0 +1,264 @@
+/**
+ * Bill Line Items Utility
+ * Bills are built from line items (subscription, equipment rental, one-time charges, late fees, taxes,
+ * discounts and adjustments). bill.amount, bill.late_fee and bill.total_amount are
+ * always derived from the items so every existing total keeps working.
+ */
+
+const { Bill, BillLineItem, Package } = require('../models');
+const moment = require('moment');
+
+const LINE_ITEM_TYPES = ['subscription', 'rental', 'one_time', 'late_fee', 'tax', 'discount', 'adjustment'];
+
+const round2 = (value) => Math.round(parseFloat(value || 0) * 100) / 100;
+
+const lineItemError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * Build a line item from a type, quantity and unit price.
+ * Discounts are always negative; adjustments may be either sign.
+ * @param {Object} item - { type, description, quantity, unit_price, package_id, adjustment_id }
+ * @returns {Object} Line item values with amount
+ */
+const buildLineItem = ({ type, description, quantity = 1, unit_price, package_id = null, adjustment_id = null }) => {
+  if (!LINE_ITEM_TYPES.includes(type)) {
+    throw lineItemError(`Invalid line item type: ${type}`);
+  }
+  if (!description) {
+    throw lineItemError('Line item description is required');
+  }
+  if (unit_price === undefined || unit_price === null || isNaN(parseFloat(unit_price))) {
+    throw lineItemError(`Unit price is required for "${description}"`);
+  }
+
+  const qty = round2(quantity);
+  const unitPrice = type === 'discount' ? -Math.abs(round2(unit_price)) : round2(unit_price);
+
+  return {
+    type,
+    description,
+    quantity: qty,
+    unit_price: unitPrice,
+    amount: round2(qty * unitPrice),
+    package_id,
+    adjustment_id
+  };
+};
+
+/**
+ * Build line items from request input. Tax items may give a `rate` (percent) instead of
+ * a unit price; it is charged on the sum of the other non-late-fee items.
+ * @param {Array} items - Raw items
+ * @returns {Array} Built line items
+ */
+const buildLineItems = (items = []) => {
+  const built = items
+    .filter(item => !(item.type === 'tax' && item.rate !== undefined && item.rate !== null))
+    .map(buildLineItem);
+
+  const taxable = built
+    .filter(item => !['tax', 'late_fee'].includes(item.type))
+    .reduce((sum, item) => sum + item.amount, 0);
+
+  items
+    .filter(item => item.type === 'tax' && item.rate !== undefined && item.rate !== null)
+    .forEach((item) => {
+      built.push(buildLineItem({
+        type: 'tax',
+        description: item.description || `Tax (${parseFloat(item.rate)}%)`,
+        unit_price: round2(taxable * parseFloat(item.rate) / 100)
+      }));
+    });
+
+  return built;
+};
+
+/**
+ * Subscription line item for a package over a billing period
+ * @param {Object} pkg - Package (may be null)
+ * @param {Object} options - { price, periodStart, periodEnd }
+ * @returns {Object} Line item values
+ */
+const buildSubscriptionItem = (pkg, { price = null, periodStart = null, periodEnd = null } = {}) => {
+  const name = pkg
+    ? `${pkg.name}${pkg.speed ? ` - ${pkg.speed} Mbps` : ''}`
+    : 'Internet Service';
+  const period = periodStart && periodEnd
+    ? ` (${moment(periodStart).format('DD/MM/YYYY')} - ${moment(periodEnd).format('DD/MM/YYYY')})`
+    : '';
+
+  return buildLineItem({
+    type: 'subscription',
+    description: `${name}${period}`,
+    unit_price: price !== null && price !== undefined ? price : (pkg ? pkg.price : 0),
+    package_id: pkg ? pkg.id : null
+  });
+};
+
+/**
+ * Bill totals from line items
+ * @param {Array} items - Line items
+ * @returns {Object} { amount, late_fee, total_amount }
+ */
+const summarizeLineItems = (items) => {
+  const lateFee = round2(items
+    .filter(item => item.type === 'late_fee')
+    .reduce((sum, item) => sum + parseFloat(item.amount), 0));
+  const amount = round2(items
+    .filter(item => item.type !== 'late_fee')
+    .reduce((sum, item) => sum + parseFloat(item.amount), 0));
+
+  return {
+    amount,
+    late_fee: lateFee,
+    total_amount: round2(amount + lateFee)
+  };
+};
+
+/**
+ * Line items for a bill created before itemized billing (not saved)
+ * @param {Object} bill - Bill
+ * @param {Object} pkg - Bill package (optional)
+ * @returns {Array} Line items
+ */
+const legacyLineItems = (bill, pkg = null) => {
+  const items = [buildSubscriptionItem(pkg, {
+    price: bill.amount,
+    periodStart: bill.billing_period_start,
+    periodEnd: bill.billing_period_end
+  })];
+
+  if (round2(bill.late_fee) > 0) {
+    items.push(buildLineItem({ type: 'late_fee', description: 'Late fee', unit_price: bill.late_fee }));
+  }
+
+  // Loyalty credits on legacy bills reduced only total_amount
+  const legacyCredit = round2(parseFloat(bill.amount) + parseFloat(bill.late_fee || 0) - parseFloat(bill.total_amount));
+  if (legacyCredit > 0) {
+    items.push(buildLineItem({ type: 'discount', description: 'Credit applied', unit_price: legacyCredit }));
+  }
+
+  return items;
+};
+
+/**
+ * Create a bill whose amount, late fee and total come from its line items
+ * @param {Object} attributes - Bill attributes (without amount/total_amount)
+ * @param {Array} items - Built line items
+ * @param {Object} options - { transaction }
+ * @returns {Object} Created bill with lineItems
+ */
+const createBillWithLineItems = async (attributes, items, { transaction = null } = {}) => {
+  if (!items || items.length === 0) {
+    throw lineItemError('A bill needs at least one line item');
+  }
+
+  const totals = summarizeLineItems(items);
+  const bill = await Bill.create({
+    ...attributes,
+    ...totals,
+    paid_amount: attributes.paid_amount || 0
+  }, { transaction });
+
+  bill.lineItems = await BillLineItem.bulkCreate(items.map((item, index) => ({
+    ...item,
+    bill_id: bill.id,
+    sort_order: index,
+    isp_id: bill.isp_id
+  })), { transaction });
+
+  return bill;
+};
+
+/**
+ * Get a bill's line items, saving legacy items first for bills created before itemization
+ * @param {Object} bill - Bill instance
+ * @param {Object} options - { transaction }
+ * @returns {Array} BillLineItems in display order
+ */
+const ensureLineItems = async (bill, { transaction = null } = {}) => {
+  const items = await BillLineItem.findAll({
+    where: { bill_id: bill.id },
+    order: [['sort_order', 'ASC'], ['id', 'ASC']],
+    transaction
+  });
+  if (items.length > 0) return items;
+
+  const pkg = bill.package_id ? await Package.findByPk(bill.package_id, { transaction }) : null;
+  return await BillLineItem.bulkCreate(legacyLineItems(bill, pkg).map((item, index) => ({
+    ...item,
+    bill_id: bill.id,
+    sort_order: index,
+    isp_id: bill.isp_id
+  })), { transaction });
+};
+
+/**
+ * Re-derive a bill's totals (and paid status) from its line items
+ * @param {Object} bill - Bill instance
+ * @param {Object} options - { transaction }
+ * @returns {Object} Updated bill
+ */
+const recalculateBillTotals = async (bill, { transaction = null } = {}) => {
+  const items = await ensureLineItems(bill, { transaction });
+  const totals = summarizeLineItems(items);
+  const paidAmount = round2(bill.paid_amount);
+
+  bill.amount = totals.amount;
+  bill.late_fee = totals.late_fee;
+  bill.total_amount = totals.total_amount;
+
+  if (bill.status !== 'cancelled') {
+    if (paidAmount >= totals.total_amount) {
+      if (bill.status !== 'paid') {
+        bill.status = 'paid';
+        bill.completed_at = new Date();
+      }
+    } else if (bill.status === 'paid') {
+      bill.status = paidAmount > 0 ? 'partial' : 'pending';
+      bill.completed_at = null;
+    }
+  }
+
+  await bill.save({ transaction });
+  bill.lineItems = items;
+  return bill;
+};
+
+/**
+ * Add line items to an existing bill and recalculate its totals
+ * @param {Object} bill - Bill instance
+ * @param {Array} items - Built line items
+ * @param {Object} options - { transaction }
+ * @returns {Object} Updated bill
+ */
+const addLineItems = async (bill, items, { transaction = null } = {}) => {
+  const existing = await ensureLineItems(bill, { transaction });
+  const nextOrder = existing.reduce((max, item) => Math.max(max, item.sort_order), -1) + 1;
+
+  await BillLineItem.bulkCreate(items.map((item, index) => ({
+    ...item,
+    bill_id: bill.id,
+    sort_order: nextOrder + index,
+    isp_id: bill.isp_id
+  })), { transaction });
+
+  return await recalculateBillTotals(bill, { transaction });
+};
+
+module.exports = {
+  LINE_ITEM_TYPES,
+  buildLineItem,
+  buildLineItems,
+  buildSubscriptionItem,
+  summarizeLineItems,
+  legacyLineItems,
+  createBillWithLineItems,
+  ensureLineItems,
+  recalculateBillTotals,
+  addLineItems
+};
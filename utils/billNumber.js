@@ -0,0 +1,33 @@
+/**
+ * Bill Number Utility
+ * Bill numbers run per ISP and year: ISP<id>-<year>-<sequence>. Bills without an
+ * ISP fall back to a global BILL-<year>-<sequence> series.
+ */
+
+const { Bill } = require('../models');
+const { Op } = require('sequelize');
+
+/**
+ * Generate the next bill number for an ISP
+ * @param {number|null} ispId - ISP ID
+ * @param {Object} options - { transaction } so bills created earlier in it are counted
+ * @returns {Promise<string>} Bill number
+ */
+const generateBillNumber = async (ispId, { transaction = null } = {}) => {
+  const year = new Date().getFullYear();
+  const prefix = ispId ? `ISP${ispId}-` : 'BILL-';
+  const count = await Bill.count({
+    where: {
+      ...(ispId ? { isp_id: ispId } : {}),
+      createdAt: {
+        [Op.gte]: new Date(`${year}-01-01`)
+      }
+    },
+    transaction
+  });
+  return `${prefix}${year}-${String(count + 1).padStart(6, '0')}`;
+};
+
+module.exports = {
+  generateBillNumber
+};
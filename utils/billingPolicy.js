@@ -0,0 +1,143 @@
+/**
+ * Billing Policy Utility
+ * Per-ISP billing rules: billing anchor day, due-date offset, late fees, suspension grace period
+ * and reminder schedule. ISPs without a policy get the platform defaults.
+ */
+
+const { BillingPolicy } = require('../models');
+const moment = require('moment');
+
+// Defaults used when an ISP has not configured its own billing policy
+const DEFAULT_POLICY = {
+  billing_anchor_day: 1,
+  due_days: 7,
+  late_fee_type: 'percentage',
+  late_fee_value: 5,
+  late_fee_cap: null,
+  late_fee_repeat_days: null,
+  grace_period_days: 7,
+  reminder_days_before: [7]
+};
+
+const round2 = (value) => Math.round(parseFloat(value || 0) * 100) / 100;
+
+/**
+ * Normalize reminder offsets into a de-duplicated list of day counts, furthest first
+ * (0 = on the due date)
+ */
+const normalizeReminderDays = (days) => {
+  const list = Array.isArray(days) ? days : [days];
+  return [...new Set(list.map(day => parseInt(day)).filter(day => Number.isInteger(day) && day >= 0))]
+    .sort((a, b) => b - a);
+};
+
+/**
+ * Get the billing policy for an ISP (falls back to defaults)
+ * @param {number} ispId - ISP ID
+ * @returns {Object} Plain policy object
+ */
+const getBillingPolicy = async (ispId) => {
+  const policy = ispId ? await BillingPolicy.findOne({ where: { isp_id: ispId } }) : null;
+  if (!policy) {
+    return { isp_id: ispId, ...DEFAULT_POLICY, is_default: true };
+  }
+
+  return {
+    ...policy.toJSON(),
+    late_fee_value: parseFloat(policy.late_fee_value),
+    late_fee_cap: policy.late_fee_cap !== null ? parseFloat(policy.late_fee_cap) : null,
+    reminder_days_before: normalizeReminderDays(policy.reminder_days_before || []),
+    is_default: false
+  };
+};
+
+/**
+ * Memoized policy lookup for batch jobs that touch many bills across ISPs
+ * @returns {Function} async (ispId) => policy
+ */
+const createPolicyCache = () => {
+  const cache = new Map();
+  return async (ispId) => {
+    if (!cache.has(ispId)) {
+      cache.set(ispId, await getBillingPolicy(ispId));
+    }
+    return cache.get(ispId);
+  };
+};
+
+/**
+ * Billing period containing a date, starting on the policy's anchor day
+ * @param {Object} policy - Billing policy
+ * @param {Date} date - Reference date (default: now)
+ * @returns {Object} { start, end }
+ */
+const getBillingPeriod = (policy, date = new Date()) => {
+  const reference = moment(date);
+  let start = reference.clone().date(policy.billing_anchor_day).startOf('day');
+  if (start.isAfter(reference)) {
+    start = start.subtract(1, 'month');
+  }
+  const end = start.clone().add(1, 'month').subtract(1, 'millisecond');
+
+  return { start: start.toDate(), end: end.toDate() };
+};
+
+/**
+ * Due date for a bill generated on a date
+ * @param {Object} policy - Billing policy
+ * @param {Date} from - Bill generation date (default: now)
+ * @returns {Date} Due date
+ */
+const getDueDate = (policy, from = new Date()) => {
+  return moment(from).add(policy.due_days, 'days').toDate();
+};
+
+/**
+ * Late fee to charge on an overdue bill now, or 0 if none is due yet.
+ * The first fee is charged once the bill is past due; repeat fees follow every
+ * late_fee_repeat_days. The bill's total late fee never exceeds late_fee_cap.
+ * @param {Object} bill - Bill instance
+ * @param {Object} policy - Billing policy
+ * @param {Date} now - Reference time (default: now)
+ * @returns {number} Late fee amount
+ */
+const calculateLateFee = (bill, policy, now = new Date()) => {
+  const currentLateFee = round2(bill.late_fee);
+
+  if (currentLateFee > 0 || bill.last_late_fee_at) {
+    if (!policy.late_fee_repeat_days) return 0;
+    const lastCharged = bill.last_late_fee_at || bill.due_date;
+    if (moment(now).diff(moment(lastCharged), 'days') < policy.late_fee_repeat_days) return 0;
+  }
+
+  let fee = policy.late_fee_type === 'flat'
+    ? round2(policy.late_fee_value)
+    : round2(parseFloat(bill.amount) * policy.late_fee_value / 100);
+
+  if (policy.late_fee_cap !== null && policy.late_fee_cap !== undefined) {
+    fee = Math.min(fee, round2(policy.late_fee_cap - currentLateFee));
+  }
+
+  return fee > 0 ? fee : 0;
+};
+
+/**
+ * Latest due date a bill can have and still be within the suspension grace period
+ * @param {Object} policy - Billing policy
+ * @param {Date} now - Reference time (default: now)
+ * @returns {Date} Bills due before this date are eligible for suspension
+ */
+const getSuspensionCutoff = (policy, now = new Date()) => {
+  return moment(now).subtract(policy.grace_period_days, 'days').toDate();
+};
+
+module.exports = {
+  DEFAULT_POLICY,
+  normalizeReminderDays,
+  getBillingPolicy,
+  createPolicyCache,
+  getBillingPeriod,
+  getDueDate,
+  calculateLateFee,
+  getSuspensionCutoff
+};
@@ -89,6 +89,7 @@ const resetMonthlyDataUsage = async (customerId) => {
     }
 
     customer.data_usage = 0;
+    customer.data_alert_level = 0;
     customer.data_reset_date = new Date();
     await customer.save();
 
@@ -0,0 +1,301 @@
+/**
+ * Cash Custody Utility
+ * Ledger of the cash each recovery officer is holding: cash collections add to the
+ * officer's float and day-end settlements (cash handed in to the office) clear it
+ */
+
+const { CashTransaction, CashSettlement, User } = require('../models');
+const { Op } = require('sequelize');
+const moment = require('moment');
+
+// Differences up to this amount are not flagged for review
+const DISCREPANCY_TOLERANCE = parseFloat(process.env.CASH_DISCREPANCY_TOLERANCE || 0);
+
+const round2 = (value) => Math.round(parseFloat(value || 0) * 100) / 100;
+
+const cashError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * Cash currently held by an officer
+ * @param {number} officerId - Recovery officer user ID
+ * @returns {number} Balance after the officer's latest cash transaction
+ */
+const getOfficerBalance = async (officerId) => {
+  const latest = await CashTransaction.findOne({
+    where: { officer_id: officerId },
+    order: [['id', 'DESC']]
+  });
+  return latest ? round2(latest.balance_after) : 0;
+};
+
+/**
+ * Record a cash movement against an officer's float
+ * @param {Object} params - { officerId, type, amount (signed), paymentId, recoveryId, settlementId, description, userId, ispId }
+ * @returns {Object} Created CashTransaction
+ */
+const recordCashTransaction = async ({
+  officerId,
+  type,
+  amount,
+  paymentId = null,
+  recoveryId = null,
+  settlementId = null,
+  description = null,
+  userId = null,
+  ispId
+}) => {
+  const value = round2(amount);
+  if (value === 0) {
+    throw cashError('Amount must not be zero');
+  }
+
+  const balance = await getOfficerBalance(officerId);
+
+  return await CashTransaction.create({
+    officer_id: officerId,
+    type,
+    amount: value,
+    balance_after: round2(balance + value),
+    payment_id: paymentId,
+    recovery_id: recoveryId,
+    settlement_id: settlementId,
+    description,
+    created_by: userId,
+    isp_id: ispId
+  });
+};
+
+/**
+ * Add a cash payment collected in the field to the officer's float
+ * @param {Object} params - { officerId, payment, recoveryId, userId }
+ * @returns {Object} Created CashTransaction
+ */
+const recordCollection = async ({ officerId, payment, recoveryId = null, userId = null }) => {
+  const transaction = await recordCashTransaction({
+    officerId,
+    type: 'collection',
+    amount: payment.amount,
+    paymentId: payment.id,
+    recoveryId,
+    description: `Cash collected (receipt ${payment.receipt_number})`,
+    userId,
+    ispId: payment.isp_id
+  });
+
+  console.log(`💵 Officer ${officerId} collected PKR ${round2(payment.amount).toFixed(2)} (float: PKR ${round2(transaction.balance_after).toFixed(2)})`);
+  return transaction;
+};
+
+/**
+ * Close an officer's day: the office confirms the cash received against the float.
+ * A shortfall stays in the officer's custody and carries into the next settlement;
+ * cash over the float is recorded as an adjustment so the float returns to zero.
+ * @param {Object} params - { officerId, receivedAmount, settlementDate, notes, userId, ispId }
+ * @returns {Object} CashSettlement with transactions
+ */
+const settleOfficerCash = async ({
+  officerId,
+  receivedAmount,
+  settlementDate = new Date(),
+  notes = null,
+  userId = null,
+  ispId
+}) => {
+  const officer = await User.findOne({
+    where: { id: officerId, role: 'recovery_officer', ...(ispId ? { isp_id: ispId } : {}) }
+  });
+  if (!officer) {
+    throw cashError('Recovery officer not found', 404);
+  }
+
+  const received = round2(receivedAmount);
+  if (received < 0) {
+    throw cashError('Received amount cannot be negative');
+  }
+
+  const expected = await getOfficerBalance(officer.id);
+  const collections = await CashTransaction.findAll({
+    where: { officer_id: officer.id, type: 'collection', settlement_id: null }
+  });
+
+  if (expected === 0 && received === 0 && collections.length === 0) {
+    throw cashError('This officer has no cash to settle');
+  }
+
+  const discrepancy = round2(received - expected);
+  const settlement = await CashSettlement.create({
+    officer_id: officer.id,
+    settlement_date: moment(settlementDate).format('YYYY-MM-DD'),
+    collections_count: collections.length,
+    collected_amount: round2(collections.reduce((sum, collection) => sum + parseFloat(collection.amount), 0)),
+    expected_amount: expected,
+    received_amount: received,
+    discrepancy,
+    status: discrepancy < 0 ? 'short' : (discrepancy > 0 ? 'over' : 'balanced'),
+    is_flagged: Math.abs(discrepancy) > DISCREPANCY_TOLERANCE,
+    notes,
+    settled_by: userId,
+    isp_id: officer.isp_id
+  });
+
+  if (received > 0) {
+    await recordCashTransaction({
+      officerId: officer.id,
+      type: 'deposit',
+      amount: -received,
+      settlementId: settlement.id,
+      description: `Handed in at settlement #${settlement.id}`,
+      userId,
+      ispId: officer.isp_id
+    });
+  }
+
+  if (discrepancy > 0) {
+    await recordCashTransaction({
+      officerId: officer.id,
+      type: 'adjustment',
+      amount: discrepancy,
+      settlementId: settlement.id,
+      description: `Cash over at settlement #${settlement.id}`,
+      userId,
+      ispId: officer.isp_id
+    });
+  }
+
+  if (collections.length > 0) {
+    await CashTransaction.update(
+      { settlement_id: settlement.id },
+      { where: { id: { [Op.in]: collections.map(collection => collection.id) } } }
+    );
+  }
+
+  console.log(`🧾 Settlement #${settlement.id} for officer ${officer.id}: expected PKR ${expected.toFixed(2)}, received PKR ${received.toFixed(2)} (${settlement.status})`);
+
+  return settlement;
+};
+
+/**
+ * Current float, unsettled collections and last settlement for each recovery officer
+ * @param {number} ispId - ISP ID (null = all ISPs)
+ * @returns {Array} Officer float summaries
+ */
+const getOfficerFloats = async (ispId = null) => {
+  const officers = await User.findAll({
+    where: { role: 'recovery_officer', ...(ispId ? { isp_id: ispId } : {}) },
+    attributes: ['id', 'name', 'email', 'is_active', 'isp_id'],
+    order: [['name', 'ASC']]
+  });
+
+  return await Promise.all(officers.map(async (officer) => {
+    const unsettled = await CashTransaction.findAll({
+      where: { officer_id: officer.id, type: 'collection', settlement_id: null },
+      attributes: ['amount', 'createdAt']
+    });
+    const lastSettlement = await CashSettlement.findOne({
+      where: { officer_id: officer.id },
+      order: [['createdAt', 'DESC']]
+    });
+
+    return {
+      officer,
+      cash_in_hand: await getOfficerBalance(officer.id),
+      unsettled_collections: unsettled.length,
+      unsettled_amount: round2(unsettled.reduce((sum, collection) => sum + parseFloat(collection.amount), 0)),
+      oldest_unsettled_at: unsettled.length > 0
+        ? unsettled.reduce((oldest, collection) => (collection.createdAt < oldest ? collection.createdAt : oldest), unsettled[0].createdAt)
+        : null,
+      last_settlement: lastSettlement
+    };
+  }));
+};
+
+/**
+ * Settlements in a date range with totals for the settlement report
+ * @param {Object} filters - { ispId, officerId, startDate, endDate, status, flaggedOnly }
+ * @returns {Object} { settlements, totals, byOfficer }
+ */
+const getSettlementReport = async ({
+  ispId = null,
+  officerId = null,
+  startDate = null,
+  endDate = null,
+  status = null,
+  flaggedOnly = false
+} = {}) => {
+  const whereClause = {};
+  if (ispId) whereClause.isp_id = ispId;
+  if (officerId) whereClause.officer_id = officerId;
+  if (status) whereClause.status = status;
+  if (flaggedOnly) whereClause.is_flagged = true;
+  if (startDate || endDate) {
+    whereClause.settlement_date = {
+      ...(startDate ? { [Op.gte]: moment(startDate).format('YYYY-MM-DD') } : {}),
+      ...(endDate ? { [Op.lte]: moment(endDate).format('YYYY-MM-DD') } : {})
+    };
+  }
+
+  const settlements = await CashSettlement.findAll({
+    where: whereClause,
+    include: [
+      { model: User, as: 'officer', attributes: ['id', 'name', 'email'] },
+      { model: User, as: 'settledBy', attributes: ['id', 'name', 'email'] }
+    ],
+    order: [['settlement_date', 'DESC'], ['id', 'DESC']]
+  });
+
+  const totals = {
+    settlements: settlements.length,
+    collected: 0,
+    expected: 0,
+    received: 0,
+    discrepancy: 0,
+    short: 0,
+    over: 0,
+    flagged: 0
+  };
+  const byOfficer = {};
+
+  settlements.forEach((settlement) => {
+    totals.collected = round2(totals.collected + parseFloat(settlement.collected_amount));
+    totals.expected = round2(totals.expected + parseFloat(settlement.expected_amount));
+    totals.received = round2(totals.received + parseFloat(settlement.received_amount));
+    totals.discrepancy = round2(totals.discrepancy + parseFloat(settlement.discrepancy));
+    if (settlement.status === 'short') totals.short += 1;
+    if (settlement.status === 'over') totals.over += 1;
+    if (settlement.is_flagged) totals.flagged += 1;
+
+    const key = settlement.officer_id;
+    if (!byOfficer[key]) {
+      byOfficer[key] = {
+        officer: settlement.officer,
+        settlements: 0,
+        received: 0,
+        discrepancy: 0,
+        flagged: 0
+      };
+    }
+    byOfficer[key].settlements += 1;
+    byOfficer[key].received = round2(byOfficer[key].received + parseFloat(settlement.received_amount));
+    byOfficer[key].discrepancy = round2(byOfficer[key].discrepancy + parseFloat(settlement.discrepancy));
+    if (settlement.is_flagged) byOfficer[key].flagged += 1;
+  });
+
+  return {
+    settlements,
+    totals,
+    byOfficer: Object.values(byOfficer)
+  };
+};
+
+module.exports = {
+  getOfficerBalance,
+  recordCashTransaction,
+  recordCollection,
+  settleOfficerCash,
+  getOfficerFloats,
+  getSettlementReport
+};
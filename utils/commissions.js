@@ -0,0 +1,383 @@
+/**
+ * Recovery Commission Utility
+ * Per-ISP commission rules for recovery officers (percentage of cash collected or a flat
+ * amount per successful visit, with monthly tiers) and monthly commission statements
+ * computed from recoveries and the payments they created
+ */
+
+const { CommissionRule, CommissionStatement, CashTransaction, Payment, Recovery, User } = require('../models');
+const { Op } = require('sequelize');
+const moment = require('moment');
+
+const round2 = (value) => Math.round(parseFloat(value || 0) * 100) / 100;
+
+const commissionError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * Validate and sort commission tiers by threshold
+ * @param {Array} tiers - [{ min, rate }]
+ * @param {string} basis - percentage | per_visit
+ * @returns {Array} Tiers sorted by min
+ */
+const normalizeTiers = (tiers, basis) => {
+  if (!Array.isArray(tiers) || tiers.length === 0) {
+    throw commissionError('At least one commission tier is required');
+  }
+
+  const normalized = tiers.map((tier) => ({
+    min: round2(tier.min),
+    rate: round2(tier.rate)
+  }));
+
+  normalized.forEach((tier) => {
+    if (tier.min < 0 || tier.rate < 0) {
+      throw commissionError('Tier thresholds and rates must be zero or more');
+    }
+    if (basis === 'percentage' && tier.rate > 100) {
+      throw commissionError('Percentage commission cannot exceed 100');
+    }
+  });
+
+  normalized.sort((a, b) => a.min - b.min);
+  if (normalized.some((tier, index) => index > 0 && tier.min === normalized[index - 1].min)) {
+    throw commissionError('Tier thresholds must be unique');
+  }
+
+  return normalized;
+};
+
+/**
+ * Commission for a month's totals. The highest tier reached sets the rate for the
+ * whole month; volumes below the first tier earn nothing.
+ * @param {Object} rule - { basis, tiers }
+ * @param {Object} totals - { collectedAmount, successfulVisits }
+ * @returns {Object} { tier_min, rate, commission_amount }
+ */
+const calculateCommission = (rule, { collectedAmount = 0, successfulVisits = 0 }) => {
+  if (!rule) {
+    return { tier_min: null, rate: null, commission_amount: 0 };
+  }
+
+  const volume = rule.basis === 'percentage' ? round2(collectedAmount) : successfulVisits;
+  const tier = normalizeTiers(rule.tiers, rule.basis)
+    .filter(entry => volume >= entry.min)
+    .pop();
+
+  if (!tier) {
+    return { tier_min: null, rate: null, commission_amount: 0 };
+  }
+
+  return {
+    tier_min: tier.min,
+    rate: tier.rate,
+    commission_amount: rule.basis === 'percentage'
+      ? round2((volume * tier.rate) / 100)
+      : round2(volume * tier.rate)
+  };
+};
+
+/**
+ * Active commission rule for an officer: an officer-specific rule wins over the ISP-wide rule
+ * @param {number} ispId - ISP ID
+ * @param {number} officerId - Recovery officer user ID
+ * @returns {Object|null} CommissionRule
+ */
+const getCommissionRule = async (ispId, officerId) => {
+  const rules = await CommissionRule.findAll({
+    where: {
+      isp_id: ispId,
+      is_active: true,
+      [Op.or]: [{ officer_id: officerId }, { officer_id: null }]
+    },
+    order: [['updatedAt', 'DESC']]
+  });
+
+  return rules.find(rule => rule.officer_id === officerId) || rules.find(rule => rule.officer_id === null) || null;
+};
+
+/**
+ * Resolve a YYYY-MM month into its first and last day
+ * @param {string} month - YYYY-MM (defaults to the previous month)
+ * @returns {Object} { periodStart, periodEnd }
+ */
+const getPeriod = (month) => {
+  const start = month ? moment(month, 'YYYY-MM', true) : moment().subtract(1, 'month');
+  if (!start.isValid()) {
+    throw commissionError('Month must be in YYYY-MM format');
+  }
+
+  return {
+    periodStart: start.clone().startOf('month').format('YYYY-MM-DD'),
+    periodEnd: start.clone().endOf('month').format('YYYY-MM-DD')
+  };
+};
+
+/**
+ * Completed payments an officer collected on recovery visits in a period.
+ * Each collection is one successful visit; fully refunded payments do not count.
+ * @param {Object} params - { officerId, ispId, periodStart, periodEnd }
+ * @returns {Object} { collections, successfulVisits, collectedAmount }
+ */
+const getOfficerCollections = async ({ officerId, ispId, periodStart, periodEnd }) => {
+  const collections = await CashTransaction.findAll({
+    where: {
+      officer_id: officerId,
+      isp_id: ispId,
+      type: 'collection',
+      recovery_id: { [Op.ne]: null }
+    },
+    include: [
+      {
+        model: Payment,
+        as: 'payment',
+        attributes: ['id', 'receipt_number', 'bill_id', 'customer_id', 'amount', 'payment_date'],
+        where: {
+          status: 'completed',
+          payment_date: {
+            [Op.between]: [
+              moment(periodStart).startOf('day').toDate(),
+              moment(periodEnd).endOf('day').toDate()
+            ]
+          }
+        }
+      },
+      {
+        model: Recovery,
+        as: 'recovery',
+        attributes: ['id', 'customer_id', 'bill_id', 'status', 'visit_date']
+      }
+    ],
+    order: [[{ model: Payment, as: 'payment' }, 'payment_date', 'ASC']]
+  });
+
+  return {
+    collections,
+    successfulVisits: collections.length,
+    collectedAmount: round2(collections.reduce((sum, collection) => sum + parseFloat(collection.payment.amount), 0))
+  };
+};
+
+/**
+ * Compute (without saving) an officer's commission for a month
+ * @param {Object} params - { officerId, ispId, month }
+ * @returns {Object} Statement values plus the collections it was computed from
+ */
+const computeCommission = async ({ officerId, ispId, month }) => {
+  const { periodStart, periodEnd } = getPeriod(month);
+  const rule = await getCommissionRule(ispId, officerId);
+  const { collections, successfulVisits, collectedAmount } = await getOfficerCollections({
+    officerId,
+    ispId,
+    periodStart,
+    periodEnd
+  });
+
+  return {
+    officer_id: officerId,
+    isp_id: ispId,
+    period_start: periodStart,
+    period_end: periodEnd,
+    rule_id: rule ? rule.id : null,
+    basis: rule ? rule.basis : null,
+    successful_visits: successfulVisits,
+    collected_amount: collectedAmount,
+    ...calculateCommission(rule, { collectedAmount, successfulVisits }),
+    collections
+  };
+};
+
+/**
+ * Create or refresh draft statements for a month. Approved and paid statements are locked.
+ * @param {Object} params - { ispId, month, officerIds }
+ * @returns {Object} { statements, locked }
+ */
+const generateStatements = async ({ ispId, month, officerIds = null }) => {
+  if (!ispId) {
+    throw commissionError('ISP ID is required');
+  }
+
+  const officerWhere = { role: 'recovery_officer', isp_id: ispId };
+  if (officerIds && officerIds.length > 0) officerWhere.id = { [Op.in]: officerIds };
+  const officers = await User.findAll({ where: officerWhere, attributes: ['id', 'name'] });
+
+  const statements = [];
+  const locked = [];
+
+  for (const officer of officers) {
+    const values = await computeCommission({ officerId: officer.id, ispId, month });
+    delete values.collections;
+
+    const existing = await CommissionStatement.findOne({
+      where: { officer_id: officer.id, period_start: values.period_start }
+    });
+
+    if (existing && existing.status !== 'draft') {
+      locked.push(existing);
+      continue;
+    }
+
+    // Officers with no rule and no collections get no statement
+    if (!existing && !values.rule_id && values.successful_visits === 0) {
+      continue;
+    }
+
+    statements.push(existing
+      ? await existing.update(values)
+      : await CommissionStatement.create(values));
+  }
+
+  console.log(`💰 Commission statements for ${getPeriod(month).periodStart.slice(0, 7)}: ${statements.length} drafted, ${locked.length} locked`);
+
+  return { statements, locked };
+};
+
+/**
+ * Approve a draft statement for payout (recomputed first so it reflects late refunds)
+ * @param {Object} statement - CommissionStatement
+ * @param {number} userId - Approving user ID
+ * @returns {Object} Updated statement
+ */
+const approveStatement = async (statement, userId) => {
+  if (statement.status !== 'draft') {
+    throw commissionError(`Statement is already ${statement.status}`);
+  }
+
+  const values = await computeCommission({
+    officerId: statement.officer_id,
+    ispId: statement.isp_id,
+    month: moment(statement.period_start).format('YYYY-MM')
+  });
+  delete values.collections;
+
+  return await statement.update({
+    ...values,
+    status: 'approved',
+    approved_by: userId,
+    approved_at: new Date()
+  });
+};
+
+/**
+ * Record the payout of an approved statement
+ * @param {Object} statement - CommissionStatement
+ * @param {Object} params - { userId, payoutReference, notes }
+ * @returns {Object} Updated statement
+ */
+const markStatementPaid = async (statement, { userId, payoutReference = null, notes = null }) => {
+  if (statement.status !== 'approved') {
+    throw commissionError(statement.status === 'paid'
+      ? 'Statement has already been paid'
+      : 'Statement must be approved before payout');
+  }
+
+  return await statement.update({
+    status: 'paid',
+    paid_by: userId,
+    paid_at: new Date(),
+    payout_reference: payoutReference,
+    notes: notes !== null ? notes : statement.notes
+  });
+};
+
+/**
+ * Commission report per officer and month. Months with a statement use it; other months
+ * are computed live and reported as accruing.
+ * @param {Object} filters - { ispId, officerId, startMonth, endMonth }
+ * @returns {Object} { rows, totals, byOfficer }
+ */
+const getCommissionReport = async ({ ispId, officerId = null, startMonth = null, endMonth = null }) => {
+  const first = moment(getPeriod(startMonth || moment().format('YYYY-MM')).periodStart);
+  const last = moment(getPeriod(endMonth || moment().format('YYYY-MM')).periodStart);
+  if (last.isBefore(first)) {
+    throw commissionError('End month must not be before start month');
+  }
+  if (last.diff(first, 'months') >= 24) {
+    throw commissionError('Report range cannot exceed 24 months');
+  }
+
+  const officerWhere = { role: 'recovery_officer', isp_id: ispId };
+  if (officerId) officerWhere.id = officerId;
+  const officers = await User.findAll({ where: officerWhere, attributes: ['id', 'name', 'email'] });
+
+  const statements = officers.length > 0
+    ? await CommissionStatement.findAll({
+      where: {
+        officer_id: { [Op.in]: officers.map(officer => officer.id) },
+        period_start: {
+          [Op.between]: [first.format('YYYY-MM-DD'), last.format('YYYY-MM-DD')]
+        }
+      }
+    })
+    : [];
+
+  const rows = [];
+  for (const officer of officers) {
+    for (const month = first.clone(); !month.isAfter(last); month.add(1, 'month')) {
+      const statement = statements.find(entry => (
+        entry.officer_id === officer.id && moment(entry.period_start).isSame(month, 'month')
+      ));
+
+      let values;
+      if (statement) {
+        values = {
+          statement_id: statement.id,
+          status: statement.status,
+          successful_visits: statement.successful_visits,
+          collected_amount: round2(statement.collected_amount),
+          rate: statement.rate !== null ? parseFloat(statement.rate) : null,
+          commission_amount: round2(statement.commission_amount)
+        };
+      } else {
+        const computed = await computeCommission({ officerId: officer.id, ispId, month: month.format('YYYY-MM') });
+        values = {
+          statement_id: null,
+          status: 'accruing',
+          successful_visits: computed.successful_visits,
+          collected_amount: computed.collected_amount,
+          rate: computed.rate,
+          commission_amount: computed.commission_amount
+        };
+      }
+
+      rows.push({ officer, month: month.format('YYYY-MM'), ...values });
+    }
+  }
+
+  const summarize = (entries) => ({
+    successful_visits: entries.reduce((sum, row) => sum + row.successful_visits, 0),
+    collected_amount: round2(entries.reduce((sum, row) => sum + row.collected_amount, 0)),
+    commission_amount: round2(entries.reduce((sum, row) => sum + row.commission_amount, 0)),
+    paid_amount: round2(entries
+      .filter(row => row.status === 'paid')
+      .reduce((sum, row) => sum + row.commission_amount, 0)),
+    payable_amount: round2(entries
+      .filter(row => row.status === 'approved')
+      .reduce((sum, row) => sum + row.commission_amount, 0))
+  });
+
+  return {
+    rows,
+    totals: summarize(rows),
+    byOfficer: officers.map(officer => ({
+      officer,
+      ...summarize(rows.filter(row => row.officer.id === officer.id))
+    }))
+  };
+};
+
+module.exports = {
+  normalizeTiers,
+  calculateCommission,
+  getCommissionRule,
+  getPeriod,
+  getOfficerCollections,
+  computeCommission,
+  generateStatements,
+  approveStatement,
+  markStatementPaid,
+  getCommissionReport
+};
@@ -0,0 +1,289 @@
+/**
+ * Customer Portal Utility
+ * Links customer-role users to their Customer record (users.customer_id), sends portal
+ * invites (link + one-time code) and lets customers claim their portal account
+ */
+
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { User, Customer, PortalInvite } = require('../models');
+const { renderMessage } = require('./messageTemplates');
+const { runWithinLimit } = require('../services/planLimitService');
+
+const INVITE_EXPIRY_HOURS = parseInt(process.env.PORTAL_INVITE_EXPIRY_HOURS, 10) || 72;
+const MAX_OTP_ATTEMPTS = parseInt(process.env.PORTAL_INVITE_MAX_OTP_ATTEMPTS, 10) || 5;
+
+const portalError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const hashSecret = (value) => crypto.createHash('sha256').update(String(value)).digest('hex');
+
+/**
+ * Get the Customer record linked to a customer-role user
+ * @param {Object} user - Authenticated user (req.user)
+ * @param {Object} options - Extra Sequelize find options (include, attributes)
+ * @returns {Object|null} Customer or null if the user has no linked customer
+ */
+const getCustomerForUser = async (user, options = {}) => {
+  if (!user || user.role !== 'customer' || !user.customer_id) {
+    return null;
+  }
+
+  return await Customer.findOne({
+    ...options,
+    where: { id: user.customer_id }
+  });
+};
+
+/**
+ * Create a portal invite for a customer and deliver it
+ * Any earlier pending invites for the customer are revoked.
+ * @param {Object} customer - Customer instance
+ * @param {Object} options - { channel: email | sms | link, userId }
+ * @returns {Object} { invite, link, delivery } - link is only returned for the 'link' channel
+ */
+const createPortalInvite = async (customer, { channel = 'email', userId = null } = {}) => {
+  const linkedUser = await User.findOne({ where: { customer_id: customer.id } });
+  if (linkedUser) {
+    throw portalError('This customer already has a portal account', 409);
+  }
+  if (channel === 'email' && !customer.email) {
+    throw portalError('Customer has no email address to send the invite to');
+  }
+  if (channel === 'sms' && !customer.phone) {
+    throw portalError('Customer has no phone number to send the invite to');
+  }
+
+  await PortalInvite.update(
+    { status: 'revoked' },
+    { where: { customer_id: customer.id, status: 'pending' } }
+  );
+
+  const token = crypto.randomBytes(32).toString('hex');
+  const otp = String(crypto.randomInt(100000, 1000000));
+  const expiresAt = new Date(Date.now() + INVITE_EXPIRY_HOURS * 60 * 60 * 1000);
+  const link = `${process.env.FRONTEND_URL || ''}/portal/claim?token=${token}`;
+
+  const invite = await PortalInvite.create({
+    customer_id: customer.id,
+    channel,
+    sent_to: channel === 'email' ? customer.email : (channel === 'sms' ? customer.phone : null),
+    token_hash: hashSecret(token),
+    otp_hash: hashSecret(otp),
+    expires_at: expiresAt,
+    created_by: userId,
+    isp_id: customer.isp_id
+  });
+
+  let delivery = null;
+  if (channel !== 'link') {
+    const message = await renderMessage('portal_invite', channel, {
+      customer,
+      invite: { link, otp, expires_at: expiresAt }
+    });
+
+    if (channel === 'email') {
+      const { sendEmail } = require('./sendEmail');
+      delivery = await sendEmail(customer.email, message.subject, message.text, message.html);
+    } else {
+      const { sendSMS } = require('./smsService');
+      delivery = await sendSMS(customer.phone, message.text, {
+        ispId: customer.isp_id,
+        customerId: customer.id
+      });
+    }
+  }
+
+  console.log(`🔑 Portal invite ${invite.id} created for customer ${customer.id} (${channel})`);
+
+  return {
+    invite,
+    link: channel === 'link' ? link : undefined,
+    delivery
+  };
+};
+
+/**
+ * Find the pending invite for a link token or an account ID + one-time code
+ * Failed codes count against the invite; too many revoke it.
+ * @param {Object} params - { token } or { customerCode, otp }
+ * @returns {Object} PortalInvite with customer
+ */
+const findPendingInvite = async ({ token = null, customerCode = null, otp = null }) => {
+  let invite = null;
+
+  if (token) {
+    invite = await PortalInvite.findOne({
+      where: { token_hash: hashSecret(token), status: 'pending' },
+      include: [{ model: Customer, as: 'customer' }]
+    });
+  } else if (customerCode && otp) {
+    const customer = await Customer.findOne({ where: { customer_id: customerCode } });
+    if (customer) {
+      invite = await PortalInvite.findOne({
+        where: { customer_id: customer.id, status: 'pending' },
+        include: [{ model: Customer, as: 'customer' }],
+        order: [['createdAt', 'DESC']]
+      });
+    }
+
+    if (invite && invite.otp_hash !== hashSecret(otp)) {
+      const attempts = invite.otp_attempts + 1;
+      await invite.update({
+        otp_attempts: attempts,
+        status: attempts >= MAX_OTP_ATTEMPTS ? 'revoked' : invite.status
+      });
+      throw portalError('Invalid invite code');
+    }
+  } else {
+    throw portalError('An invite token or account ID and code is required');
+  }
+
+  if (!invite || !invite.customer) {
+    throw portalError('Invite not found or already used', 404);
+  }
+  if (new Date(invite.expires_at) < new Date()) {
+    throw portalError('This invite has expired. Please ask your provider for a new one.', 410);
+  }
+
+  return invite;
+};
+
+/**
+ * Claim a portal invite: create the customer's portal account, or link an existing
+ * unlinked customer account when its password is given
+ * @param {Object} params - { token, customerCode, otp, email, password }
+ * @returns {Object} { user, customer }
+ */
+const claimPortalInvite = async ({ token = null, customerCode = null, otp = null, email = null, password }) => {
+  const invite = await findPendingInvite({ token, customerCode, otp });
+  const customer = invite.customer;
+
+  const linkedUser = await User.findOne({ where: { customer_id: customer.id } });
+  if (linkedUser) {
+    throw portalError('This customer already has a portal account', 409);
+  }
+
+  const loginEmail = email || customer.email;
+  if (!loginEmail) {
+    throw portalError('An email address is required to create your portal account');
+  }
+
+  let user = await User.findOne({ where: { email: loginEmail } });
+  if (user) {
+    const canLink = user.role === 'customer'
+      && !user.customer_id
+      && user.isp_id === customer.isp_id
+      && await user.comparePassword(password);
+    if (!canLink) {
+      throw portalError('User already exists with this email', 409);
+    }
+  }
+
+  // The customer is already counted, so the business only has to be within its
+  // max_customers (a downgraded plan stops new portal logins for customers over it)
+  user = await runWithinLimit(customer.isp_id, 'customers', async (transaction) => {
+    const portalUser = user
+      ? await user.update({ customer_id: customer.id }, { transaction })
+      : await User.create({
+        name: customer.name,
+        email: loginEmail,
+        password,
+        role: 'customer',
+        isp_id: customer.isp_id,
+        customer_id: customer.id
+      }, { transaction });
+
+    await invite.update({
+      status: 'claimed',
+      claimed_at: new Date(),
+      user_id: portalUser.id
+    }, { transaction });
+
+    return portalUser;
+  }, { adding: 0 });
+
+  console.log(`✅ Customer ${customer.id} claimed portal account (user ${user.id})`);
+
+  return { user, customer };
+};
+
+/**
+ * Customers an unlinked user would have matched under the old email/phone lookup
+ * @param {Object} user - Customer-role user
+ * @returns {Array} Matching customers
+ */
+const findLegacyMatches = async (user) => {
+  return await Customer.findAll({
+    where: {
+      [Op.or]: [
+        { email: user.email },
+        { phone: user.email }
+      ],
+      ...(user.isp_id ? { isp_id: user.isp_id } : {})
+    },
+    attributes: ['id', 'name', 'email', 'phone', 'customer_id', 'isp_id']
+  });
+};
+
+/**
+ * Backfill users.customer_id from the old email/phone lookup.
+ * Users with exactly one unclaimed match are linked; everything else is reported.
+ * @param {Object} options - { dryRun }
+ * @returns {Object} { linked, ambiguous, unmatched }
+ */
+const backfillCustomerLinks = async ({ dryRun = false } = {}) => {
+  const users = await User.findAll({
+    where: { role: 'customer', customer_id: null },
+    attributes: ['id', 'name', 'email', 'isp_id', 'customer_id'],
+    order: [['id', 'ASC']]
+  });
+
+  const alreadyLinked = await User.findAll({
+    where: { customer_id: { [Op.ne]: null } },
+    attributes: ['customer_id']
+  });
+  const claimed = new Set(alreadyLinked.map(user => user.customer_id));
+
+  const report = { linked: [], ambiguous: [], unmatched: [] };
+
+  for (const user of users) {
+    const matches = await findLegacyMatches(user);
+    const candidates = matches.filter(customer => !claimed.has(customer.id));
+
+    if (matches.length === 0) {
+      report.unmatched.push({ user_id: user.id, email: user.email });
+      continue;
+    }
+
+    if (matches.length > 1 || candidates.length !== 1) {
+      report.ambiguous.push({
+        user_id: user.id,
+        email: user.email,
+        reason: matches.length > 1 ? 'multiple_customers' : 'customer_already_linked',
+        customer_ids: matches.map(customer => customer.id)
+      });
+      continue;
+    }
+
+    const customer = candidates[0];
+    if (!dryRun) {
+      await user.update({ customer_id: customer.id });
+    }
+    claimed.add(customer.id);
+    report.linked.push({ user_id: user.id, email: user.email, customer_id: customer.id });
+  }
+
+  return report;
+};
+
+module.exports = {
+  getCustomerForUser,
+  createPortalInvite,
+  claimPortalInvite,
+  findLegacyMatches,
+  backfillCustomerLinks
+};
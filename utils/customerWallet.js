@@ -0,0 +1,261 @@
+/**
+ * Customer Wallet Utility
+ * Maintains each customer's credit balance: overpayments and advances credit it,
+ * and the balance is applied to new bills as a wallet payment
+ */
+
+const { Customer, Bill, Payment, WalletTransaction, User } = require('../models');
+const { sequelize } = require('../config/db');
+const { refreshBillPaidStatus } = require('./billBalance');
+const { awardPointsForPayment } = require('./loyaltyPoints');
+
+const CREDIT_TYPES = ['overpayment', 'advance', 'refund', 'adjustment'];
+
+const round2 = (value) => Math.round(parseFloat(value || 0) * 100) / 100;
+
+const walletError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Join the caller's transaction, or open one for this call
+const withTransaction = (transaction, work) => (transaction ? work(transaction) : sequelize.transaction(work));
+
+/**
+ * Record a wallet movement and update the customer's credit balance
+ * @param {Object} params
+ * @param {number} params.customerId - Customer ID
+ * @param {number} params.amount - Signed amount (positive = credit, negative = debit)
+ * @param {string} params.type - overpayment | advance | applied | refund | adjustment
+ * @param {number} params.billId - Related bill (optional)
+ * @param {number} params.paymentId - Related payment (optional)
+ * @param {string} params.reference - External reference, e.g. gateway transaction ID (optional)
+ * @param {string} params.description - Human readable description (optional)
+ * @param {number} params.userId - User performing the action (optional)
+ * @param {Object} options - { transaction } to join an outer transaction
+ * @returns {Object} Created WalletTransaction
+ */
+const recordTransaction = ({
+  customerId,
+  amount,
+  type,
+  billId = null,
+  paymentId = null,
+  reference = null,
+  description = null,
+  userId = null
+}, { transaction = null } = {}) => withTransaction(transaction, async (t) => {
+  // Lock the customer row so concurrent movements cannot both read the same balance
+  const customer = await Customer.findByPk(customerId, { transaction: t, lock: t.LOCK.UPDATE });
+  if (!customer) {
+    throw walletError('Customer not found', 404);
+  }
+
+  const value = round2(amount);
+  if (value === 0) {
+    throw walletError('Amount must not be zero');
+  }
+
+  const newBalance = round2(parseFloat(customer.credit_balance || 0) + value);
+  if (newBalance < 0) {
+    throw walletError(`Insufficient wallet balance. Available balance: ${round2(customer.credit_balance)}`);
+  }
+
+  const walletTransaction = await WalletTransaction.create({
+    customer_id: customer.id,
+    type,
+    amount: value,
+    balance_after: newBalance,
+    bill_id: billId,
+    payment_id: paymentId,
+    reference,
+    description,
+    created_by: userId,
+    isp_id: customer.isp_id
+  }, { transaction: t });
+
+  customer.credit_balance = newBalance;
+  await customer.save({ transaction: t });
+
+  return walletTransaction;
+});
+
+/**
+ * Credit a customer's wallet (overpayment, advance payment, refund or manual adjustment)
+ * @param {Object} params - Same as recordTransaction; amount must be positive
+ * @param {Object} options - { transaction } to join an outer transaction
+ * @returns {Object} Created WalletTransaction
+ */
+const creditWallet = async (params, options = {}) => {
+  const type = params.type || 'advance';
+  if (!CREDIT_TYPES.includes(type)) {
+    throw walletError(`Invalid wallet credit type: ${type}`);
+  }
+  if (round2(params.amount) <= 0) {
+    throw walletError('Credit amount must be greater than zero');
+  }
+
+  return await recordTransaction({ ...params, type }, options);
+};
+
+/**
+ * Manually adjust a customer's wallet (positive or negative)
+ * @param {Object} params - { customerId, amount, description, userId }
+ * @returns {Object} Created WalletTransaction
+ */
+const adjustWallet = async ({ customerId, amount, description, userId = null }) => {
+  return await recordTransaction({
+    customerId,
+    amount,
+    type: 'adjustment',
+    description,
+    userId
+  });
+};
+
+/**
+ * Apply the customer's wallet balance to a bill
+ * Creates a completed payment with method "wallet" so every paid-amount
+ * calculation (invoices, reports, reactivation) picks it up. Like any other payment
+ * it earns loyalty points: money reaches the wallet (overpayments, advances, refunds)
+ * without earning, so points are earned when it settles a bill.
+ * @param {Object} bill - Bill instance (reloaded under a lock; the instance is refreshed)
+ * @param {Object} options - { userId, maxAmount, transaction }
+ * @returns {Object|null} { payment, transaction, amountApplied } or null if nothing was applied
+ */
+const applyWalletToBill = async (bill, { userId = null, maxAmount = null, transaction = null } = {}) => {
+  if (!bill || ['paid', 'cancelled'].includes(bill.status)) return null;
+
+  const result = await withTransaction(transaction, async (t) => {
+    // Lock the bill before the customer, as payments do, and work from its current paid amount
+    const lockedBill = await Bill.findByPk(bill.id, { transaction: t, lock: t.LOCK.UPDATE });
+    if (!lockedBill || ['paid', 'cancelled'].includes(lockedBill.status)) return null;
+
+    const customer = await Customer.findByPk(lockedBill.customer_id, { transaction: t, lock: t.LOCK.UPDATE });
+    if (!customer) return null;
+
+    const balance = round2(customer.credit_balance);
+    if (balance <= 0) return null;
+
+    const billAmount = round2(lockedBill.total_amount || lockedBill.amount);
+    const outstanding = round2(billAmount - parseFloat(lockedBill.paid_amount || 0));
+    let amountApplied = Math.min(balance, outstanding);
+    if (maxAmount !== null && maxAmount !== undefined) {
+      amountApplied = Math.min(amountApplied, round2(maxAmount));
+    }
+    amountApplied = round2(amountApplied);
+    if (amountApplied <= 0) return null;
+
+    const payment = await Payment.create({
+      bill_id: lockedBill.id,
+      customer_id: customer.id,
+      amount: amountApplied,
+      method: 'wallet',
+      notes: 'Applied from customer wallet balance',
+      isp_id: lockedBill.isp_id,
+      status: 'completed',
+      payment_date: new Date()
+    }, { transaction: t });
+
+    const walletTransaction = await recordTransaction({
+      customerId: customer.id,
+      amount: -amountApplied,
+      type: 'applied',
+      billId: lockedBill.id,
+      paymentId: payment.id,
+      description: `Applied to bill ${lockedBill.bill_number}`,
+      userId
+    }, { transaction: t });
+
+    await refreshBillPaidStatus(lockedBill, t);
+    await awardPointsForPayment(payment, { transaction: t });
+
+    // Callers keep using the instance they passed in
+    await bill.reload({ transaction: t });
+
+    return { payment, transaction: walletTransaction, amountApplied };
+  });
+
+  if (result) {
+    console.log(`💰 Applied PKR ${result.amountApplied.toFixed(2)} wallet credit to bill ${bill.bill_number}`);
+  }
+
+  return result;
+};
+
+/**
+ * Get total wallet credit applied to a bill
+ * @param {number} billId - Bill ID
+ * @returns {number} Amount applied from the wallet
+ */
+const getWalletCreditForBill = async (billId) => {
+  const applied = await WalletTransaction.sum('amount', {
+    where: { bill_id: billId, type: 'applied' }
+  });
+  return round2(Math.abs(applied || 0));
+};
+
+/**
+ * Get a customer's wallet balance and transaction history
+ * @param {number} customerId - Customer ID
+ * @param {Object} options - { page, limit, type }
+ * @returns {Object} { customer, balance, transactions, total, page, pages }
+ */
+const getWalletHistory = async (customerId, { page = 1, limit = 20, type = '' } = {}) => {
+  const customer = await Customer.findByPk(customerId, { attributes: ['id', 'name', 'credit_balance', 'isp_id'] });
+  if (!customer) {
+    throw walletError('Customer not found', 404);
+  }
+
+  const whereClause = { customer_id: customerId };
+  if (type) {
+    whereClause.type = type;
+  }
+
+  const offset = (page - 1) * limit;
+  const history = await WalletTransaction.findAndCountAll({
+    where: whereClause,
+    include: [
+      {
+        model: Bill,
+        as: 'bill',
+        attributes: ['id', 'bill_number'],
+        required: false
+      },
+      {
+        model: Payment,
+        as: 'payment',
+        attributes: ['id', 'receipt_number', 'method', 'amount'],
+        required: false
+      },
+      {
+        model: User,
+        as: 'createdBy',
+        attributes: ['id', 'name'],
+        required: false
+      }
+    ],
+    order: [['createdAt', 'DESC']],
+    limit: parseInt(limit),
+    offset: parseInt(offset)
+  });
+
+  return {
+    customer,
+    balance: round2(customer.credit_balance),
+    transactions: history.rows,
+    total: history.count,
+    page: parseInt(page),
+    pages: Math.ceil(history.count / limit)
+  };
+};
+
+module.exports = {
+  CREDIT_TYPES,
+  creditWallet,
+  adjustWallet,
+  applyWalletToBill,
+  getWalletCreditForBill,
+  getWalletHistory
+};
@@ -70,9 +70,9 @@ const fixDatabase = async () => {
     try {
       // Sync in correct order (respecting dependencies)
       await ISP.sync({ alter: true });
-      await User.sync({ alter: true });
       await Package.sync({ alter: true });
       await Customer.sync({ alter: true });
+      await User.sync({ alter: true });
       await Bill.sync({ alter: true });
       await Payment.sync({ alter: true });
       await Recovery.sync({ alter: true });
@@ -0,0 +1,108 @@
+const PDFDocument = require('pdfkit');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Generate PDF credit note for a refund
+ * @param {object} refund - Refund object with payment, bill and customer
+ * @param {string} outputPath - Path to save the credit note
+ * @returns {Promise<string>} - Path to the generated credit note
+ */
+const generateCreditNote = async (refund, outputPath = null) => {
+  return new Promise((resolve, reject) => {
+    try {
+      // Create uploads directory if it doesn't exist
+      const uploadsDir = path.join(__dirname, '../uploads/credit-notes');
+      if (!fs.existsSync(uploadsDir)) {
+        fs.mkdirSync(uploadsDir, { recursive: true });
+      }
+
+      const filename = `credit-note-${refund.credit_note_number}-${Date.now()}.pdf`;
+      const filepath = outputPath || path.join(uploadsDir, filename);
+
+      const doc = new PDFDocument({ margin: 50 });
+
+      // Pipe PDF to file
+      const stream = fs.createWriteStream(filepath);
+      doc.pipe(stream);
+
+      // Header
+      doc.fontSize(24).font('Helvetica-Bold').text('CREDIT NOTE', { align: 'center' });
+      doc.moveDown();
+
+      // Credit note details
+      doc.fontSize(12).font('Helvetica');
+      doc.text(`Credit Note Number: ${refund.credit_note_number}`, { align: 'left' });
+      doc.text(`Date: ${new Date(refund.refund_date).toLocaleDateString()}`, { align: 'left' });
+      doc.moveDown();
+
+      // Customer information
+      if (refund.customer) {
+        doc.fontSize(14).font('Helvetica-Bold').text('Customer Information', { underline: true });
+        doc.fontSize(12).font('Helvetica');
+        doc.text(`Name: ${refund.customer.name}`);
+        if (refund.customer.email) {
+          doc.text(`Email: ${refund.customer.email}`);
+        }
+        if (refund.customer.phone) {
+          doc.text(`Phone: ${refund.customer.phone}`);
+        }
+        doc.moveDown();
+      }
+
+      // Original payment
+      doc.fontSize(14).font('Helvetica-Bold').text('Original Payment', { underline: true });
+      doc.fontSize(12).font('Helvetica');
+
+      if (refund.bill) {
+        doc.text(`Bill Number: ${refund.bill.bill_number}`);
+      }
+
+      if (refund.payment) {
+        if (refund.payment.receipt_number) {
+          doc.text(`Receipt Number: ${refund.payment.receipt_number}`);
+        }
+        doc.text(`Payment Date: ${new Date(refund.payment.payment_date).toLocaleDateString()}`);
+        if (refund.payment.transaction_id) {
+          doc.text(`Transaction ID: ${refund.payment.transaction_id}`);
+        }
+      }
+      doc.moveDown();
+
+      // Refund details
+      doc.fontSize(14).font('Helvetica-Bold').text('Refund Details', { underline: true });
+      doc.fontSize(12).font('Helvetica');
+      doc.text(`Amount Refunded: PKR ${parseFloat(refund.amount).toFixed(2)}`);
+      doc.text(`Refund Type: ${refund.type.toUpperCase()}`);
+      doc.text(`Refund Method: ${refund.method.toUpperCase()}`);
+
+      if (refund.gateway_refund_id) {
+        doc.text(`Gateway Refund ID: ${refund.gateway_refund_id}`);
+      }
+
+      if (refund.reason) {
+        doc.text(`Reason: ${refund.reason}`);
+      }
+      doc.moveDown();
+
+      // Footer
+      doc.fontSize(10).font('Helvetica-Oblique');
+      doc.text('This is a computer-generated credit note. No signature required.', { align: 'center' });
+
+      // Finalize PDF
+      doc.end();
+
+      stream.on('finish', () => {
+        resolve(filepath);
+      });
+
+      stream.on('error', (error) => {
+        reject(error);
+      });
+    } catch (error) {
+      reject(error);
+    }
+  });
+};
+
+module.exports = generateCreditNote;
@@ -2,6 +2,7 @@ const PDFDocument = require('pdfkit');
 const fs = require('fs');
 const path = require('path');
 const moment = require('moment');
+const { legacyLineItems } = require('./billLineItems');
 
 const generateInvoicePDF = async (bill, customer, packageData, isp) => {
   return new Promise((resolve, reject) => {
@@ -57,23 +58,45 @@ const generateInvoicePDF = async (bill, customer, packageData, isp) => {
       
       // Table Header
       doc.text('Description', 50, tableTop);
-      doc.text('Amount', 400, tableTop, { align: 'right' });
+      doc.text('Qty', 290, tableTop, { width: 40, align: 'right' });
+      doc.text('Unit Price', 340, tableTop, { width: 90, align: 'right' });
+      doc.text('Amount', 440, tableTop, { align: 'right' });
 
       // Table Line
       doc.moveTo(50, tableTop + 15)
          .lineTo(550, tableTop + 15)
          .stroke();
 
-      // Table Content
+      // Table Content - one row per line item (bills from before itemization get a derived breakdown)
       const itemTop = tableTop + 25;
-      const packageDescription = packageData 
-        ? `${packageData.name} - ${packageData.speed}${packageData.speed ? ' Mbps' : ''}`
-        : 'Internet Service';
-      doc.text(packageDescription, 50, itemTop);
-      doc.text(`PKR ${parseFloat(bill.total_amount || bill.amount).toFixed(2)}`, 400, itemTop, { align: 'right' });
-
-      // Payment information if paid
-      let paymentInfoY = itemTop + 20;
+      const lineItems = bill.lineItems && bill.lineItems.length > 0
+        ? [...bill.lineItems].sort((a, b) => (a.sort_order || 0) - (b.sort_order || 0))
+        : legacyLineItems(bill, packageData);
+
+      let paymentInfoY = itemTop;
+
+      lineItems.forEach((item) => {
+        const amount = parseFloat(item.amount);
+        const unitPrice = parseFloat(item.unit_price);
+        doc.text(item.description, 50, paymentInfoY, { width: 230 });
+        const rowBottom = doc.y;
+        doc.text(`${parseFloat(item.quantity)}`, 290, paymentInfoY, { width: 40, align: 'right' });
+        doc.text(`${unitPrice < 0 ? '- ' : ''}${Math.abs(unitPrice).toFixed(2)}`, 340, paymentInfoY, { width: 90, align: 'right' });
+        doc.text(`${amount < 0 ? '- ' : ''}PKR ${Math.abs(amount).toFixed(2)}`, 440, paymentInfoY, { align: 'right' });
+        paymentInfoY = Math.max(rowBottom, paymentInfoY + 15) + 5;
+      });
+
+      paymentInfoY += 5;
+
+      // Wallet credit applied from the customer's credit balance
+      const walletCredit = (bill.payments || [])
+        .filter(payment => payment.method === 'wallet')
+        .reduce((sum, payment) => sum + parseFloat(payment.amount || 0) - parseFloat(payment.refunded_amount || 0), 0);
+      if (walletCredit > 0) {
+        doc.text('Less: Wallet Credit Applied', 50, paymentInfoY);
+        doc.text(`- PKR ${walletCredit.toFixed(2)}`, 440, paymentInfoY, { align: 'right' });
+        paymentInfoY += 20;
+      }
       if (bill.paid_amount && parseFloat(bill.paid_amount) > 0) {
         paymentInfoY += 20;
         doc.text(`Paid Amount: PKR ${parseFloat(bill.paid_amount).toFixed(2)}`, 50, paymentInfoY);
@@ -1,14 +1,14 @@
 const jwt = require('jsonwebtoken');
 
-const generateToken = (userId) => {
+// Access tokens are short-lived and tied to a server-side session (see utils/authSessions)
+const generateToken = (userId, sessionId) => {
   if (!process.env.JWT_SECRET) {
     throw new Error('JWT_SECRET is not defined in environment variables');
   }
   
-  return jwt.sign({ id: userId }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE || '7d'
+  return jwt.sign({ id: userId, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_EXPIRE || '15m'
   });
 };
 
 module.exports = generateToken;
-
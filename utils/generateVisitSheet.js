@@ -0,0 +1,124 @@
+const PDFDocument = require('pdfkit');
+const fs = require('fs');
+const path = require('path');
+const moment = require('moment');
+
+const formatAmount = (value) => (value === null || value === undefined ? '-' : `PKR ${parseFloat(value).toFixed(2)}`);
+
+const generateVisitSheetPDF = async (sheet, isp = null) => {
+  return new Promise((resolve, reject) => {
+    try {
+      const doc = new PDFDocument({ margin: 40, size: 'A4', layout: 'landscape' });
+      const sheetDir = path.join(__dirname, '../uploads/visit-sheets');
+
+      // Create directory if it doesn't exist
+      if (!fs.existsSync(sheetDir)) {
+        fs.mkdirSync(sheetDir, { recursive: true });
+      }
+
+      const fileName = `visit_sheet_${sheet.officer.id}_${sheet.date}_${Date.now()}.pdf`;
+      const filePath = path.join(sheetDir, fileName);
+      const stream = fs.createWriteStream(filePath);
+
+      doc.pipe(stream);
+
+      // Header
+      doc.fontSize(18).text('RECOVERY VISIT SHEET', { align: 'center' });
+      doc.moveDown(0.5);
+
+      doc.fontSize(11);
+      if (isp) doc.text(isp.name, { align: 'center' });
+      doc.text(`Officer: ${sheet.officer.name}    Date: ${moment(sheet.date).format('DD/MM/YYYY')}`, { align: 'center' });
+      doc.text(
+        `Visits: ${sheet.totals.stops}    Outstanding: ${formatAmount(sheet.totals.outstanding)}    Route: ${sheet.totals.distance_km} km`,
+        { align: 'center' }
+      );
+      doc.moveDown();
+
+      // Columns: #, customer, address, bill, outstanding, notes
+      const columns = [
+        { label: '#', x: 40, width: 25 },
+        { label: 'Customer', x: 65, width: 140 },
+        { label: 'Address', x: 205, width: 200 },
+        { label: 'Bill', x: 405, width: 110 },
+        { label: 'Outstanding', x: 515, width: 90 },
+        { label: 'Collected / Remarks', x: 615, width: 185 }
+      ];
+
+      const drawHeader = (y) => {
+        doc.fontSize(10).font('Helvetica-Bold');
+        columns.forEach(column => doc.text(column.label, column.x, y, { width: column.width }));
+        doc.font('Helvetica');
+        doc.moveTo(40, y + 14).lineTo(800, y + 14).stroke();
+        return y + 20;
+      };
+
+      const pageBottom = doc.page.height - 60;
+      let y = doc.y;
+
+      if (sheet.stops.length === 0) {
+        doc.fontSize(12).text('No visits scheduled for this day.', 40, y, { align: 'center' });
+      }
+
+      sheet.areas.forEach((area) => {
+        if (y > pageBottom - 60) {
+          doc.addPage();
+          y = 40;
+        }
+
+        doc.fontSize(12).font('Helvetica-Bold')
+          .text(`${area.area}  (${area.stops} visits, ${formatAmount(area.outstanding)})`, 40, y);
+        doc.font('Helvetica');
+        y = drawHeader(doc.y + 4);
+
+        sheet.stops.filter(stop => stop.area === area.area).forEach((stop) => {
+          if (y > pageBottom - 40) {
+            doc.addPage();
+            y = drawHeader(40);
+          }
+
+          doc.fontSize(9);
+          const rowTop = y;
+          let rowBottom = rowTop;
+          const cell = (column, text) => {
+            doc.text(text, column.x, rowTop, { width: column.width });
+            rowBottom = Math.max(rowBottom, doc.y);
+          };
+
+          cell(columns[0], String(stop.sequence));
+          cell(columns[1], `${stop.name}\n${stop.phone || ''}${stop.customer_code ? `\nID: ${stop.customer_code}` : ''}`);
+          cell(columns[2], `${stop.address || ''}${stop.distance_km ? `\n${stop.distance_km} km from previous stop` : ''}`);
+          cell(columns[3], stop.bill_number
+            ? `${stop.bill_number}\nDue ${moment(stop.due_date).format('DD/MM/YYYY')}\n${formatAmount(stop.bill_outstanding)}`
+            : '-');
+          cell(columns[4], formatAmount(stop.customer_outstanding));
+          cell(columns[5], `${stop.status === 'assigned' ? '' : `Last: ${stop.status.replace('_', ' ')}\n`}${stop.remarks || ''}`);
+
+          y = rowBottom + 6;
+          doc.moveTo(40, y - 3).lineTo(800, y - 3).lineWidth(0.5).strokeColor('#cccccc').stroke();
+          doc.lineWidth(1).strokeColor('black');
+        });
+
+        y += 10;
+      });
+
+      // Footer
+      doc.fontSize(9)
+         .text(`Generated ${moment().format('DD/MM/YYYY HH:mm')}`, 40, doc.page.height - 70, { align: 'left' });
+
+      doc.end();
+
+      stream.on('finish', () => {
+        resolve({ filePath, fileName });
+      });
+
+      stream.on('error', (error) => {
+        reject(error);
+      });
+    } catch (error) {
+      reject(error);
+    }
+  });
+};
+
+module.exports = generateVisitSheetPDF;
@@ -0,0 +1,279 @@
+/**
+ * Installation Lifecycle Utility
+ * Runs when an installation is completed: activates the customer (and provisions them
+ * on the network), sets the connection and next billing dates, raises the first bill (one-time installation charge plus the
+ * subscription prorated from the connection date), notifies the customer and records
+ * AutomationLog entries for each step
+ */
+
+const { Customer, Package, ISP, Bill, User, Notification, AutomationLog } = require('../models');
+const { Op } = require('sequelize');
+const moment = require('moment');
+const billingPolicy = require('./billingPolicy');
+const billLineItems = require('./billLineItems');
+const { prorateNewBill } = require('./proration');
+const { applyWalletToBill } = require('./customerWallet');
+const { renderMessage } = require('./messageTemplates');
+const sendEmail = require('./sendEmail');
+const sendSMS = require('./smsService');
+const { generateBillNumber } = require('./billNumber');
+const networkEnforcement = require('./networkEnforcement');
+
+// Bills that can still take the installation charge as an extra line item
+const OPEN_BILL_STATUSES = ['pending', 'overdue'];
+
+const round2 = (value) => Math.round(parseFloat(value || 0) * 100) / 100;
+
+const logAutomation = async ({ type, customer, bill = null, status = 'success', message, error = null, metadata = null, triggeredBy }) => {
+  try {
+    await AutomationLog.create({
+      type,
+      business_id: customer.isp_id,
+      customer_id: customer.id,
+      invoice_id: bill ? bill.id : null,
+      status,
+      message,
+      error_message: error ? error.message : null,
+      metadata,
+      triggered_by: triggeredBy,
+      triggered_at: new Date()
+    });
+  } catch (logError) {
+    console.error('Error writing automation log:', logError.message);
+  }
+};
+
+/**
+ * One-time installation charge: the installation's own charge, else the package fee
+ * @param {Object} installation - Installation
+ * @param {Object} pkg - Customer package (may be null)
+ * @returns {number} Charge amount
+ */
+const getInstallationCharge = (installation, pkg) => {
+  if (installation.installation_charge !== null && installation.installation_charge !== undefined) {
+    return round2(installation.installation_charge);
+  }
+  return pkg ? round2(pkg.installation_fee) : 0;
+};
+
+/**
+ * Raise the first bill for a newly connected customer.
+ * If a bill already covers the current period, an open one takes the installation
+ * charge as an extra line and a settled one gets a separate installation bill.
+ * @returns {Object|null} Bill (null when there is nothing to charge)
+ */
+const raiseFirstBill = async ({ installation, customer, pkg, policy, periodStart, periodEnd, userId }) => {
+  const charge = getInstallationCharge(installation, pkg);
+  const chargeItems = charge > 0
+    ? [billLineItems.buildLineItem({
+      type: 'one_time',
+      description: `Installation charge (${installation.connection_type || 'new connection'})`,
+      unit_price: charge,
+      package_id: pkg ? pkg.id : null
+    })]
+    : [];
+
+  const existingBill = await Bill.findOne({
+    where: {
+      customer_id: customer.id,
+      billing_period_start: { [Op.between]: [periodStart, periodEnd] },
+      status: { [Op.ne]: 'cancelled' }
+    }
+  });
+
+  if (existingBill && OPEN_BILL_STATUSES.includes(existingBill.status)) {
+    return chargeItems.length > 0
+      ? await billLineItems.addLineItems(existingBill, chargeItems)
+      : existingBill;
+  }
+
+  const items = [...chargeItems];
+  if (!existingBill && pkg) {
+    items.push(billLineItems.buildSubscriptionItem(pkg, { periodStart, periodEnd }));
+  }
+  if (items.length === 0) {
+    return null;
+  }
+
+  const bill = await billLineItems.createBillWithLineItems({
+    bill_number: await generateBillNumber(customer.isp_id),
+    customer_id: customer.id,
+    package_id: pkg ? pkg.id : null,
+    due_date: billingPolicy.getDueDate(policy),
+    billing_period_start: periodStart,
+    billing_period_end: periodEnd,
+    status: 'pending',
+    isp_id: customer.isp_id
+  }, items);
+
+  // Credit the days of the period before the connection date
+  if (!existingBill && pkg) {
+    await prorateNewBill(bill, customer, pkg, { userId });
+  }
+
+  await applyWalletToBill(bill, { userId });
+  return await bill.reload();
+};
+
+/**
+ * Notify the customer that the connection is active (in-app, email and SMS)
+ */
+const notifyCustomer = async ({ installation, customer, bill }) => {
+  const customerUser = await User.findOne({ where: { customer_id: customer.id } });
+
+  const notification = await Notification.create({
+    customer_id: customer.id,
+    user_id: customerUser ? customerUser.id : null,
+    bill_id: bill ? bill.id : null,
+    type: 'installation_completed',
+    title: 'Connection Activated',
+    message: bill
+      ? `Your installation at ${installation.service_address} is complete and your connection is active. Your first bill ${bill.bill_number} of PKR ${parseFloat(bill.total_amount).toFixed(2)} is due on ${moment(bill.due_date).format('MMM DD, YYYY')}.`
+      : `Your installation at ${installation.service_address} is complete and your connection is active.`,
+    channel: 'both',
+    scheduled_at: new Date(),
+    isp_id: customer.isp_id
+  });
+
+  // Email and SMS templates describe the first bill
+  if (!bill) return notification;
+
+  const data = { customer, bill, installation, isp: customer.isp };
+
+  if (customer.email) {
+    try {
+      const email = await renderMessage('installation_completed', 'email', data);
+      await sendEmail.sendEmail(customer.email, email.subject, email.text, email.html);
+    } catch (error) {
+      console.error(`Error sending installation email to customer ${customer.id}:`, error);
+    }
+  }
+
+  if (customer.phone) {
+    try {
+      const sms = await renderMessage('installation_completed', 'sms', data);
+      await sendSMS(customer.phone, sms.text, {
+        ispId: customer.isp_id,
+        customerId: customer.id,
+        notificationId: notification.id
+      });
+    } catch (error) {
+      console.error(`Error sending installation SMS to customer ${customer.id}:`, error);
+    }
+  }
+
+  return notification;
+};
+
+/**
+ * Completion hook for an installation. Runs once: installations that already raised
+ * a bill are skipped.
+ * @param {Object} installation - Installation instance (status completed)
+ * @param {Object} options - { userId, triggeredBy }
+ * @returns {Object} { customer, bill, skipped }
+ */
+const completeInstallation = async (installation, { userId = null, triggeredBy = 'api' } = {}) => {
+  if (installation.bill_id) {
+    return { customer: null, bill: null, skipped: true };
+  }
+
+  const customer = await Customer.findByPk(installation.customer_id, {
+    include: [
+      { model: Package, as: 'package' },
+      { model: ISP, as: 'isp' }
+    ]
+  });
+  if (!customer) {
+    throw new Error(`Customer ${installation.customer_id} not found for installation ${installation.id}`);
+  }
+
+  const connectionDate = installation.installation_date || new Date();
+  const policy = await billingPolicy.getBillingPolicy(customer.isp_id);
+  const { start: periodStart, end: periodEnd } = billingPolicy.getBillingPeriod(policy, connectionDate);
+
+  // 1. Activate the customer
+  const previous = {
+    status: customer.status,
+    connection_date: customer.connection_date,
+    next_billing_date: customer.next_billing_date
+  };
+  await customer.update({
+    status: 'active',
+    connection_date: connectionDate,
+    next_billing_date: moment(periodEnd).add(1, 'millisecond').toDate()
+  });
+
+  await logAutomation({
+    type: 'customer_activated',
+    customer,
+    message: `Customer ${customer.name} activated on completion of installation #${installation.id}`,
+    metadata: { installation_id: installation.id, previous },
+    triggeredBy
+  });
+
+  // Provision the connection on the network
+  await networkEnforcement.syncCustomer(customer, {
+    reason: `installation #${installation.id} completed`,
+    triggeredBy
+  });
+
+  // 2. First bill
+  let bill = null;
+  try {
+    bill = await raiseFirstBill({
+      installation,
+      customer,
+      pkg: customer.package,
+      policy,
+      periodStart,
+      periodEnd,
+      userId
+    });
+
+    if (bill) {
+      await installation.update({ bill_id: bill.id });
+    }
+
+    await logAutomation({
+      type: 'installation_invoice',
+      customer,
+      bill,
+      message: bill
+        ? `Installation bill ${bill.bill_number} for PKR ${parseFloat(bill.total_amount).toFixed(2)}`
+        : 'No installation charge or package to bill',
+      metadata: {
+        installation_id: installation.id,
+        installation_charge: getInstallationCharge(installation, customer.package),
+        billing_period_start: periodStart,
+        billing_period_end: periodEnd
+      },
+      triggeredBy
+    });
+  } catch (error) {
+    console.error(`❌ Error raising installation bill for customer ${customer.id}:`, error);
+    await logAutomation({
+      type: 'installation_invoice',
+      customer,
+      status: 'failed',
+      message: `Installation bill for installation #${installation.id} failed`,
+      error,
+      metadata: { installation_id: installation.id },
+      triggeredBy
+    });
+  }
+
+  // 3. Tell the customer
+  try {
+    await notifyCustomer({ installation, customer, bill });
+  } catch (error) {
+    console.error(`Error notifying customer ${customer.id} of installation:`, error);
+  }
+
+  console.log(`🔌 Installation #${installation.id} completed: customer ${customer.id} active${bill ? `, bill ${bill.bill_number}` : ''}`);
+  return { customer, bill, skipped: false };
+};
+
+module.exports = {
+  getInstallationCharge,
+  completeInstallation
+};
@@ -0,0 +1,515 @@
+/**
+ * Inventory Utility
+ * Equipment stock (ONTs, routers, cable) moving between the warehouse, technicians and
+ * customers. Every move is written to the inventory_movements ledger; quantity-tracked
+ * stock is split when only part of a row moves. Rented equipment installed at a customer
+ * adds a monthly rental line to their bills.
+ */
+
+const { EquipmentType, InventoryItem, InventoryMovement, Installation, Customer, User, Notification } = require('../models');
+const { Op } = require('sequelize');
+const moment = require('moment');
+const billLineItems = require('./billLineItems');
+
+// Statuses an item can be written off from
+const WRITE_OFF_STATUSES = ['faulty', 'lost', 'retired'];
+
+// Low-stock alerts for the same equipment type are not repeated within this window
+const LOW_STOCK_ALERT_HOURS = 24;
+
+const round2 = (value) => Math.round(parseFloat(value || 0) * 100) / 100;
+
+const inventoryError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * Write a ledger entry for an item
+ * @param {Object} item - InventoryItem (after the move)
+ * @param {string} action - Movement action
+ * @param {Object} details - { fromStatus, quantity, technicianId, customerId, installationId, notes, userId }
+ */
+const recordMovement = async (item, action, { fromStatus = null, quantity = null, technicianId = null, customerId = null, installationId = null, notes = null, userId = null } = {}) => {
+  return await InventoryMovement.create({
+    item_id: item.id,
+    action,
+    quantity: quantity !== null ? quantity : item.quantity,
+    from_status: fromStatus,
+    to_status: item.status,
+    warehouse: item.warehouse,
+    technician_id: technicianId,
+    customer_id: customerId,
+    installation_id: installationId,
+    notes,
+    created_by: userId,
+    isp_id: item.isp_id
+  });
+};
+
+/**
+ * Move all or part of an item. Serialized items always move whole; quantity-tracked
+ * stock is split into a new row when only part of it moves.
+ * @param {Object} item - InventoryItem
+ * @param {number|null} quantity - Quantity to move (null = all)
+ * @param {Object} values - Fields to set on the moved stock
+ * @returns {Object} The moved InventoryItem
+ */
+const moveQuantity = async (item, quantity, values) => {
+  const available = round2(item.quantity);
+  const moving = quantity === null || quantity === undefined ? available : round2(quantity);
+
+  if (moving <= 0) {
+    throw inventoryError('Quantity must be greater than 0');
+  }
+  if (moving > available) {
+    throw inventoryError(`Only ${available} available in this stock item`);
+  }
+  if (item.serial_number && moving !== available) {
+    throw inventoryError('Serialized equipment cannot be split');
+  }
+
+  if (moving === available) {
+    return await item.update(values);
+  }
+
+  await item.update({ quantity: round2(available - moving) });
+  return await InventoryItem.create({
+    equipment_type_id: item.equipment_type_id,
+    mac_address: null,
+    quantity: moving,
+    status: item.status,
+    warehouse: item.warehouse,
+    technician_id: item.technician_id,
+    customer_id: item.customer_id,
+    installation_id: item.installation_id,
+    is_rental: item.is_rental,
+    rental_price: item.rental_price,
+    assigned_at: item.assigned_at,
+    notes: item.notes,
+    isp_id: item.isp_id,
+    ...values
+  });
+};
+
+const expectStatus = (item, statuses, action) => {
+  if (!statuses.includes(item.status)) {
+    throw inventoryError(`Cannot ${action} an item that is ${item.status.replace(/_/g, ' ')}`);
+  }
+};
+
+/**
+ * Warehouse stock of an equipment type
+ * @param {number} equipmentTypeId - EquipmentType ID
+ * @returns {number} Quantity in stock
+ */
+const getInStockQuantity = async (equipmentTypeId) => {
+  const quantity = await InventoryItem.sum('quantity', {
+    where: { equipment_type_id: equipmentTypeId, status: 'in_stock' }
+  });
+  return round2(quantity);
+};
+
+/**
+ * Notify the ISP's admins when warehouse stock of a type drops below its threshold.
+ * One alert per type per LOW_STOCK_ALERT_HOURS.
+ * @param {number} equipmentTypeId - EquipmentType ID
+ * @returns {boolean} Whether an alert was raised
+ */
+const checkLowStock = async (equipmentTypeId) => {
+  const type = await EquipmentType.findByPk(equipmentTypeId);
+  if (!type || !type.is_active || parseFloat(type.low_stock_threshold) <= 0) {
+    return false;
+  }
+
+  const inStock = await getInStockQuantity(type.id);
+  if (inStock >= parseFloat(type.low_stock_threshold)) {
+    return false;
+  }
+
+  const title = `Low stock: ${type.name}`;
+  const recentAlert = await Notification.findOne({
+    where: {
+      isp_id: type.isp_id,
+      type: 'system',
+      title,
+      createdAt: { [Op.gte]: moment().subtract(LOW_STOCK_ALERT_HOURS, 'hours').toDate() }
+    }
+  });
+  if (recentAlert) {
+    return false;
+  }
+
+  const admins = await User.findAll({
+    where: { isp_id: type.isp_id, role: 'admin', is_active: true },
+    attributes: ['id']
+  });
+
+  const message = `Only ${inStock} ${type.unit}(s) of ${type.name} left in stock (threshold ${parseFloat(type.low_stock_threshold)}).`;
+  for (const admin of admins) {
+    await Notification.create({
+      user_id: admin.id,
+      type: 'system',
+      title,
+      message,
+      channel: 'in_app',
+      scheduled_at: new Date(),
+      isp_id: type.isp_id
+    });
+  }
+
+  console.log(`📦 Low stock alert for ${type.name} (ISP ${type.isp_id}): ${inStock} left`);
+  return true;
+};
+
+/**
+ * Receive new stock into a warehouse
+ * @param {Object} params - { type, items: [{ serial_number, mac_address }], quantity, warehouse, notes, userId }
+ * @returns {Array} Created InventoryItems
+ */
+const receiveStock = async ({ type, items = [], quantity = null, warehouse = null, notes = null, userId = null }) => {
+  if (!type.is_active) {
+    throw inventoryError(`${type.name} is no longer active`);
+  }
+
+  let rows;
+  if (type.is_serialized) {
+    if (!Array.isArray(items) || items.length === 0) {
+      throw inventoryError(`Serial numbers are required for ${type.name}`);
+    }
+    const serials = items.map(entry => String(entry.serial_number || '').trim());
+    if (serials.some(serial => !serial)) {
+      throw inventoryError('Every item needs a serial number');
+    }
+    if (new Set(serials).size !== serials.length) {
+      throw inventoryError('Serial numbers must be unique');
+    }
+
+    const existing = await InventoryItem.findAll({
+      where: { isp_id: type.isp_id, serial_number: { [Op.in]: serials } },
+      attributes: ['serial_number']
+    });
+    if (existing.length > 0) {
+      throw inventoryError(`Serial number(s) already in inventory: ${existing.map(item => item.serial_number).join(', ')}`, 409);
+    }
+
+    rows = items.map((entry, index) => ({
+      serial_number: serials[index],
+      mac_address: entry.mac_address || null,
+      quantity: 1
+    }));
+  } else {
+    if (!quantity || round2(quantity) <= 0) {
+      throw inventoryError(`Quantity is required for ${type.name}`);
+    }
+    rows = [{ serial_number: null, mac_address: null, quantity: round2(quantity) }];
+  }
+
+  const created = [];
+  for (const row of rows) {
+    const item = await InventoryItem.create({
+      ...row,
+      equipment_type_id: type.id,
+      status: 'in_stock',
+      warehouse,
+      notes,
+      isp_id: type.isp_id
+    });
+    await recordMovement(item, 'received', { notes, userId });
+    created.push(item);
+  }
+
+  return created;
+};
+
+/**
+ * Hand warehouse stock to a technician
+ * @param {Object} item - InventoryItem (in stock)
+ * @param {Object} params - { technician, quantity, notes, userId }
+ * @returns {Object} InventoryItem now held by the technician
+ */
+const issueToTechnician = async (item, { technician, quantity = null, notes = null, userId = null }) => {
+  expectStatus(item, ['in_stock'], 'issue');
+  if (!technician || technician.role !== 'technical_officer' || technician.isp_id !== item.isp_id) {
+    throw inventoryError('Technician not found', 404);
+  }
+
+  const issued = await moveQuantity(item, quantity, {
+    status: 'with_technician',
+    technician_id: technician.id
+  });
+  await recordMovement(issued, 'issued', { fromStatus: 'in_stock', technicianId: technician.id, notes, userId });
+
+  await checkLowStock(item.equipment_type_id);
+  return issued;
+};
+
+/**
+ * Return stock a technician holds (or a faulty item) to a warehouse
+ * @param {Object} item - InventoryItem (with a technician or faulty)
+ * @param {Object} params - { warehouse, quantity, notes, userId }
+ * @returns {Object} InventoryItem back in stock
+ */
+const returnToWarehouse = async (item, { warehouse = null, quantity = null, notes = null, userId = null }) => {
+  expectStatus(item, ['with_technician', 'faulty'], 'return to the warehouse');
+
+  const fromStatus = item.status;
+  const technicianId = item.technician_id;
+  const returned = await moveQuantity(item, quantity, {
+    status: 'in_stock',
+    technician_id: null,
+    warehouse: warehouse || item.warehouse
+  });
+  await recordMovement(returned, 'returned_to_warehouse', { fromStatus, technicianId, notes, userId });
+
+  return returned;
+};
+
+/**
+ * Install equipment for an installation's customer
+ * @param {Object} item - InventoryItem (in stock or with a technician)
+ * @param {Object} installation - Installation
+ * @param {Object} params - { quantity, isRental, rentalPrice, notes, userId }
+ * @returns {Object} Installed InventoryItem
+ */
+const assignToInstallation = async (item, installation, { quantity = null, isRental = false, rentalPrice = null, notes = null, userId = null }) => {
+  expectStatus(item, ['in_stock', 'with_technician'], 'assign');
+  if (installation.isp_id !== item.isp_id) {
+    throw inventoryError('Installation not found', 404);
+  }
+  if (installation.status === 'cancelled') {
+    throw inventoryError('Cannot assign equipment to a cancelled installation');
+  }
+
+  const type = await EquipmentType.findByPk(item.equipment_type_id);
+  if (isRental && rentalPrice === null && (type.rental_price === null || parseFloat(type.rental_price) <= 0)) {
+    throw inventoryError(`No rental price is set for ${type.name}`);
+  }
+
+  const fromStatus = item.status;
+  const technicianId = item.technician_id || installation.technical_officer_id;
+  const installed = await moveQuantity(item, quantity, {
+    status: 'installed',
+    technician_id: null,
+    customer_id: installation.customer_id,
+    installation_id: installation.id,
+    is_rental: Boolean(isRental),
+    rental_price: isRental && rentalPrice !== null ? round2(rentalPrice) : null,
+    assigned_at: new Date()
+  });
+  await recordMovement(installed, 'installed', {
+    fromStatus,
+    technicianId,
+    customerId: installation.customer_id,
+    installationId: installation.id,
+    notes,
+    userId
+  });
+
+  if (fromStatus === 'in_stock') {
+    await checkLowStock(item.equipment_type_id);
+  }
+  return installed;
+};
+
+/**
+ * Flag a disconnected customer's equipment for collection. Rental charges stop with it.
+ * @param {Object} customer - Customer
+ * @param {Object} options - { userId, notes }
+ * @returns {Array} InventoryItems awaiting return
+ */
+const requestCustomerReturns = async (customer, { userId = null, notes = 'Customer disconnected' } = {}) => {
+  const items = await InventoryItem.findAll({
+    where: { customer_id: customer.id, status: 'installed' }
+  });
+
+  for (const item of items) {
+    await item.update({ status: 'awaiting_return' });
+    await recordMovement(item, 'return_requested', {
+      fromStatus: 'installed',
+      customerId: customer.id,
+      installationId: item.installation_id,
+      notes,
+      userId
+    });
+  }
+
+  if (items.length > 0) {
+    console.log(`📦 ${items.length} equipment item(s) awaiting return from customer ${customer.id}`);
+  }
+  return items;
+};
+
+/**
+ * Take equipment back from a customer
+ * @param {Object} item - InventoryItem (installed or awaiting return)
+ * @param {Object} params - { condition: good|faulty, technician, warehouse, notes, userId }
+ * @returns {Object} Returned InventoryItem
+ */
+const returnFromCustomer = async (item, { condition = 'good', technician = null, warehouse = null, notes = null, userId = null }) => {
+  expectStatus(item, ['installed', 'awaiting_return'], 'return');
+  if (technician && (technician.role !== 'technical_officer' || technician.isp_id !== item.isp_id)) {
+    throw inventoryError('Technician not found', 404);
+  }
+
+  const fromStatus = item.status;
+  const customerId = item.customer_id;
+  const installationId = item.installation_id;
+
+  let status = 'in_stock';
+  if (condition === 'faulty') status = 'faulty';
+  else if (technician) status = 'with_technician';
+
+  await item.update({
+    status,
+    technician_id: technician ? technician.id : null,
+    warehouse: warehouse || item.warehouse,
+    customer_id: null,
+    installation_id: null,
+    is_rental: false,
+    rental_price: null,
+    assigned_at: null
+  });
+  await recordMovement(item, 'returned_from_customer', {
+    fromStatus,
+    technicianId: technician ? technician.id : null,
+    customerId,
+    installationId,
+    notes: notes || (condition === 'faulty' ? 'Returned faulty' : null),
+    userId
+  });
+
+  return item;
+};
+
+/**
+ * Write an item off as faulty, lost or retired
+ * @param {Object} item - InventoryItem
+ * @param {Object} params - { status, notes, userId }
+ * @returns {Object} Updated InventoryItem
+ */
+const writeOff = async (item, { status, notes = null, userId = null }) => {
+  if (!WRITE_OFF_STATUSES.includes(status)) {
+    throw inventoryError(`Status must be one of: ${WRITE_OFF_STATUSES.join(', ')}`);
+  }
+  if (item.status === status) {
+    throw inventoryError(`Item is already ${status}`);
+  }
+  expectStatus(item, ['in_stock', 'with_technician', 'awaiting_return', 'faulty'], 'write off');
+
+  const fromStatus = item.status;
+  const values = { status };
+  // Faulty items stay with whoever holds them until returned; lost and retired items leave custody
+  if (status !== 'faulty') {
+    Object.assign(values, { technician_id: null, customer_id: null, installation_id: null, is_rental: false, rental_price: null });
+  }
+
+  const technicianId = item.technician_id;
+  const customerId = item.customer_id;
+  await item.update(values);
+  await recordMovement(item, 'written_off', { fromStatus, technicianId, customerId, notes, userId });
+
+  if (fromStatus === 'in_stock') {
+    await checkLowStock(item.equipment_type_id);
+  }
+  return item;
+};
+
+/**
+ * Stock levels per equipment type
+ * @param {number} ispId - ISP ID (null = all ISPs)
+ * @returns {Array} [{ type, in_stock, with_technician, installed, awaiting_return, faulty, low_stock }]
+ */
+const getStockLevels = async (ispId) => {
+  const typeWhere = {};
+  if (ispId) typeWhere.isp_id = ispId;
+  const types = await EquipmentType.findAll({ where: typeWhere, order: [['category', 'ASC'], ['name', 'ASC']] });
+
+  const itemWhere = {
+    equipment_type_id: { [Op.in]: types.map(type => type.id) },
+    status: { [Op.in]: ['in_stock', 'with_technician', 'installed', 'awaiting_return', 'faulty'] }
+  };
+  const items = types.length > 0
+    ? await InventoryItem.findAll({ where: itemWhere, attributes: ['equipment_type_id', 'status', 'quantity'] })
+    : [];
+
+  return types.map((type) => {
+    const levels = { in_stock: 0, with_technician: 0, installed: 0, awaiting_return: 0, faulty: 0 };
+    items
+      .filter(item => item.equipment_type_id === type.id)
+      .forEach((item) => {
+        levels[item.status] = round2(levels[item.status] + parseFloat(item.quantity));
+      });
+
+    return {
+      type,
+      ...levels,
+      low_stock: parseFloat(type.low_stock_threshold) > 0 && levels.in_stock < parseFloat(type.low_stock_threshold)
+    };
+  });
+};
+
+/**
+ * Monthly rental line items for equipment installed at a customer
+ * @param {number} customerId - Customer ID
+ * @param {Object} options - { periodStart, periodEnd }
+ * @returns {Array} Line items
+ */
+const buildRentalItems = async (customerId, { periodStart = null, periodEnd = null } = {}) => {
+  const items = await InventoryItem.findAll({
+    where: { customer_id: customerId, status: 'installed', is_rental: true },
+    include: [{ model: EquipmentType, as: 'equipmentType' }],
+    order: [['id', 'ASC']]
+  });
+
+  const period = periodStart && periodEnd
+    ? ` (${moment(periodStart).format('DD/MM/YYYY')} - ${moment(periodEnd).format('DD/MM/YYYY')})`
+    : '';
+
+  return items
+    .map((item) => {
+      const price = item.rental_price !== null ? item.rental_price : item.equipmentType.rental_price;
+      if (!price || parseFloat(price) <= 0) return null;
+
+      return billLineItems.buildLineItem({
+        type: 'rental',
+        description: `${item.equipmentType.name} rental${item.serial_number ? ` - S/N ${item.serial_number}` : ''}${period}`,
+        quantity: item.serial_number ? 1 : item.quantity,
+        unit_price: price
+      });
+    })
+    .filter(Boolean);
+};
+
+/**
+ * Find an item with its equipment type, installation and customer
+ * @param {number} id - InventoryItem ID
+ * @returns {Object|null} InventoryItem
+ */
+const findItem = async (id) => {
+  return await InventoryItem.findByPk(id, {
+    include: [
+      { model: EquipmentType, as: 'equipmentType' },
+      { model: User, as: 'technician', attributes: ['id', 'name', 'email'], required: false },
+      { model: Customer, as: 'customer', attributes: ['id', 'name', 'phone', 'address'], required: false },
+      { model: Installation, as: 'installation', attributes: ['id', 'status', 'service_address', 'technical_officer_id'], required: false }
+    ]
+  });
+};
+
+module.exports = {
+  WRITE_OFF_STATUSES,
+  getInStockQuantity,
+  checkLowStock,
+  receiveStock,
+  issueToTechnician,
+  returnToWarehouse,
+  assignToInstallation,
+  requestCustomerReturns,
+  returnFromCustomer,
+  writeOff,
+  getStockLevels,
+  buildRentalItems,
+  findItem
+};
@@ -0,0 +1,571 @@
+/**
+ * IP Address Management Utility
+ * Per-ISP IPv4/IPv6 pools (CIDR ranges with optional VLAN and gateway), allocation of
+ * customer addresses, release on disconnection, conflict detection, utilisation and the
+ * import of addresses already recorded on installations.
+ * Addresses are handled as BigInt so IPv4 and IPv6 share the same arithmetic.
+ */
+
+const { IpPool, IpAllocation, Installation, Customer } = require('../models');
+const { Op } = require('sequelize');
+const net = require('net');
+
+const BITS = { 4: 32, 6: 128 };
+
+// Installations whose address is no longer in use
+const INACTIVE_INSTALLATION_STATUSES = ['cancelled'];
+
+const ipamError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * Parse an IPv4 or IPv6 address
+ * @param {string} address - Address text
+ * @returns {Object|null} { version, value } (value is a BigInt) or null if invalid
+ */
+const parseIp = (address) => {
+  const text = String(address || '').trim();
+  const version = net.isIP(text);
+
+  if (version === 4) {
+    return {
+      version,
+      value: text.split('.').reduce((value, octet) => (value << 8n) + BigInt(parseInt(octet, 10)), 0n)
+    };
+  }
+
+  if (version === 6 && !text.includes('%')) {
+    let groups = text.toLowerCase();
+
+    // Embedded IPv4 tail, e.g. ::ffff:10.0.0.1
+    const ipv4Tail = groups.match(/(\d+\.\d+\.\d+\.\d+)$/);
+    if (ipv4Tail) {
+      const tail = parseIp(ipv4Tail[1]).value;
+      groups = groups.slice(0, -ipv4Tail[1].length) + `${(tail >> 16n).toString(16)}:${(tail & 0xffffn).toString(16)}`;
+    }
+
+    const [head, rest] = groups.split('::');
+    const headGroups = head ? head.split(':') : [];
+    const restGroups = rest !== undefined && rest !== '' ? rest.split(':') : [];
+    const zeros = rest !== undefined ? new Array(8 - headGroups.length - restGroups.length).fill('0') : [];
+
+    return {
+      version,
+      value: [...headGroups, ...zeros, ...restGroups].reduce((value, group) => (value << 16n) + BigInt(parseInt(group, 16)), 0n)
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Format an address value in canonical form (IPv6 per RFC 5952)
+ * @param {number} version - 4 or 6
+ * @param {BigInt} value - Address value
+ * @returns {string} Address text
+ */
+const formatIp = (version, value) => {
+  if (version === 4) {
+    return [24n, 16n, 8n, 0n].map(shift => ((value >> shift) & 0xffn).toString()).join('.');
+  }
+
+  const groups = [];
+  for (let shift = 112n; shift >= 0n; shift -= 16n) {
+    groups.push(((value >> shift) & 0xffffn).toString(16));
+  }
+
+  // Compress the longest run of two or more zero groups
+  let bestStart = -1;
+  let bestLength = 1;
+  for (let i = 0; i < 8; i++) {
+    let length = 0;
+    while (i + length < 8 && groups[i + length] === '0') length++;
+    if (length > bestLength) {
+      bestStart = i;
+      bestLength = length;
+    }
+    i += length;
+  }
+
+  if (bestStart === -1) {
+    return groups.join(':');
+  }
+  return `${groups.slice(0, bestStart).join(':')}::${groups.slice(bestStart + bestLength).join(':')}`;
+};
+
+/**
+ * Canonical form of an address
+ * @param {string} address - Address text
+ * @returns {string|null} Canonical address or null if invalid
+ */
+const normalizeIp = (address) => {
+  const parsed = parseIp(address);
+  return parsed ? formatIp(parsed.version, parsed.value) : null;
+};
+
+/**
+ * Parse a CIDR range. The address must be the network address of the prefix.
+ * @param {string} cidr - e.g. 10.20.0.0/22
+ * @returns {Object} { version, prefix, first, last, cidr }
+ */
+const parseCidr = (cidr) => {
+  const [address, prefixText, extra] = String(cidr || '').trim().split('/');
+  const parsed = parseIp(address);
+  if (!parsed || extra !== undefined || !/^\d{1,3}$/.test(prefixText || '')) {
+    throw ipamError(`Invalid CIDR range: ${cidr}`);
+  }
+
+  const bits = BigInt(BITS[parsed.version]);
+  const prefix = BigInt(parseInt(prefixText, 10));
+  if (prefix > bits) {
+    throw ipamError(`Prefix length must be at most ${bits} for IPv${parsed.version}`);
+  }
+
+  const hostMask = (1n << (bits - prefix)) - 1n;
+  if ((parsed.value & hostMask) !== 0n) {
+    throw ipamError(`${address} is not the network address of /${prefix} (expected ${formatIp(parsed.version, parsed.value & ~hostMask)})`);
+  }
+
+  return {
+    version: parsed.version,
+    prefix: Number(prefix),
+    first: parsed.value,
+    last: parsed.value | hostMask,
+    cidr: `${formatIp(parsed.version, parsed.value)}/${prefix}`
+  };
+};
+
+/**
+ * Addresses a pool can hand out. IPv4 skips the network and broadcast addresses and
+ * IPv6 the subnet-router anycast address, except on point-to-point sized ranges.
+ * @param {Object} range - Parsed CIDR
+ * @returns {Object} { first, last, size } (BigInt)
+ */
+const getUsableRange = (range) => {
+  let { first, last } = range;
+  if (range.version === 4 && range.prefix <= 30) {
+    first += 1n;
+    last -= 1n;
+  } else if (range.version === 6 && range.prefix <= 126) {
+    first += 1n;
+  }
+  return { first, last, size: last - first + 1n };
+};
+
+/**
+ * Whether an address lies in a pool's range
+ * @param {Object} pool - IpPool
+ * @param {Object} parsed - Parsed address
+ * @returns {boolean}
+ */
+const poolContains = (pool, parsed) => {
+  const range = parseCidr(pool.cidr);
+  return range.version === parsed.version && parsed.value >= range.first && parsed.value <= range.last;
+};
+
+/**
+ * Validate pool settings: CIDR, gateway inside the range, and no overlap with the ISP's
+ * other pools
+ * @param {Object} params - { ispId, cidr, gateway, excludePoolId }
+ * @returns {Object} { cidr, version, gateway } in canonical form
+ */
+const validatePool = async ({ ispId, cidr, gateway = null, excludePoolId = null }) => {
+  const range = parseCidr(cidr);
+
+  let canonicalGateway = null;
+  if (gateway) {
+    const parsedGateway = parseIp(gateway);
+    if (!parsedGateway || parsedGateway.version !== range.version
+      || parsedGateway.value < range.first || parsedGateway.value > range.last) {
+      throw ipamError(`Gateway ${gateway} is not inside ${range.cidr}`);
+    }
+    canonicalGateway = formatIp(parsedGateway.version, parsedGateway.value);
+  }
+
+  const where = { isp_id: ispId, version: range.version };
+  if (excludePoolId) where.id = { [Op.ne]: excludePoolId };
+  const pools = await IpPool.findAll({ where, attributes: ['id', 'name', 'cidr'] });
+  const overlapping = pools.find((pool) => {
+    const other = parseCidr(pool.cidr);
+    return range.first <= other.last && other.first <= range.last;
+  });
+  if (overlapping) {
+    throw ipamError(`${range.cidr} overlaps pool "${overlapping.name}" (${overlapping.cidr})`, 409);
+  }
+
+  return { cidr: range.cidr, version: range.version, gateway: canonicalGateway };
+};
+
+/**
+ * Active pool of an ISP containing an address
+ * @param {number} ispId - ISP ID
+ * @param {Object} parsed - Parsed address
+ * @returns {Object|null} IpPool
+ */
+const findPoolForAddress = async (ispId, parsed) => {
+  const pools = await IpPool.findAll({ where: { isp_id: ispId, version: parsed.version, is_active: true } });
+  return pools.find(pool => poolContains(pool, parsed)) || null;
+};
+
+/**
+ * Lowest free address in a pool
+ * @param {Object} pool - IpPool
+ * @returns {string|null} Address, or null when the pool is full
+ */
+const findFreeAddress = async (pool) => {
+  const usable = getUsableRange(parseCidr(pool.cidr));
+  const taken = new Set((await IpAllocation.findAll({
+    where: { pool_id: pool.id },
+    attributes: ['ip_address']
+  })).map(allocation => allocation.ip_address));
+  if (pool.gateway) taken.add(pool.gateway);
+
+  for (let value = usable.first; value <= usable.last; value++) {
+    const address = formatIp(pool.version, value);
+    if (!taken.has(address)) return address;
+  }
+  return null;
+};
+
+const createAllocation = async (values) => {
+  try {
+    return await IpAllocation.create(values);
+  } catch (error) {
+    if (error.name === 'SequelizeUniqueConstraintError') {
+      throw ipamError(`${values.ip_address} is already in use`, 409);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Allocate an address to a customer: a requested static address, the next free address
+ * of a requested pool, or the next free address of the ISP's active pools (IPv4 first
+ * unless version 6 is asked for).
+ * @param {Object} params - { ispId, customerId, installationId, ipAddress, poolId, version, userId, notes }
+ * @returns {Object|null} IpAllocation, or null when nothing was requested and the ISP has no pools
+ */
+const allocateAddress = async ({ ispId, customerId = null, installationId = null, ipAddress = null, poolId = null, version = null, userId = null, notes = null }) => {
+  const values = {
+    status: 'allocated',
+    customer_id: customerId,
+    installation_id: installationId,
+    notes,
+    allocated_by: userId,
+    isp_id: ispId
+  };
+
+  // Static address
+  if (ipAddress) {
+    const parsed = parseIp(ipAddress);
+    if (!parsed) {
+      throw ipamError(`Invalid IP address: ${ipAddress}`);
+    }
+    const pool = poolId
+      ? await IpPool.findOne({ where: { id: poolId, isp_id: ispId, is_active: true } })
+      : await findPoolForAddress(ispId, parsed);
+    if (!pool || !poolContains(pool, parsed)) {
+      throw ipamError(`${ipAddress} is not inside ${poolId ? 'the selected' : 'any active'} IP pool`);
+    }
+
+    const address = formatIp(parsed.version, parsed.value);
+    const usable = getUsableRange(parseCidr(pool.cidr));
+    if (parsed.value < usable.first || parsed.value > usable.last || address === pool.gateway) {
+      throw ipamError(`${address} is a network, broadcast or gateway address of ${pool.cidr}`);
+    }
+
+    const existing = await IpAllocation.findOne({ where: { isp_id: ispId, ip_address: address } });
+    if (existing) {
+      throw ipamError(existing.status === 'reserved'
+        ? `${address} is reserved`
+        : `${address} is already allocated to customer ${existing.customer_id}`, 409);
+    }
+
+    return await createAllocation({ ...values, pool_id: pool.id, ip_address: address });
+  }
+
+  // Next free address of a pool
+  let pools;
+  if (poolId) {
+    const pool = await IpPool.findOne({ where: { id: poolId, isp_id: ispId, is_active: true } });
+    if (!pool) {
+      throw ipamError('IP pool not found', 404);
+    }
+    pools = [pool];
+  } else {
+    const where = { isp_id: ispId, is_active: true };
+    if (version) where.version = version;
+    pools = await IpPool.findAll({ where, order: [['version', 'ASC'], ['id', 'ASC']] });
+    if (pools.length === 0) {
+      if (version) throw ipamError(`No active IPv${version} pool`);
+      return null;
+    }
+  }
+
+  for (const pool of pools) {
+    // Another request may take the same address first; look again once
+    for (let attempt = 0; attempt < 2; attempt++) {
+      const address = await findFreeAddress(pool);
+      if (!address) break;
+      try {
+        return await createAllocation({ ...values, pool_id: pool.id, ip_address: address });
+      } catch (error) {
+        if (error.status !== 409 || attempt === 1) throw error;
+      }
+    }
+  }
+
+  throw ipamError(poolId ? 'The selected IP pool is full' : 'All active IP pools are full', 409);
+};
+
+/**
+ * Hold an address out of allocation (routers, servers)
+ * @param {Object} pool - IpPool
+ * @param {Object} params - { ipAddress, notes, userId }
+ * @returns {Object} IpAllocation
+ */
+const reserveAddress = async (pool, { ipAddress, notes = null, userId = null }) => {
+  const parsed = parseIp(ipAddress);
+  if (!parsed || !poolContains(pool, parsed)) {
+    throw ipamError(`${ipAddress} is not inside ${pool.cidr}`);
+  }
+
+  return await createAllocation({
+    pool_id: pool.id,
+    ip_address: formatIp(parsed.version, parsed.value),
+    status: 'reserved',
+    notes,
+    allocated_by: userId,
+    isp_id: pool.isp_id
+  });
+};
+
+/**
+ * Release an allocation and clear the address from its installation
+ * @param {Object} allocation - IpAllocation
+ */
+const releaseAllocation = async (allocation) => {
+  if (allocation.installation_id) {
+    await Installation.update(
+      { ip_address: null },
+      { where: { id: allocation.installation_id, ip_address: allocation.ip_address } }
+    );
+  }
+  await allocation.destroy();
+};
+
+/**
+ * Release the address held by an installation
+ * @param {Object} installation - Installation
+ * @returns {Object|null} Released IpAllocation
+ */
+const releaseInstallationAddress = async (installation) => {
+  const allocation = await IpAllocation.findOne({ where: { installation_id: installation.id } });
+  if (allocation) {
+    await releaseAllocation(allocation);
+    if (installation.ip_address === allocation.ip_address) {
+      await installation.update({ ip_address: null });
+    }
+  }
+  return allocation;
+};
+
+/**
+ * Release every address held by a customer (on disconnection)
+ * @param {Object} customer - Customer
+ * @returns {Array} Released IpAllocations
+ */
+const releaseCustomerAddresses = async (customer) => {
+  const allocations = await IpAllocation.findAll({ where: { customer_id: customer.id, status: 'allocated' } });
+  for (const allocation of allocations) {
+    await releaseAllocation(allocation);
+  }
+
+  if (allocations.length > 0) {
+    console.log(`🌐 Released ${allocations.map(allocation => allocation.ip_address).join(', ')} from customer ${customer.id}`);
+  }
+  return allocations;
+};
+
+/**
+ * Utilisation of a pool
+ * @param {Object} pool - IpPool
+ * @returns {Object} { pool, usable, allocated, reserved, free, utilization }
+ */
+const getPoolUtilization = async (pool) => {
+  const usable = getUsableRange(parseCidr(pool.cidr)).size - (pool.gateway ? 1n : 0n);
+  const allocated = await IpAllocation.count({ where: { pool_id: pool.id, status: 'allocated' } });
+  const reserved = await IpAllocation.count({ where: { pool_id: pool.id, status: 'reserved' } });
+  const used = BigInt(allocated + reserved);
+
+  return {
+    pool,
+    // IPv6 sizes overflow Number, so counts of addresses are strings
+    usable: usable.toString(),
+    allocated,
+    reserved,
+    free: (usable - used).toString(),
+    utilization: usable > 0n ? Number((used * 10000n) / usable) / 100 : 100
+  };
+};
+
+/**
+ * Utilisation report for an ISP's pools
+ * @param {number} ispId - ISP ID (null = all ISPs)
+ * @returns {Array} Pool utilisation rows
+ */
+const getUtilizationReport = async (ispId) => {
+  const where = {};
+  if (ispId) where.isp_id = ispId;
+  const pools = await IpPool.findAll({ where, order: [['version', 'ASC'], ['name', 'ASC']] });
+
+  const rows = [];
+  for (const pool of pools) {
+    rows.push(await getPoolUtilization(pool));
+  }
+  return rows;
+};
+
+const getActiveInstallations = async (where) => {
+  return await Installation.findAll({
+    where: {
+      ...where,
+      ip_address: { [Op.and]: [{ [Op.ne]: null }, { [Op.ne]: '' }] },
+      status: { [Op.notIn]: INACTIVE_INSTALLATION_STATUSES }
+    },
+    attributes: ['id', 'customer_id', 'ip_address', 'status', 'service_address'],
+    include: [{ model: Customer, as: 'customer', attributes: ['id', 'name', 'status'] }],
+    order: [['id', 'ASC']]
+  });
+};
+
+/**
+ * Addresses recorded on installations that clash: the same address on more than one
+ * customer, invalid addresses, and addresses not backed by a matching allocation
+ * @param {number} ispId - ISP ID
+ * @returns {Object} { duplicates, invalid, unmanaged }
+ */
+const findConflicts = async (ispId) => {
+  const installations = (await getActiveInstallations({ isp_id: ispId }))
+    .filter(installation => installation.customer && installation.customer.status !== 'disconnected');
+  const allocations = await IpAllocation.findAll({ where: { isp_id: ispId } });
+  const allocationsByAddress = new Map(allocations.map(allocation => [allocation.ip_address, allocation]));
+
+  const byAddress = new Map();
+  const invalid = [];
+  const unmanaged = [];
+
+  installations.forEach((installation) => {
+    const address = normalizeIp(installation.ip_address);
+    if (!address) {
+      invalid.push(installation);
+      return;
+    }
+
+    if (!byAddress.has(address)) byAddress.set(address, []);
+    byAddress.get(address).push(installation);
+
+    const allocation = allocationsByAddress.get(address);
+    if (!allocation || allocation.customer_id !== installation.customer_id) {
+      unmanaged.push({ installation, ip_address: address, allocation: allocation || null });
+    }
+  });
+
+  const duplicates = [...byAddress.entries()]
+    .filter(([, entries]) => new Set(entries.map(entry => entry.customer_id)).size > 1)
+    .map(([address, entries]) => ({ ip_address: address, installations: entries }));
+
+  return { duplicates, invalid, unmanaged };
+};
+
+/**
+ * Import addresses already recorded on installations into the pools. Addresses are
+ * normalised on the installation; clashes and addresses outside every pool are reported
+ * and left alone.
+ * @param {Object} params - { ispId, poolId, userId }
+ * @returns {Object} { imported, linked, conflicts, invalid, unmatched }
+ */
+const importInstallationAddresses = async ({ ispId, poolId = null, userId = null }) => {
+  const poolWhere = { isp_id: ispId };
+  if (poolId) poolWhere.id = poolId;
+  const pools = await IpPool.findAll({ where: poolWhere });
+
+  const report = { imported: [], linked: [], conflicts: [], invalid: [], unmatched: [] };
+  const installations = await getActiveInstallations({ isp_id: ispId });
+
+  for (const installation of installations) {
+    if (!installation.customer || installation.customer.status === 'disconnected') continue;
+
+    const parsed = parseIp(installation.ip_address);
+    if (!parsed) {
+      report.invalid.push({ installation_id: installation.id, ip_address: installation.ip_address });
+      continue;
+    }
+    const address = formatIp(parsed.version, parsed.value);
+
+    const pool = pools.find(entry => poolContains(entry, parsed));
+    if (!pool) {
+      if (!poolId) report.unmatched.push({ installation_id: installation.id, ip_address: address });
+      continue;
+    }
+
+    const existing = await IpAllocation.findOne({ where: { isp_id: ispId, ip_address: address } });
+    if (existing) {
+      if (existing.status === 'allocated' && existing.customer_id === installation.customer_id) {
+        if (!existing.installation_id) {
+          await existing.update({ installation_id: installation.id });
+          report.linked.push({ installation_id: installation.id, ip_address: address });
+        }
+      } else {
+        report.conflicts.push({
+          installation_id: installation.id,
+          customer_id: installation.customer_id,
+          ip_address: address,
+          held_by_customer_id: existing.customer_id,
+          status: existing.status
+        });
+      }
+      continue;
+    }
+
+    await createAllocation({
+      pool_id: pool.id,
+      ip_address: address,
+      status: 'allocated',
+      customer_id: installation.customer_id,
+      installation_id: installation.id,
+      notes: 'Imported from installation',
+      allocated_by: userId,
+      isp_id: ispId
+    });
+    if (installation.ip_address !== address) {
+      await installation.update({ ip_address: address });
+    }
+    report.imported.push({ installation_id: installation.id, ip_address: address, pool_id: pool.id });
+  }
+
+  console.log(`🌐 IP import for ISP ${ispId}: ${report.imported.length} imported, ${report.conflicts.length} conflict(s), ${report.unmatched.length} outside pools`);
+  return report;
+};
+
+module.exports = {
+  parseIp,
+  formatIp,
+  normalizeIp,
+  parseCidr,
+  getUsableRange,
+  validatePool,
+  findFreeAddress,
+  allocateAddress,
+  reserveAddress,
+  releaseAllocation,
+  releaseInstallationAddress,
+  releaseCustomerAddresses,
+  getPoolUtilization,
+  getUtilizationReport,
+  findConflicts,
+  importInstallationAddresses
+};
@@ -0,0 +1,528 @@
+/**
+ * Scheduled Job Queue
+ * Database-backed queue for the scheduler's recurring tasks. Each run is stored as a
+ * ScheduledJob with an idempotent run key per tenant and period, claimed with a row lock
+ * so only one server instance runs it, retried with exponential backoff, and caught up
+ * on startup if the server was down when it was due.
+ */
+
+const os = require('os');
+const moment = require('moment');
+const { Op, UniqueConstraintError } = require('sequelize');
+const { ScheduledJob, ISP } = require('../models');
+
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+const MAX_ATTEMPTS = parseInt(process.env.JOB_MAX_ATTEMPTS || '5');
+const RETRY_BASE_SECONDS = parseInt(process.env.JOB_RETRY_BASE_SECONDS || '60');
+const MAX_RETRY_DELAY_SECONDS = 6 * 60 * 60;
+const LOCK_TIMEOUT_MINUTES = parseInt(process.env.JOB_LOCK_TIMEOUT_MINUTES || '30');
+
+/**
+ * Recurring jobs. Times are UTC; perTenant jobs are queued once per ISP.
+ * catchUpDays is how late a missed run may still be started on startup.
+ * getRunAt delays a tenant's run within the period (e.g. to its billing anchor day).
+ */
+const JOB_DEFINITIONS = {
+  generate_bills: {
+    description: 'Monthly bill generation',
+    frequency: 'monthly',
+    day: 1,
+    hour: 0,
+    minute: 0,
+    perTenant: true,
+    catchUpDays: 7,
+    getRunAt: async ({ ispId, runTime }) => {
+      const policy = await require('./billingPolicy').getBillingPolicy(ispId);
+      return moment.utc(runTime).date(policy.billing_anchor_day).toDate();
+    },
+    run: ({ ispId }) => require('./monthlyScheduler').generateMonthlyBills({ ispId })
+  },
+  reset_data_usage: {
+    description: 'Reset monthly data usage',
+    frequency: 'monthly',
+    day: 1,
+    hour: 0,
+    minute: 1,
+    perTenant: true,
+    catchUpDays: 7,
+    run: ({ ispId }) => require('./monthlyScheduler').resetMonthlyDataUsage({ ispId })
+  },
+  bill_reminders: {
+    description: 'Bill reminders',
+    frequency: 'daily',
+    hour: 9,
+    minute: 0,
+    perTenant: true,
+    catchUpDays: 1,
+    run: ({ ispId }) => require('./monthlyScheduler').sendBillReminders({ ispId })
+  },
+  process_overdue: {
+    description: 'Process overdue bills',
+    frequency: 'daily',
+    hour: 10,
+    minute: 0,
+    perTenant: true,
+    catchUpDays: 1,
+    run: ({ ispId }) => require('./monthlyScheduler').processOverdueBills({ ispId })
+  },
+  auto_suspend: {
+    description: 'Auto-suspend customers',
+    frequency: 'daily',
+    hour: 11,
+    minute: 0,
+    perTenant: true,
+    catchUpDays: 1,
+    run: async ({ ispId }) => {
+      const result = await require('./autoSuspension').autoSuspendCustomers({ ispId });
+      if (!result.success) {
+        throw new Error(result.error || 'Auto-suspension failed');
+      }
+      return result;
+    }
+  },
+  network_reconcile: {
+    description: 'Reconcile network access with billing status',
+    frequency: 'daily',
+    hour: 3,
+    minute: 0,
+    perTenant: true,
+    catchUpDays: 1,
+    run: ({ ispId }) => require('./networkEnforcement').reconcile({ ispId, triggeredBy: 'cron' })
+  },
+  prune_usage_sessions: {
+    description: 'Prune old accounting sessions',
+    frequency: 'daily',
+    hour: 3,
+    minute: 30,
+    perTenant: true,
+    catchUpDays: 1,
+    run: ({ ispId }) => require('./usageIngestion').pruneUsageSessions({ ispId })
+  },
+  prune_auth_sessions: {
+    description: 'Prune expired login sessions',
+    frequency: 'daily',
+    hour: 3,
+    minute: 45,
+    perTenant: false,
+    catchUpDays: 1,
+    run: () => require('./authSessions').pruneAuthSessions()
+  },
+  prune_rate_limits: {
+    description: 'Prune expired rate limit counters',
+    frequency: 'daily',
+    hour: 3,
+    minute: 50,
+    perTenant: false,
+    catchUpDays: 1,
+    run: async () => {
+      const removed = await require('./rateLimitStores').getConfiguredStore().prune();
+      console.log(`🧹 Pruned ${removed} rate limit counter(s)`);
+      return removed;
+    }
+  },
+  expire_points: {
+    description: 'Expire loyalty points',
+    frequency: 'daily',
+    hour: 0,
+    minute: 30,
+    perTenant: false,
+    catchUpDays: 1,
+    run: () => require('./loyaltyPoints').expirePoints()
+  },
+  auto_backup: {
+    description: 'Auto backup',
+    frequency: 'daily',
+    hour: 2,
+    minute: 0,
+    perTenant: false,
+    catchUpDays: 1,
+    run: () => require('./autoBackup').fullBackup()
+  }
+};
+
+const JOB_TYPES = Object.keys(JOB_DEFINITIONS);
+
+let isProcessing = false;
+
+/**
+ * Cron expression for a job definition
+ * @param {string} type - Job type
+ * @returns {string} Cron expression
+ */
+const getCronExpression = (type) => {
+  const definition = JOB_DEFINITIONS[type];
+  return definition.frequency === 'monthly'
+    ? `${definition.minute} ${definition.hour} ${definition.day} * *`
+    : `${definition.minute} ${definition.hour} * * *`;
+};
+
+/**
+ * Most recent time a job was due, at or before `now`
+ * @param {string} type - Job type
+ * @param {Date} now - Reference time (default: now)
+ * @returns {Object} moment (UTC)
+ */
+const getLatestRunTime = (type, now = new Date()) => {
+  const definition = JOB_DEFINITIONS[type];
+  const reference = moment.utc(now);
+
+  if (definition.frequency === 'monthly') {
+    const runTime = reference.clone().startOf('month')
+      .date(definition.day).hour(definition.hour).minute(definition.minute);
+    return runTime.isAfter(reference) ? runTime.subtract(1, 'month') : runTime;
+  }
+
+  const runTime = reference.clone().startOf('day').hour(definition.hour).minute(definition.minute);
+  return runTime.isAfter(reference) ? runTime.subtract(1, 'day') : runTime;
+};
+
+/**
+ * Period a run covers (YYYY-MM for monthly jobs, YYYY-MM-DD for daily jobs)
+ */
+const getPeriod = (type, runTime) => {
+  const format = JOB_DEFINITIONS[type].frequency === 'monthly' ? 'YYYY-MM' : 'YYYY-MM-DD';
+  return moment.utc(runTime).format(format);
+};
+
+const buildRunKey = (type, ispId, period) => `${type}:${ispId ? `isp${ispId}` : 'global'}:${period}`;
+
+/**
+ * Queue a job run. Idempotent: a run with the same type, ISP and period is only created once.
+ * @param {string} type - Job type
+ * @param {Object} options - { ispId, period, runAt, maxAttempts }
+ * @returns {Object} { job, created }
+ */
+const enqueueJob = async (type, options = {}) => {
+  if (!JOB_DEFINITIONS[type]) {
+    throw new Error(`Unknown job type: ${type}`);
+  }
+
+  const {
+    ispId = null,
+    period = getPeriod(type, getLatestRunTime(type)),
+    runAt = new Date(),
+    maxAttempts = MAX_ATTEMPTS
+  } = options;
+  const runKey = buildRunKey(type, ispId, period);
+
+  try {
+    const [job, created] = await ScheduledJob.findOrCreate({
+      where: { run_key: runKey },
+      defaults: {
+        type,
+        run_key: runKey,
+        period,
+        status: 'pending',
+        run_at: runAt,
+        max_attempts: maxAttempts,
+        isp_id: ispId
+      }
+    });
+    return { job, created };
+  } catch (error) {
+    // Another instance queued the same run at the same moment
+    if (error instanceof UniqueConstraintError) {
+      const job = await ScheduledJob.findOne({ where: { run_key: runKey } });
+      return { job, created: false };
+    }
+    throw error;
+  }
+};
+
+/**
+ * Queue the run of a job type for a scheduled time, once per ISP for tenant jobs
+ * @param {string} type - Job type
+ * @param {Date} runTime - Scheduled time the run belongs to (default: latest due time)
+ * @param {Object} options - { maxLateDays } skip runs that were due longer ago than this
+ * @returns {number} Number of newly queued jobs
+ */
+const enqueueScheduledRun = async (type, runTime = null, { maxLateDays = null } = {}) => {
+  const definition = JOB_DEFINITIONS[type];
+  const scheduledTime = runTime || getLatestRunTime(type).toDate();
+  const period = getPeriod(type, scheduledTime);
+
+  const ispIds = definition.perTenant
+    ? (await ISP.findAll({ attributes: ['id'], order: [['id', 'ASC']] })).map(isp => isp.id)
+    : [null];
+
+  let queued = 0;
+  for (const ispId of ispIds) {
+    try {
+      const runAt = definition.getRunAt
+        ? await definition.getRunAt({ ispId, runTime: scheduledTime })
+        : moment.utc(scheduledTime).toDate();
+      if (maxLateDays !== null && moment.utc().diff(moment.utc(runAt), 'days', true) > maxLateDays) {
+        continue;
+      }
+
+      const { created } = await enqueueJob(type, { ispId, period, runAt });
+      if (created) queued++;
+    } catch (error) {
+      console.error(`❌ Error queueing ${type} job${ispId ? ` for ISP ${ispId}` : ''}:`, error.message);
+    }
+  }
+
+  if (queued > 0) {
+    console.log(`📥 Queued ${queued} ${type} job(s) for ${period}`);
+  }
+  return queued;
+};
+
+/**
+ * Queue runs that were due while the server was down (within each job's catch-up window)
+ * @returns {number} Number of newly queued jobs
+ */
+const catchUpMissedRuns = async () => {
+  let queued = 0;
+  const now = moment.utc();
+
+  for (const type of JOB_TYPES) {
+    const runTime = getLatestRunTime(type, now.toDate());
+    queued += await enqueueScheduledRun(type, runTime.toDate(), {
+      maxLateDays: JOB_DEFINITIONS[type].catchUpDays
+    });
+  }
+
+  if (queued > 0) {
+    console.log(`⏪ Caught up ${queued} missed job run(s)`);
+  }
+  return queued;
+};
+
+/**
+ * Retry delay after a failed attempt: base * 2^(attempt - 1), capped at 6 hours
+ */
+const getRetryDelaySeconds = (attempts) => {
+  return Math.min(RETRY_BASE_SECONDS * Math.pow(2, Math.max(attempts - 1, 0)), MAX_RETRY_DELAY_SECONDS);
+};
+
+/**
+ * Release jobs whose instance stopped heartbeating (crashed or was killed mid-run)
+ * @returns {number} Number of jobs released
+ */
+const recoverStaleJobs = async () => {
+  const cutoff = moment().subtract(LOCK_TIMEOUT_MINUTES, 'minutes').toDate();
+  const staleJobs = await ScheduledJob.findAll({
+    where: {
+      status: 'running',
+      locked_at: { [Op.lt]: cutoff }
+    }
+  });
+
+  let recovered = 0;
+  for (const job of staleJobs) {
+    const exhausted = job.attempts >= job.max_attempts;
+    const [updated] = await ScheduledJob.update({
+      status: exhausted ? 'failed' : 'pending',
+      run_at: new Date(),
+      locked_by: null,
+      locked_at: null,
+      finished_at: exhausted ? new Date() : null,
+      last_error: `Lock held by ${job.locked_by} expired after ${LOCK_TIMEOUT_MINUTES} minutes`
+    }, {
+      where: {
+        id: job.id,
+        status: 'running',
+        locked_at: { [Op.lt]: cutoff }
+      }
+    });
+    if (updated) {
+      recovered++;
+      console.warn(`⚠️  Released stale ${job.type} job ${job.id} (${job.run_key})`);
+    }
+  }
+  return recovered;
+};
+
+/**
+ * Claim a pending job for this instance.
+ * The conditional update only succeeds for one instance, so a job never runs twice at once.
+ * @param {Object} job - ScheduledJob instance
+ * @returns {boolean} True if this instance now owns the job
+ */
+const claimJob = async (job) => {
+  const now = new Date();
+  const [claimed] = await ScheduledJob.update({
+    status: 'running',
+    attempts: job.attempts + 1,
+    locked_by: INSTANCE_ID,
+    locked_at: now,
+    started_at: now,
+    finished_at: null
+  }, {
+    where: {
+      id: job.id,
+      status: 'pending',
+      attempts: job.attempts
+    }
+  });
+
+  if (!claimed) return false;
+  await job.reload();
+  return true;
+};
+
+/**
+ * Run a claimed job and record the outcome
+ * @param {Object} job - ScheduledJob instance claimed by this instance
+ * @returns {Object} Updated job
+ */
+const runJob = async (job) => {
+  const definition = JOB_DEFINITIONS[job.type];
+  const owned = { id: job.id, locked_by: INSTANCE_ID };
+
+  // Keep the lock fresh while the job runs so other instances don't treat it as stale
+  const heartbeat = setInterval(() => {
+    ScheduledJob.update({ locked_at: new Date() }, { where: { ...owned, status: 'running' } })
+      .catch(error => console.error(`Error refreshing lock for job ${job.id}:`, error.message));
+  }, Math.max(LOCK_TIMEOUT_MINUTES * 60 * 1000 / 3, 1000));
+  heartbeat.unref();
+
+  console.log(`▶️  Running ${job.type} job ${job.id} (${job.run_key}), attempt ${job.attempts}/${job.max_attempts}`);
+
+  try {
+    const result = await definition.run({ ispId: job.isp_id });
+
+    await ScheduledJob.update({
+      status: 'completed',
+      result: result !== null && typeof result === 'object' ? result : { result },
+      last_error: null,
+      locked_by: null,
+      locked_at: null,
+      finished_at: new Date()
+    }, { where: owned });
+
+    console.log(`✅ Job ${job.id} (${job.run_key}) completed`);
+  } catch (error) {
+    const exhausted = job.attempts >= job.max_attempts;
+    const delaySeconds = getRetryDelaySeconds(job.attempts);
+
+    await ScheduledJob.update({
+      status: exhausted ? 'failed' : 'pending',
+      run_at: exhausted ? job.run_at : moment().add(delaySeconds, 'seconds').toDate(),
+      last_error: error.message,
+      // Jobs that got part way report what they did (e.g. which customers failed)
+      ...(error.result ? { result: error.result } : {}),
+      locked_by: null,
+      locked_at: null,
+      finished_at: new Date()
+    }, { where: owned });
+
+    if (exhausted) {
+      console.error(`❌ Job ${job.id} (${job.run_key}) failed after ${job.attempts} attempts:`, error.message);
+    } else {
+      console.error(`❌ Job ${job.id} (${job.run_key}) failed, retrying in ${delaySeconds}s:`, error.message);
+    }
+  } finally {
+    clearInterval(heartbeat);
+  }
+
+  return await job.reload();
+};
+
+/**
+ * Claim and run all jobs that are due
+ * @param {Object} options - { limit } maximum jobs to run in this pass (default: 50)
+ * @returns {Object} { processed, skipped }
+ */
+const processDueJobs = async ({ limit = 50 } = {}) => {
+  if (isProcessing) {
+    return { processed: 0, skipped: true };
+  }
+  isProcessing = true;
+
+  try {
+    await recoverStaleJobs();
+
+    const dueJobs = await ScheduledJob.findAll({
+      where: {
+        status: 'pending',
+        run_at: { [Op.lte]: new Date() }
+      },
+      order: [['run_at', 'ASC'], ['id', 'ASC']],
+      limit
+    });
+
+    let processed = 0;
+    for (const job of dueJobs) {
+      if (!(await claimJob(job))) continue;
+      await runJob(job);
+      processed++;
+    }
+
+    return { processed, skipped: false };
+  } catch (error) {
+    console.error('❌ Error processing scheduled jobs:', error);
+    return { processed: 0, skipped: false, error: error.message };
+  } finally {
+    isProcessing = false;
+  }
+};
+
+/**
+ * Put a failed job back in the queue with a fresh set of attempts
+ * @param {Object} job - ScheduledJob instance
+ * @returns {Object} Updated job
+ */
+const retryJob = async (job) => {
+  if (job.status !== 'failed') {
+    const error = new Error(`Only failed jobs can be retried. This job is ${job.status}`);
+    error.status = 400;
+    throw error;
+  }
+
+  await job.update({
+    status: 'pending',
+    attempts: 0,
+    run_at: new Date(),
+    finished_at: null
+  });
+  return job;
+};
+
+/**
+ * Get job run history
+ * @param {Object} filters - { ispId, type, status, page, limit }
+ * @returns {Object} { jobs, total, page, pages }
+ */
+const getJobHistory = async ({ ispId = null, type = null, status = null, page = 1, limit = 20 } = {}) => {
+  const where = {};
+  if (ispId) where.isp_id = ispId;
+  if (type) where.type = type;
+  if (status) where.status = status;
+
+  const offset = (page - 1) * limit;
+  const { count, rows } = await ScheduledJob.findAndCountAll({
+    where,
+    include: [
+      {
+        model: ISP,
+        as: 'isp',
+        attributes: ['id', 'name']
+      }
+    ],
+    order: [['createdAt', 'DESC']],
+    limit,
+    offset
+  });
+
+  return {
+    jobs: rows,
+    total: count,
+    page,
+    pages: Math.ceil(count / limit)
+  };
+};
+
+module.exports = {
+  JOB_DEFINITIONS,
+  JOB_TYPES,
+  getCronExpression,
+  getLatestRunTime,
+  enqueueJob,
+  enqueueScheduledRun,
+  catchUpMissedRuns,
+  processDueJobs,
+  retryJob,
+  getJobHistory
+};
@@ -0,0 +1,124 @@
+/**
+ * Login Protection
+ * Locks an email address out of password login after repeated failures. Every
+ * lockout within LOGIN_LOCKOUT_RESET_HOURS lasts twice as long as the one before,
+ * up to LOGIN_LOCKOUT_MAX_MINUTES. Lockouts are written to the activity log so
+ * admins can see attack attempts. Counters share the rate limit store.
+ */
+
+const { getConfiguredStore } = require('./rateLimitStores');
+const createActivityLog = require('./activityLogger');
+
+const THRESHOLD = parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD, 10) || 5;
+const FAILURE_WINDOW_MINUTES = parseInt(process.env.LOGIN_FAILURE_WINDOW_MINUTES, 10) || 15;
+const BASE_LOCK_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES, 10) || 5;
+const MAX_LOCK_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MAX_MINUTES, 10) || 1440;
+const RESET_HOURS = parseInt(process.env.LOGIN_LOCKOUT_RESET_HOURS, 10) || 24;
+
+const MINUTE_MS = 60 * 1000;
+
+const counterKeys = (email) => {
+  const account = String(email || '').trim().toLowerCase();
+  return {
+    failures: `login-failures:${account}`,
+    lock: `login-lock:${account}`,
+    lockouts: `login-lockouts:${account}`
+  };
+};
+
+const toLockout = (counter) => ({
+  locked_until: counter.expiresAt,
+  retry_after: Math.max(1, Math.ceil((new Date(counter.expiresAt).getTime() - Date.now()) / 1000))
+});
+
+/**
+ * Check whether an email address is locked out
+ * @param {string} email - Email address from the login form
+ * @returns {Promise<Object|null>} { locked_until, retry_after } or null
+ */
+const getLockout = async (email) => {
+  if (process.env.RATE_LIMIT_ENABLED === 'false') {
+    return null;
+  }
+
+  try {
+    const lock = await getConfiguredStore().get(counterKeys(email).lock);
+    return lock ? toLockout(lock) : null;
+  } catch (error) {
+    console.error('Login lockout check error:', error.message);
+    return null;
+  }
+};
+
+/**
+ * Count a failed login, locking the email address once it reaches the threshold
+ * @param {string} email - Email address from the login form
+ * @param {Object} context - { user (if the email belongs to one), req }
+ * @returns {Promise<Object|null>} { locked_until, retry_after } if this failure caused a lockout
+ */
+const recordFailedLogin = async (email, { user = null, req } = {}) => {
+  if (process.env.RATE_LIMIT_ENABLED === 'false') {
+    return null;
+  }
+
+  try {
+    const store = getConfiguredStore();
+    const keys = counterKeys(email);
+
+    const failures = await store.increment(keys.failures, FAILURE_WINDOW_MINUTES * MINUTE_MS);
+    if (failures.count < THRESHOLD) {
+      return null;
+    }
+
+    const lockouts = await store.increment(keys.lockouts, RESET_HOURS * 60 * MINUTE_MS);
+    const lockMinutes = Math.min(BASE_LOCK_MINUTES * 2 ** (lockouts.count - 1), MAX_LOCK_MINUTES);
+
+    await store.set(keys.lock, lockouts.count, lockMinutes * MINUTE_MS);
+    await store.reset(keys.failures);
+
+    console.warn(`🔒 Login locked for ${email} for ${lockMinutes} minute(s) after ${failures.count} failed attempts`);
+
+    await createActivityLog(
+      user ? user.id : null,
+      'ACCOUNT_LOCKED',
+      'User',
+      user ? user.id : null,
+      null,
+      { email, failed_attempts: failures.count, locked_minutes: lockMinutes, lockout_number: lockouts.count },
+      user ? user.isp_id : null,
+      req ? req.ip : null,
+      req ? req.get('user-agent') : null,
+      `Login locked for ${email} for ${lockMinutes} minute(s) after ${failures.count} failed attempts (lockout ${lockouts.count} in ${RESET_HOURS}h)`
+    );
+
+    return toLockout({ expiresAt: new Date(Date.now() + lockMinutes * MINUTE_MS) });
+  } catch (error) {
+    console.error('Record failed login error:', error.message);
+    return null;
+  }
+};
+
+/**
+ * Forget failed logins and lockouts after the owner proves who they are
+ * (successful login or password reset)
+ * @param {string} email - Email address
+ */
+const clearLoginFailures = async (email) => {
+  try {
+    const store = getConfiguredStore();
+    const keys = counterKeys(email);
+    await Promise.all([
+      store.reset(keys.failures),
+      store.reset(keys.lock),
+      store.reset(keys.lockouts)
+    ]);
+  } catch (error) {
+    console.error('Clear login failures error:', error.message);
+  }
+};
+
+module.exports = {
+  getLockout,
+  recordFailedLogin,
+  clearLoginFailures
+};
@@ -0,0 +1,425 @@
+/**
+ * Loyalty Points Utility
+ * Maintains the customer points ledger: accrual on payment, redemption against bills and expiry
+ */
+
+const { Customer, Bill, LoyaltySetting, PointsTransaction } = require('../models');
+const { sequelize } = require('../config/db');
+const { Op } = require('sequelize');
+const moment = require('moment');
+const { buildLineItem, addLineItems } = require('./billLineItems');
+
+// Defaults used when an ISP has not configured its own loyalty rules
+const DEFAULT_SETTINGS = {
+  is_enabled: true,
+  earn_rate: 0.01,
+  redeem_rate: 1,
+  min_redeem_points: 0,
+  expiry_months: 12
+};
+
+const round2 = (value) => Math.round(parseFloat(value || 0) * 100) / 100;
+
+const loyaltyError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * Get loyalty settings for an ISP (falls back to defaults)
+ * @param {number} ispId - ISP ID
+ * @param {Object} options - { transaction }
+ * @returns {Object} Plain settings object
+ */
+const getLoyaltySettings = async (ispId, { transaction = null } = {}) => {
+  const setting = ispId ? await LoyaltySetting.findOne({ where: { isp_id: ispId }, transaction }) : null;
+  if (!setting) {
+    return { isp_id: ispId, ...DEFAULT_SETTINGS, is_default: true };
+  }
+
+  return {
+    ...setting.toJSON(),
+    earn_rate: parseFloat(setting.earn_rate),
+    redeem_rate: parseFloat(setting.redeem_rate),
+    min_redeem_points: parseFloat(setting.min_redeem_points),
+    is_default: false
+  };
+};
+
+/**
+ * Consume points FIFO from a customer's unspent earn entries
+ * @param {number} customerId - Customer ID
+ * @param {number} points - Points to consume
+ * @param {Object} options - { transaction }
+ */
+const consumeEarnedPoints = async (customerId, points, { transaction = null } = {}) => {
+  let toConsume = round2(points);
+
+  const earnEntries = await PointsTransaction.findAll({
+    where: {
+      customer_id: customerId,
+      type: { [Op.in]: ['earn', 'adjust'] },
+      remaining_points: { [Op.gt]: 0 }
+    },
+    order: [['expires_at', 'ASC'], ['createdAt', 'ASC']],
+    transaction
+  });
+
+  for (const entry of earnEntries) {
+    if (toConsume <= 0) break;
+
+    const available = parseFloat(entry.remaining_points);
+    const used = Math.min(available, toConsume);
+    entry.remaining_points = round2(available - used);
+    await entry.save({ transaction });
+    toConsume = round2(toConsume - used);
+  }
+};
+
+/**
+ * Award points for a completed payment (idempotent per payment)
+ * Runs in a savepoint of the caller's transaction, so a failed award is rolled back
+ * on its own without failing the payment
+ * @param {Object} payment - Payment instance
+ * @param {Object} options - { transaction } of the payment being recorded
+ * @returns {Object|null} Created earn transaction, or null if nothing was awarded
+ */
+const awardPointsForPayment = async (payment, { transaction = null } = {}) => {
+  try {
+    if (!payment || payment.status !== 'completed') return null;
+
+    return await sequelize.transaction({ transaction }, async (t) => {
+      const alreadyAwarded = await PointsTransaction.findOne({
+        where: { payment_id: payment.id, type: 'earn' },
+        transaction: t
+      });
+      if (alreadyAwarded) return alreadyAwarded;
+
+      const settings = await getLoyaltySettings(payment.isp_id, { transaction: t });
+      if (!settings.is_enabled) return null;
+
+      const points = round2(parseFloat(payment.amount) * settings.earn_rate);
+      if (points <= 0) return null;
+
+      const customer = await Customer.findByPk(payment.customer_id, { transaction: t, lock: t.LOCK.UPDATE });
+      if (!customer) return null;
+
+      const newBalance = round2(parseFloat(customer.points || 0) + points);
+
+      const earnTransaction = await PointsTransaction.create({
+        customer_id: customer.id,
+        type: 'earn',
+        points,
+        balance_after: newBalance,
+        remaining_points: points,
+        expires_at: settings.expiry_months
+          ? moment().add(settings.expiry_months, 'months').toDate()
+          : null,
+        payment_id: payment.id,
+        bill_id: payment.bill_id,
+        amount: payment.amount,
+        description: `Earned on payment ${payment.receipt_number || payment.id}`,
+        isp_id: customer.isp_id
+      }, { transaction: t });
+
+      customer.points = newBalance;
+      await customer.save({ transaction: t });
+
+      return earnTransaction;
+    });
+  } catch (error) {
+    console.error('Error awarding loyalty points:', error);
+    // Loyalty accrual should never break payment processing
+    return null;
+  }
+};
+
+/**
+ * Take back the points a payment earned, in proportion to the amount refunded
+ * Points come off the payment's own earn entry first, then FIFO from other unspent
+ * entries; the balance never goes below zero
+ * @param {Object} payment - Refunded payment (amount is the original amount received)
+ * @param {number} refundAmount - Amount being refunded
+ * @param {Object} options - { transaction, userId, reference }
+ * @returns {Object|null} Created adjust transaction, or null if nothing was taken back
+ */
+const clawBackPointsForRefund = async (payment, refundAmount, { transaction = null, userId = null, reference = null } = {}) => {
+  const earned = await PointsTransaction.findOne({
+    where: { payment_id: payment.id, type: 'earn' },
+    transaction
+  });
+  if (!earned) return null;
+
+  const paymentAmount = parseFloat(payment.amount);
+  if (!(paymentAmount > 0)) return null;
+
+  const customer = await Customer.findByPk(payment.customer_id, { transaction, lock: transaction ? transaction.LOCK.UPDATE : undefined });
+  if (!customer) return null;
+
+  const share = Math.min(1, round2(refundAmount) / paymentAmount);
+  const points = Math.min(round2(parseFloat(earned.points) * share), round2(customer.points));
+  if (points <= 0) return null;
+
+  const fromEntry = Math.min(round2(earned.remaining_points), points);
+  earned.remaining_points = round2(parseFloat(earned.remaining_points) - fromEntry);
+  await earned.save({ transaction });
+  if (points > fromEntry) {
+    await consumeEarnedPoints(customer.id, round2(points - fromEntry), { transaction });
+  }
+
+  const newBalance = round2(parseFloat(customer.points) - points);
+  customer.points = newBalance;
+  await customer.save({ transaction });
+
+  return await PointsTransaction.create({
+    customer_id: customer.id,
+    type: 'adjust',
+    points: -points,
+    balance_after: newBalance,
+    payment_id: payment.id,
+    bill_id: payment.bill_id,
+    amount: round2(refundAmount),
+    description: `Reversed on refund of payment ${payment.receipt_number || payment.id}${reference ? ` (${reference})` : ''}`,
+    created_by: userId,
+    isp_id: customer.isp_id
+  }, { transaction });
+};
+
+/**
+ * Redeem points as a discount line item on a bill
+ * @param {Object} params
+ * @param {number} params.customerId - Customer ID
+ * @param {number} params.billId - Bill ID to credit
+ * @param {number} params.points - Points to redeem
+ * @param {number} params.userId - User performing the redemption (optional)
+ * @returns {Object} { transaction, bill, pointsRedeemed, creditAmount }
+ */
+const redeemPoints = async ({ customerId, billId, points, userId = null }) => sequelize.transaction(async (transaction) => {
+  // Lock the customer and bill so two redemptions cannot spend the same points
+  const customer = await Customer.findByPk(customerId, { transaction, lock: transaction.LOCK.UPDATE });
+  if (!customer) {
+    throw loyaltyError('Customer not found', 404);
+  }
+
+  const bill = await Bill.findOne({
+    where: { id: billId, customer_id: customer.id },
+    transaction,
+    lock: transaction.LOCK.UPDATE
+  });
+  if (!bill) {
+    throw loyaltyError('Bill not found for this customer', 404);
+  }
+
+  if (['paid', 'cancelled'].includes(bill.status)) {
+    throw loyaltyError(`Cannot redeem points against a ${bill.status} bill`);
+  }
+
+  const settings = await getLoyaltySettings(customer.isp_id, { transaction });
+  if (!settings.is_enabled) {
+    throw loyaltyError('Loyalty points are not enabled for this ISP');
+  }
+
+  let requestedPoints = round2(points);
+  const balance = round2(customer.points);
+
+  if (requestedPoints <= 0) {
+    throw loyaltyError('Points to redeem must be greater than zero');
+  }
+  if (requestedPoints < settings.min_redeem_points) {
+    throw loyaltyError(`A minimum of ${settings.min_redeem_points} points is required to redeem`);
+  }
+  if (requestedPoints > balance) {
+    throw loyaltyError(`Insufficient points. Available balance: ${balance}`);
+  }
+
+  // Never credit more than the outstanding amount on the bill
+  const outstanding = round2(parseFloat(bill.total_amount || bill.amount) - parseFloat(bill.paid_amount || 0));
+  let creditAmount = round2(requestedPoints * settings.redeem_rate);
+  if (creditAmount > outstanding) {
+    creditAmount = outstanding;
+    requestedPoints = round2(outstanding / settings.redeem_rate);
+  }
+
+  if (creditAmount <= 0) {
+    throw loyaltyError('This bill has no outstanding amount');
+  }
+
+  await consumeEarnedPoints(customer.id, requestedPoints, { transaction });
+
+  const newBalance = round2(balance - requestedPoints);
+  customer.points = newBalance;
+  await customer.save({ transaction });
+
+  // The credit is added as a discount line; totals and paid status are re-derived from the items
+  bill.notes = `${bill.notes ? bill.notes + '\n' : ''}Loyalty credit: PKR ${creditAmount.toFixed(2)} (${requestedPoints} points)`;
+  await addLineItems(bill, [buildLineItem({
+    type: 'discount',
+    description: `Loyalty credit (${requestedPoints} points)`,
+    unit_price: creditAmount
+  })], { transaction });
+
+  const redeemTransaction = await PointsTransaction.create({
+    customer_id: customer.id,
+    type: 'redeem',
+    points: -requestedPoints,
+    balance_after: newBalance,
+    bill_id: bill.id,
+    amount: creditAmount,
+    description: `Redeemed against bill ${bill.bill_number}`,
+    created_by: userId,
+    isp_id: customer.isp_id
+  }, { transaction });
+
+  return {
+    transaction: redeemTransaction,
+    bill,
+    pointsRedeemed: requestedPoints,
+    creditAmount
+  };
+});
+
+/**
+ * Expire unspent points whose expiry date has passed
+ * Called daily by the scheduler. Each customer is expired in one transaction with
+ * their row locked, like redemptions and awards, so neither overwrites the other.
+ * @returns {Object} { entriesExpired, pointsExpired }
+ */
+const expirePoints = async () => {
+  try {
+    console.log('⏳ Expiring loyalty points...');
+
+    const expiredWhere = () => ({
+      type: { [Op.in]: ['earn', 'adjust'] },
+      remaining_points: { [Op.gt]: 0 },
+      expires_at: { [Op.lt]: new Date() }
+    });
+
+    const candidates = await PointsTransaction.findAll({
+      where: expiredWhere(),
+      attributes: ['customer_id'],
+      order: [['customer_id', 'ASC']]
+    });
+    const customerIds = [...new Set(candidates.map(entry => entry.customer_id))];
+
+    let entriesExpired = 0;
+    let pointsExpired = 0;
+
+    for (const customerId of customerIds) {
+      try {
+        const result = await sequelize.transaction(async (t) => {
+          const customer = await Customer.findByPk(customerId, { transaction: t, lock: t.LOCK.UPDATE });
+          if (!customer) return null;
+
+          // Re-read under the lock: a redemption may have used some of these points meanwhile
+          const entries = await PointsTransaction.findAll({
+            where: { customer_id: customerId, ...expiredWhere() },
+            order: [['expires_at', 'ASC']],
+            transaction: t,
+            lock: t.LOCK.UPDATE
+          });
+
+          let balance = round2(customer.points);
+          let expiredCount = 0;
+          let expiredPoints = 0;
+
+          for (const entry of entries) {
+            const expiring = Math.min(round2(entry.remaining_points), balance);
+            entry.remaining_points = 0;
+            await entry.save({ transaction: t });
+
+            if (expiring <= 0) continue;
+
+            balance = round2(balance - expiring);
+            await PointsTransaction.create({
+              customer_id: customer.id,
+              type: 'expire',
+              points: -expiring,
+              balance_after: balance,
+              description: `Points earned on ${moment(entry.createdAt).format('MMM DD, YYYY')} expired`,
+              isp_id: customer.isp_id
+            }, { transaction: t });
+
+            expiredCount++;
+            expiredPoints = round2(expiredPoints + expiring);
+          }
+
+          if (expiredPoints > 0) {
+            customer.points = balance;
+            await customer.save({ transaction: t });
+          }
+
+          return { expiredCount, expiredPoints };
+        });
+
+        if (result) {
+          entriesExpired += result.expiredCount;
+          pointsExpired = round2(pointsExpired + result.expiredPoints);
+        }
+      } catch (error) {
+        console.error(`Error expiring points for customer ${customerId}:`, error);
+      }
+    }
+
+    console.log(`✅ Expired ${pointsExpired} points across ${entriesExpired} entries`);
+    return { entriesExpired, pointsExpired };
+  } catch (error) {
+    console.error('❌ Error in expirePoints:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get a customer's points history
+ * @param {number} customerId - Customer ID
+ * @param {Object} options - { page, limit }
+ * @returns {Object} { balance, transactions, total }
+ */
+const getPointsHistory = async (customerId, { page = 1, limit = 20 } = {}) => {
+  const customer = await Customer.findByPk(customerId, { attributes: ['id', 'name', 'points', 'isp_id'] });
+  if (!customer) {
+    throw loyaltyError('Customer not found', 404);
+  }
+
+  const offset = (page - 1) * limit;
+  const history = await PointsTransaction.findAndCountAll({
+    where: { customer_id: customerId },
+    include: [{
+      model: Bill,
+      as: 'bill',
+      attributes: ['id', 'bill_number'],
+      required: false
+    }],
+    order: [['createdAt', 'DESC']],
+    limit: parseInt(limit),
+    offset: parseInt(offset)
+  });
+
+  const expiringSoon = await PointsTransaction.sum('remaining_points', {
+    where: {
+      customer_id: customerId,
+      remaining_points: { [Op.gt]: 0 },
+      expires_at: { [Op.between]: [new Date(), moment().add(30, 'days').toDate()] }
+    }
+  });
+
+  return {
+    customer,
+    balance: round2(customer.points),
+    expiringWithin30Days: round2(expiringSoon || 0),
+    transactions: history.rows,
+    total: history.count,
+    page: parseInt(page),
+    pages: Math.ceil(history.count / limit)
+  };
+};
+
+module.exports = {
+  DEFAULT_SETTINGS,
+  getLoyaltySettings,
+  awardPointsForPayment,
+  clawBackPointsForRefund,
+  redeemPoints,
+  expirePoints,
+  getPointsHistory
+};
@@ -0,0 +1,570 @@
+/**
+ * Message Templates Utility
+ * Renders email, SMS and WhatsApp messages from per-ISP templates with {{variable}} placeholders,
+ * falling back to the built-in defaults below
+ */
+
+const { MessageTemplate, ISP } = require('../models');
+const moment = require('moment');
+
+const EVENTS = ['bill_generated', 'bill_reminder', 'overdue', 'suspension', 'reactivation', 'payment_received', 'portal_invite', 'installation_completed', 'data_usage_alert', 'password_reset', 'email_verification'];
+const CHANNELS = ['email', 'sms', 'whatsapp'];
+const LOCALES = ['en', 'ur'];
+const DEFAULT_LOCALE = 'en';
+
+// Variables available to every template
+const VARIABLES = {
+  'customer.name': 'Customer name',
+  'customer.phone': 'Customer phone',
+  'customer.email': 'Customer email',
+  'customer.customer_id': 'Customer account ID',
+  'bill.bill_number': 'Bill number',
+  'bill.amount': 'Bill amount before late fee',
+  'bill.late_fee': 'Late fee applied',
+  'bill.total_amount': 'Total amount due',
+  'bill.paid_amount': 'Amount paid so far',
+  'bill.remaining_amount': 'Outstanding amount',
+  'bill.due_date': 'Due date (e.g. Jan 07, 2025)',
+  'bill.billing_period': 'Billing period',
+  'payment.amount': 'Payment amount',
+  'payment.receipt_number': 'Receipt number',
+  'payment.payment_date': 'Payment date',
+  'payment.method': 'Payment method',
+  'invite.link': 'Portal invite link',
+  'invite.otp': 'Portal invite one-time code',
+  'invite.expires_at': 'Portal invite expiry date',
+  'installation.service_address': 'Installation address',
+  'installation.completed_at': 'Installation completion date',
+  'usage.used': 'Data used this period (GB)',
+  'usage.limit': 'Monthly data limit (GB)',
+  'usage.remaining': 'Data remaining (GB)',
+  'usage.percentage': 'Percentage of the data limit used',
+  'account.name': 'Name on the user account',
+  'account.email': 'Email address of the user account',
+  'account.link': 'Password reset or email verification link',
+  'account.expires_at': 'Link expiry date and time',
+  'isp.name': 'ISP name',
+  'isp.contact': 'ISP contact number',
+  'isp.email': 'ISP email'
+};
+
+/**
+ * Built-in templates: DEFAULT_TEMPLATES[event][channel][locale] = { subject, body }
+ */
+const DEFAULT_TEMPLATES = {
+  bill_generated: {
+    email: {
+      en: {
+        subject: 'New Bill Generated - {{bill.bill_number}}',
+        body: 'Dear {{customer.name}},\n\nYour new bill has been generated.\nBill Number: {{bill.bill_number}}\nAmount: PKR {{bill.total_amount}}\nDue Date: {{bill.due_date}}\n\nPlease make the payment before the due date to avoid service interruption.\n\nThank you!'
+      },
+      ur: {
+        subject: 'نیا بل جاری - {{bill.bill_number}}',
+        body: 'محترم {{customer.name}}،\n\nآپ کا نیا بل جاری کر دیا گیا ہے۔\nبل نمبر: {{bill.bill_number}}\nرقم: PKR {{bill.total_amount}}\nآخری تاریخ: {{bill.due_date}}\n\nسروس میں تعطل سے بچنے کے لیے آخری تاریخ سے پہلے ادائیگی کریں۔\n\nشکریہ!'
+      }
+    },
+    sms: {
+      en: {
+        body: 'Dear {{customer.name}}, your bill {{bill.bill_number}} of PKR {{bill.total_amount}} is due on {{bill.due_date}}. Please pay to avoid service interruption.'
+      },
+      ur: {
+        body: 'محترم {{customer.name}}، آپ کا بل {{bill.bill_number}} بمبلغ PKR {{bill.total_amount}} کی آخری تاریخ {{bill.due_date}} ہے۔ سروس میں تعطل سے بچنے کے لیے ادائیگی کریں۔'
+      }
+    },
+    whatsapp: {
+      en: {
+        body: '📋 *Bill Notification*\n\nDear {{customer.name}},\n\nYour bill *{{bill.bill_number}}* has been generated.\n\n💰 Amount: PKR {{bill.total_amount}}\n📅 Due Date: {{bill.due_date}}\n\nPlease make payment before the due date to avoid service interruption.\n\nThank you!'
+      },
+      ur: {
+        body: '📋 *بل کی اطلاع*\n\nمحترم {{customer.name}}،\n\nآپ کا بل *{{bill.bill_number}}* جاری کر دیا گیا ہے۔\n\n💰 رقم: PKR {{bill.total_amount}}\n📅 آخری تاریخ: {{bill.due_date}}\n\nسروس میں تعطل سے بچنے کے لیے آخری تاریخ سے پہلے ادائیگی کریں۔\n\nشکریہ!'
+      }
+    }
+  },
+  bill_reminder: {
+    email: {
+      en: {
+        subject: 'Bill Payment Reminder',
+        body: 'Dear {{customer.name}},\n\nReminder: Your bill {{bill.bill_number}} (PKR {{bill.total_amount}}) is due on {{bill.due_date}}. Please make payment to avoid service interruption.\n\nThank you!'
+      },
+      ur: {
+        subject: 'بل کی ادائیگی کی یاد دہانی',
+        body: 'محترم {{customer.name}}،\n\nیاد دہانی: آپ کا بل {{bill.bill_number}} (PKR {{bill.total_amount}}) کی آخری تاریخ {{bill.due_date}} ہے۔ سروس میں تعطل سے بچنے کے لیے ادائیگی کریں۔\n\nشکریہ!'
+      }
+    },
+    sms: {
+      en: {
+        body: 'Reminder: Your bill {{bill.bill_number}} (PKR {{bill.total_amount}}) is due on {{bill.due_date}}. Please make payment to avoid service interruption.'
+      },
+      ur: {
+        body: 'یاد دہانی: آپ کا بل {{bill.bill_number}} (PKR {{bill.total_amount}}) کی آخری تاریخ {{bill.due_date}} ہے۔ سروس میں تعطل سے بچنے کے لیے ادائیگی کریں۔'
+      }
+    },
+    whatsapp: {
+      en: {
+        body: '⏰ *Payment Reminder*\n\nDear {{customer.name}},\n\nYour bill *{{bill.bill_number}}* of PKR {{bill.total_amount}} is due on {{bill.due_date}}.\n\nPlease make payment to avoid service interruption.'
+      },
+      ur: {
+        body: '⏰ *ادائیگی کی یاد دہانی*\n\nمحترم {{customer.name}}،\n\nآپ کا بل *{{bill.bill_number}}* بمبلغ PKR {{bill.total_amount}} کی آخری تاریخ {{bill.due_date}} ہے۔\n\nسروس میں تعطل سے بچنے کے لیے ادائیگی کریں۔'
+      }
+    }
+  },
+  overdue: {
+    email: {
+      en: {
+        subject: 'Bill Overdue - Late Fee Applied',
+        body: 'Dear {{customer.name}},\n\nYour bill {{bill.bill_number}} is now overdue. A late fee of PKR {{bill.late_fee}} has been applied.\n\nTotal amount due: PKR {{bill.total_amount}}\n\nPlease make payment immediately to avoid service suspension.'
+      },
+      ur: {
+        subject: 'بل واجب الادا - لیٹ فیس عائد',
+        body: 'محترم {{customer.name}}،\n\nآپ کا بل {{bill.bill_number}} واجب الادا ہو چکا ہے۔ PKR {{bill.late_fee}} لیٹ فیس عائد کر دی گئی ہے۔\n\nکل واجب الادا رقم: PKR {{bill.total_amount}}\n\nسروس معطلی سے بچنے کے لیے فوری ادائیگی کریں۔'
+      }
+    },
+    sms: {
+      en: {
+        body: 'Bill {{bill.bill_number}} overdue. Late fee: PKR {{bill.late_fee}}. Total: PKR {{bill.total_amount}}'
+      },
+      ur: {
+        body: 'بل {{bill.bill_number}} واجب الادا ہے۔ لیٹ فیس: PKR {{bill.late_fee}}۔ کل رقم: PKR {{bill.total_amount}}'
+      }
+    },
+    whatsapp: {
+      en: {
+        body: '⚠️ *Bill Overdue*\n\nDear {{customer.name}},\n\nYour bill *{{bill.bill_number}}* is overdue. A late fee of PKR {{bill.late_fee}} has been applied.\n\n💰 Total Due: PKR {{bill.total_amount}}\n\nPlease make payment immediately to avoid service suspension.'
+      },
+      ur: {
+        body: '⚠️ *بل واجب الادا*\n\nمحترم {{customer.name}}،\n\nآپ کا بل *{{bill.bill_number}}* واجب الادا ہے۔ PKR {{bill.late_fee}} لیٹ فیس عائد کر دی گئی ہے۔\n\n💰 کل رقم: PKR {{bill.total_amount}}\n\nسروس معطلی سے بچنے کے لیے فوری ادائیگی کریں۔'
+      }
+    }
+  },
+  suspension: {
+    email: {
+      en: {
+        subject: 'Service Suspended - Payment Required',
+        body: 'Dear {{customer.name}},\n\nYour internet service has been suspended due to overdue bill {{bill.bill_number}}.\n\nPlease make payment immediately to reactivate your service.\n\nThank you.'
+      },
+      ur: {
+        subject: 'سروس معطل - ادائیگی درکار',
+        body: 'محترم {{customer.name}}،\n\nواجب الادا بل {{bill.bill_number}} کی وجہ سے آپ کی انٹرنیٹ سروس معطل کر دی گئی ہے۔\n\nسروس بحال کرنے کے لیے فوری ادائیگی کریں۔\n\nشکریہ۔'
+      }
+    },
+    sms: {
+      en: {
+        body: 'Service suspended due to overdue bill {{bill.bill_number}}. Please pay to reactivate.'
+      },
+      ur: {
+        body: 'واجب الادا بل {{bill.bill_number}} کی وجہ سے سروس معطل کر دی گئی ہے۔ بحالی کے لیے ادائیگی کریں۔'
+      }
+    },
+    whatsapp: {
+      en: {
+        body: '⚠️ *Service Suspended*\n\nDear {{customer.name}},\n\nYour internet service has been suspended due to overdue bill *{{bill.bill_number}}*.\n\n💰 Amount Due: PKR {{bill.total_amount}}\n\nPlease make payment immediately to reactivate your service.\n\nThank you!'
+      },
+      ur: {
+        body: '⚠️ *سروس معطل*\n\nمحترم {{customer.name}}،\n\nواجب الادا بل *{{bill.bill_number}}* کی وجہ سے آپ کی انٹرنیٹ سروس معطل کر دی گئی ہے۔\n\n💰 واجب الادا رقم: PKR {{bill.total_amount}}\n\nسروس بحال کرنے کے لیے فوری ادائیگی کریں۔\n\nشکریہ!'
+      }
+    }
+  },
+  reactivation: {
+    email: {
+      en: {
+        subject: 'Service Reactivated',
+        body: 'Dear {{customer.name}},\n\nYour internet service has been reactivated. Thank you for your payment!\n\nYour service is now active and ready to use.'
+      },
+      ur: {
+        subject: 'سروس بحال',
+        body: 'محترم {{customer.name}}،\n\nآپ کی انٹرنیٹ سروس بحال کر دی گئی ہے۔ ادائیگی کا شکریہ!\n\nآپ کی سروس اب فعال ہے۔'
+      }
+    },
+    sms: {
+      en: {
+        body: 'Service reactivated! Thank you for your payment. Your internet is now active.'
+      },
+      ur: {
+        body: 'سروس بحال کر دی گئی ہے! ادائیگی کا شکریہ۔ آپ کا انٹرنیٹ اب فعال ہے۔'
+      }
+    },
+    whatsapp: {
+      en: {
+        body: '✅ *Service Reactivated*\n\nDear {{customer.name}},\n\nYour internet service has been reactivated!\n\nThank you for your payment. Your service is now active and ready to use.\n\nIf you have any questions, please contact our support team.'
+      },
+      ur: {
+        body: '✅ *سروس بحال*\n\nمحترم {{customer.name}}،\n\nآپ کی انٹرنیٹ سروس بحال کر دی گئی ہے!\n\nادائیگی کا شکریہ۔ آپ کی سروس اب فعال ہے۔\n\nکسی بھی سوال کے لیے ہماری سپورٹ ٹیم سے رابطہ کریں۔'
+      }
+    }
+  },
+  payment_received: {
+    email: {
+      en: {
+        subject: 'Payment Confirmation',
+        body: 'Dear {{customer.name}},\n\nYour payment of PKR {{payment.amount}} has been successfully processed.\nReceipt Number: {{payment.receipt_number}}\nBill: {{bill.bill_number}}\n\nThank you!'
+      },
+      ur: {
+        subject: 'ادائیگی کی تصدیق',
+        body: 'محترم {{customer.name}}،\n\nآپ کی PKR {{payment.amount}} کی ادائیگی کامیابی سے وصول ہو گئی ہے۔\nرسید نمبر: {{payment.receipt_number}}\nبل: {{bill.bill_number}}\n\nشکریہ!'
+      }
+    },
+    sms: {
+      en: {
+        body: 'Payment of PKR {{payment.amount}} received for bill {{bill.bill_number}}. Receipt: {{payment.receipt_number}}. Thank you!'
+      },
+      ur: {
+        body: 'بل {{bill.bill_number}} کے لیے PKR {{payment.amount}} کی ادائیگی وصول ہو گئی۔ رسید: {{payment.receipt_number}}۔ شکریہ!'
+      }
+    },
+    whatsapp: {
+      en: {
+        body: '✅ *Payment Confirmed*\n\nDear {{customer.name}},\n\nYour payment has been received successfully!\n\n💰 Amount: PKR {{payment.amount}}\n📋 Bill: {{bill.bill_number}}\n📅 Date: {{payment.payment_date}}\n\nReceipt Number: {{payment.receipt_number}}\n\nThank you for your payment!'
+      },
+      ur: {
+        body: '✅ *ادائیگی کی تصدیق*\n\nمحترم {{customer.name}}،\n\nآپ کی ادائیگی کامیابی سے وصول ہو گئی ہے!\n\n💰 رقم: PKR {{payment.amount}}\n📋 بل: {{bill.bill_number}}\n📅 تاریخ: {{payment.payment_date}}\n\nرسید نمبر: {{payment.receipt_number}}\n\nادائیگی کا شکریہ!'
+      }
+    }
+  },
+  portal_invite: {
+    email: {
+      en: {
+        subject: 'Activate Your Customer Portal Account',
+        body: 'Dear {{customer.name}},\n\nYou have been invited to the {{isp.name}} customer portal, where you can view your bills and make payments.\n\nActivate your account here: {{invite.link}}\n\nOr enter your account ID {{customer.customer_id}} and code {{invite.otp}} on the portal sign-up page.\n\nThis invite expires on {{invite.expires_at}}.'
+      },
+      ur: {
+        subject: 'اپنا کسٹمر پورٹل اکاؤنٹ فعال کریں',
+        body: 'محترم {{customer.name}}،\n\nآپ کو {{isp.name}} کسٹمر پورٹل پر مدعو کیا گیا ہے جہاں آپ اپنے بل دیکھ اور ادائیگی کر سکتے ہیں۔\n\nاپنا اکاؤنٹ یہاں فعال کریں: {{invite.link}}\n\nیا پورٹل پر اپنا اکاؤنٹ آئی ڈی {{customer.customer_id}} اور کوڈ {{invite.otp}} درج کریں۔\n\nیہ دعوت {{invite.expires_at}} کو ختم ہو جائے گی۔'
+      }
+    },
+    sms: {
+      en: {
+        body: 'Your {{isp.name}} portal code is {{invite.otp}} (account ID {{customer.customer_id}}). Activate your account at {{invite.link}}. Valid until {{invite.expires_at}}.'
+      },
+      ur: {
+        body: 'آپ کا {{isp.name}} پورٹل کوڈ {{invite.otp}} ہے (اکاؤنٹ آئی ڈی {{customer.customer_id}})۔ اپنا اکاؤنٹ {{invite.link}} پر فعال کریں۔ {{invite.expires_at}} تک کارآمد۔'
+      }
+    },
+    whatsapp: {
+      en: {
+        body: '🔑 *Customer Portal Invite*\n\nDear {{customer.name}},\n\nActivate your {{isp.name}} portal account to view bills and pay online:\n{{invite.link}}\n\nAccount ID: {{customer.customer_id}}\nCode: {{invite.otp}}\n\nValid until {{invite.expires_at}}.'
+      },
+      ur: {
+        body: '🔑 *کسٹمر پورٹل دعوت*\n\nمحترم {{customer.name}}،\n\nبل دیکھنے اور آن لائن ادائیگی کے لیے اپنا {{isp.name}} پورٹل اکاؤنٹ فعال کریں:\n{{invite.link}}\n\nاکاؤنٹ آئی ڈی: {{customer.customer_id}}\nکوڈ: {{invite.otp}}\n\n{{invite.expires_at}} تک کارآمد۔'
+      }
+    }
+  },
+  installation_completed: {
+    email: {
+      en: {
+        subject: 'Your Connection is Active',
+        body: 'Dear {{customer.name}},\n\nYour installation at {{installation.service_address}} was completed on {{installation.completed_at}} and your connection is now active.\n\nYour first bill {{bill.bill_number}} of PKR {{bill.total_amount}} (installation charge and service for {{bill.billing_period}}) is due on {{bill.due_date}}.\n\nWelcome to {{isp.name}}!'
+      },
+      ur: {
+        subject: 'آپ کا کنکشن فعال ہو گیا ہے',
+        body: 'محترم {{customer.name}}،\n\n{{installation.service_address}} پر آپ کی انسٹالیشن {{installation.completed_at}} کو مکمل ہو گئی ہے اور آپ کا کنکشن اب فعال ہے۔\n\nآپ کا پہلا بل {{bill.bill_number}} بمبلغ PKR {{bill.total_amount}} (انسٹالیشن چارج اور {{bill.billing_period}} کی سروس) کی آخری تاریخ {{bill.due_date}} ہے۔\n\n{{isp.name}} میں خوش آمدید!'
+      }
+    },
+    sms: {
+      en: {
+        body: 'Dear {{customer.name}}, your {{isp.name}} connection is now active. First bill {{bill.bill_number}} of PKR {{bill.total_amount}} is due on {{bill.due_date}}.'
+      },
+      ur: {
+        body: 'محترم {{customer.name}}، آپ کا {{isp.name}} کنکشن اب فعال ہے۔ پہلا بل {{bill.bill_number}} بمبلغ PKR {{bill.total_amount}} کی آخری تاریخ {{bill.due_date}} ہے۔'
+      }
+    },
+    whatsapp: {
+      en: {
+        body: '🎉 *Connection Active*\n\nDear {{customer.name}},\n\nYour installation at {{installation.service_address}} is complete and your connection is now active.\n\n📋 First bill: {{bill.bill_number}}\n💰 Amount: PKR {{bill.total_amount}}\n📅 Due Date: {{bill.due_date}}\n\nWelcome to {{isp.name}}!'
+      },
+      ur: {
+        body: '🎉 *کنکشن فعال*\n\nمحترم {{customer.name}}،\n\n{{installation.service_address}} پر آپ کی انسٹالیشن مکمل ہو گئی ہے اور آپ کا کنکشن اب فعال ہے۔\n\n📋 پہلا بل: {{bill.bill_number}}\n💰 رقم: PKR {{bill.total_amount}}\n📅 آخری تاریخ: {{bill.due_date}}\n\n{{isp.name}} میں خوش آمدید!'
+      }
+    }
+  },
+  data_usage_alert: {
+    email: {
+      en: {
+        subject: 'Data Usage Alert - {{usage.percentage}}% Used',
+        body: 'Dear {{customer.name}},\n\nYou have used {{usage.used}} GB of your {{usage.limit}} GB monthly data limit ({{usage.percentage}}%). Remaining: {{usage.remaining}} GB.\n\nContact {{isp.name}} at {{isp.contact}} to upgrade your package.\n\nThank you!'
+      },
+      ur: {
+        subject: 'ڈیٹا استعمال کی اطلاع - {{usage.percentage}}% استعمال',
+        body: 'محترم {{customer.name}}،\n\nآپ اپنی {{usage.limit}} GB ماہانہ ڈیٹا حد میں سے {{usage.used}} GB ({{usage.percentage}}%) استعمال کر چکے ہیں۔ باقی: {{usage.remaining}} GB۔\n\nپیکیج اپ گریڈ کرنے کے لیے {{isp.name}} سے {{isp.contact}} پر رابطہ کریں۔\n\nشکریہ!'
+      }
+    },
+    sms: {
+      en: {
+        body: 'Dear {{customer.name}}, you have used {{usage.used}} GB of your {{usage.limit}} GB data limit ({{usage.percentage}}%). Remaining: {{usage.remaining}} GB.'
+      },
+      ur: {
+        body: 'محترم {{customer.name}}، آپ اپنی {{usage.limit}} GB ڈیٹا حد میں سے {{usage.used}} GB ({{usage.percentage}}%) استعمال کر چکے ہیں۔ باقی: {{usage.remaining}} GB۔'
+      }
+    },
+    whatsapp: {
+      en: {
+        body: '📶 *Data Usage Alert*\n\nDear {{customer.name}},\n\nYou have used *{{usage.used}} GB* of your {{usage.limit}} GB monthly data limit ({{usage.percentage}}%).\n\n📉 Remaining: {{usage.remaining}} GB\n\nContact {{isp.name}} to upgrade your package.'
+      },
+      ur: {
+        body: '📶 *ڈیٹا استعمال کی اطلاع*\n\nمحترم {{customer.name}}،\n\nآپ اپنی {{usage.limit}} GB ماہانہ ڈیٹا حد میں سے *{{usage.used}} GB* ({{usage.percentage}}%) استعمال کر چکے ہیں۔\n\n📉 باقی: {{usage.remaining}} GB\n\nپیکیج اپ گریڈ کرنے کے لیے {{isp.name}} سے رابطہ کریں۔'
+      }
+    }
+  },
+  // Account emails go to users rather than customers, so they are email-only
+  password_reset: {
+    email: {
+      en: {
+        subject: 'Reset Your Password',
+        body: 'Dear {{account.name}},\n\nWe received a request to reset the password for {{account.email}}.\n\nReset your password here: {{account.link}}\n\nThis link can be used once and expires on {{account.expires_at}}. If you did not request a reset, you can ignore this email.'
+      },
+      ur: {
+        subject: 'اپنا پاس ورڈ دوبارہ ترتیب دیں',
+        body: 'محترم {{account.name}}،\n\nہمیں {{account.email}} کا پاس ورڈ دوبارہ ترتیب دینے کی درخواست موصول ہوئی ہے۔\n\nاپنا پاس ورڈ یہاں تبدیل کریں: {{account.link}}\n\nیہ لنک صرف ایک بار استعمال ہو سکتا ہے اور {{account.expires_at}} کو ختم ہو جائے گا۔ اگر آپ نے یہ درخواست نہیں کی تو اس ای میل کو نظر انداز کریں۔'
+      }
+    }
+  },
+  email_verification: {
+    email: {
+      en: {
+        subject: 'Verify Your Email Address',
+        body: 'Dear {{account.name}},\n\nThank you for registering with {{isp.name}}. Please confirm your email address to unlock your account:\n\n{{account.link}}\n\nThis link expires on {{account.expires_at}}.'
+      },
+      ur: {
+        subject: 'اپنے ای میل ایڈریس کی تصدیق کریں',
+        body: 'محترم {{account.name}}،\n\n{{isp.name}} کے ساتھ رجسٹریشن کا شکریہ۔ اپنا اکاؤنٹ مکمل طور پر فعال کرنے کے لیے اپنے ای میل کی تصدیق کریں:\n\n{{account.link}}\n\nیہ لنک {{account.expires_at}} کو ختم ہو جائے گا۔'
+      }
+    }
+  }
+};
+
+const formatAmount = (value) => (value === null || value === undefined || value === ''
+  ? ''
+  : parseFloat(value).toFixed(2));
+
+const formatDate = (value) => (value ? moment(value).format('MMM DD, YYYY') : '');
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Build the template context from model instances (amounts and dates pre-formatted)
+ * @param {Object} data - { customer, bill, payment, invite, installation, usage, account, isp }
+ * @returns {Object} Context for renderString
+ */
+const buildContext = ({ customer = null, bill = null, payment = null, invite = null, installation = null, usage = null, account = null, isp = null } = {}) => {
+  const context = {};
+
+  if (customer) {
+    context.customer = {
+      name: customer.name,
+      phone: customer.phone,
+      email: customer.email,
+      customer_id: customer.customer_id
+    };
+  }
+
+  if (bill) {
+    const totalAmount = parseFloat(bill.total_amount || bill.amount || 0);
+    const paidAmount = parseFloat(bill.paid_amount || 0);
+    context.bill = {
+      bill_number: bill.bill_number,
+      amount: formatAmount(bill.amount),
+      late_fee: formatAmount(bill.late_fee || 0),
+      total_amount: formatAmount(totalAmount),
+      paid_amount: formatAmount(paidAmount),
+      remaining_amount: formatAmount(Math.max(totalAmount - paidAmount, 0)),
+      due_date: formatDate(bill.due_date),
+      billing_period: bill.billing_period_start
+        ? `${formatDate(bill.billing_period_start)} - ${formatDate(bill.billing_period_end)}`
+        : ''
+    };
+  }
+
+  if (payment) {
+    context.payment = {
+      amount: formatAmount(payment.amount),
+      receipt_number: payment.receipt_number || 'N/A',
+      payment_date: formatDate(payment.payment_date || new Date()),
+      method: payment.method ? String(payment.method).toUpperCase() : ''
+    };
+  }
+
+  if (invite) {
+    context.invite = {
+      link: invite.link,
+      otp: invite.otp,
+      expires_at: formatDate(invite.expires_at)
+    };
+  }
+
+  if (installation) {
+    context.installation = {
+      service_address: installation.service_address,
+      completed_at: formatDate(installation.installation_date || installation.completed_at)
+    };
+  }
+
+  if (account) {
+    context.account = {
+      name: account.name,
+      email: account.email,
+      link: account.link,
+      expires_at: account.expires_at ? moment(account.expires_at).format('MMM DD, YYYY hh:mm A') : ''
+    };
+  }
+
+  if (usage) {
+    context.usage = {
+      used: formatAmount(usage.used),
+      limit: formatAmount(usage.limit),
+      remaining: formatAmount(usage.remaining),
+      percentage: Math.floor(parseFloat(usage.percentage_used || 0))
+    };
+  }
+
+  if (isp) {
+    context.isp = {
+      name: isp.name,
+      contact: isp.contact,
+      email: isp.email
+    };
+  }
+
+  return context;
+};
+
+/**
+ * Replace {{path.to.value}} placeholders; unknown variables render as empty strings
+ * @param {string} template - Template text
+ * @param {Object} context - Values from buildContext
+ * @param {Object} options - { escape: HTML-escape values }
+ * @returns {string} Rendered text
+ */
+const renderString = (template, context, { escape = false } = {}) => {
+  if (!template) return '';
+
+  return template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, key) => {
+    const value = key.split('.').reduce((obj, part) => (obj && obj[part] !== undefined ? obj[part] : undefined), context);
+    if (value === undefined || value === null) return '';
+    return escape ? escapeHtml(value) : String(value);
+  });
+};
+
+/**
+ * Wrap plain text in the standard email HTML layout
+ * @param {string} text - Rendered plain text
+ * @param {string} locale - en | ur (ur renders right-to-left)
+ * @returns {string} HTML
+ */
+const textToHtml = (text, locale = DEFAULT_LOCALE) => {
+  const paragraphs = text
+    .split(/\n{2,}/)
+    .map(paragraph => `<p>${escapeHtml(paragraph.trim()).replace(/\n/g, '<br>')}</p>`)
+    .join('\n      ');
+
+  return `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;"${locale === 'ur' ? ' dir="rtl"' : ''}>
+      ${paragraphs}
+    </div>
+  `;
+};
+
+/**
+ * Get the default template for an event/channel/locale
+ * @returns {Object|null} { subject, body }
+ */
+const getDefaultTemplate = (event, channel, locale = DEFAULT_LOCALE) => {
+  const byChannel = DEFAULT_TEMPLATES[event] && DEFAULT_TEMPLATES[event][channel];
+  if (!byChannel) return null;
+  return byChannel[locale] || byChannel[DEFAULT_LOCALE];
+};
+
+/**
+ * Find the template to use: ISP custom (locale) -> default (locale) -> default (en)
+ * @param {Object} params - { ispId, event, channel, locale }
+ * @returns {Object} { subject, body, html_body, source, locale }
+ */
+const resolveTemplate = async ({ ispId, event, channel, locale = DEFAULT_LOCALE }) => {
+  const targetLocale = LOCALES.includes(locale) ? locale : DEFAULT_LOCALE;
+
+  if (ispId) {
+    const custom = await MessageTemplate.findOne({
+      where: { isp_id: ispId, event, channel, locale: targetLocale, is_active: true }
+    });
+    if (custom) {
+      return {
+        id: custom.id,
+        subject: custom.subject,
+        body: custom.body,
+        html_body: custom.html_body,
+        source: 'custom',
+        locale: targetLocale
+      };
+    }
+  }
+
+  const fallback = getDefaultTemplate(event, channel, targetLocale);
+  if (!fallback) {
+    throw new Error(`No template defined for ${event}/${channel}`);
+  }
+
+  return {
+    id: null,
+    subject: fallback.subject || null,
+    body: fallback.body,
+    html_body: null,
+    source: 'default',
+    locale: DEFAULT_TEMPLATES[event][channel][targetLocale] ? targetLocale : DEFAULT_LOCALE
+  };
+};
+
+/**
+ * Render a message for an event and channel
+ * @param {string} event - bill_generated | bill_reminder | overdue | suspension | reactivation | payment_received | portal_invite | installation_completed | data_usage_alert | password_reset | email_verification
+ * @param {string} channel - email | sms | whatsapp
+ * @param {Object} data - { customer, bill, payment, invite, installation, usage, account, isp, ispId, locale }
+ * @returns {Object} { subject, text, html, source, locale }
+ */
+const renderMessage = async (event, channel, data = {}) => {
+  const { customer = null } = data;
+  const ispId = data.ispId || (customer && customer.isp_id) || (data.bill && data.bill.isp_id) || null;
+  const locale = data.locale || (customer && customer.preferred_language) || DEFAULT_LOCALE;
+
+  let isp = data.isp || null;
+  if (!isp && ispId) {
+    try {
+      isp = await ISP.findByPk(ispId, { attributes: ['id', 'name', 'contact', 'email'] });
+    } catch (error) {
+      console.error('Error loading ISP for template:', error.message);
+    }
+  }
+
+  const template = await resolveTemplate({ ispId, event, channel, locale });
+  const context = buildContext({ ...data, isp });
+
+  const text = renderString(template.body, context);
+  const result = {
+    subject: template.subject ? renderString(template.subject, context) : null,
+    text,
+    html: null,
+    source: template.source,
+    locale: template.locale
+  };
+
+  if (channel === 'email') {
+    result.html = template.html_body
+      ? renderString(template.html_body, context, { escape: true })
+      : textToHtml(text, template.locale);
+  }
+
+  return result;
+};
+
+module.exports = {
+  EVENTS,
+  CHANNELS,
+  LOCALES,
+  VARIABLES,
+  DEFAULT_TEMPLATES,
+  getDefaultTemplate,
+  buildContext,
+  renderString,
+  renderMessage
+};
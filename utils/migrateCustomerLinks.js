@@ -0,0 +1,70 @@
+/**
+ * Migration Script: Link customer users to their Customer records
+ * Adds users.customer_id and backfills it from the old email/phone lookup.
+ * Ambiguous and unmatched accounts are reported for staff to resolve with a portal invite.
+ *
+ * Usage: node utils/migrateCustomerLinks.js [--dry-run]
+ */
+
+require('dotenv').config();
+const { sequelize } = require('../config/db');
+const { User, PortalInvite } = require('../models');
+const { backfillCustomerLinks } = require('./customerPortal');
+
+const migrateCustomerLinks = async () => {
+  const dryRun = process.argv.includes('--dry-run');
+
+  try {
+    console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+    console.log(`🔄 Migrating Customer Portal Links${dryRun ? ' (dry run)' : ''}`);
+    console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
+
+    // Test database connection
+    await sequelize.authenticate();
+    console.log('✅ Database connection established\n');
+
+    if (!dryRun) {
+      console.log('📋 Syncing users.customer_id and portal_invites...');
+      await User.sync({ alter: true });
+      await PortalInvite.sync({ alter: true });
+      console.log('✅ Schema up to date\n');
+    }
+
+    const report = await backfillCustomerLinks({ dryRun });
+
+    console.log(`🔗 ${dryRun ? 'Would link' : 'Linked'} ${report.linked.length} accounts`);
+    report.linked.forEach(link => {
+      console.log(`   ✅ User ${link.user_id} (${link.email}) → Customer ${link.customer_id}`);
+    });
+
+    console.log(`\n⚠️  ${report.ambiguous.length} ambiguous accounts (not linked)`);
+    report.ambiguous.forEach(entry => {
+      const reason = entry.reason === 'multiple_customers'
+        ? 'matches several customers'
+        : 'customer already linked to another account';
+      console.log(`   ⚠️  User ${entry.user_id} (${entry.email}) ${reason}: ${entry.customer_ids.join(', ')}`);
+    });
+
+    console.log(`\n❓ ${report.unmatched.length} accounts with no matching customer`);
+    report.unmatched.forEach(entry => {
+      console.log(`   ❓ User ${entry.user_id} (${entry.email})`);
+    });
+
+    console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+    console.log('✅ Migration completed successfully!');
+    console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
+
+    if (report.ambiguous.length > 0 || report.unmatched.length > 0) {
+      console.log('💡 Send a portal invite (POST /api/customers/:id/portal-invite) to link the remaining accounts\n');
+    }
+
+    process.exit(0);
+  } catch (error) {
+    console.error('\n❌ Migration failed:', error);
+    console.error('Error details:', error.message);
+    process.exit(1);
+  }
+};
+
+// Run migration
+migrateCustomerLinks();
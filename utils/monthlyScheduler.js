@@ -2,31 +2,38 @@ const cron = require('node-cron');
 const { Customer, Bill, Package, Notification, ISP } = require('../models');
 const { Op } = require('sequelize');
 const moment = require('moment');
+const { sequelize } = require('../config/db');
 const sendEmail = require('./sendEmail');
 const sendSMS = require('./smsService');
 const createActivityLog = require('./activityLogger');
+const { applyWalletToBill } = require('./customerWallet');
+const { renderMessage } = require('./messageTemplates');
+const billingPolicy = require('./billingPolicy');
+const { prorateNewBill } = require('./proration');
+const billLineItems = require('./billLineItems');
+const { generateBillNumber } = require('./billNumber');
+const { buildRentalItems } = require('./inventory');
 
-/**
- * Generate unique bill number
- */
-const generateBillNumber = (ispId, customerId) => {
-  const timestamp = Date.now();
-  const prefix = `ISP${ispId.toString().padStart(3, '0')}`;
-  const customer = customerId.toString().padStart(4, '0');
-  return `${prefix}-${customer}-${timestamp}`;
-};
+// Furthest ahead of the due date a billing policy may schedule a reminder
+const MAX_REMINDER_DAYS = 30;
 
 /**
  * Generate monthly bills for all active customers
+ * Customers whose bill could not be created make the run fail with a summary, so the
+ * job queue retries it; customers billed on an earlier attempt are skipped on retry.
+ * @param {Object} options - { ispId } to limit the run to one ISP
+ * @returns {Object} { billsGenerated, billsSkipped, billsFailed }
  */
-const generateMonthlyBills = async () => {
+const generateMonthlyBills = async (options = {}) => {
   try {
-    console.log('🔄 Starting monthly bill generation...');
+    const { ispId = null } = options;
+    console.log(`🔄 Starting monthly bill generation${ispId ? ` for ISP ${ispId}` : ''}...`);
     
     const activeCustomers = await Customer.findAll({
       where: {
         status: 'active',
-        package_id: { [Op.ne]: null }
+        package_id: { [Op.ne]: null },
+        ...(ispId ? { isp_id: ispId } : {})
       },
       include: [
         { model: Package, as: 'package' },
@@ -36,25 +43,27 @@ const generateMonthlyBills = async () => {
 
     let billsGenerated = 0;
     let billsSkipped = 0;
+    const failures = [];
+    const getPolicy = billingPolicy.createPolicyCache();
 
     for (const customer of activeCustomers) {
       try {
-        // Check if bill already exists for current month
-        const currentMonthStart = moment().startOf('month').toDate();
-        const currentMonthEnd = moment().endOf('month').toDate();
+        const policy = await getPolicy(customer.isp_id);
+        const { start: billingPeriodStart, end: billingPeriodEnd } = billingPolicy.getBillingPeriod(policy);
 
+        // Check if bill already exists for the current billing period
         const existingBill = await Bill.findOne({
           where: {
             customer_id: customer.id,
             billing_period_start: {
-              [Op.between]: [currentMonthStart, currentMonthEnd]
+              [Op.between]: [billingPeriodStart, billingPeriodEnd]
             },
             status: { [Op.ne]: 'cancelled' }
           }
         });
 
         if (existingBill) {
-          console.log(`⏭️  Bill already exists for customer ${customer.id} this month`);
+          console.log(`⏭️  Bill already exists for customer ${customer.id} this billing period`);
           billsSkipped++;
           continue;
         }
@@ -67,51 +76,56 @@ const generateMonthlyBills = async () => {
           continue;
         }
 
-        const billAmount = parseFloat(pkg.price);
-        const dueDate = moment().add(7, 'days').toDate(); // 7 days from now
-        const billingPeriodStart = moment().startOf('month').toDate();
-        const billingPeriodEnd = moment().endOf('month').toDate();
+        const dueDate = billingPolicy.getDueDate(policy);
 
-        // Create bill
-        const bill = await Bill.create({
-          bill_number: generateBillNumber(customer.isp_id, customer.id),
-          customer_id: customer.id,
-          package_id: customer.package_id,
-          amount: billAmount,
-          total_amount: billAmount, // Will be updated with late fees if overdue
-          paid_amount: 0,
-          late_fee: 0,
-          due_date: dueDate,
-          billing_period_start: billingPeriodStart,
-          billing_period_end: billingPeriodEnd,
-          status: 'pending',
-          isp_id: customer.isp_id
+        const rentalItems = await buildRentalItems(customer.id, { periodStart: billingPeriodStart, periodEnd: billingPeriodEnd });
+
+        // The bill, the next billing date, proration and wallet credit are saved together:
+        // if any step fails nothing is kept and the customer is reported in the run's failures
+        const { bill, walletResult } = await sequelize.transaction(async (transaction) => {
+          // Create bill from its subscription and equipment rental line items
+          const created = await billLineItems.createBillWithLineItems({
+            bill_number: await generateBillNumber(customer.isp_id, { transaction }),
+            customer_id: customer.id,
+            package_id: customer.package_id,
+            due_date: dueDate,
+            billing_period_start: billingPeriodStart,
+            billing_period_end: billingPeriodEnd,
+            status: 'pending',
+            isp_id: customer.isp_id
+          }, [
+            billLineItems.buildSubscriptionItem(pkg, { periodStart: billingPeriodStart, periodEnd: billingPeriodEnd }),
+            ...rentalItems
+          ], { transaction });
+
+          // Update customer's next billing date
+          customer.next_billing_date = moment(billingPeriodEnd).add(1, 'millisecond').toDate();
+          await customer.save({ transaction });
+
+          // Prorate for a recent connection and apply pending package-change adjustments
+          await prorateNewBill(created, customer, pkg, { transaction });
+
+          // Apply any wallet credit (overpayments / advances) to the new bill
+          const applied = await applyWalletToBill(created, { transaction });
+          return { bill: created, walletResult: applied };
         });
 
-        // Update customer's next billing date
-        customer.next_billing_date = moment().add(1, 'month').startOf('month').toDate();
-        await customer.save();
+        const walletNote = walletResult
+          ? ` Wallet credit of PKR ${walletResult.amountApplied.toFixed(2)} has been applied.`
+          : '';
 
         // Find customer's user account for notification
         const User = require('../models/User');
-        let customerUser = null;
-        if (customer.email) {
-          customerUser = await User.findOne({ 
-            where: { 
-              email: customer.email,
-              role: 'customer'
-            }
-          });
-        }
+        const customerUser = await User.findOne({ where: { customer_id: customer.id } });
 
         // Create notification (will be sent 7 days before due date)
-        await Notification.create({
+        const notification = await Notification.create({
           customer_id: customer.id,
           user_id: customerUser ? customerUser.id : null, // Link to user account if exists
           bill_id: bill.id,
           type: 'bill_generated',
           title: 'New Bill Generated',
-          message: `Your monthly bill ${bill.bill_number} has been generated. Amount: PKR ${billAmount.toFixed(2)}. Due date: ${moment(dueDate).format('MMM DD, YYYY')}. You can view and download the invoice from your portal.`,
+          message: `Your monthly bill ${bill.bill_number} has been generated. Amount: PKR ${parseFloat(bill.total_amount).toFixed(2)}. Due date: ${moment(dueDate).format('MMM DD, YYYY')}. You can view and download the invoice from your portal.${walletNote}`,
           channel: 'both',
           scheduled_at: moment().toDate(),
           isp_id: customer.isp_id
@@ -120,11 +134,8 @@ const generateMonthlyBills = async () => {
         // Send immediate notification
         if (customer.email) {
           try {
-            await sendEmail.sendEmail(
-              customer.email,
-              'New Bill Generated',
-              `Dear ${customer.name},\n\nYour monthly bill ${bill.bill_number} has been generated.\nAmount: $${billAmount.toFixed(2)}\nDue Date: ${moment(dueDate).format('MMM DD, YYYY')}\n\nPlease make payment before the due date.`
-            );
+            const email = await renderMessage('bill_generated', 'email', { customer, bill, isp: customer.isp });
+            await sendEmail.sendEmail(customer.email, email.subject, email.text, email.html);
           } catch (error) {
             console.error(`Error sending email to customer ${customer.id}:`, error);
           }
@@ -132,10 +143,12 @@ const generateMonthlyBills = async () => {
 
         if (customer.phone) {
           try {
-            await sendSMS(
-              customer.phone,
-              `New bill ${bill.bill_number} generated. Amount: $${billAmount.toFixed(2)}. Due: ${moment(dueDate).format('MMM DD')}`
-            );
+            const sms = await renderMessage('bill_generated', 'sms', { customer, bill, isp: customer.isp });
+            await sendSMS(customer.phone, sms.text, {
+              ispId: customer.isp_id,
+              customerId: customer.id,
+              notificationId: notification.id
+            });
           } catch (error) {
             console.error(`Error sending SMS to customer ${customer.id}:`, error);
           }
@@ -145,11 +158,24 @@ const generateMonthlyBills = async () => {
         console.log(`✅ Bill generated for customer ${customer.id}: ${bill.bill_number}`);
       } catch (error) {
         console.error(`❌ Error generating bill for customer ${customer.id}:`, error);
+        failures.push({ customer_id: customer.id, error: error.message });
       }
     }
 
+    const summary = { billsGenerated, billsSkipped, billsFailed: failures.length };
+
+    if (failures.length > 0) {
+      const listed = failures.slice(0, 5).map(failure => `customer ${failure.customer_id}: ${failure.error}`).join('; ');
+      const error = new Error(
+        `Bills could not be generated for ${failures.length} of ${activeCustomers.length} customer(s) ` +
+        `(generated ${billsGenerated}, skipped ${billsSkipped}). ${listed}${failures.length > 5 ? '; ...' : ''}`
+      );
+      error.result = { ...summary, failures };
+      throw error;
+    }
+
     console.log(`✅ Monthly bill generation completed. Generated: ${billsGenerated}, Skipped: ${billsSkipped}`);
-    return { billsGenerated, billsSkipped };
+    return summary;
   } catch (error) {
     console.error('❌ Error in generateMonthlyBills:', error);
     throw error;
@@ -157,28 +183,31 @@ const generateMonthlyBills = async () => {
 };
 
 /**
- * Send bill reminders (7 days before due date)
+ * Send bill reminders on the days before the due date set by each ISP's billing policy
+ * @param {Object} options - { ispId } to limit the run to one ISP
  */
-const sendBillReminders = async () => {
+const sendBillReminders = async (options = {}) => {
   try {
+    const { ispId = null } = options;
     console.log('📧 Sending bill reminders...');
     
-    const sevenDaysFromNow = moment().add(7, 'days').toDate();
-    const startOfDay = moment(sevenDaysFromNow).startOf('day').toDate();
-    const endOfDay = moment(sevenDaysFromNow).endOf('day').toDate();
+    const startOfDay = moment().startOf('day').toDate();
+    const endOfDay = moment().endOf('day').toDate();
+    const getPolicy = billingPolicy.createPolicyCache();
 
     const pendingBills = await Bill.findAll({
       where: {
         status: 'pending',
         due_date: {
-          [Op.between]: [startOfDay, endOfDay]
-        }
+          [Op.between]: [startOfDay, moment(endOfDay).add(MAX_REMINDER_DAYS, 'days').toDate()]
+        },
+        ...(ispId ? { isp_id: ispId } : {})
       },
       include: [
         {
           model: Customer,
           as: 'customer',
-          attributes: ['id', 'name', 'email', 'phone']
+          attributes: ['id', 'name', 'email', 'phone', 'isp_id', 'preferred_language']
         }
       ]
     });
@@ -190,7 +219,14 @@ const sendBillReminders = async () => {
         const customer = bill.customer;
         if (!customer) continue;
 
-        // Check if reminder already sent
+        // Only remind on the offsets the ISP's policy asks for
+        const policy = await getPolicy(bill.isp_id);
+        const daysUntilDue = moment(bill.due_date).startOf('day').diff(moment(startOfDay), 'days');
+        if (!policy.reminder_days_before.includes(daysUntilDue)) {
+          continue;
+        }
+
+        // Check if reminder already sent today
         const existingReminder = await Notification.findOne({
           where: {
             bill_id: bill.id,
@@ -207,21 +243,13 @@ const sendBillReminders = async () => {
 
         // Find customer's user account for notification
         const User = require('../models/User');
-        let customerUser = null;
-        if (customer.email) {
-          customerUser = await User.findOne({ 
-            where: { 
-              email: customer.email,
-              role: 'customer'
-            }
-          });
-        }
+        const customerUser = await User.findOne({ where: { customer_id: customer.id } });
 
         // Create reminder notification
         const billAmount = parseFloat(bill.total_amount || bill.amount || 0);
         const reminderMessage = `Reminder: Your bill ${bill.bill_number} (PKR ${billAmount.toFixed(2)}) is due on ${moment(bill.due_date).format('MMM DD, YYYY')}. Please make payment to avoid service interruption.`;
 
-        await Notification.create({
+        const notification = await Notification.create({
           customer_id: customer.id,
           user_id: customerUser ? customerUser.id : null, // Link to user account if exists
           bill_id: bill.id,
@@ -236,11 +264,8 @@ const sendBillReminders = async () => {
         // Send email
         if (customer.email) {
           try {
-            await sendEmail.sendEmail(
-              customer.email,
-              'Bill Payment Reminder',
-              `Dear ${customer.name},\n\n${reminderMessage}\n\nThank you!`
-            );
+            const email = await renderMessage('bill_reminder', 'email', { customer, bill });
+            await sendEmail.sendEmail(customer.email, email.subject, email.text, email.html);
           } catch (error) {
             console.error(`Error sending reminder email to customer ${customer.id}:`, error);
           }
@@ -249,7 +274,12 @@ const sendBillReminders = async () => {
         // Send SMS
         if (customer.phone) {
           try {
-            await sendSMS(customer.phone, reminderMessage);
+            const sms = await renderMessage('bill_reminder', 'sms', { customer, bill });
+            await sendSMS(customer.phone, sms.text, {
+              ispId: bill.isp_id,
+              customerId: customer.id,
+              notificationId: notification.id
+            });
           } catch (error) {
             console.error(`Error sending reminder SMS to customer ${customer.id}:`, error);
           }
@@ -271,50 +301,62 @@ const sendBillReminders = async () => {
 };
 
 /**
- * Mark overdue bills and apply late fees
+ * Mark overdue bills and apply late fees per each ISP's billing policy
+ * (flat or percentage, optionally repeating every N days, capped per bill)
+ * @param {Object} options - { ispId } to limit the run to one ISP
  */
-const processOverdueBills = async () => {
+const processOverdueBills = async (options = {}) => {
   try {
+    const { ispId = null } = options;
     console.log('⏰ Processing overdue bills...');
     
     const today = moment().startOf('day').toDate();
     
     const overdueBills = await Bill.findAll({
       where: {
-        status: 'pending',
+        status: { [Op.in]: ['pending', 'overdue'] },
         due_date: {
           [Op.lt]: today
-        }
+        },
+        ...(ispId ? { isp_id: ispId } : {})
       },
       include: [
         {
           model: Customer,
           as: 'customer',
-          attributes: ['id', 'name', 'email', 'phone']
+          attributes: ['id', 'name', 'email', 'phone', 'isp_id', 'preferred_language']
         }
       ]
     });
 
     let processed = 0;
-    const lateFeePercentage = 0.05; // 5%
+    const getPolicy = billingPolicy.createPolicyCache();
 
     for (const bill of overdueBills) {
       try {
-        // Only apply late fee if not already applied
-        if (bill.late_fee === 0 && bill.status === 'pending') {
-          const lateFee = bill.amount * lateFeePercentage;
-          bill.late_fee = lateFee;
-          bill.total_amount = bill.amount + lateFee;
+        const policy = await getPolicy(bill.isp_id);
+        const lateFee = billingPolicy.calculateLateFee(bill, policy);
+
+        // Newly overdue bills, or overdue bills due a repeat late fee
+        if (lateFee > 0 || bill.status === 'pending') {
+          if (lateFee > 0) {
+            await billLineItems.addLineItems(bill, [billLineItems.buildLineItem({
+              type: 'late_fee',
+              description: `Late fee (${moment().format('DD/MM/YYYY')})`,
+              unit_price: lateFee
+            })]);
+            bill.last_late_fee_at = new Date();
+          }
           bill.status = 'overdue';
           await bill.save();
 
           // Create overdue notification
-          await Notification.create({
+          const notification = await Notification.create({
             customer_id: bill.customer_id,
             bill_id: bill.id,
             type: 'overdue',
             title: 'Bill Overdue',
-            message: `Your bill ${bill.bill_number} is now overdue. Late fee of $${lateFee.toFixed(2)} has been applied. Total amount: $${bill.total_amount.toFixed(2)}`,
+            message: `Your bill ${bill.bill_number} is overdue.${lateFee > 0 ? ` Late fee of PKR ${lateFee.toFixed(2)} has been applied.` : ''} Total amount: PKR ${parseFloat(bill.total_amount).toFixed(2)}`,
             channel: 'both',
             scheduled_at: new Date(),
             isp_id: bill.isp_id
@@ -324,11 +366,8 @@ const processOverdueBills = async () => {
           const customer = bill.customer;
           if (customer?.email) {
             try {
-              await sendEmail.sendEmail(
-                customer.email,
-                'Bill Overdue - Late Fee Applied',
-                `Dear ${customer.name},\n\nYour bill ${bill.bill_number} is now overdue. A late fee of $${lateFee.toFixed(2)} has been applied.\n\nTotal amount due: $${bill.total_amount.toFixed(2)}\n\nPlease make payment immediately to avoid service suspension.`
-              );
+              const email = await renderMessage('overdue', 'email', { customer, bill });
+              await sendEmail.sendEmail(customer.email, email.subject, email.text, email.html);
             } catch (error) {
               console.error(`Error sending overdue email to customer ${customer.id}:`, error);
             }
@@ -336,10 +375,12 @@ const processOverdueBills = async () => {
 
           if (customer?.phone) {
             try {
-              await sendSMS(
-                customer.phone,
-                `Bill ${bill.bill_number} overdue. Late fee: $${lateFee.toFixed(2)}. Total: $${bill.total_amount.toFixed(2)}`
-              );
+              const sms = await renderMessage('overdue', 'sms', { customer, bill });
+              await sendSMS(customer.phone, sms.text, {
+                ispId: bill.isp_id,
+                customerId: customer.id,
+                notificationId: notification.id
+              });
             } catch (error) {
               console.error(`Error sending overdue SMS to customer ${customer.id}:`, error);
             }
@@ -363,15 +404,23 @@ const processOverdueBills = async () => {
 
 /**
  * Reset monthly data usage for customers
+ * Customers already reset this month are skipped, so a re-run (or late catch-up run) is safe
+ * @param {Object} options - { ispId } to limit the run to one ISP
  */
-const resetMonthlyDataUsage = async () => {
+const resetMonthlyDataUsage = async (options = {}) => {
   try {
+    const { ispId = null } = options;
     console.log('🔄 Resetting monthly data usage...');
     
-    const today = moment().date();
+    const monthStart = moment().startOf('month').toDate();
     const customers = await Customer.findAll({
       where: {
-        status: 'active'
+        status: 'active',
+        [Op.or]: [
+          { data_reset_date: null },
+          { data_reset_date: { [Op.lt]: monthStart } }
+        ],
+        ...(ispId ? { isp_id: ispId } : {})
       }
     });
 
@@ -379,13 +428,11 @@ const resetMonthlyDataUsage = async () => {
 
     for (const customer of customers) {
       try {
-        // Reset on the 1st of each month
-        if (today === 1) {
-          customer.data_usage = 0;
-          customer.data_reset_date = new Date();
-          await customer.save();
-          reset++;
-        }
+        customer.data_usage = 0;
+        customer.data_alert_level = 0;
+        customer.data_reset_date = new Date();
+        await customer.save();
+        reset++;
       } catch (error) {
         console.error(`Error resetting data for customer ${customer.id}:`, error);
       }
@@ -401,76 +448,46 @@ const resetMonthlyDataUsage = async () => {
 
 /**
  * Initialize cron jobs
+ * Cron only queues ScheduledJob runs; a worker claims and runs them so that missed,
+ * failed and interrupted runs are retried and two instances never run the same job.
  */
 const initializeScheduler = () => {
-  // Generate monthly bills on the 1st of each month at 12:00 AM
-  cron.schedule('0 0 1 * *', async () => {
-    console.log('📅 Scheduled: Monthly bill generation');
-    await generateMonthlyBills();
-  }, {
-    scheduled: true,
-    timezone: 'UTC'
-  });
-
-  // Send bill reminders daily at 9:00 AM
-  cron.schedule('0 9 * * *', async () => {
-    console.log('📅 Scheduled: Bill reminders');
-    await sendBillReminders();
-  }, {
-    scheduled: true,
-    timezone: 'UTC'
-  });
-
-  // Process overdue bills daily at 10:00 AM
-  cron.schedule('0 10 * * *', async () => {
-    console.log('📅 Scheduled: Process overdue bills');
-    await processOverdueBills();
-  }, {
-    scheduled: true,
-    timezone: 'UTC'
-  });
-
-  // Reset data usage on the 1st of each month at 12:01 AM
-  cron.schedule('1 0 1 * *', async () => {
-    console.log('📅 Scheduled: Reset monthly data usage');
-    await resetMonthlyDataUsage();
-  }, {
-    scheduled: true,
-    timezone: 'UTC'
-  });
+  const jobQueue = require('./jobQueue');
 
-  // Auto-suspend customers with overdue bills daily at 11:00 AM
-  cron.schedule('0 11 * * *', async () => {
-    console.log('📅 Scheduled: Auto-suspend customers');
-    try {
-      const autoSuspension = require('./autoSuspension');
-      const result = await autoSuspension.autoSuspendCustomers({ gracePeriodDays: 7 });
-      if (!result.success) {
-        console.error('❌ Auto-suspension failed:', result.error || 'Unknown error');
+  // Queue each recurring job at its scheduled time (per ISP for tenant jobs)
+  for (const type of jobQueue.JOB_TYPES) {
+    cron.schedule(jobQueue.getCronExpression(type), async () => {
+      console.log(`📅 Scheduled: ${jobQueue.JOB_DEFINITIONS[type].description}`);
+      try {
+        await jobQueue.enqueueScheduledRun(type);
+        await jobQueue.processDueJobs();
+      } catch (error) {
+        console.error(`Error queueing scheduled ${type} job:`, error);
       }
-    } catch (error) {
-      console.error('❌ Error in scheduled auto-suspension:', error.message);
-      // Don't throw - allow cron to continue for next scheduled run
-    }
-  }, {
-    scheduled: true,
-    timezone: 'UTC'
-  });
+    }, {
+      scheduled: true,
+      timezone: 'UTC'
+    });
+  }
 
-  // Auto backup daily at 2:00 AM
-  cron.schedule('0 2 * * *', async () => {
-    console.log('📅 Scheduled: Auto backup');
-    const autoBackup = require('./autoBackup');
+  // Worker: run due jobs and retries every minute, then resend SMS whose send failed
+  cron.schedule('* * * * *', async () => {
+    await jobQueue.processDueJobs();
     try {
-      await autoBackup.fullBackup();
+      await require('./smsService').retryQueuedSms();
     } catch (error) {
-      console.error('Error in scheduled backup:', error);
+      console.error('Error retrying queued SMS:', error);
     }
   }, {
     scheduled: true,
     timezone: 'UTC'
   });
 
+  // Catch up on runs missed while the server was down
+  jobQueue.catchUpMissedRuns()
+    .then(() => jobQueue.processDueJobs())
+    .catch(error => console.error('Error catching up missed scheduled jobs:', error));
+
   console.log('✅ Monthly scheduler initialized with automation features');
 };
 
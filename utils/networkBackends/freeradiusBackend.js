@@ -0,0 +1,172 @@
+/**
+ * FreeRADIUS SQL Backend
+ * Writes accounts to the standard FreeRADIUS SQL schema:
+ *   radcheck      Cleartext-Password, and Auth-Type := Reject while blocked
+ *   radreply      speed and address attributes (only the managed ones)
+ *   radusergroup  one group per customer (active or suspended group)
+ * Existing sessions are not disconnected; the NAS applies the change on re-authentication.
+ */
+
+const { Sequelize, QueryTypes } = require('sequelize');
+
+const DEFAULT_TABLES = {
+  radcheck: 'radcheck',
+  radreply: 'radreply',
+  radusergroup: 'radusergroup'
+};
+
+// Check attributes this backend owns; anything else in radcheck is left alone
+const MANAGED_CHECKS = ['Cleartext-Password', 'Auth-Type'];
+
+const connections = new Map();
+
+/**
+ * Sequelize connection to the RADIUS database, shared per set of credentials
+ * @param {Object} config - { dialect, host, port, database, username, password }
+ * @returns {Object} Sequelize instance
+ */
+const getConnection = (config) => {
+  if (!config.host || !config.database || !config.username) {
+    throw new Error('FreeRADIUS host, database and username are required');
+  }
+
+  const dialect = config.dialect || 'mysql';
+  const key = JSON.stringify([dialect, config.host, config.port, config.database, config.username, config.password]);
+  if (!connections.has(key)) {
+    connections.set(key, new Sequelize(config.database, config.username, config.password || '', {
+      dialect,
+      host: config.host,
+      port: config.port || (dialect === 'postgres' ? 5432 : 3306),
+      logging: false,
+      pool: { max: 5, min: 0, idle: 10000 }
+    }));
+  }
+  return connections.get(key);
+};
+
+const getTables = (config) => {
+  const tables = { ...DEFAULT_TABLES, ...(config.tables || {}) };
+  Object.values(tables).forEach((table) => {
+    if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(table)) {
+      throw new Error(`Invalid RADIUS table name: ${table}`);
+    }
+  });
+  return tables;
+};
+
+/**
+ * Create, update or (account = null) remove an account
+ * @param {Object} params - { config, username, account, managedReplies }
+ */
+const writeAccount = async ({ config, username, account, managedReplies = [] }) => {
+  const db = getConnection(config);
+  const tables = getTables(config);
+
+  await db.transaction(async (transaction) => {
+    const run = (sql, replacements) => db.query(sql, { replacements, transaction });
+
+    if (!account) {
+      await run(`DELETE FROM ${tables.radcheck} WHERE username = :username`, { username });
+      await run(`DELETE FROM ${tables.radreply} WHERE username = :username`, { username });
+      await run(`DELETE FROM ${tables.radusergroup} WHERE username = :username`, { username });
+      return;
+    }
+
+    await run(`DELETE FROM ${tables.radcheck} WHERE username = :username AND attribute IN (:attributes)`, {
+      username,
+      attributes: MANAGED_CHECKS
+    });
+    if (managedReplies.length > 0) {
+      await run(`DELETE FROM ${tables.radreply} WHERE username = :username AND attribute IN (:attributes)`, {
+        username,
+        attributes: managedReplies
+      });
+    }
+    await run(`DELETE FROM ${tables.radusergroup} WHERE username = :username`, { username });
+
+    const insertCheck = (attribute, value) => run(
+      `INSERT INTO ${tables.radcheck} (username, attribute, op, value) VALUES (:username, :attribute, ':=', :value)`,
+      { username, attribute, value }
+    );
+    await insertCheck('Cleartext-Password', account.password);
+    if (account.reject) {
+      await insertCheck('Auth-Type', 'Reject');
+    }
+
+    for (const [attribute, value] of Object.entries(account.replies || {})) {
+      await run(
+        `INSERT INTO ${tables.radreply} (username, attribute, op, value) VALUES (:username, :attribute, ':=', :value)`,
+        { username, attribute, value: String(value) }
+      );
+    }
+
+    if (account.group) {
+      await run(
+        `INSERT INTO ${tables.radusergroup} (username, groupname, priority) VALUES (:username, :groupname, 1)`,
+        { username, groupname: account.group }
+      );
+    }
+  });
+};
+
+/**
+ * Read an account
+ * @param {Object} params - { config, username, managedReplies }
+ * @returns {Object|null} Account (only managed replies) or null when the user has no password
+ */
+const readAccount = async ({ config, username, managedReplies = [] }) => {
+  const db = getConnection(config);
+  const tables = getTables(config);
+  const select = (sql, replacements) => db.query(sql, { replacements, type: QueryTypes.SELECT });
+
+  const checks = await select(
+    `SELECT attribute, value FROM ${tables.radcheck} WHERE username = :username AND attribute IN (:attributes)`,
+    { username, attributes: MANAGED_CHECKS }
+  );
+  const password = checks.find(check => check.attribute === 'Cleartext-Password');
+  if (!password) return null;
+
+  const replies = {};
+  if (managedReplies.length > 0) {
+    (await select(
+      `SELECT attribute, value FROM ${tables.radreply} WHERE username = :username AND attribute IN (:attributes)`,
+      { username, attributes: managedReplies }
+    )).forEach((reply) => { replies[reply.attribute] = reply.value; });
+  }
+
+  const groups = await select(
+    `SELECT groupname FROM ${tables.radusergroup} WHERE username = :username ORDER BY priority ASC`,
+    { username }
+  );
+
+  return {
+    password: password.value,
+    reject: checks.some(check => check.attribute === 'Auth-Type' && String(check.value).toLowerCase() === 'reject'),
+    group: groups.length > 0 ? groups.map(group => group.groupname).join(',') : null,
+    replies
+  };
+};
+
+/**
+ * Check the RADIUS database is reachable and has the expected tables
+ * @param {Object} params - { config }
+ * @returns {Object} { ok, message }
+ */
+const testConnection = async ({ config }) => {
+  const db = getConnection(config);
+  const tables = getTables(config);
+
+  await db.authenticate();
+  for (const table of Object.values(tables)) {
+    await db.query(`SELECT 1 FROM ${table} WHERE 1 = 0`, { type: QueryTypes.SELECT });
+  }
+
+  return { ok: true, message: `Connected to ${config.database} on ${config.host}` };
+};
+
+module.exports = {
+  name: 'freeradius',
+  writeAccount,
+  readAccount,
+  testConnection
+};
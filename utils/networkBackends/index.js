@@ -0,0 +1,28 @@
+/**
+ * Network Enforcement Backend Registry
+ * Every backend exposes: name, writeAccount(), readAccount(), testConnection()
+ *
+ * An account is { password, reject, group, replies } for a provisioned customer, or null
+ * when the customer must not exist on the network. Backends only touch the reply
+ * attributes they are told to manage so operator-defined attributes survive a sync.
+ */
+
+const freeradiusBackend = require('./freeradiusBackend');
+const mockBackend = require('./mockBackend');
+
+const backends = {
+  [freeradiusBackend.name]: freeradiusBackend,
+  [mockBackend.name]: mockBackend
+};
+
+/**
+ * Get a network backend by name
+ * @param {string} name - freeradius | mock
+ * @returns {Object|null} Backend adapter
+ */
+const getBackend = (name) => backends[name] || null;
+
+module.exports = {
+  BACKEND_NAMES: Object.keys(backends),
+  getBackend
+};
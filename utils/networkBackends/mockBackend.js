@@ -0,0 +1,96 @@
+/**
+ * Mock Network Backend
+ * Keeps accounts in a local JSON file per ISP instead of touching network gear
+ * (for testing and development)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const getStorePath = (config, ispId) => {
+  const directory = config.directory ||
+    process.env.NETWORK_MOCK_DIR ||
+    path.join(__dirname, '../../uploads/network-mock');
+  return path.join(directory, `isp-${ispId || 'global'}.json`);
+};
+
+const readStore = (filePath) => {
+  if (!fs.existsSync(filePath)) {
+    return { accounts: {} };
+  }
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+};
+
+const writeStore = (filePath, store) => {
+  const directory = path.dirname(filePath);
+  if (!fs.existsSync(directory)) {
+    fs.mkdirSync(directory, { recursive: true });
+  }
+  fs.writeFileSync(filePath, JSON.stringify(store, null, 2));
+};
+
+/**
+ * Create, update or (account = null) remove an account
+ * @param {Object} params - { config, ispId, username, account, managedReplies }
+ */
+const writeAccount = async ({ config, ispId, username, account, managedReplies = [] }) => {
+  const filePath = getStorePath(config, ispId);
+  const store = readStore(filePath);
+
+  if (!account) {
+    delete store.accounts[username];
+  } else {
+    const existing = store.accounts[username] || { replies: {} };
+    const replies = { ...existing.replies };
+    managedReplies.forEach((attribute) => { delete replies[attribute]; });
+
+    store.accounts[username] = {
+      password: account.password,
+      reject: account.reject,
+      group: account.group,
+      replies: { ...replies, ...account.replies },
+      updated_at: new Date().toISOString()
+    };
+  }
+
+  writeStore(filePath, store);
+  console.log(`🛰️  Mock network: ${account ? `${account.reject ? 'blocked' : 'enabled'}` : 'removed'} ${username}`);
+};
+
+/**
+ * Read an account
+ * @param {Object} params - { config, ispId, username, managedReplies }
+ * @returns {Object|null} Account (only managed replies) or null
+ */
+const readAccount = async ({ config, ispId, username, managedReplies = [] }) => {
+  const account = readStore(getStorePath(config, ispId)).accounts[username];
+  if (!account) return null;
+
+  const replies = {};
+  managedReplies.forEach((attribute) => {
+    if (account.replies[attribute] !== undefined) replies[attribute] = account.replies[attribute];
+  });
+
+  return {
+    password: account.password,
+    reject: account.reject,
+    group: account.group,
+    replies
+  };
+};
+
+/**
+ * The mock store is always reachable
+ * @returns {Object} { ok, message }
+ */
+const testConnection = async ({ config, ispId }) => ({
+  ok: true,
+  message: `Mock store at ${getStorePath(config, ispId)}`
+});
+
+module.exports = {
+  name: 'mock',
+  writeAccount,
+  readAccount,
+  testConnection
+};
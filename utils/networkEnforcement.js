@@ -0,0 +1,424 @@
+/**
+ * Network Enforcement Utility
+ * Pushes billing status to the network through the ISP's backend (FreeRADIUS, or the mock
+ * backend for testing): active customers can authenticate at their package speed,
+ * suspended customers are blocked, and inactive or disconnected customers are removed.
+ * A reconciliation pass compares every customer's expected account with the backend
+ * and reports (or corrects) drift.
+ */
+
+require('dotenv').config();
+
+const crypto = require('crypto');
+const { Customer, Package, NetworkSetting, IpAllocation, AutomationLog } = require('../models');
+const { Op } = require('sequelize');
+const { getBackend } = require('./networkBackends');
+
+// Customer statuses that keep an account on the network
+const PROVISIONED_STATUSES = ['active', 'suspended'];
+
+/**
+ * Resolve the network backend for an ISP
+ * Uses the ISP's NetworkSetting, falling back to environment variables
+ * @param {number} ispId - ISP ID
+ * @returns {Object|null} Network config or null if enforcement is not configured
+ */
+const getNetworkConfig = async (ispId) => {
+  const setting = ispId ? await NetworkSetting.findOne({ where: { isp_id: ispId } }) : null;
+  if (setting) {
+    if (!setting.is_enabled || !getBackend(setting.backend)) return null;
+    return {
+      backend: setting.backend,
+      config: setting.config_json || {},
+      activeGroup: setting.active_group,
+      suspendedGroup: setting.suspended_group,
+      rejectSuspended: setting.reject_suspended,
+      rateLimitAttribute: setting.rate_limit_attribute,
+      autoReconcile: setting.auto_reconcile,
+      setting
+    };
+  }
+
+  let backend = process.env.NETWORK_BACKEND;
+  if (!backend && process.env.RADIUS_DB_HOST) {
+    backend = 'freeradius';
+  }
+  if (!backend || !getBackend(backend)) {
+    return null;
+  }
+
+  return {
+    backend,
+    config: {
+      dialect: process.env.RADIUS_DB_DIALECT || 'mysql',
+      host: process.env.RADIUS_DB_HOST,
+      port: process.env.RADIUS_DB_PORT ? parseInt(process.env.RADIUS_DB_PORT) : undefined,
+      database: process.env.RADIUS_DB_NAME || 'radius',
+      username: process.env.RADIUS_DB_USER,
+      password: process.env.RADIUS_DB_PASSWORD
+    },
+    activeGroup: process.env.RADIUS_ACTIVE_GROUP || null,
+    suspendedGroup: process.env.RADIUS_SUSPENDED_GROUP || 'suspended',
+    rejectSuspended: process.env.RADIUS_REJECT_SUSPENDED !== 'false',
+    rateLimitAttribute: process.env.RADIUS_RATE_LIMIT_ATTRIBUTE || 'Mikrotik-Rate-Limit',
+    autoReconcile: process.env.NETWORK_AUTO_RECONCILE === 'true',
+    setting: null
+  };
+};
+
+/**
+ * Reply attributes the sync owns for a network config
+ * @param {Object} network - Network config
+ * @returns {Array} Attribute names
+ */
+const getManagedReplies = (network) => [network.rateLimitAttribute, 'Framed-IP-Address', 'Framed-IPv6-Address'];
+
+/**
+ * Rate limit for a package speed in Mbps, e.g. "10" -> "10M/10M"
+ * @param {Object} pkg - Package (may be null)
+ * @returns {string|null} Rate limit or null when the speed is not numeric
+ */
+const getRateLimit = (pkg) => {
+  const speed = pkg ? parseFloat(pkg.speed) : NaN;
+  if (!speed || speed <= 0) return null;
+  return `${speed}M/${speed}M`;
+};
+
+/**
+ * Give a customer RADIUS credentials if they have none
+ * (username = customer ID when free, else cust<id>)
+ * @param {Object} customer - Customer instance
+ * @returns {Object} Customer
+ */
+const ensureCredentials = async (customer) => {
+  if (customer.radius_username && customer.radius_password) {
+    return customer;
+  }
+
+  let username = customer.radius_username;
+  if (!username) {
+    username = customer.customer_id ? String(customer.customer_id).trim() : null;
+    const taken = username && await Customer.findOne({
+      where: { radius_username: username, id: { [Op.ne]: customer.id } },
+      attributes: ['id']
+    });
+    if (!username || taken) {
+      username = `cust${customer.id}`;
+    }
+  }
+
+  return await customer.update({
+    radius_username: username,
+    radius_password: customer.radius_password || crypto.randomBytes(6).toString('hex')
+  });
+};
+
+/**
+ * The account a customer should have on the network (null = no account)
+ * @param {Object} customer - Customer (with credentials when provisioned)
+ * @param {Object} network - Network config
+ * @returns {Object|null} { password, reject, group, replies }
+ */
+const buildAccount = async (customer, network) => {
+  if (!PROVISIONED_STATUSES.includes(customer.status)) {
+    return null;
+  }
+
+  const pkg = customer.package_id ? await Package.findByPk(customer.package_id) : null;
+  const replies = {};
+  const rateLimit = getRateLimit(pkg);
+  if (rateLimit) replies[network.rateLimitAttribute] = rateLimit;
+
+  // Static addresses from IPAM
+  const allocations = await IpAllocation.findAll({
+    where: { customer_id: customer.id, status: 'allocated' },
+    order: [['id', 'ASC']]
+  });
+  const ipv4 = allocations.find(allocation => !allocation.ip_address.includes(':'));
+  const ipv6 = allocations.find(allocation => allocation.ip_address.includes(':'));
+  if (ipv4) replies['Framed-IP-Address'] = ipv4.ip_address;
+  if (ipv6) replies['Framed-IPv6-Address'] = ipv6.ip_address;
+
+  const suspended = customer.status === 'suspended';
+  return {
+    password: customer.radius_password,
+    reject: suspended && Boolean(network.rejectSuspended),
+    group: suspended ? network.suspendedGroup : (network.activeGroup || null),
+    replies
+  };
+};
+
+/**
+ * Differences between the expected and the actual account
+ * @param {Object|null} expected - Expected account
+ * @param {Object|null} actual - Account on the backend
+ * @returns {Array} Human-readable issues (empty when in sync)
+ */
+const compareAccounts = (expected, actual) => {
+  if (!expected && !actual) return [];
+  if (!expected) return ['Account exists on the network but the customer is not active or suspended'];
+  if (!actual) return ['Account is missing on the network'];
+
+  const issues = [];
+  if (expected.password !== actual.password) issues.push('Password differs');
+  if (expected.reject !== actual.reject) issues.push(expected.reject ? 'Customer is suspended but not blocked' : 'Customer is blocked but should be active');
+  if ((expected.group || null) !== (actual.group || null)) {
+    issues.push(`Group is ${actual.group || 'none'}, expected ${expected.group || 'none'}`);
+  }
+
+  const attributes = new Set([...Object.keys(expected.replies), ...Object.keys(actual.replies)]);
+  attributes.forEach((attribute) => {
+    const want = expected.replies[attribute];
+    const have = actual.replies[attribute];
+    if (String(want ?? '') !== String(have ?? '')) {
+      issues.push(`${attribute} is ${have ?? 'not set'}, expected ${want ?? 'not set'}`);
+    }
+  });
+
+  return issues;
+};
+
+const logAutomation = async ({ type, ispId, customerId = null, status = 'success', message, error = null, metadata = null, triggeredBy = 'system' }) => {
+  try {
+    await AutomationLog.create({
+      type,
+      business_id: ispId,
+      customer_id: customerId,
+      status,
+      message,
+      error_message: error ? error.message : null,
+      metadata,
+      triggered_by: triggeredBy,
+      triggered_at: new Date()
+    });
+  } catch (logError) {
+    console.error('Error writing automation log:', logError.message);
+  }
+};
+
+/**
+ * Push a customer's current status, speed and addresses to the network.
+ * Never throws: a failed push is logged and picked up by the next reconciliation.
+ * @param {Object} customer - Customer instance
+ * @param {Object} options - { reason, triggeredBy }
+ * @returns {Object} { success, configured, username, account, error }
+ */
+const syncCustomer = async (customer, { reason = 'status change', triggeredBy = 'system' } = {}) => {
+  const network = await getNetworkConfig(customer.isp_id);
+  if (!network) {
+    return { success: false, configured: false };
+  }
+
+  try {
+    // Nothing to remove for customers that were never provisioned
+    if (!PROVISIONED_STATUSES.includes(customer.status) && !customer.radius_username) {
+      return { success: true, configured: true, username: null, account: null };
+    }
+
+    if (PROVISIONED_STATUSES.includes(customer.status)) {
+      await ensureCredentials(customer);
+    }
+
+    const account = await buildAccount(customer, network);
+    await getBackend(network.backend).writeAccount({
+      config: network.config,
+      ispId: customer.isp_id,
+      username: customer.radius_username,
+      account,
+      managedReplies: getManagedReplies(network)
+    });
+
+    await logAutomation({
+      type: 'network_sync',
+      ispId: customer.isp_id,
+      customerId: customer.id,
+      message: `${account ? (account.reject ? 'Blocked' : 'Enabled') : 'Removed'} ${customer.radius_username} on ${network.backend} (${reason})`,
+      metadata: { username: customer.radius_username, status: customer.status, group: account ? account.group : null, replies: account ? account.replies : null },
+      triggeredBy
+    });
+
+    return { success: true, configured: true, username: customer.radius_username, account };
+  } catch (error) {
+    console.error(`❌ Network sync failed for customer ${customer.id}:`, error.message);
+    await logAutomation({
+      type: 'network_sync',
+      ispId: customer.isp_id,
+      customerId: customer.id,
+      status: 'failed',
+      message: `Network sync for ${customer.radius_username || `customer ${customer.id}`} failed (${reason})`,
+      error,
+      triggeredBy
+    });
+    return { success: false, configured: true, error: error.message };
+  }
+};
+
+/**
+ * Sync a customer by ID (after changes made elsewhere, e.g. a new static address)
+ * @param {number} customerId - Customer ID
+ * @param {Object} options - { reason, triggeredBy }
+ * @returns {Object|null} Sync result, or null when the customer does not exist
+ */
+const syncCustomerById = async (customerId, options = {}) => {
+  const customer = customerId ? await Customer.findByPk(customerId) : null;
+  return customer ? await syncCustomer(customer, options) : null;
+};
+
+/**
+ * Sync every provisioned customer on a package (after a speed change)
+ * @param {Object} pkg - Package
+ * @returns {Object} { synced, failed }
+ */
+const syncPackageCustomers = async (pkg) => {
+  const customers = await Customer.findAll({
+    where: { package_id: pkg.id, status: { [Op.in]: PROVISIONED_STATUSES } }
+  });
+
+  let synced = 0;
+  let failed = 0;
+  for (const customer of customers) {
+    const result = await syncCustomer(customer, { reason: `package ${pkg.name} changed` });
+    if (!result.configured) break;
+    if (result.success) synced++;
+    else failed++;
+  }
+
+  return { synced, failed };
+};
+
+/**
+ * Expected and actual network state of one customer
+ * @param {Object} customer - Customer
+ * @returns {Object} { configured, username, expected, actual, issues }
+ */
+const getCustomerNetworkState = async (customer) => {
+  const network = await getNetworkConfig(customer.isp_id);
+  if (!network) {
+    return { configured: false };
+  }
+
+  const state = { configured: true, backend: network.backend, username: customer.radius_username };
+  if (!customer.radius_username) {
+    return {
+      ...state,
+      expected: null,
+      actual: null,
+      issues: PROVISIONED_STATUSES.includes(customer.status) ? ['Customer has no network credentials'] : []
+    };
+  }
+
+  const expected = await buildAccount(customer, network);
+  const actual = await getBackend(network.backend).readAccount({
+    config: network.config,
+    ispId: customer.isp_id,
+    username: customer.radius_username,
+    managedReplies: getManagedReplies(network)
+  });
+
+  return { ...state, expected, actual, issues: compareAccounts(expected, actual) };
+};
+
+/**
+ * Compare billing status with the network for every customer of an ISP
+ * @param {Object} params - { ispId, fix (default: the ISP's auto_reconcile), triggeredBy }
+ * @returns {Object} { configured, checked, inSync, drift, fixed, failed }
+ */
+const reconcile = async ({ ispId, fix = null, triggeredBy = 'system' }) => {
+  const network = await getNetworkConfig(ispId);
+  if (!network) {
+    return { configured: false, checked: 0, inSync: 0, drift: [], fixed: 0, failed: 0 };
+  }
+  const shouldFix = fix !== null && fix !== undefined ? Boolean(fix) : Boolean(network.autoReconcile);
+
+  const customers = await Customer.findAll({
+    where: {
+      isp_id: ispId,
+      [Op.or]: [
+        { status: { [Op.in]: PROVISIONED_STATUSES } },
+        { radius_username: { [Op.ne]: null } }
+      ]
+    },
+    order: [['id', 'ASC']]
+  });
+
+  const drift = [];
+  let inSync = 0;
+  let fixed = 0;
+  let failed = 0;
+
+  for (const customer of customers) {
+    // A backend that cannot be read is an outage, not drift, so it fails the whole run
+    const state = await getCustomerNetworkState(customer);
+
+    if (state.issues.length === 0) {
+      inSync++;
+      continue;
+    }
+
+    const entry = {
+      customer_id: customer.id,
+      name: customer.name,
+      status: customer.status,
+      username: customer.radius_username,
+      issues: state.issues,
+      fixed: false
+    };
+
+    if (shouldFix) {
+      const result = await syncCustomer(customer, { reason: 'reconciliation', triggeredBy });
+      entry.fixed = result.success;
+      if (result.success) fixed++;
+      else failed++;
+    }
+    drift.push(entry);
+  }
+
+  if (network.setting) {
+    await network.setting.update({ last_reconciled_at: new Date() });
+  }
+
+  await logAutomation({
+    type: 'network_reconciliation',
+    ispId,
+    status: failed > 0 ? 'failed' : 'success',
+    message: `Checked ${customers.length} customer(s) on ${network.backend}: ${drift.length} drifted${shouldFix ? `, ${fixed} fixed` : ''}`,
+    metadata: { checked: customers.length, in_sync: inSync, drifted: drift.length, fixed, failed, fix: shouldFix },
+    triggeredBy
+  });
+
+  console.log(`🛰️  Network reconciliation for ISP ${ispId}: ${customers.length} checked, ${drift.length} drifted${shouldFix ? `, ${fixed} fixed` : ''}`);
+  return { configured: true, checked: customers.length, inSync, drift, fixed, failed };
+};
+
+/**
+ * Check that an ISP's backend is reachable
+ * @param {number} ispId - ISP ID
+ * @returns {Object} { configured, ok, message }
+ */
+const testConnection = async (ispId) => {
+  const network = await getNetworkConfig(ispId);
+  if (!network) {
+    return { configured: false, ok: false, message: 'Network enforcement is not configured' };
+  }
+
+  try {
+    const result = await getBackend(network.backend).testConnection({ config: network.config, ispId });
+    return { configured: true, backend: network.backend, ...result };
+  } catch (error) {
+    return { configured: true, backend: network.backend, ok: false, message: error.message };
+  }
+};
+
+module.exports = {
+  PROVISIONED_STATUSES,
+  getNetworkConfig,
+  getRateLimit,
+  buildAccount,
+  compareAccounts,
+  syncCustomer,
+  syncCustomerById,
+  syncPackageCustomers,
+  getCustomerNetworkState,
+  reconcile,
+  testConnection
+};
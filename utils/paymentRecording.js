@@ -0,0 +1,120 @@
+/**
+ * Payment Recording Utility
+ * Records money received against a bill. The payment row, any excess credited to the
+ * customer's wallet, the bill's paid status and the loyalty points earned are written
+ * in one transaction, so a failure part way leaves neither a half-paid bill nor an
+ * orphaned wallet credit. Every payment channel (staff, online, gateway) records here.
+ */
+
+const { Bill, Payment } = require('../models');
+const { sequelize } = require('../config/db');
+const { creditWallet } = require('./customerWallet');
+const { refreshBillPaidStatus } = require('./billBalance');
+const { awardPointsForPayment } = require('./loyaltyPoints');
+
+const round2 = (value) => Math.round(parseFloat(value || 0) * 100) / 100;
+
+// Join the caller's transaction, or open one for this call
+const withTransaction = (transaction, work) => (transaction ? work(transaction) : sequelize.transaction(work));
+
+/**
+ * Record a payment against a bill
+ * Anything above the bill's outstanding amount is credited to the customer's wallet;
+ * if the bill is already settled the whole amount goes to the wallet and no payment
+ * row is created. Pending payments are recorded as received and settle nothing yet.
+ * @param {Object} params
+ * @param {Object} params.bill - Bill instance
+ * @param {number} params.amount - Amount received
+ * @param {string} params.method - Payment method
+ * @param {string} params.transactionId - Gateway or bank reference (optional)
+ * @param {string} params.receiptNumber - Receipt number (optional)
+ * @param {string} params.notes - Payment notes (optional)
+ * @param {number} params.ispId - ISP ID (defaults to the bill's)
+ * @param {string} params.status - completed (default) or pending
+ * @param {Date} params.paymentDate - Payment date (defaults to now)
+ * @param {number} params.userId - User recording the payment (optional)
+ * @param {Object} params.transaction - Outer transaction to join (optional)
+ * @returns {Object} { payment, bill, walletTransaction, amountApplied, walletCredit }
+ */
+const recordBillPayment = async ({
+  bill,
+  amount,
+  method,
+  transactionId = null,
+  receiptNumber = null,
+  notes = null,
+  ispId = null,
+  status = 'completed',
+  paymentDate = null,
+  userId = null,
+  transaction = null
+}) => withTransaction(transaction, async (t) => {
+  // Lock the bill so concurrent payments see each other's paid amount
+  const lockedBill = await Bill.findByPk(bill.id, { transaction: t, lock: t.LOCK.UPDATE });
+  if (!lockedBill) {
+    const error = new Error('Bill not found');
+    error.status = 404;
+    throw error;
+  }
+
+  const receivedAmount = round2(amount);
+  let walletCredit = 0;
+  if (status === 'completed') {
+    const outstanding = round2(parseFloat(lockedBill.total_amount || lockedBill.amount) - parseFloat(lockedBill.paid_amount || 0));
+    walletCredit = outstanding > 0
+      ? Math.max(0, round2(receivedAmount - outstanding))
+      : receivedAmount;
+  }
+  const amountApplied = round2(receivedAmount - walletCredit);
+
+  let payment = null;
+  if (amountApplied > 0) {
+    payment = await Payment.create({
+      bill_id: lockedBill.id,
+      customer_id: lockedBill.customer_id,
+      amount: amountApplied,
+      method,
+      transaction_id: transactionId,
+      receipt_number: receiptNumber,
+      notes: walletCredit > 0
+        ? `${notes ? notes + '\n' : ''}Received PKR ${receivedAmount.toFixed(2)}; PKR ${walletCredit.toFixed(2)} credited to wallet`
+        : notes,
+      isp_id: ispId || lockedBill.isp_id,
+      status,
+      payment_date: paymentDate || new Date()
+    }, { transaction: t });
+  }
+
+  let walletTransaction = null;
+  if (walletCredit > 0) {
+    walletTransaction = await creditWallet({
+      customerId: lockedBill.customer_id,
+      amount: walletCredit,
+      type: 'overpayment',
+      billId: lockedBill.id,
+      paymentId: payment ? payment.id : null,
+      reference: transactionId,
+      description: payment
+        ? `Overpayment on bill ${lockedBill.bill_number}${receiptNumber ? ` (receipt ${receiptNumber})` : ''}`
+        : `Payment received after bill ${lockedBill.bill_number} was settled`,
+      userId
+    }, { transaction: t });
+  }
+
+  if (payment && status === 'completed') {
+    await refreshBillPaidStatus(lockedBill, t);
+    await awardPointsForPayment(payment, { transaction: t });
+  }
+
+  return {
+    payment,
+    bill: lockedBill,
+    walletTransaction,
+    amountApplied,
+    walletCredit
+  };
+});
+
+module.exports = {
+  recordBillPayment
+};
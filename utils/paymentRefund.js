@@ -0,0 +1,255 @@
+/**
+ * Payment Refund Utility
+ * Issues full and partial refunds, rolls back the bill and re-checks suspension eligibility.
+ * A payment keeps the amount originally received; refunds add up in refunded_amount.
+ */
+
+const { Payment, Bill, Customer, Refund } = require('../models');
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/db');
+const { creditWallet } = require('./customerWallet');
+const { sumNetPayments } = require('./billBalance');
+const { clawBackPointsForRefund } = require('./loyaltyPoints');
+const autoSuspension = require('./autoSuspension');
+
+const round2 = (value) => Math.round(parseFloat(value || 0) * 100) / 100;
+
+const refundError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * Get a Stripe client from STRIPE_SECRET_KEY
+ * @returns {Object|null} Stripe client, or null if Stripe is not configured
+ */
+const getStripeClient = () => {
+  if (!process.env.STRIPE_SECRET_KEY) return null;
+  return require('stripe')(process.env.STRIPE_SECRET_KEY);
+};
+
+/**
+ * Generate unique credit note number
+ * @param {number} ispId - ISP ID
+ * @param {Object} options - { transaction }
+ * @returns {string} Credit note number, e.g. CN3-2024-000001
+ */
+const generateCreditNoteNumber = async (ispId, { transaction = null } = {}) => {
+  const year = new Date().getFullYear();
+  const count = await Refund.count({
+    where: {
+      isp_id: ispId,
+      createdAt: {
+        [Op.gte]: new Date(`${year}-01-01`)
+      }
+    },
+    transaction
+  });
+  return `CN${ispId}-${year}-${String(count + 1).padStart(6, '0')}`;
+};
+
+/**
+ * Recalculate a bill's paid_amount and status from its completed payments, net of refunds
+ * @param {Object} bill - Bill instance
+ * @param {Object} options - { transaction }
+ * @returns {Object} Updated bill
+ */
+const recalculateBill = async (bill, { transaction = null } = {}) => {
+  const billAmount = parseFloat(bill.total_amount || bill.amount);
+  const paidAmount = await sumNetPayments({ bill_id: bill.id, status: 'completed' }, { transaction });
+
+  bill.paid_amount = paidAmount;
+  if (paidAmount >= billAmount) {
+    bill.status = 'paid';
+  } else {
+    bill.completed_at = null;
+    if (paidAmount > 0) {
+      bill.status = 'partial';
+    } else {
+      bill.status = new Date(bill.due_date) < new Date() ? 'overdue' : 'pending';
+    }
+  }
+  await bill.save({ transaction });
+
+  return bill;
+};
+
+/**
+ * Refund a payment (full or partial)
+ * Every record (refund, payment, bill, wallet, loyalty points, suspension) is written in one
+ * transaction. The Stripe refund is requested inside it with an idempotency key tied to the
+ * amount already refunded, so retrying after a failed commit cannot refund twice.
+ * @param {Object} params
+ * @param {number} params.paymentId - Payment ID
+ * @param {number} params.amount - Amount to refund (defaults to the full remaining amount)
+ * @param {string} params.reason - Reason for the refund (optional)
+ * @param {number} params.userId - User issuing the refund (optional)
+ * @param {Object} options
+ * @param {Object} options.stripeClient - Stripe client to use (defaults to STRIPE_SECRET_KEY client)
+ * @returns {Object} { refund, payment, bill, oldValues, newValues, suspension, pointsReversed }
+ */
+const refundPayment = async ({ paymentId, amount = null, reason = null, userId = null }, options = {}) => sequelize.transaction(async (transaction) => {
+  // Lock the payment so two refunds cannot both pass the refundable check
+  const payment = await Payment.findByPk(paymentId, { transaction, lock: transaction.LOCK.UPDATE });
+  if (!payment) {
+    throw refundError('Payment not found', 404);
+  }
+
+  if (payment.status !== 'completed') {
+    throw refundError(`Only completed payments can be refunded. This payment is ${payment.status}`);
+  }
+
+  const alreadyRefunded = round2(payment.refunded_amount);
+  const refundable = round2(parseFloat(payment.amount) - alreadyRefunded);
+  const refundAmount = amount === null || amount === undefined ? refundable : round2(amount);
+
+  if (refundAmount <= 0) {
+    throw refundError('Refund amount must be greater than zero');
+  }
+  if (refundAmount > refundable) {
+    throw refundError(`Refund amount exceeds refundable amount of PKR ${refundable.toFixed(2)}`);
+  }
+
+  const bill = await Bill.findByPk(payment.bill_id, { transaction, lock: transaction.LOCK.UPDATE });
+  if (!bill) {
+    throw refundError('Bill not found for this payment', 404);
+  }
+
+  const isFullRefund = refundAmount === refundable;
+  const oldValues = {
+    payment: { amount: round2(payment.amount), status: payment.status, refunded_amount: alreadyRefunded },
+    bill: { paid_amount: round2(bill.paid_amount), status: bill.status }
+  };
+
+  // Return the money through the original channel before touching any records
+  let gatewayRefundId = null;
+  if (payment.method === 'stripe') {
+    const stripe = options.stripeClient || getStripeClient();
+    if (!stripe) {
+      throw refundError('Stripe is not configured. Cannot refund a Stripe payment', 503);
+    }
+    if (!payment.transaction_id) {
+      throw refundError('Stripe payment has no payment intent ID to refund');
+    }
+
+    try {
+      const stripeRefund = await stripe.refunds.create({
+        payment_intent: payment.transaction_id,
+        amount: Math.round(refundAmount * 100), // Convert to cents
+        metadata: {
+          payment_id: String(payment.id),
+          receipt_number: payment.receipt_number || ''
+        }
+      }, {
+        idempotencyKey: `refund-${payment.id}-${alreadyRefunded.toFixed(2)}`
+      });
+      gatewayRefundId = stripeRefund.id;
+    } catch (stripeError) {
+      console.error('Stripe refund error:', stripeError);
+      throw refundError(`Stripe refund failed: ${stripeError.message}`, 502);
+    }
+  }
+
+  const refund = await Refund.create({
+    credit_note_number: await generateCreditNoteNumber(payment.isp_id, { transaction }),
+    payment_id: payment.id,
+    bill_id: bill.id,
+    customer_id: payment.customer_id,
+    amount: refundAmount,
+    type: isFullRefund ? 'full' : 'partial',
+    method: payment.method,
+    reason,
+    gateway_refund_id: gatewayRefundId,
+    created_by: userId,
+    isp_id: payment.isp_id
+  }, { transaction });
+
+  // Wallet payments go back to the customer's credit balance
+  if (payment.method === 'wallet') {
+    await creditWallet({
+      customerId: payment.customer_id,
+      amount: refundAmount,
+      type: 'refund',
+      billId: bill.id,
+      paymentId: payment.id,
+      description: `Refund ${refund.credit_note_number} of wallet payment on bill ${bill.bill_number}`,
+      userId
+    }, { transaction });
+  }
+
+  // The amount received stays as recorded; paid totals subtract refunded_amount, and a
+  // full refund takes the payment out of every total
+  payment.refunded_amount = round2(alreadyRefunded + refundAmount);
+  if (isFullRefund) {
+    payment.status = 'refunded';
+  }
+  payment.notes = `${payment.notes ? payment.notes + '\n' : ''}Refunded PKR ${refundAmount.toFixed(2)} (${refund.credit_note_number})${reason ? `: ${reason}` : ''}`;
+  await payment.save({ transaction });
+
+  await recalculateBill(bill, { transaction });
+
+  // Points earned on the refunded share of the payment are taken back
+  const pointsReversed = await clawBackPointsForRefund(payment, refundAmount, {
+    transaction,
+    userId,
+    reference: refund.credit_note_number
+  });
+
+  // Bill may be unpaid again - re-check whether the customer should be suspended
+  const suspension = await autoSuspension.checkSuspensionAfterRefund(payment.customer_id, { transaction });
+
+  const newValues = {
+    payment: { amount: round2(payment.amount), status: payment.status, refunded_amount: round2(payment.refunded_amount) },
+    bill: { paid_amount: round2(bill.paid_amount), status: bill.status }
+  };
+
+  return {
+    refund,
+    payment,
+    bill,
+    oldValues,
+    newValues,
+    suspension,
+    pointsReversed
+  };
+});
+
+/**
+ * Get a refund with the data needed for its credit note
+ * @param {number} refundId - Refund ID
+ * @param {number} ispId - Restrict to this ISP (optional)
+ * @returns {Object|null} Refund with payment, bill and customer
+ */
+const getRefundForCreditNote = async (refundId, ispId = null) => {
+  return await Refund.findOne({
+    where: {
+      id: refundId,
+      ...(ispId ? { isp_id: ispId } : {})
+    },
+    include: [
+      {
+        model: Payment,
+        as: 'payment',
+        attributes: ['id', 'receipt_number', 'method', 'transaction_id', 'payment_date', 'amount', 'refunded_amount']
+      },
+      {
+        model: Bill,
+        as: 'bill',
+        attributes: ['id', 'bill_number', 'billing_period_start', 'billing_period_end']
+      },
+      {
+        model: Customer,
+        as: 'customer',
+        attributes: ['id', 'name', 'email', 'phone', 'address']
+      }
+    ]
+  });
+};
+
+module.exports = {
+  getStripeClient,
+  refundPayment,
+  recalculateBill,
+  getRefundForCreditNote
+};
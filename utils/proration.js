@@ -0,0 +1,465 @@
+/**
+ * Proration Utility
+ * Issues credit and debit adjustments when a customer changes package, connects,
+ * disconnects or reconnects part-way through a billing period. Adjustments reduce or
+ * add to the open bill for the period, or wait for the next bill; credits with no bill
+ * left to reduce go to the customer's wallet. On disconnection everything is settled:
+ * charges with no open bill left go on a final bill.
+ */
+
+const { Bill, Package, BillingAdjustment } = require('../models');
+const { Op } = require('sequelize');
+const moment = require('moment');
+const { sequelize } = require('../config/db');
+const { creditWallet, applyWalletToBill } = require('./customerWallet');
+const billLineItems = require('./billLineItems');
+const billingPolicy = require('./billingPolicy');
+const { generateBillNumber } = require('./billNumber');
+
+// Bills that have not been paid against yet and can still be adjusted
+const OPEN_BILL_STATUSES = ['pending', 'overdue'];
+
+const round2 = (value) => Math.round(parseFloat(value || 0) * 100) / 100;
+
+const formatDate = (date) => moment(date).format('DD/MM/YYYY');
+
+// Join the caller's transaction, or open one for this call
+const withTransaction = (transaction, work) => (transaction ? work(transaction) : sequelize.transaction(work));
+
+const netAmount = (adjustments) => round2(adjustments.reduce(
+  (sum, adjustment) => sum + (adjustment.type === 'debit' ? 1 : -1) * parseFloat(adjustment.amount),
+  0
+));
+
+/**
+ * Prorate a period price over part of the period (whole days, both ends inclusive)
+ * @param {Object} params
+ * @param {number} params.price - Price for the full period
+ * @param {Date} params.from - First day charged/credited
+ * @param {Date} params.to - Last day charged/credited
+ * @param {Date} params.periodStart - Billing period start
+ * @param {Date} params.periodEnd - Billing period end
+ * @returns {Object} { amount, days, period_days, daily_rate, price, from, to }
+ */
+const prorate = ({ price, from, to, periodStart, periodEnd }) => {
+  const periodDays = moment(periodEnd).startOf('day').diff(moment(periodStart).startOf('day'), 'days') + 1;
+  const rawDays = moment(to).startOf('day').diff(moment(from).startOf('day'), 'days') + 1;
+  const days = Math.min(Math.max(rawDays, 0), periodDays);
+  const dailyRate = parseFloat(price) / periodDays;
+
+  return {
+    amount: round2(dailyRate * days),
+    days,
+    period_days: periodDays,
+    daily_rate: round2(dailyRate),
+    price: round2(price),
+    from: moment(from).startOf('day').toDate(),
+    to: moment(to).endOf('day').toDate()
+  };
+};
+
+/**
+ * Record a pending proration adjustment (skipped if it prorates to zero)
+ * @returns {Object|null} Created BillingAdjustment
+ */
+const createAdjustment = async ({ customer, type, reason, calculation, description, userId = null, transaction = null }) => {
+  if (calculation.amount <= 0) return null;
+
+  return await BillingAdjustment.create({
+    customer_id: customer.id,
+    type,
+    reason,
+    amount: calculation.amount,
+    description: `${description} (${calculation.days}/${calculation.period_days} days, ${formatDate(calculation.from)} - ${formatDate(calculation.to)})`,
+    calculation,
+    period_start: calculation.from,
+    period_end: calculation.to,
+    created_by: userId,
+    isp_id: customer.isp_id
+  }, { transaction });
+};
+
+/**
+ * Find the customer's bill covering a date
+ * @param {number} customerId - Customer ID
+ * @param {Date} date - Date within the billing period (default: now)
+ * @param {Object} options - { transaction }
+ * @returns {Object|null} Bill
+ */
+const getBillForDate = async (customerId, date = new Date(), { transaction = null } = {}) => {
+  return await Bill.findOne({
+    where: {
+      customer_id: customerId,
+      billing_period_start: { [Op.lte]: date },
+      billing_period_end: { [Op.gte]: date },
+      status: { [Op.ne]: 'cancelled' }
+    },
+    order: [['billing_period_start', 'DESC']],
+    transaction
+  });
+};
+
+/**
+ * Apply the customer's pending adjustments to a bill as adjustment line items.
+ * If credits exceed the bill, the bill is reduced to zero and the rest goes to the wallet.
+ * @param {Object} bill - Bill instance (pending or overdue)
+ * @param {Object} options - { userId, transaction }
+ * @returns {Object|null} { adjustments, net, walletCredit } or null if nothing was pending
+ */
+const applyAdjustmentsToBill = async (bill, { userId = null, transaction = null } = {}) => withTransaction(transaction, async (t) => {
+  const adjustments = await BillingAdjustment.findAll({
+    where: { customer_id: bill.customer_id, status: 'pending' },
+    order: [['createdAt', 'ASC']],
+    transaction: t,
+    lock: t.LOCK.UPDATE
+  });
+  if (adjustments.length === 0) return null;
+
+  const net = netAmount(adjustments);
+
+  const items = adjustments.map(adjustment => billLineItems.buildLineItem({
+    type: 'adjustment',
+    description: adjustment.description,
+    unit_price: (adjustment.type === 'debit' ? 1 : -1) * parseFloat(adjustment.amount),
+    adjustment_id: adjustment.id
+  }));
+
+  // Credits beyond the bill total are carried to the wallet instead of a negative bill
+  const newTotal = round2(parseFloat(bill.total_amount) + net);
+  const walletCredit = newTotal < 0 ? round2(-newTotal) : 0;
+  if (walletCredit > 0) {
+    items.push(billLineItems.buildLineItem({
+      type: 'adjustment',
+      description: 'Proration credit carried to wallet',
+      unit_price: walletCredit
+    }));
+  }
+
+  await billLineItems.addLineItems(bill, items, { transaction: t });
+
+  if (walletCredit > 0) {
+    await creditWallet({
+      customerId: bill.customer_id,
+      amount: walletCredit,
+      type: 'adjustment',
+      billId: bill.id,
+      description: `Proration credit exceeding bill ${bill.bill_number}`,
+      userId
+    }, { transaction: t });
+  }
+
+  await BillingAdjustment.update(
+    { status: 'applied', applied_to: 'bill', bill_id: bill.id, applied_at: new Date() },
+    { where: { id: adjustments.map(adjustment => adjustment.id) }, transaction: t }
+  );
+
+  console.log(`🧮 Applied ${adjustments.length} proration adjustment(s) to bill ${bill.bill_number}: ${net >= 0 ? '+' : ''}${net.toFixed(2)}`);
+  return { adjustments, net, walletCredit };
+});
+
+/**
+ * Raise a final bill for a disconnected customer's outstanding adjustment charges,
+ * paid from the wallet where the balance allows
+ * @param {Object} customer - Customer instance
+ * @param {Array} adjustments - Pending adjustments (net debit)
+ * @param {Object} options - { userId, transaction }
+ * @returns {Object} Bill
+ */
+const raiseFinalBill = async (customer, adjustments, { userId = null, transaction }) => {
+  const policy = await billingPolicy.getBillingPolicy(customer.isp_id);
+
+  const bill = await billLineItems.createBillWithLineItems({
+    bill_number: await generateBillNumber(customer.isp_id, { transaction }),
+    customer_id: customer.id,
+    package_id: customer.package_id || null,
+    due_date: billingPolicy.getDueDate(policy),
+    billing_period_start: moment.min(adjustments.map(adjustment => moment(adjustment.period_start || adjustment.createdAt))).toDate(),
+    billing_period_end: moment.max(adjustments.map(adjustment => moment(adjustment.period_end || adjustment.createdAt))).toDate(),
+    status: 'pending',
+    notes: 'Final bill on disconnection',
+    isp_id: customer.isp_id
+  }, adjustments.map(adjustment => billLineItems.buildLineItem({
+    type: 'adjustment',
+    description: adjustment.description,
+    unit_price: (adjustment.type === 'debit' ? 1 : -1) * parseFloat(adjustment.amount),
+    adjustment_id: adjustment.id
+  })), { transaction });
+
+  await applyWalletToBill(bill, { userId, transaction });
+  return bill;
+};
+
+/**
+ * Settle pending adjustments now rather than on the next bill:
+ * apply them to the customer's open bill, credit a net credit to the wallet,
+ * or raise a final bill for a net debit
+ * @param {Object} customer - Customer instance
+ * @param {Object} options - { bill, userId, transaction }
+ * @returns {Object|null} Settlement result
+ */
+const settleAdjustments = async (customer, { bill = null, userId = null, transaction = null } = {}) => withTransaction(transaction, async (t) => {
+  if (bill && OPEN_BILL_STATUSES.includes(bill.status)) {
+    return await applyAdjustmentsToBill(bill, { userId, transaction: t });
+  }
+
+  const adjustments = await BillingAdjustment.findAll({
+    where: { customer_id: customer.id, status: 'pending' },
+    order: [['createdAt', 'ASC']],
+    transaction: t,
+    lock: t.LOCK.UPDATE
+  });
+  const net = netAmount(adjustments);
+  if (adjustments.length === 0 || net === 0) return null;
+
+  if (net > 0) {
+    const finalBill = await raiseFinalBill(customer, adjustments, { userId, transaction: t });
+
+    await BillingAdjustment.update(
+      { status: 'applied', applied_to: 'bill', bill_id: finalBill.id, applied_at: new Date() },
+      { where: { id: adjustments.map(adjustment => adjustment.id) }, transaction: t }
+    );
+
+    console.log(`🧮 Raised final bill ${finalBill.bill_number} of PKR ${net.toFixed(2)} for customer ${customer.id}`);
+    return { adjustments, net, walletCredit: 0, bill: finalBill };
+  }
+
+  await creditWallet({
+    customerId: customer.id,
+    amount: -net,
+    type: 'adjustment',
+    billId: bill ? bill.id : null,
+    description: adjustments.map(adjustment => adjustment.description).join('; ').substring(0, 255),
+    userId
+  }, { transaction: t });
+
+  await BillingAdjustment.update(
+    { status: 'applied', applied_to: 'wallet', bill_id: bill ? bill.id : null, applied_at: new Date() },
+    { where: { id: adjustments.map(adjustment => adjustment.id) }, transaction: t }
+  );
+
+  return { adjustments, net, walletCredit: -net };
+});
+
+/**
+ * Prorate a newly generated bill for a customer who connected (or reconnected) recently:
+ * credits the days of the period before the connection date, and debits the days between
+ * the connection date and the period start if no earlier bill covered them.
+ * Then applies all pending adjustments to the bill.
+ * @param {Object} bill - Newly created Bill instance
+ * @param {Object} customer - Customer instance
+ * @param {Object} pkg - Package billed
+ * @param {Object} options - { userId, transaction } (pass the transaction the bill was created in)
+ * @returns {Object|null} Result of applyAdjustmentsToBill
+ */
+const prorateNewBill = async (bill, customer, pkg, { userId = null, transaction = null } = {}) => withTransaction(transaction, async (t) => {
+  const periodStart = moment(bill.billing_period_start);
+  const periodEnd = moment(bill.billing_period_end);
+  const connectionDate = customer.connection_date ? moment(customer.connection_date).startOf('day') : null;
+
+  if (connectionDate && pkg) {
+    if (connectionDate.isAfter(periodStart.clone().startOf('day')) && !connectionDate.isAfter(periodEnd)) {
+      // Connected part-way through this period - credit the days before the connection
+      await createAdjustment({
+        customer,
+        type: 'credit',
+        reason: 'connection',
+        description: `Not connected before ${formatDate(connectionDate)} on ${pkg.name}`,
+        calculation: prorate({
+          price: pkg.price,
+          from: periodStart,
+          to: connectionDate.clone().subtract(1, 'day'),
+          periodStart,
+          periodEnd
+        }),
+        userId,
+        transaction: t
+      });
+    } else if (connectionDate.isBefore(periodStart.clone().startOf('day'))) {
+      // Connected during the previous period and never billed for it - charge the partial period
+      const previousStart = periodStart.clone().subtract(1, 'month');
+      const previousEnd = periodStart.clone().subtract(1, 'millisecond');
+      const coveringBill = await Bill.findOne({
+        where: {
+          id: { [Op.ne]: bill.id },
+          customer_id: customer.id,
+          billing_period_end: { [Op.gte]: connectionDate.toDate() },
+          status: { [Op.ne]: 'cancelled' }
+        },
+        transaction: t
+      });
+
+      if (!coveringBill && !connectionDate.isBefore(previousStart)) {
+        await createAdjustment({
+          customer,
+          type: 'debit',
+          reason: 'connection',
+          description: `First partial period on ${pkg.name} from connection date`,
+          calculation: prorate({
+            price: pkg.price,
+            from: connectionDate,
+            to: previousEnd,
+            periodStart: previousStart,
+            periodEnd: previousEnd
+          }),
+          userId,
+          transaction: t
+        });
+      }
+    }
+  }
+
+  return await applyAdjustmentsToBill(bill, { userId, transaction: t });
+});
+
+/**
+ * Prorate a mid-period package change: credit the old package and debit the new one
+ * for the rest of the period already billed
+ * @param {Object} customer - Customer instance (already updated to the new package)
+ * @param {number} oldPackageId - Previous package ID
+ * @param {Object} options - { userId, effectiveDate, transaction }
+ * @returns {Object} { adjustments, settlement }
+ */
+const handlePackageChange = async (customer, oldPackageId, { userId = null, effectiveDate = new Date(), transaction = null } = {}) => withTransaction(transaction, async (t) => {
+  const bill = await getBillForDate(customer.id, effectiveDate, { transaction: t });
+  if (!bill || !oldPackageId || !customer.package_id) {
+    return { adjustments: [], settlement: null };
+  }
+
+  const oldPackage = await Package.findByPk(oldPackageId, { transaction: t });
+  const newPackage = await Package.findByPk(customer.package_id, { transaction: t });
+  if (!oldPackage || !newPackage) {
+    return { adjustments: [], settlement: null };
+  }
+
+  const span = {
+    from: effectiveDate,
+    to: bill.billing_period_end,
+    periodStart: bill.billing_period_start,
+    periodEnd: bill.billing_period_end
+  };
+
+  const adjustments = [
+    await createAdjustment({
+      customer,
+      type: 'credit',
+      reason: 'package_change',
+      description: `Unused ${oldPackage.name}`,
+      calculation: prorate({ price: oldPackage.price, ...span }),
+      userId,
+      transaction: t
+    }),
+    await createAdjustment({
+      customer,
+      type: 'debit',
+      reason: 'package_change',
+      description: `Remaining period on ${newPackage.name}`,
+      calculation: prorate({ price: newPackage.price, ...span }),
+      userId,
+      transaction: t
+    })
+  ].filter(Boolean);
+
+  // Fold into the period's bill if it is still open; otherwise it goes on the next bill
+  const settlement = OPEN_BILL_STATUSES.includes(bill.status)
+    ? await applyAdjustmentsToBill(bill, { userId, transaction: t })
+    : null;
+
+  console.log(`🧮 Prorated package change for customer ${customer.id}: ${oldPackage.name} → ${newPackage.name}`);
+  return { adjustments, settlement };
+});
+
+/**
+ * Prorate a disconnection or reconnection part-way through a billed period.
+ * Pass the transaction the status change was saved in so both commit together.
+ * @param {Object} customer - Customer instance (already updated to the new status)
+ * @param {string} oldStatus - Previous status
+ * @param {Object} options - { userId, effectiveDate, transaction }
+ * @returns {Object} { adjustments, settlement }
+ */
+const handleStatusChange = async (customer, oldStatus, { userId = null, effectiveDate = new Date(), transaction = null } = {}) => withTransaction(transaction, async (t) => {
+  const disconnecting = customer.status === 'disconnected' && oldStatus !== 'disconnected';
+  const reconnecting = oldStatus === 'disconnected' && customer.status === 'active';
+  if (!disconnecting && !reconnecting) {
+    return { adjustments: [], settlement: null };
+  }
+
+  // Bills generated after a reconnection are prorated from the new connection date
+  if (reconnecting) {
+    await customer.update({ connection_date: effectiveDate }, { transaction: t });
+  }
+
+  const bill = await getBillForDate(customer.id, effectiveDate, { transaction: t });
+  const pkg = customer.package_id ? await Package.findByPk(customer.package_id, { transaction: t }) : null;
+  const adjustments = [];
+
+  if (bill && pkg) {
+    const calculation = prorate({
+      price: pkg.price,
+      from: effectiveDate,
+      to: bill.billing_period_end,
+      periodStart: bill.billing_period_start,
+      periodEnd: bill.billing_period_end
+    });
+
+    const adjustment = disconnecting
+      ? await createAdjustment({
+        customer,
+        type: 'credit',
+        reason: 'disconnection',
+        description: `Unused ${pkg.name} after disconnection`,
+        calculation,
+        userId,
+        transaction: t
+      })
+      : await createAdjustment({
+        customer,
+        type: 'debit',
+        reason: 'reconnection',
+        description: `${pkg.name} from reconnection`,
+        calculation,
+        userId,
+        transaction: t
+      });
+    if (adjustment) adjustments.push(adjustment);
+  }
+
+  // A disconnected customer gets no further bills, so settle everything now (final bill)
+  const settlement = disconnecting
+    ? await settleAdjustments(customer, { bill, userId, transaction: t })
+    : (bill && OPEN_BILL_STATUSES.includes(bill.status) ? await applyAdjustmentsToBill(bill, { userId, transaction: t }) : null);
+
+  console.log(`🧮 Prorated ${disconnecting ? 'disconnection' : 'reconnection'} for customer ${customer.id}`);
+  return { adjustments, settlement };
+});
+
+/**
+ * Get adjustments for a customer
+ * @param {number} customerId - Customer ID
+ * @param {Object} filters - { status }
+ * @returns {Array} BillingAdjustments, newest first
+ */
+const getCustomerAdjustments = async (customerId, { status = null } = {}) => {
+  return await BillingAdjustment.findAll({
+    where: {
+      customer_id: customerId,
+      ...(status ? { status } : {})
+    },
+    include: [
+      {
+        model: Bill,
+        as: 'bill',
+        attributes: ['id', 'bill_number', 'billing_period_start', 'billing_period_end']
+      }
+    ],
+    order: [['createdAt', 'DESC']]
+  });
+};
+
+module.exports = {
+  prorate,
+  prorateNewBill,
+  applyAdjustmentsToBill,
+  handlePackageChange,
+  handleStatusChange,
+  getCustomerAdjustments
+};
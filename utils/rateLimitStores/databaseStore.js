@@ -0,0 +1,105 @@
+/**
+ * Database Rate Limit Store
+ * Counters live in the rate_limit_counters table so every instance shares them.
+ * Increments are done in SQL so concurrent requests are all counted.
+ */
+
+const { Op, UniqueConstraintError } = require('sequelize');
+const { RateLimitCounter } = require('../../models');
+
+const toResult = (row) => ({ count: row.count, expiresAt: row.expires_at });
+
+/**
+ * Count a hit, starting a new window if the previous one has ended
+ * @param {string} key - Counter key
+ * @param {number} windowMs - Window length for a new counter
+ * @returns {Promise<Object>} { count, expiresAt }
+ */
+const increment = async (key, windowMs, retried = false) => {
+  const expiresAt = new Date(Date.now() + windowMs);
+
+  let row;
+  let created;
+  try {
+    [row, created] = await RateLimitCounter.findOrCreate({
+      where: { key },
+      defaults: { count: 1, expires_at: expiresAt }
+    });
+  } catch (error) {
+    // Another request created the counter first
+    if (error instanceof UniqueConstraintError && !retried) {
+      return increment(key, windowMs, true);
+    }
+    throw error;
+  }
+
+  if (created) {
+    return toResult(row);
+  }
+
+  if (row.expires_at <= new Date()) {
+    // Only one of several requests racing at the end of a window restarts it
+    const [restarted] = await RateLimitCounter.update(
+      { count: 1, expires_at: expiresAt },
+      { where: { id: row.id, expires_at: row.expires_at } }
+    );
+    if (restarted) {
+      return { count: 1, expiresAt };
+    }
+  }
+
+  await RateLimitCounter.increment('count', { where: { id: row.id } });
+  await row.reload();
+  return toResult(row);
+};
+
+/**
+ * Read a counter without counting a hit
+ * @param {string} key - Counter key
+ * @returns {Promise<Object|null>} { count, expiresAt } or null
+ */
+const get = async (key) => {
+  const row = await RateLimitCounter.findOne({
+    where: { key, expires_at: { [Op.gt]: new Date() } }
+  });
+  return row ? toResult(row) : null;
+};
+
+/**
+ * Set a counter outright (used for lockouts)
+ * @param {string} key - Counter key
+ * @param {number} count - Value to store
+ * @param {number} ttlMs - How long it lasts
+ */
+const set = async (key, count, ttlMs) => {
+  await RateLimitCounter.upsert({
+    key,
+    count,
+    expires_at: new Date(Date.now() + ttlMs)
+  });
+};
+
+/**
+ * Remove a counter
+ * @param {string} key - Counter key
+ */
+const reset = async (key) => {
+  await RateLimitCounter.destroy({ where: { key } });
+};
+
+/**
+ * Delete expired counters
+ * @returns {Promise<number>} Number of counters removed
+ */
+const prune = () => RateLimitCounter.destroy({
+  where: { expires_at: { [Op.lte]: new Date() } }
+});
+
+module.exports = {
+  name: 'database',
+  increment,
+  get,
+  set,
+  reset,
+  prune
+};
@@ -0,0 +1,48 @@
+/**
+ * Rate Limit Store Registry
+ * Every store exposes: name, increment(), get(), set(), reset(), prune()
+ *
+ * Counters are { count, expiresAt } and disappear once they expire. The store is
+ * chosen with RATE_LIMIT_STORE (memory by default; database when several instances
+ * serve the API and must share counters).
+ */
+
+const memoryStore = require('./memoryStore');
+
+// Loaded on first use so the in-memory store works without the models
+const stores = {
+  [memoryStore.name]: () => memoryStore,
+  database: () => require('./databaseStore')
+};
+
+/**
+ * Get a rate limit store by name
+ * @param {string} name - memory | database
+ * @returns {Object|null} Store adapter
+ */
+const getStore = (name) => (stores[name] ? stores[name]() : null);
+
+let warnedUnknownStore = false;
+
+/**
+ * Get the store configured with RATE_LIMIT_STORE
+ * @returns {Object} Store adapter
+ */
+const getConfiguredStore = () => {
+  const name = process.env.RATE_LIMIT_STORE || memoryStore.name;
+  const store = getStore(name);
+  if (!store) {
+    if (!warnedUnknownStore) {
+      console.warn(`⚠️  Unknown RATE_LIMIT_STORE "${name}", using the in-memory store`);
+      warnedUnknownStore = true;
+    }
+    return memoryStore;
+  }
+  return store;
+};
+
+module.exports = {
+  STORE_NAMES: Object.keys(stores),
+  getStore,
+  getConfiguredStore
+};
@@ -0,0 +1,111 @@
+/**
+ * In-Memory Rate Limit Store
+ * Counters live in this process only, so each instance counts on its own.
+ * Use the database store when several instances serve the API.
+ * The number of counters is capped: keys come from request data (e.g. the email on a
+ * login form), so once the cap is reached the least recently used counter is dropped.
+ */
+
+// Insertion order doubles as recency order: a counter is moved to the end when used
+const counters = new Map();
+
+const MAX_KEYS = parseInt(process.env.RATE_LIMIT_MEMORY_MAX_KEYS, 10) || 100000;
+
+const touch = (key, counter) => {
+  counters.delete(key);
+  counters.set(key, counter);
+};
+
+// Store a counter, dropping the least recently used ones to stay within MAX_KEYS
+const store = (key, counter) => {
+  counters.delete(key);
+  while (counters.size >= MAX_KEYS) {
+    counters.delete(counters.keys().next().value);
+  }
+  counters.set(key, counter);
+};
+
+const readCounter = (key, now = Date.now()) => {
+  const counter = counters.get(key);
+  if (!counter) {
+    return null;
+  }
+  if (counter.expiresAt.getTime() <= now) {
+    counters.delete(key);
+    return null;
+  }
+  return counter;
+};
+
+/**
+ * Remove expired counters
+ * @returns {Promise<number>} Number of counters removed
+ */
+const prune = async () => {
+  const now = Date.now();
+  let removed = 0;
+  for (const [key, counter] of counters) {
+    if (counter.expiresAt.getTime() <= now) {
+      counters.delete(key);
+      removed++;
+    }
+  }
+  return removed;
+};
+
+/**
+ * Count a hit, starting a new window if the previous one has ended
+ * @param {string} key - Counter key
+ * @param {number} windowMs - Window length for a new counter
+ * @returns {Promise<Object>} { count, expiresAt }
+ */
+const increment = async (key, windowMs) => {
+  const now = Date.now();
+  const counter = readCounter(key, now);
+  if (counter) {
+    counter.count++;
+    touch(key, counter);
+    return { ...counter };
+  }
+
+  const fresh = { count: 1, expiresAt: new Date(now + windowMs) };
+  store(key, fresh);
+  return { ...fresh };
+};
+
+/**
+ * Read a counter without counting a hit
+ * @param {string} key - Counter key
+ * @returns {Promise<Object|null>} { count, expiresAt } or null
+ */
+const get = async (key) => {
+  const counter = readCounter(key);
+  return counter ? { ...counter } : null;
+};
+
+/**
+ * Set a counter outright (used for lockouts)
+ * @param {string} key - Counter key
+ * @param {number} count - Value to store
+ * @param {number} ttlMs - How long it lasts
+ */
+const set = async (key, count, ttlMs) => {
+  store(key, { count, expiresAt: new Date(Date.now() + ttlMs) });
+};
+
+/**
+ * Remove a counter
+ * @param {string} key - Counter key
+ */
+const reset = async (key) => {
+  counters.delete(key);
+};
+
+module.exports = {
+  name: 'memory',
+  increment,
+  get,
+  set,
+  reset,
+  prune
+};
@@ -0,0 +1,340 @@
+/**
+ * Role-Based Access Control
+ * Permission catalog, default system roles and the per-request permission lookup
+ * used by permissionMiddleware. Users keep their legacy User.role (which still drives
+ * tenant scoping in controllers) and may additionally be assigned a custom role_id.
+ */
+
+const { Op } = require('sequelize');
+const { Role, Permission } = require('../models');
+
+// Every permission lists the legacy roles that hold it by default. Business admins
+// hold every permission except platform ones, which only Super Admin can exercise.
+const PERMISSIONS = [
+  // User Management
+  { name: 'view_users', display_name: 'View Users', resource: 'users', action: 'read', roles: [] },
+  { name: 'create_users', display_name: 'Create Users', resource: 'users', action: 'create', roles: [] },
+  { name: 'update_users', display_name: 'Update Users', resource: 'users', action: 'update', roles: [] },
+  { name: 'delete_users', display_name: 'Delete Users', resource: 'users', action: 'delete', roles: [] },
+  { name: 'reset_user_two_factor', display_name: 'Reset User Two-Factor Authentication', resource: 'users', action: 'reset_two_factor', roles: [] },
+
+  // Customer Management
+  { name: 'view_customers', display_name: 'View Customers', resource: 'customers', action: 'read', roles: ['account_manager', 'technical_officer', 'recovery_officer', 'marketing_officer'] },
+  { name: 'create_customers', display_name: 'Create Customers', resource: 'customers', action: 'create', roles: ['account_manager'] },
+  { name: 'update_customers', display_name: 'Update Customers', resource: 'customers', action: 'update', roles: ['account_manager'] },
+  { name: 'delete_customers', display_name: 'Delete Customers', resource: 'customers', action: 'delete', roles: [] },
+  { name: 'use_customer_portal', display_name: 'Use Customer Portal', resource: 'customer_portal', action: 'access', roles: ['customer'] },
+
+  // Package Management
+  { name: 'view_packages', display_name: 'View Packages', resource: 'packages', action: 'read', roles: [] },
+  { name: 'create_packages', display_name: 'Create Packages', resource: 'packages', action: 'create', roles: [] },
+  { name: 'update_packages', display_name: 'Update Packages', resource: 'packages', action: 'update', roles: [] },
+  { name: 'delete_packages', display_name: 'Delete Packages', resource: 'packages', action: 'delete', roles: [] },
+
+  // Bill Management
+  { name: 'view_bills', display_name: 'View Bills', resource: 'bills', action: 'read', roles: ['account_manager', 'recovery_officer', 'customer'] },
+  { name: 'create_bills', display_name: 'Create Bills', resource: 'bills', action: 'create', roles: ['account_manager'] },
+  { name: 'update_bills', display_name: 'Update Bills', resource: 'bills', action: 'update', roles: ['account_manager'] },
+  { name: 'delete_bills', display_name: 'Delete Bills', resource: 'bills', action: 'delete', roles: [] },
+  { name: 'generate_bills', display_name: 'Generate Bills', resource: 'bills', action: 'generate', roles: ['account_manager'] },
+  { name: 'view_billing_adjustments', display_name: 'View Billing Adjustments', resource: 'billing_adjustments', action: 'read', roles: ['account_manager'] },
+  { name: 'view_billing_policies', display_name: 'View Billing Policies', resource: 'billing_policies', action: 'read', roles: ['account_manager'] },
+  { name: 'manage_billing_policies', display_name: 'Manage Billing Policies', resource: 'billing_policies', action: 'manage', roles: [] },
+
+  // Payment Management
+  { name: 'view_payments', display_name: 'View Payments', resource: 'payments', action: 'read', roles: ['account_manager', 'recovery_officer', 'customer'] },
+  { name: 'create_payments', display_name: 'Create Payments', resource: 'payments', action: 'create', roles: ['account_manager', 'recovery_officer'] },
+  { name: 'update_payments', display_name: 'Update Payments', resource: 'payments', action: 'update', roles: ['account_manager'] },
+  { name: 'approve_payments', display_name: 'Approve Payments', resource: 'payments', action: 'approve', roles: ['account_manager'] },
+  { name: 'refund_payments', display_name: 'Refund Payments', resource: 'payments', action: 'refund', roles: ['account_manager'] },
+
+  // Wallets & Loyalty
+  { name: 'view_wallets', display_name: 'View Wallets', resource: 'wallets', action: 'read', roles: ['account_manager'] },
+  { name: 'add_wallet_advance', display_name: 'Add Wallet Advance', resource: 'wallets', action: 'create', roles: ['account_manager'] },
+  { name: 'apply_wallet_credit', display_name: 'Apply Wallet Credit', resource: 'wallets', action: 'apply', roles: ['account_manager'] },
+  { name: 'adjust_wallets', display_name: 'Adjust Wallet Balances', resource: 'wallets', action: 'update', roles: [] },
+  { name: 'view_loyalty', display_name: 'View Loyalty Program', resource: 'loyalty', action: 'read', roles: ['account_manager'] },
+  { name: 'manage_loyalty', display_name: 'Manage Loyalty Program', resource: 'loyalty', action: 'manage', roles: [] },
+  { name: 'redeem_loyalty_points', display_name: 'Redeem Loyalty Points', resource: 'loyalty', action: 'redeem', roles: ['account_manager', 'customer'] },
+
+  // Cash Handling & Commissions
+  { name: 'view_cash_floats', display_name: 'View Officer Cash Floats', resource: 'cash', action: 'read', roles: ['account_manager'] },
+  { name: 'view_cash_ledger', display_name: 'View Cash Ledger', resource: 'cash', action: 'read', roles: ['account_manager', 'recovery_officer'] },
+  { name: 'create_cash_settlements', display_name: 'Create Cash Settlements', resource: 'cash', action: 'create', roles: ['account_manager'] },
+  { name: 'view_commission_rules', display_name: 'View Commission Rules', resource: 'commissions', action: 'read', roles: ['account_manager'] },
+  { name: 'manage_commission_rules', display_name: 'Manage Commission Rules', resource: 'commissions', action: 'manage', roles: [] },
+  { name: 'view_commission_statements', display_name: 'View Commission Statements', resource: 'commissions', action: 'read', roles: ['account_manager', 'recovery_officer'] },
+  { name: 'generate_commission_statements', display_name: 'Generate Commission Statements', resource: 'commissions', action: 'generate', roles: ['account_manager'] },
+  { name: 'approve_commission_statements', display_name: 'Approve Commission Statements', resource: 'commissions', action: 'approve', roles: [] },
+  { name: 'pay_commission_statements', display_name: 'Pay Commission Statements', resource: 'commissions', action: 'pay', roles: [] },
+
+  // Recovery Management
+  { name: 'view_recoveries', display_name: 'View Recoveries', resource: 'recoveries', action: 'read', roles: ['recovery_officer'] },
+  { name: 'create_recoveries', display_name: 'Create Recoveries', resource: 'recoveries', action: 'create', roles: [] },
+  { name: 'update_recoveries', display_name: 'Update Recoveries', resource: 'recoveries', action: 'update', roles: ['recovery_officer'] },
+  { name: 'delete_recoveries', display_name: 'Delete Recoveries', resource: 'recoveries', action: 'delete', roles: [] },
+
+  // Installation Management
+  { name: 'view_installations', display_name: 'View Installations', resource: 'installations', action: 'read', roles: ['technical_officer'] },
+  { name: 'create_installations', display_name: 'Create Installations', resource: 'installations', action: 'create', roles: ['account_manager', 'technical_officer'] },
+  { name: 'update_installations', display_name: 'Update Installations', resource: 'installations', action: 'update', roles: ['account_manager', 'technical_officer'] },
+  { name: 'delete_installations', display_name: 'Delete Installations', resource: 'installations', action: 'delete', roles: [] },
+  { name: 'view_technician_schedules', display_name: 'View Technician Schedules', resource: 'installations', action: 'read', roles: ['account_manager', 'technical_officer'] },
+  { name: 'manage_working_hours', display_name: 'Manage Technician Working Hours', resource: 'installations', action: 'manage', roles: ['account_manager'] },
+
+  // Inventory
+  { name: 'view_inventory', display_name: 'View Inventory', resource: 'inventory', action: 'read', roles: ['account_manager', 'technical_officer'] },
+  { name: 'manage_equipment_types', display_name: 'Manage Equipment Types', resource: 'inventory', action: 'manage', roles: [] },
+  { name: 'move_inventory', display_name: 'Receive, Issue and Return Inventory', resource: 'inventory', action: 'update', roles: ['account_manager'] },
+  { name: 'assign_inventory', display_name: 'Assign Inventory to Installations', resource: 'inventory', action: 'assign', roles: ['account_manager', 'technical_officer'] },
+  { name: 'write_off_inventory', display_name: 'Write Off Inventory', resource: 'inventory', action: 'delete', roles: [] },
+
+  // IP Address Management
+  { name: 'view_ip_pools', display_name: 'View IP Pools', resource: 'ip_addresses', action: 'read', roles: ['account_manager', 'technical_officer'] },
+  { name: 'manage_ip_pools', display_name: 'Manage IP Pools', resource: 'ip_addresses', action: 'manage', roles: [] },
+  { name: 'allocate_ip_addresses', display_name: 'Allocate IP Addresses', resource: 'ip_addresses', action: 'create', roles: ['account_manager', 'technical_officer'] },
+  { name: 'release_ip_addresses', display_name: 'Release IP Addresses', resource: 'ip_addresses', action: 'delete', roles: ['account_manager'] },
+  { name: 'view_ip_conflicts', display_name: 'View IP Conflicts', resource: 'ip_addresses', action: 'read', roles: ['account_manager'] },
+
+  // Network Enforcement & Usage
+  { name: 'manage_network_settings', display_name: 'Manage Network Settings', resource: 'network', action: 'manage', roles: [] },
+  { name: 'view_network_status', display_name: 'View Customer Network Status', resource: 'network', action: 'read', roles: ['account_manager', 'technical_officer'] },
+  { name: 'sync_customer_network', display_name: 'Sync Customers to the Network', resource: 'network', action: 'update', roles: ['account_manager'] },
+  { name: 'view_usage', display_name: 'View Data Usage', resource: 'usage', action: 'read', roles: ['account_manager', 'technical_officer', 'customer'] },
+  { name: 'view_usage_imports', display_name: 'View Usage Imports', resource: 'usage', action: 'read', roles: ['account_manager'] },
+  { name: 'import_usage', display_name: 'Import Usage Files', resource: 'usage', action: 'create', roles: [] },
+
+  // Reports
+  { name: 'view_reports', display_name: 'View Reports', resource: 'reports', action: 'read', roles: ['account_manager', 'marketing_officer'] },
+  { name: 'generate_reports', display_name: 'Generate Reports', resource: 'reports', action: 'generate', roles: ['account_manager'] },
+
+  // ISP Management (Super Admin only)
+  { name: 'view_isps', display_name: 'View ISPs', resource: 'isps', action: 'read', roles: [], platform: true },
+  { name: 'create_isps', display_name: 'Create ISPs', resource: 'isps', action: 'create', roles: [], platform: true },
+  { name: 'update_isps', display_name: 'Update ISPs', resource: 'isps', action: 'update', roles: [], platform: true },
+  { name: 'delete_isps', display_name: 'Delete ISPs', resource: 'isps', action: 'delete', roles: [], platform: true },
+  { name: 'manage_saas_packages', display_name: 'Manage SaaS Packages', resource: 'saas_packages', action: 'manage', roles: [], platform: true },
+  { name: 'run_backups', display_name: 'Run Backups', resource: 'backups', action: 'create', roles: [], platform: true },
+
+  // Role & Permission Management
+  { name: 'view_roles', display_name: 'View Roles', resource: 'roles', action: 'read', roles: [] },
+  { name: 'create_roles', display_name: 'Create Roles', resource: 'roles', action: 'create', roles: [] },
+  { name: 'update_roles', display_name: 'Update Roles', resource: 'roles', action: 'update', roles: [] },
+  { name: 'delete_roles', display_name: 'Delete Roles', resource: 'roles', action: 'delete', roles: [] },
+  { name: 'manage_permissions', display_name: 'Manage Permissions', resource: 'permissions', action: 'manage', roles: [], platform: true },
+  { name: 'manage_security_settings', display_name: 'Manage Security Settings', resource: 'security', action: 'manage', roles: [] },
+
+  // Notifications & Messaging
+  { name: 'view_notifications', display_name: 'View Notifications', resource: 'notifications', action: 'read', roles: ['account_manager', 'technical_officer', 'recovery_officer', 'marketing_officer', 'customer'] },
+  { name: 'create_notifications', display_name: 'Create Notifications', resource: 'notifications', action: 'create', roles: ['account_manager', 'marketing_officer'] },
+  { name: 'view_templates', display_name: 'View Message Templates', resource: 'templates', action: 'read', roles: ['account_manager'] },
+  { name: 'manage_templates', display_name: 'Manage Message Templates', resource: 'templates', action: 'manage', roles: [] },
+  { name: 'view_sms_messages', display_name: 'View SMS Messages', resource: 'sms', action: 'read', roles: ['account_manager'] },
+  { name: 'manage_sms_settings', display_name: 'Manage SMS Settings', resource: 'sms', action: 'manage', roles: [] },
+
+  // Activity Logs
+  { name: 'view_activity_logs', display_name: 'View Activity Logs', resource: 'activity_logs', action: 'read', roles: [] },
+
+  // Marketing & Promotions
+  { name: 'view_promotions', display_name: 'View Promotions', resource: 'promotions', action: 'read', roles: ['marketing_officer', 'customer'] },
+  { name: 'create_promotions', display_name: 'Create Promotions', resource: 'promotions', action: 'create', roles: ['marketing_officer'] },
+  { name: 'update_promotions', display_name: 'Update Promotions', resource: 'promotions', action: 'update', roles: ['marketing_officer'] },
+  { name: 'delete_promotions', display_name: 'Delete Promotions', resource: 'promotions', action: 'delete', roles: ['marketing_officer'] },
+  { name: 'manage_campaigns', display_name: 'Manage Campaigns', resource: 'campaigns', action: 'manage', roles: ['marketing_officer'] },
+
+  // Automation & AI
+  { name: 'view_automation', display_name: 'View Automation', resource: 'automation', action: 'read', roles: [] },
+  { name: 'manage_automation', display_name: 'Manage Automation', resource: 'automation', action: 'manage', roles: [] },
+  { name: 'view_ai_insights', display_name: 'View AI Insights', resource: 'ai_insights', action: 'read', roles: [] },
+  { name: 'view_high_risk_customers', display_name: 'View High-Risk Customers', resource: 'ai_insights', action: 'read', roles: ['recovery_officer'] },
+  { name: 'view_churn_risk', display_name: 'View Churn Risk', resource: 'ai_insights', action: 'read', roles: ['account_manager'] },
+  { name: 'detect_fraud', display_name: 'Run Fraud Detection', resource: 'ai_insights', action: 'create', roles: ['account_manager'] }
+];
+
+const PLATFORM_PERMISSIONS = new Set(PERMISSIONS.filter(p => p.platform).map(p => p.name));
+const BUSINESS_PERMISSIONS = PERMISSIONS.filter(p => !p.platform).map(p => p.name);
+
+const permissionsForRole = (roleName) => PERMISSIONS
+  .filter(p => p.roles.includes(roleName))
+  .map(p => p.name);
+
+// Permissions each legacy User.role ENUM value had before roles were stored in the
+// database; used to seed the system roles and when no matching role row exists
+const LEGACY_ROLE_PERMISSIONS = {
+  super_admin: PERMISSIONS.map(p => p.name),
+  admin: BUSINESS_PERMISSIONS,
+  account_manager: permissionsForRole('account_manager'),
+  technical_officer: permissionsForRole('technical_officer'),
+  recovery_officer: permissionsForRole('recovery_officer'),
+  customer: permissionsForRole('customer')
+};
+
+const DEFAULT_ROLES = [
+  {
+    name: 'super_admin',
+    display_name: 'Super Admin',
+    description: 'System owner with full access to all features',
+    permissions: ['*']
+  },
+  {
+    name: 'admin',
+    display_name: 'ISP Admin',
+    description: 'ISP owner with full access to their ISP operations',
+    permissions: LEGACY_ROLE_PERMISSIONS.admin
+  },
+  {
+    name: 'account_manager',
+    display_name: 'Account Manager',
+    description: 'Handles billing and customer accounts',
+    permissions: LEGACY_ROLE_PERMISSIONS.account_manager
+  },
+  {
+    name: 'technical_officer',
+    display_name: 'Technical Officer',
+    description: 'Manages installations and technical services',
+    permissions: LEGACY_ROLE_PERMISSIONS.technical_officer
+  },
+  {
+    name: 'recovery_officer',
+    display_name: 'Recovery Officer',
+    description: 'Handles payment collection and recovery',
+    permissions: LEGACY_ROLE_PERMISSIONS.recovery_officer
+  },
+  {
+    name: 'marketing_officer',
+    display_name: 'Marketing / Promotion Officer',
+    description: 'Manages customer engagement, campaigns, and promotions',
+    permissions: permissionsForRole('marketing_officer')
+  },
+  {
+    name: 'customer',
+    display_name: 'Customer',
+    description: 'End-user with access to personal portal',
+    permissions: LEGACY_ROLE_PERMISSIONS.customer
+  }
+].map(role => ({ ...role, is_system_role: true }));
+
+const rbacError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const rolePermissionsInclude = {
+  model: Permission,
+  as: 'permissions',
+  through: { attributes: [] },
+  attributes: ['name']
+};
+
+/**
+ * Find the role that grants a user's permissions: the assigned custom role when
+ * role_id is set, otherwise a business role named after the legacy role (which
+ * lets a business override a system role) or the system role itself
+ * @param {Object} user - User instance
+ * @returns {Promise<Object|null>} Role with permissions, or null
+ */
+const findRoleForUser = async (user) => {
+  const scope = { [Op.or]: [{ business_id: null }, { business_id: user.isp_id || null }] };
+
+  if (user.role_id) {
+    return Role.findOne({
+      where: { id: user.role_id, ...scope },
+      include: [rolePermissionsInclude]
+    });
+  }
+
+  const roles = await Role.findAll({
+    where: { name: user.role, ...scope },
+    include: [rolePermissionsInclude]
+  });
+  return roles.find(role => role.business_id) || roles[0] || null;
+};
+
+/**
+ * Resolve the permission names held by the request's user. The result is cached
+ * on req.permissions so several guards on one route only query once.
+ * @param {Object} req - Express request (or any object with a user)
+ * @returns {Promise<Set<string>>} Permission names
+ */
+const getUserPermissions = async (req) => {
+  if (req.permissions) {
+    return req.permissions;
+  }
+
+  const { user } = req;
+  let names;
+
+  if (user.role === 'super_admin') {
+    names = LEGACY_ROLE_PERMISSIONS.super_admin;
+  } else {
+    const role = await findRoleForUser(user);
+    if (role) {
+      names = role.is_active ? role.permissions.map(p => p.name) : [];
+    } else if (user.role_id) {
+      // The assigned role was deleted or belongs to another business
+      names = [];
+    } else {
+      names = LEGACY_ROLE_PERMISSIONS[user.role] || [];
+    }
+    names = names.filter(name => !PLATFORM_PERMISSIONS.has(name));
+  }
+
+  req.permissions = new Set(names);
+  return req.permissions;
+};
+
+// Seniority of the legacy roles; staff and customer accounts all rank below admin
+const ROLE_RANK = { super_admin: 2, admin: 1 };
+
+/**
+ * Whether one account's legacy role is senior to another's
+ * @param {Object} user - Account being compared
+ * @param {Object} other - Account it is compared against
+ * @returns {boolean} True when user has the higher role
+ */
+const outranks = (user, other) => (ROLE_RANK[user.role] || 0) > (ROLE_RANK[other.role] || 0);
+
+/**
+ * Check that a role may be assigned to a user of the given business and legacy role
+ * @param {Object} options
+ * @param {number|null} options.roleId - Role to assign (null clears the assignment)
+ * @param {number|null} options.ispId - Business of the user receiving the role
+ * @param {string} options.userRole - Legacy role of the user receiving the role
+ * @param {Object} options.assignedBy - User making the assignment
+ * @returns {Promise<Object|null>} The role, or null when clearing
+ */
+const validateRoleAssignment = async ({ roleId, ispId, userRole, assignedBy }) => {
+  if (roleId === null || roleId === undefined || roleId === '') {
+    return null;
+  }
+
+  if (['super_admin', 'customer'].includes(userRole)) {
+    throw rbacError('Custom roles can only be assigned to staff accounts', 400);
+  }
+
+  const role = await Role.findByPk(roleId);
+  if (!role || !role.is_active) {
+    throw rbacError('Role not found or inactive', 400);
+  }
+
+  if (role.business_id && role.business_id !== parseInt(ispId)) {
+    throw rbacError('Role belongs to a different business', 403);
+  }
+
+  if (assignedBy.role !== 'super_admin' && role.is_system_role && ['super_admin', 'admin'].includes(role.name)) {
+    throw rbacError('Admin cannot assign super_admin or admin roles', 403);
+  }
+
+  return role;
+};
+
+module.exports = {
+  PERMISSIONS,
+  PLATFORM_PERMISSIONS,
+  LEGACY_ROLE_PERMISSIONS,
+  DEFAULT_ROLES,
+  getUserPermissions,
+  outranks,
+  validateRoleAssignment
+};
@@ -1,9 +1,11 @@
 const nodemailer = require('nodemailer');
 require('dotenv').config();
+const { renderMessage } = require('./messageTemplates');
 
 // Check if email is configured
+// Credentials are optional so a local SMTP capture server (e.g. Mailpit) can be used in development
 const isEmailConfigured = () => {
-  return !!(process.env.EMAIL_HOST && process.env.EMAIL_USER && process.env.EMAIL_PASS);
+  return !!process.env.EMAIL_HOST;
 };
 
 // Create transporter only if email is configured
@@ -14,10 +16,12 @@ if (isEmailConfigured()) {
       host: process.env.EMAIL_HOST,
       port: process.env.EMAIL_PORT || 587,
       secure: process.env.EMAIL_PORT == 465,
-      auth: {
-        user: process.env.EMAIL_USER,
-        pass: process.env.EMAIL_PASS
-      }
+      auth: process.env.EMAIL_USER
+        ? {
+          user: process.env.EMAIL_USER,
+          pass: process.env.EMAIL_PASS
+        }
+        : undefined
     });
   } catch (error) {
     console.warn('⚠️  Email transporter creation failed:', error.message);
@@ -25,9 +29,22 @@ if (isEmailConfigured()) {
   }
 }
 
+// Transport set with setTransport (e.g. a capture transport in tests); replaces the SMTP one
+let injectedTransport = null;
+
+/**
+ * Send mail through another transport instead of SMTP
+ * @param {Object|null} transport - Anything with nodemailer's sendMail(mailOptions); null restores SMTP
+ */
+const setTransport = (transport) => {
+  injectedTransport = transport;
+};
+
 const sendEmail = async (to, subject, text, html = null) => {
+  const activeTransporter = injectedTransport || transporter;
+
   // Check if email is configured
-  if (!isEmailConfigured()) {
+  if (!injectedTransport && !isEmailConfigured()) {
     console.log('📧 Email service not configured. Email would be sent to:', to);
     console.log('📧 Subject:', subject);
     console.log('📧 Message:', text.substring(0, 100) + '...');
@@ -39,7 +56,7 @@ const sendEmail = async (to, subject, text, html = null) => {
   }
 
   // Check if transporter exists
-  if (!transporter) {
+  if (!activeTransporter) {
     console.log('📧 Email transporter not available. Email would be sent to:', to);
     console.log('📧 Subject:', subject);
     return { 
@@ -51,14 +68,14 @@ const sendEmail = async (to, subject, text, html = null) => {
 
   try {
     const mailOptions = {
-      from: `"Internet Billing System" <${process.env.EMAIL_USER}>`,
+      from: `"Internet Billing System" <${process.env.EMAIL_FROM || process.env.EMAIL_USER || 'no-reply@localhost'}>`,
       to,
       subject,
       text,
       html: html || text
     };
 
-    const info = await transporter.sendMail(mailOptions);
+    const info = await activeTransporter.sendMail(mailOptions);
     console.log('✅ Email sent successfully:', info.messageId);
     return { success: true, messageId: info.messageId, configured: true };
   } catch (error) {
@@ -78,46 +95,10 @@ const sendBillNotification = async (customer, bill) => {
     return { success: false, error: 'Customer email not found' };
   }
 
-  const subject = `New Bill Generated - ${bill.bill_number}`;
-  const text = `
-    Dear ${customer.name},
-    
-    Your new bill has been generated.
-    Bill Number: ${bill.bill_number}
-    Amount: PKR ${bill.amount}
-    Due Date: ${new Date(bill.due_date).toLocaleDateString()}
-    
-    Please make the payment before the due date to avoid service interruption.
-    
-    Thank you!
-  `;
-
-  const html = `
-    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-      <h2>New Bill Generated</h2>
-      <p>Dear ${customer.name},</p>
-      <p>Your new bill has been generated.</p>
-      <table style="width: 100%; border-collapse: collapse;">
-        <tr>
-          <td style="padding: 8px; border: 1px solid #ddd;"><strong>Bill Number:</strong></td>
-          <td style="padding: 8px; border: 1px solid #ddd;">${bill.bill_number}</td>
-        </tr>
-        <tr>
-          <td style="padding: 8px; border: 1px solid #ddd;"><strong>Amount:</strong></td>
-          <td style="padding: 8px; border: 1px solid #ddd;">PKR ${bill.amount}</td>
-        </tr>
-        <tr>
-          <td style="padding: 8px; border: 1px solid #ddd;"><strong>Due Date:</strong></td>
-          <td style="padding: 8px; border: 1px solid #ddd;">${new Date(bill.due_date).toLocaleDateString()}</td>
-        </tr>
-      </table>
-      <p>Please make the payment before the due date to avoid service interruption.</p>
-      <p>Thank you!</p>
-    </div>
-  `;
+  const { subject, text, html } = await renderMessage('bill_generated', 'email', { customer, bill });
 
   return await sendEmail(customer.email, subject, text, html);
 };
 
-module.exports = { sendEmail, sendBillNotification };
+module.exports = { sendEmail, sendBillNotification, setTransport };
 
@@ -0,0 +1,92 @@
+/**
+ * Generic HTTP SMS Gateway Provider
+ * Posts JSON to a configurable gateway URL (JazzCash, local aggregators, etc.)
+ */
+
+const axios = require('axios');
+const secretMatches = require('./secretMatch');
+
+const STATUS_MAP = {
+  queued: 'queued',
+  pending: 'queued',
+  accepted: 'queued',
+  sent: 'sent',
+  submitted: 'sent',
+  delivered: 'delivered',
+  success: 'delivered',
+  undelivered: 'undelivered',
+  rejected: 'failed',
+  failed: 'failed',
+  error: 'failed'
+};
+
+const normalizeStatus = (status) => STATUS_MAP[String(status || '').toLowerCase()] || null;
+
+/**
+ * Send an SMS through the HTTP gateway
+ * @param {Object} params - { to, body, from, config, callbackUrl }
+ * @param {string} params.config.api_url - Gateway endpoint
+ * @param {string} params.config.api_key - Gateway API key
+ * @returns {Object} { providerMessageId, status, cost, currency }
+ */
+const send = async ({ to, body, from, config, callbackUrl }) => {
+  if (!config.api_url || !config.api_key) {
+    throw new Error('HTTP gateway api_url and api_key are required');
+  }
+
+  const response = await axios.post(config.api_url, {
+    api_key: config.api_key,
+    phone: to,
+    message: body,
+    ...(from ? { sender_id: from } : {}),
+    ...(callbackUrl ? { callback_url: callbackUrl } : {})
+  });
+
+  const data = response.data || {};
+  if (data.success === false) {
+    throw new Error(data.error || data.message || 'Gateway rejected the message');
+  }
+
+  return {
+    providerMessageId: data.message_id || data.messageId || data.id || null,
+    status: normalizeStatus(data.status) || 'sent',
+    cost: data.cost !== undefined && data.cost !== null ? parseFloat(data.cost) : null,
+    currency: data.currency || null
+  };
+};
+
+/**
+ * Parse a gateway delivery receipt
+ * Expected body: { message_id, status, cost, currency, error }
+ * @param {Object} req - Express request
+ * @returns {Object} { providerMessageId, status, cost, currency, errorMessage }
+ */
+const parseDeliveryReceipt = (req) => {
+  const data = { ...(req.query || {}), ...(req.body || {}) };
+  return {
+    providerMessageId: data.message_id || data.messageId || data.id,
+    status: normalizeStatus(data.status),
+    cost: data.cost !== undefined && data.cost !== null ? parseFloat(data.cost) : null,
+    currency: data.currency || null,
+    errorMessage: data.error || data.error_message || null
+  };
+};
+
+/**
+ * Verify the shared secret sent by the gateway
+ * Receipts are refused when no webhook_secret is configured
+ * @param {Object} req - Express request
+ * @param {Object} config - Provider config with webhook_secret
+ * @returns {boolean} True if the secret matches
+ */
+const verifyDeliveryReceipt = (req, config) => {
+  const secret = req.get('X-Webhook-Secret') || (req.query && req.query.secret);
+  return secretMatches(secret, config.webhook_secret);
+};
+
+module.exports = {
+  name: 'http',
+  send,
+  parseDeliveryReceipt,
+  verifyDeliveryReceipt
+};
@@ -0,0 +1,26 @@
+/**
+ * SMS Provider Registry
+ * Every adapter exposes: name, send(), parseDeliveryReceipt(), verifyDeliveryReceipt()
+ */
+
+const twilioProvider = require('./twilioProvider');
+const httpGatewayProvider = require('./httpGatewayProvider');
+const outboxProvider = require('./outboxProvider');
+
+const providers = {
+  [twilioProvider.name]: twilioProvider,
+  [httpGatewayProvider.name]: httpGatewayProvider,
+  [outboxProvider.name]: outboxProvider
+};
+
+/**
+ * Get an SMS provider adapter by name
+ * @param {string} name - twilio | http | outbox
+ * @returns {Object|null} Provider adapter
+ */
+const getProvider = (name) => providers[name] || null;
+
+module.exports = {
+  PROVIDER_NAMES: Object.keys(providers),
+  getProvider
+};
@@ -0,0 +1,78 @@
+/**
+ * Outbox SMS Provider
+ * Writes each message to a local JSON file instead of sending it (for testing and development)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const secretMatches = require('./secretMatch');
+
+const getOutboxDir = (config) => config.directory ||
+  process.env.SMS_OUTBOX_DIR ||
+  path.join(__dirname, '../../uploads/sms-outbox');
+
+/**
+ * "Send" an SMS by writing it to the outbox directory
+ * Messages are reported as delivered immediately
+ * @param {Object} params - { to, body, from, config }
+ * @returns {Object} { providerMessageId, status, cost, currency }
+ */
+const send = async ({ to, body, from, config }) => {
+  const outboxDir = getOutboxDir(config);
+  if (!fs.existsSync(outboxDir)) {
+    fs.mkdirSync(outboxDir, { recursive: true });
+  }
+
+  const providerMessageId = `outbox-${crypto.randomUUID()}`;
+  const filePath = path.join(outboxDir, `${Date.now()}-${providerMessageId}.json`);
+
+  fs.writeFileSync(filePath, JSON.stringify({
+    id: providerMessageId,
+    to,
+    from: from || null,
+    body,
+    created_at: new Date().toISOString()
+  }, null, 2));
+
+  console.log(`📱 SMS written to outbox: ${filePath}`);
+
+  return {
+    providerMessageId,
+    status: 'delivered',
+    cost: 0,
+    currency: null
+  };
+};
+
+/**
+ * Parse a simulated delivery receipt: { message_id, status, error }
+ * @param {Object} req - Express request
+ * @returns {Object} { providerMessageId, status, cost, currency, errorMessage }
+ */
+const parseDeliveryReceipt = (req) => {
+  const data = req.body || {};
+  return {
+    providerMessageId: data.message_id,
+    status: ['queued', 'sent', 'delivered', 'undelivered', 'failed'].includes(data.status) ? data.status : null,
+    cost: null,
+    currency: null,
+    errorMessage: data.error || null
+  };
+};
+
+/**
+ * Simulated receipts must carry the webhook secret in X-Webhook-Secret like gateway
+ * receipts, so the outbox endpoint cannot be used to rewrite real message statuses
+ * @param {Object} req - Express request
+ * @param {Object} config - Provider config with webhook_secret
+ * @returns {boolean} True if the secret matches
+ */
+const verifyDeliveryReceipt = (req, config) => secretMatches(req.get('X-Webhook-Secret'), config.webhook_secret);
+
+module.exports = {
+  name: 'outbox',
+  send,
+  parseDeliveryReceipt,
+  verifyDeliveryReceipt
+};
@@ -0,0 +1,22 @@
+/**
+ * Constant-time comparison of webhook secrets and signatures
+ * Both values are hashed first so inputs of any length (or multibyte characters)
+ * compare in constant time instead of making timingSafeEqual throw
+ */
+
+const crypto = require('crypto');
+
+const digest = (value) => crypto.createHash('sha256').update(String(value)).digest();
+
+/**
+ * Check a value received from a provider against the expected one
+ * @param {string} received - Secret or signature sent with the request
+ * @param {string} expected - Configured secret or computed signature
+ * @returns {boolean} True if both are non-empty and equal
+ */
+const secretMatches = (received, expected) => {
+  if (!received || !expected) return false;
+  return crypto.timingSafeEqual(digest(received), digest(expected));
+};
+
+module.exports = secretMatches;
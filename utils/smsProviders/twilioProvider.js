@@ -0,0 +1,103 @@
+/**
+ * Twilio SMS Provider
+ * Sends through the Twilio Messages REST API and parses Twilio status callbacks
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const secretMatches = require('./secretMatch');
+
+// Twilio MessageStatus -> SmsMessage.status
+const STATUS_MAP = {
+  accepted: 'queued',
+  scheduled: 'queued',
+  queued: 'queued',
+  sending: 'queued',
+  sent: 'sent',
+  delivered: 'delivered',
+  undelivered: 'undelivered',
+  failed: 'failed',
+  canceled: 'failed'
+};
+
+/**
+ * Send an SMS through Twilio
+ * @param {Object} params - { to, body, from, config, callbackUrl }
+ * @param {string} params.config.account_sid - Twilio account SID
+ * @param {string} params.config.auth_token - Twilio auth token
+ * @returns {Object} { providerMessageId, status, cost, currency }
+ */
+const send = async ({ to, body, from, config, callbackUrl }) => {
+  if (!config.account_sid || !config.auth_token) {
+    throw new Error('Twilio account_sid and auth_token are required');
+  }
+  if (!from) {
+    throw new Error('Twilio sender number is required');
+  }
+
+  const form = new URLSearchParams({ To: to, From: from, Body: body });
+  if (callbackUrl) {
+    form.append('StatusCallback', callbackUrl);
+  }
+
+  const response = await axios.post(
+    `https://api.twilio.com/2010-04-01/Accounts/${config.account_sid}/Messages.json`,
+    form.toString(),
+    {
+      auth: { username: config.account_sid, password: config.auth_token },
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+    }
+  );
+
+  const data = response.data || {};
+  return {
+    providerMessageId: data.sid,
+    status: STATUS_MAP[data.status] || 'queued',
+    // Twilio reports price as a negative string once known
+    cost: data.price ? Math.abs(parseFloat(data.price)) : null,
+    currency: data.price_unit || null
+  };
+};
+
+/**
+ * Parse a Twilio status callback
+ * @param {Object} req - Express request
+ * @returns {Object} { providerMessageId, status, cost, currency, errorMessage }
+ */
+const parseDeliveryReceipt = (req) => {
+  const data = req.body || {};
+  return {
+    providerMessageId: data.MessageSid || data.SmsSid,
+    status: STATUS_MAP[data.MessageStatus || data.SmsStatus] || null,
+    cost: data.Price ? Math.abs(parseFloat(data.Price)) : null,
+    currency: data.PriceUnit || null,
+    errorMessage: data.ErrorCode ? `Twilio error ${data.ErrorCode}${data.ErrorMessage ? `: ${data.ErrorMessage}` : ''}` : null
+  };
+};
+
+/**
+ * Verify the X-Twilio-Signature header of a status callback
+ * @param {Object} req - Express request
+ * @param {Object} config - Provider config with auth_token
+ * @param {string} url - Full URL Twilio posted to
+ * @returns {boolean} True if the signature is valid
+ */
+const verifyDeliveryReceipt = (req, config, url) => {
+  const signature = req.get('X-Twilio-Signature');
+  if (!signature || !config.auth_token) return false;
+
+  const params = req.body || {};
+  const payload = Object.keys(params)
+    .sort()
+    .reduce((acc, key) => acc + key + params[key], url);
+
+  const expected = crypto.createHmac('sha1', config.auth_token).update(payload).digest('base64');
+  return secretMatches(signature, expected);
+};
+
+module.exports = {
+  name: 'twilio',
+  send,
+  parseDeliveryReceipt,
+  verifyDeliveryReceipt
+};
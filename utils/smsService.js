@@ -1,63 +1,357 @@
 require('dotenv').config();
 
-// Note: Install axios if you plan to use SMS service
-// npm install axios
-let axios = null;
-try {
-  axios = require('axios');
-} catch (e) {
-  // axios not installed, will use console logging
-}
-
-const sendSMS = async (phoneNumber, message) => {
+const { Op } = require('sequelize');
+const { SmsSetting, SmsMessage, Notification } = require('../models');
+const { getProvider } = require('./smsProviders');
+const { renderMessage } = require('./messageTemplates');
+
+// Failed sends are retried by the scheduler after RETRY_BASE_SECONDS, doubling each time
+const RETRY_BASE_SECONDS = parseInt(process.env.SMS_RETRY_BASE_SECONDS || '60');
+const MAX_RETRY_DELAY_SECONDS = 60 * 60;
+
+// Later statuses never get overwritten by late or out-of-order receipts.
+// Delivered is final: a handset has the message, so a later failure report cannot undo it
+const STATUS_RANK = {
+  queued: 0,
+  sent: 1,
+  undelivered: 2,
+  failed: 2,
+  delivered: 3
+};
+
+/**
+ * Resolve the SMS provider for an ISP
+ * Uses the ISP's SmsSetting, falling back to environment variables
+ * @param {number} ispId - ISP ID (optional)
+ * @returns {Object|null} { provider, from, config, costPerMessage, maxRetries } or null if not configured
+ */
+const getSmsConfig = async (ispId) => {
+  if (ispId) {
+    const setting = await SmsSetting.findOne({ where: { isp_id: ispId } });
+    if (setting && setting.is_enabled) {
+      return {
+        provider: setting.provider,
+        from: setting.sender_id,
+        config: { ...(setting.config_json || {}), webhook_secret: setting.webhook_secret },
+        costPerMessage: setting.cost_per_message !== null ? parseFloat(setting.cost_per_message) : null,
+        maxRetries: setting.max_retries
+      };
+    }
+  }
+
+  let provider = process.env.SMS_PROVIDER;
+  if (!provider && process.env.SMS_API_KEY && process.env.SMS_API_URL) {
+    provider = 'http';
+  }
+  if (!provider || !getProvider(provider)) {
+    return null;
+  }
+
+  return {
+    provider,
+    from: provider === 'twilio' ? process.env.TWILIO_FROM_NUMBER : process.env.SMS_SENDER_ID,
+    config: {
+      account_sid: process.env.TWILIO_ACCOUNT_SID,
+      auth_token: process.env.TWILIO_AUTH_TOKEN,
+      api_url: process.env.SMS_API_URL,
+      api_key: process.env.SMS_API_KEY,
+      webhook_secret: process.env.SMS_WEBHOOK_SECRET
+    },
+    costPerMessage: null,
+    maxRetries: parseInt(process.env.SMS_MAX_RETRIES || '2')
+  };
+};
+
+/**
+ * Reflect the SMS outcome on the linked notification
+ * @param {Object} smsMessage - SmsMessage instance
+ */
+const syncNotification = async (smsMessage) => {
+  if (!smsMessage.notification_id) return;
+
+  const notification = await Notification.findByPk(smsMessage.notification_id);
+  if (!notification) return;
+
+  if (smsMessage.status === 'delivered') {
+    notification.sms_sent = true;
+    notification.sms_sent_at = smsMessage.delivered_at || new Date();
+  } else if (['failed', 'undelivered'].includes(smsMessage.status)) {
+    notification.sms_sent = false;
+    notification.sms_sent_at = null;
+  } else {
+    return;
+  }
+  await notification.save();
+};
+
+/**
+ * Delay before the next retry of a failed send: base * 2^retries, capped at an hour
+ * @param {number} retries - Retries already made
+ * @returns {number} Seconds
+ */
+const getRetryDelaySeconds = (retries) => Math.min(RETRY_BASE_SECONDS * Math.pow(2, retries), MAX_RETRY_DELAY_SECONDS);
+
+/**
+ * Hand a stored message to its provider once and record the outcome
+ * A failed attempt is queued for a later retry until the ISP's max_retries is used up
+ * @param {Object} smsMessage - SmsMessage instance
+ * @param {Object} smsConfig - From getSmsConfig
+ * @returns {Object} { result, error, retryAt }
+ */
+const attemptDelivery = async (smsMessage, smsConfig) => {
+  const provider = getProvider(smsConfig.provider);
+  const callbackUrl = process.env.SMS_CALLBACK_BASE_URL
+    ? `${process.env.SMS_CALLBACK_BASE_URL}/api/sms/delivery/${provider.name}${smsMessage.isp_id ? `/${smsMessage.isp_id}` : ''}`
+    : null;
+
+  let result;
+  try {
+    result = await provider.send({
+      to: smsMessage.to,
+      body: smsMessage.body,
+      from: smsConfig.from,
+      config: smsConfig.config,
+      callbackUrl
+    });
+  } catch (error) {
+    const retries = smsMessage.retry_count || 0;
+    console.error(`❌ SMS ${smsMessage.id} via ${provider.name} failed (retry ${retries}/${smsConfig.maxRetries}):`, error.message);
+
+    const retryAt = retries < smsConfig.maxRetries
+      ? new Date(Date.now() + getRetryDelaySeconds(retries) * 1000)
+      : null;
+    await smsMessage.update({
+      status: retryAt ? 'queued' : 'failed',
+      next_retry_at: retryAt,
+      error_message: error.message
+    });
+    if (!retryAt) {
+      await syncNotification(smsMessage);
+    }
+    return { result: null, error, retryAt };
+  }
+
+  await smsMessage.update({
+    provider_message_id: result.providerMessageId,
+    status: result.status,
+    cost: result.cost !== null && result.cost !== undefined ? result.cost : smsConfig.costPerMessage,
+    currency: result.currency,
+    error_message: null,
+    next_retry_at: null,
+    sent_at: new Date(),
+    delivered_at: result.status === 'delivered' ? new Date() : null
+  });
+  await syncNotification(smsMessage);
+
+  return { result, error: null, retryAt: null };
+};
+
+/**
+ * Send an SMS through the ISP's provider and persist it as an SmsMessage
+ * Sends that fail are retried later by retryQueuedSms rather than straight away
+ * @param {string} phoneNumber - Recipient phone number
+ * @param {string} message - Message body
+ * @param {Object} options - { ispId, customerId, notificationId }
+ * @returns {Object} { success, configured, status, provider, messageId, error, retryAt }
+ */
+const sendSMS = async (phoneNumber, message, options = {}) => {
+  const { ispId = null, customerId = null, notificationId = null } = options;
+  let smsMessage = null;
+
   try {
-    // This is a generic SMS service implementation
-    // You'll need to integrate with your SMS provider's API (JazzCash, Twilio, etc.)
-    
-    if (!process.env.SMS_API_KEY || !process.env.SMS_API_URL) {
+    const smsConfig = await getSmsConfig(ispId);
+
+    smsMessage = await SmsMessage.create({
+      to: phoneNumber,
+      body: message,
+      provider: smsConfig ? smsConfig.provider : 'none',
+      status: smsConfig ? 'queued' : 'failed',
+      error_message: smsConfig ? null : 'SMS provider not configured',
+      notification_id: notificationId,
+      customer_id: customerId,
+      isp_id: ispId
+    });
+
+    if (!smsConfig) {
       console.log('📱 SMS service not configured. SMS would be sent to:', phoneNumber);
       console.log('📱 Message:', message.substring(0, 100) + (message.length > 100 ? '...' : ''));
-      return { 
-        success: true, 
+      return {
+        success: false,
         message: 'SMS service not configured (logged to console)',
-        configured: false
+        configured: false,
+        messageId: smsMessage.id
       };
     }
 
-    if (!axios) {
-      console.log('📱 Axios not installed. SMS would be sent to:', phoneNumber);
-      console.log('📱 Message:', message.substring(0, 100) + (message.length > 100 ? '...' : ''));
-      return { 
-        success: true, 
-        message: 'Axios not installed (logged to console)',
-        configured: false
+    const { result, error, retryAt } = await attemptDelivery(smsMessage, smsConfig);
+
+    if (!result) {
+      return {
+        success: false,
+        error: error.message,
+        configured: true,
+        provider: smsConfig.provider,
+        messageId: smsMessage.id,
+        retryAt
       };
     }
 
-    // Example SMS API integration (adjust based on your provider)
-    const response = await axios.post(process.env.SMS_API_URL, {
-      api_key: process.env.SMS_API_KEY,
-      phone: phoneNumber,
-      message: message
-    });
-
-    console.log('✅ SMS sent successfully');
-    return { success: true, data: response.data, configured: true };
+    console.log(`✅ SMS accepted by ${smsConfig.provider} (${result.status})`);
+    return {
+      success: true,
+      configured: true,
+      status: result.status,
+      provider: smsConfig.provider,
+      providerMessageId: result.providerMessageId,
+      messageId: smsMessage.id
+    };
   } catch (error) {
     console.error('❌ Error sending SMS:', error.message);
-    return { 
-      success: false, 
+    return {
+      success: false,
       error: error.message,
-      configured: true
+      configured: true,
+      messageId: smsMessage ? smsMessage.id : null
     };
   }
 };
 
+/**
+ * Retry queued messages whose retry time has come (run every minute by the scheduler)
+ * Each message is claimed by clearing next_retry_at so two instances never send it twice
+ * @param {Object} options - { limit } maximum messages per pass (default: 50)
+ * @returns {Object} { retried, sent, failed }
+ */
+const retryQueuedSms = async ({ limit = 50 } = {}) => {
+  const due = await SmsMessage.findAll({
+    where: {
+      status: 'queued',
+      next_retry_at: { [Op.lte]: new Date() }
+    },
+    order: [['next_retry_at', 'ASC']],
+    limit
+  });
+
+  const summary = { retried: 0, sent: 0, failed: 0 };
+  for (const smsMessage of due) {
+    const [claimed] = await SmsMessage.update(
+      { next_retry_at: null, retry_count: (smsMessage.retry_count || 0) + 1 },
+      { where: { id: smsMessage.id, status: 'queued', next_retry_at: smsMessage.next_retry_at } }
+    );
+    if (!claimed) continue;
+    await smsMessage.reload();
+
+    summary.retried++;
+    try {
+      const smsConfig = await getSmsConfig(smsMessage.isp_id);
+      if (!smsConfig || smsConfig.provider !== smsMessage.provider) {
+        await smsMessage.update({ status: 'failed', error_message: 'SMS provider is no longer configured' });
+        await syncNotification(smsMessage);
+        summary.failed++;
+        continue;
+      }
+
+      const { result, retryAt } = await attemptDelivery(smsMessage, smsConfig);
+      if (result) {
+        summary.sent++;
+      } else if (!retryAt) {
+        summary.failed++;
+      }
+    } catch (error) {
+      console.error(`❌ Error retrying SMS ${smsMessage.id}:`, error.message);
+    }
+  }
+
+  if (summary.retried > 0) {
+    console.log(`📱 Retried ${summary.retried} SMS message(s): ${summary.sent} sent, ${summary.failed} failed`);
+  }
+  return summary;
+};
+
+/**
+ * Check a delivery receipt's signature against the secret of the ISP it was sent for
+ * Done before any message lookup so unsigned requests learn nothing about which messages exist
+ * @param {string} providerName - twilio | http | outbox
+ * @param {number|null} ispId - ISP from the callback URL (null for platform-level settings)
+ * @param {Object} req - Express request from the provider webhook
+ */
+const verifyDeliveryReceipt = async (providerName, ispId, req) => {
+  const provider = getProvider(providerName);
+  if (!provider) {
+    const error = new Error(`Unknown SMS provider: ${providerName}`);
+    error.status = 404;
+    throw error;
+  }
+
+  const smsConfig = await getSmsConfig(ispId);
+  const webhookUrl = `${process.env.SMS_CALLBACK_BASE_URL || `${req.protocol}://${req.get('host')}`}${req.originalUrl}`;
+  if (!smsConfig || smsConfig.provider !== provider.name ||
+    !provider.verifyDeliveryReceipt(req, smsConfig.config, webhookUrl)) {
+    const error = new Error('Invalid delivery receipt signature');
+    error.status = 403;
+    throw error;
+  }
+};
+
+/**
+ * Apply a verified provider delivery receipt to the stored SMS message
+ * @param {string} providerName - twilio | http | outbox
+ * @param {number|null} ispId - ISP the receipt was verified for
+ * @param {Object} req - Express request from the provider webhook
+ * @returns {Object} Updated SmsMessage
+ */
+const handleDeliveryReceipt = async (providerName, ispId, req) => {
+  const provider = getProvider(providerName);
+
+  const receipt = provider.parseDeliveryReceipt(req);
+  if (!receipt.providerMessageId || !receipt.status) {
+    const error = new Error('Delivery receipt is missing message ID or status');
+    error.status = 400;
+    throw error;
+  }
+
+  const smsMessage = await SmsMessage.findOne({
+    where: {
+      provider: provider.name,
+      provider_message_id: receipt.providerMessageId,
+      isp_id: ispId
+    }
+  });
+  if (!smsMessage) {
+    const error = new Error('SMS message not found');
+    error.status = 404;
+    throw error;
+  }
+
+  if (STATUS_RANK[receipt.status] < STATUS_RANK[smsMessage.status]) {
+    return smsMessage;
+  }
+
+  const updates = { status: receipt.status };
+  if (receipt.cost !== null && receipt.cost !== undefined) {
+    updates.cost = receipt.cost;
+    if (receipt.currency) updates.currency = receipt.currency;
+  }
+  if (receipt.status === 'delivered' && !smsMessage.delivered_at) {
+    updates.delivered_at = new Date();
+  }
+  if (receipt.errorMessage) {
+    updates.error_message = receipt.errorMessage;
+  }
+
+  await smsMessage.update(updates);
+  await syncNotification(smsMessage);
+
+  return smsMessage;
+};
+
 const sendBillSMS = async (customer, bill) => {
-  const message = `Dear ${customer.name}, your bill ${bill.bill_number} of PKR ${bill.amount} is due on ${new Date(bill.due_date).toLocaleDateString()}. Please pay to avoid service interruption.`;
-  
   if (customer.phone) {
-    return await sendSMS(customer.phone, message);
+    const { text: message } = await renderMessage('bill_generated', 'sms', { customer, bill });
+    return await sendSMS(customer.phone, message, {
+      ispId: customer.isp_id || bill.isp_id,
+      customerId: customer.id
+    });
   }
   return { success: false, error: 'Customer phone not found' };
 };
@@ -65,3 +359,7 @@ const sendBillSMS = async (customer, bill) => {
 module.exports = sendSMS;
 module.exports.sendSMS = sendSMS;
 module.exports.sendBillSMS = sendBillSMS;
+module.exports.getSmsConfig = getSmsConfig;
+module.exports.retryQueuedSms = retryQueuedSms;
+module.exports.verifyDeliveryReceipt = verifyDeliveryReceipt;
+module.exports.handleDeliveryReceipt = handleDeliveryReceipt;
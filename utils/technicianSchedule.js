@@ -0,0 +1,415 @@
+/**
+ * Technician Scheduling Utility
+ * Working hours, installation time slots, double-booking checks, earliest free slot
+ * suggestions and per-technician calendars (JSON or iCalendar)
+ */
+
+const { WorkingHours, Installation, Customer, User } = require('../models');
+const { Op } = require('sequelize');
+const moment = require('moment');
+
+// Default length of an installation slot when none is given
+const SLOT_MINUTES = parseInt(process.env.INSTALLATION_SLOT_MINUTES || 120);
+// Longest slot that can be booked
+const MAX_SLOT_MINUTES = 12 * 60;
+// Suggested slots start on these boundaries
+const SLOT_STEP_MINUTES = 30;
+
+// Working hours for technicians without their own: Monday to Saturday, 09:00-18:00
+const DEFAULT_WORKING_HOURS = [1, 2, 3, 4, 5, 6].map(day => ({
+  day_of_week: day,
+  start_time: '09:00',
+  end_time: '18:00'
+}));
+
+// Installations in these states hold their time slot
+const BOOKED_STATUSES = ['pending', 'scheduled', 'in_progress'];
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const scheduleError = (message, status = 400, conflicts = null) => {
+  const error = new Error(message);
+  error.status = status;
+  if (conflicts) error.conflicts = conflicts;
+  return error;
+};
+
+const isTime = (value) => /^([01]\d|2[0-3]):[0-5]\d$/.test(String(value));
+
+/**
+ * Validate a weekly working hours list (days left out are days off)
+ * @param {Array} hours - [{ day_of_week, start_time, end_time }]
+ * @returns {Array} Hours sorted by day
+ */
+const normalizeWorkingHours = (hours) => {
+  if (!Array.isArray(hours)) {
+    throw scheduleError('Working hours must be a list');
+  }
+
+  const normalized = hours.map(entry => ({
+    day_of_week: parseInt(entry.day_of_week),
+    start_time: entry.start_time,
+    end_time: entry.end_time
+  }));
+
+  normalized.forEach((entry) => {
+    if (!Number.isInteger(entry.day_of_week) || entry.day_of_week < 0 || entry.day_of_week > 6) {
+      throw scheduleError('Day of week must be between 0 (Sunday) and 6 (Saturday)');
+    }
+    if (!isTime(entry.start_time) || !isTime(entry.end_time)) {
+      throw scheduleError('Working hours must be in HH:mm format');
+    }
+    if (entry.end_time <= entry.start_time) {
+      throw scheduleError(`${DAY_NAMES[entry.day_of_week]} end time must be after start time`);
+    }
+  });
+
+  if (new Set(normalized.map(entry => entry.day_of_week)).size !== normalized.length) {
+    throw scheduleError('Each day can only appear once');
+  }
+
+  return normalized.sort((a, b) => a.day_of_week - b.day_of_week);
+};
+
+/**
+ * Weekly working hours of a technician (defaults if none configured)
+ * @param {number} technicianId - Technician user ID
+ * @returns {Object} { hours, is_default }
+ */
+const getWorkingHours = async (technicianId) => {
+  const rows = await WorkingHours.findAll({
+    where: { technician_id: technicianId },
+    order: [['day_of_week', 'ASC']]
+  });
+
+  if (rows.length === 0) {
+    return { hours: DEFAULT_WORKING_HOURS, is_default: true };
+  }
+
+  return {
+    hours: rows.map(row => ({
+      day_of_week: row.day_of_week,
+      start_time: row.start_time,
+      end_time: row.end_time
+    })),
+    is_default: false
+  };
+};
+
+/**
+ * Replace a technician's weekly working hours
+ * @param {Object} technician - Technician user
+ * @param {Array} hours - [{ day_of_week, start_time, end_time }] (empty = back to defaults)
+ * @returns {Object} { hours, is_default }
+ */
+const setWorkingHours = async (technician, hours) => {
+  const normalized = normalizeWorkingHours(hours);
+
+  await WorkingHours.destroy({ where: { technician_id: technician.id } });
+  if (normalized.length > 0) {
+    await WorkingHours.bulkCreate(normalized.map(entry => ({
+      ...entry,
+      technician_id: technician.id,
+      isp_id: technician.isp_id
+    })));
+  }
+
+  return await getWorkingHours(technician.id);
+};
+
+/**
+ * Working window for a given day
+ * @param {Array} hours - Weekly working hours
+ * @param {moment} day - Any time on the day
+ * @returns {Object|null} { start, end } moments, or null on a day off
+ */
+const getWorkingWindow = (hours, day) => {
+  const entry = hours.find(hour => hour.day_of_week === day.day());
+  if (!entry) return null;
+
+  const date = day.format('YYYY-MM-DD');
+  return {
+    start: moment(`${date} ${entry.start_time}`, 'YYYY-MM-DD HH:mm'),
+    end: moment(`${date} ${entry.end_time}`, 'YYYY-MM-DD HH:mm')
+  };
+};
+
+/**
+ * Slot end for an installation (older bookings without an end use the default length)
+ * @param {Object} installation - Installation
+ * @returns {Date} Slot end
+ */
+const getSlotEnd = (installation) => (installation.scheduled_end
+  ? new Date(installation.scheduled_end)
+  : moment(installation.scheduled_date).add(SLOT_MINUTES, 'minutes').toDate());
+
+/**
+ * Bookings of technicians overlapping a time range
+ * @param {Array|number} technicianIds - Technician user ID(s)
+ * @param {Date} start - Range start
+ * @param {Date} end - Range end
+ * @param {number} excludeInstallationId - Installation being rescheduled
+ * @returns {Array} Installations with slot_start and slot_end
+ */
+const getBookings = async (technicianIds, start, end, excludeInstallationId = null) => {
+  const whereClause = {
+    technical_officer_id: { [Op.in]: [].concat(technicianIds) },
+    status: { [Op.in]: BOOKED_STATUSES },
+    scheduled_date: {
+      [Op.lt]: end,
+      [Op.gte]: moment(start).subtract(MAX_SLOT_MINUTES, 'minutes').toDate()
+    }
+  };
+  if (excludeInstallationId) whereClause.id = { [Op.ne]: excludeInstallationId };
+
+  const installations = await Installation.findAll({
+    where: whereClause,
+    include: [
+      {
+        model: Customer,
+        as: 'customer',
+        attributes: ['id', 'name', 'phone']
+      }
+    ],
+    order: [['scheduled_date', 'ASC']]
+  });
+
+  return installations
+    .map(installation => ({
+      installation,
+      slot_start: new Date(installation.scheduled_date),
+      slot_end: getSlotEnd(installation)
+    }))
+    .filter(booking => booking.slot_end > new Date(start));
+};
+
+/**
+ * Check that a technician can take a slot: inside working hours and not double-booked
+ * @param {Object} params - { technicianId, start, end, excludeInstallationId }
+ * Throws 400 outside working hours and 409 with the conflicting installations on overlap
+ */
+const checkSlot = async ({ technicianId, start, end, excludeInstallationId = null }) => {
+  const slotStart = moment(start);
+  const slotEnd = moment(end);
+
+  if (!slotStart.isValid() || !slotEnd.isValid() || !slotEnd.isAfter(slotStart)) {
+    throw scheduleError('Slot end must be after slot start');
+  }
+  if (slotEnd.diff(slotStart, 'minutes') > MAX_SLOT_MINUTES) {
+    throw scheduleError(`A slot cannot be longer than ${MAX_SLOT_MINUTES / 60} hours`);
+  }
+
+  const { hours } = await getWorkingHours(technicianId);
+  const window = getWorkingWindow(hours, slotStart);
+  if (!window) {
+    throw scheduleError(`Technician does not work on ${DAY_NAMES[slotStart.day()]}`);
+  }
+  if (slotStart.isBefore(window.start) || slotEnd.isAfter(window.end)) {
+    throw scheduleError(
+      `Slot is outside the technician's working hours (${DAY_NAMES[slotStart.day()]} ${window.start.format('HH:mm')}-${window.end.format('HH:mm')})`
+    );
+  }
+
+  const conflicts = await getBookings(technicianId, slotStart.toDate(), slotEnd.toDate(), excludeInstallationId);
+  if (conflicts.length > 0) {
+    throw scheduleError('Technician is already booked for this time', 409, conflicts.map(conflict => ({
+      installation_id: conflict.installation.id,
+      customer: conflict.installation.customer ? conflict.installation.customer.name : null,
+      start: conflict.slot_start,
+      end: conflict.slot_end
+    })));
+  }
+};
+
+/**
+ * Earliest free slots across technicians
+ * @param {Object} params - { ispId, technicianId, durationMinutes, from, days, limit }
+ * @returns {Array} [{ technician, start, end }] sorted by start
+ */
+const findFreeSlots = async ({
+  ispId,
+  technicianId = null,
+  durationMinutes = SLOT_MINUTES,
+  from = new Date(),
+  days = 14,
+  limit = 3
+}) => {
+  const technicianWhere = { role: 'technical_officer', is_active: true };
+  if (ispId) technicianWhere.isp_id = ispId;
+  if (technicianId) technicianWhere.id = technicianId;
+
+  const technicians = await User.findAll({
+    where: technicianWhere,
+    attributes: ['id', 'name', 'email']
+  });
+  if (technicians.length === 0) {
+    return [];
+  }
+
+  // Round the search start up to the next slot boundary
+  const searchStart = moment(from).seconds(0).milliseconds(0);
+  const remainder = searchStart.minutes() % SLOT_STEP_MINUTES;
+  if (remainder > 0) searchStart.add(SLOT_STEP_MINUTES - remainder, 'minutes');
+  const searchEnd = searchStart.clone().add(days, 'days').endOf('day');
+
+  const bookings = await getBookings(technicians.map(technician => technician.id), searchStart.toDate(), searchEnd.toDate());
+
+  const slots = [];
+  for (const technician of technicians) {
+    const { hours } = await getWorkingHours(technician.id);
+    const busy = bookings.filter(booking => booking.installation.technical_officer_id === technician.id);
+    const found = [];
+
+    for (const day = searchStart.clone().startOf('day'); day.isSameOrBefore(searchEnd) && found.length < limit; day.add(1, 'day')) {
+      const window = getWorkingWindow(hours, day);
+      if (!window) continue;
+
+      let cursor = moment.max(window.start, searchStart).clone();
+      while (found.length < limit) {
+        const slotEnd = cursor.clone().add(durationMinutes, 'minutes');
+        if (slotEnd.isAfter(window.end)) break;
+
+        const overlap = busy.find(booking => booking.slot_start < slotEnd.toDate() && booking.slot_end > cursor.toDate());
+        if (!overlap) {
+          found.push({ technician, start: cursor.toDate(), end: slotEnd.toDate() });
+          cursor.add(durationMinutes, 'minutes');
+          continue;
+        }
+
+        // Jump past the booking, back onto a slot boundary
+        cursor = moment(overlap.slot_end);
+        if (cursor.seconds() > 0 || cursor.milliseconds() > 0) cursor.seconds(0).milliseconds(0).add(1, 'minute');
+        const over = cursor.minutes() % SLOT_STEP_MINUTES;
+        if (over > 0) cursor.add(SLOT_STEP_MINUTES - over, 'minutes');
+      }
+    }
+
+    slots.push(...found);
+  }
+
+  return slots
+    .sort((a, b) => a.start - b.start)
+    .slice(0, limit);
+};
+
+/**
+ * Technician calendar between two dates
+ * @param {Object} params - { technicianId, from, to }
+ * @returns {Array} Events sorted by start
+ */
+const getCalendar = async ({ technicianId, from, to }) => {
+  const installations = await Installation.findAll({
+    where: {
+      technical_officer_id: technicianId,
+      scheduled_date: { [Op.between]: [from, to] },
+      status: { [Op.ne]: 'cancelled' }
+    },
+    include: [
+      {
+        model: Customer,
+        as: 'customer',
+        attributes: ['id', 'name', 'phone', 'customer_id']
+      }
+    ],
+    order: [['scheduled_date', 'ASC']]
+  });
+
+  return installations.map(installation => ({
+    installation_id: installation.id,
+    status: installation.status,
+    start: new Date(installation.scheduled_date),
+    end: getSlotEnd(installation),
+    customer: installation.customer,
+    service_address: installation.service_address,
+    connection_type: installation.connection_type,
+    bandwidth: installation.bandwidth,
+    notes: installation.installation_notes
+  }));
+};
+
+const icsDate = (date) => moment(date).utc().format('YYYYMMDD[T]HHmmss[Z]');
+
+const icsText = (value) => String(value || '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Lines longer than 75 octets are folded onto continuation lines starting with a space
+const icsFold = (line) => {
+  const chunks = [];
+  let current = '';
+  for (const char of line) {
+    const limit = chunks.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(current + char) > limit) {
+      chunks.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  chunks.push(current);
+  return chunks.join('\r\n ');
+};
+
+/**
+ * Render calendar events as an iCalendar (RFC 5545) file
+ * @param {Array} events - From getCalendar
+ * @param {string} calendarName - Calendar display name
+ * @returns {string} .ics content
+ */
+const buildICalendar = (events, calendarName = 'Installations') => {
+  const statusMap = { pending: 'TENTATIVE', on_hold: 'TENTATIVE', cancelled: 'CANCELLED' };
+  const stamp = icsDate(new Date());
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Internet Billing//Technician Schedule//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${icsText(calendarName)}`
+  ];
+
+  events.forEach((event) => {
+    const customerName = event.customer ? event.customer.name : 'Customer';
+    const description = [
+      event.customer && event.customer.phone ? `Phone: ${event.customer.phone}` : null,
+      event.connection_type ? `Connection: ${event.connection_type}` : null,
+      event.bandwidth ? `Bandwidth: ${event.bandwidth}` : null,
+      `Status: ${event.status}`,
+      event.notes ? `Notes: ${event.notes}` : null
+    ].filter(Boolean).join('\n');
+
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:installation-${event.installation_id}@internet-billing`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART:${icsDate(event.start)}`,
+      `DTEND:${icsDate(event.end)}`,
+      `SUMMARY:${icsText(`Installation - ${customerName}`)}`,
+      `LOCATION:${icsText(event.service_address)}`,
+      `DESCRIPTION:${icsText(description)}`,
+      `STATUS:${statusMap[event.status] || 'CONFIRMED'}`,
+      'END:VEVENT'
+    );
+  });
+
+  lines.push('END:VCALENDAR');
+  return lines.map(icsFold).join('\r\n') + '\r\n';
+};
+
+module.exports = {
+  SLOT_MINUTES,
+  MAX_SLOT_MINUTES,
+  DEFAULT_WORKING_HOURS,
+  BOOKED_STATUSES,
+  normalizeWorkingHours,
+  getWorkingHours,
+  setWorkingHours,
+  getWorkingWindow,
+  getSlotEnd,
+  checkSlot,
+  findFreeSlots,
+  getCalendar,
+  buildICalendar
+};
@@ -0,0 +1,406 @@
+/**
+ * Two-Factor Authentication
+ * Time-based one-time codes (RFC 6238: HMAC-SHA1, 30-second steps, 6 digits) from an
+ * authenticator app, plus single-use backup codes. Secrets are stored encrypted and
+ * backup codes only as SHA-256 hashes. Signing in with 2FA takes two steps: the
+ * password check returns a short-lived challenge token, and the session is only
+ * opened once that token and a valid code are presented together.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const moment = require('moment');
+const { User, ISP, UserTwoFactor } = require('../models');
+const { sequelize } = require('../config/db');
+const createActivityLog = require('./activityLogger');
+
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'Internet Billing System';
+const CHALLENGE_EXPIRE = process.env.TWO_FACTOR_CHALLENGE_EXPIRE || '5m';
+const MAX_FAILED_ATTEMPTS = parseInt(process.env.TWO_FACTOR_MAX_ATTEMPTS, 10) || 5;
+const LOCK_MINUTES = parseInt(process.env.TWO_FACTOR_LOCK_MINUTES, 10) || 15;
+
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const DRIFT_STEPS = 1; // accept the previous and next code for clock drift
+const BACKUP_CODE_COUNT = 10;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const twoFactorError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = ((value << 8) | byte) & 0xffff;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+const base32Decode = (input) => {
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of String(input).toUpperCase().replace(/[\s=-]/g, '')) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw twoFactorError('Invalid two-factor secret', 500);
+    }
+    value = ((value << 5) | index) & 0xffff;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 0xff);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+// HOTP (RFC 4226) for one counter value
+const hotp = (key, counter) => {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac('sha1', key).update(message).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+// Secrets are encrypted with TWO_FACTOR_ENCRYPTION_KEY, or JWT_SECRET when it is not set
+const encryptionKey = () => crypto.createHash('sha256')
+  .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET || '')
+  .digest();
+
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map((part) => part.toString('base64')).join(':');
+};
+
+const decryptSecret = (payload) => {
+  const [iv, tag, encrypted] = String(payload).split(':').map((part) => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+// Backup codes are compared case-insensitively and without the dash
+const normalizeBackupCode = (code) => String(code).toLowerCase().replace(/[^a-z0-9]/g, '');
+const hashBackupCode = (code) => crypto.createHash('sha256').update(normalizeBackupCode(code)).digest('hex');
+
+const generateBackupCodes = () => Array.from({ length: BACKUP_CODE_COUNT }, () => {
+  const code = crypto.randomBytes(5).toString('hex');
+  return `${code.slice(0, 5)}-${code.slice(5)}`;
+});
+
+/**
+ * Check a 6-digit code against a secret
+ * @param {string} secret - Base32 TOTP secret
+ * @param {string} code - Code from the authenticator app
+ * @param {Object} options
+ * @param {number} [options.afterStep] - Only accept codes from later time steps (replay protection)
+ * @param {number} [options.time] - Unix time in milliseconds (defaults to now)
+ * @returns {number|null} Time step the code belongs to, or null if it is not valid
+ */
+const verifyTotp = (secret, code, { afterStep = null, time = Date.now() } = {}) => {
+  const candidate = String(code || '').replace(/\s/g, '');
+  if (!/^\d+$/.test(candidate) || candidate.length !== DIGITS) {
+    return null;
+  }
+
+  const key = base32Decode(secret);
+  const currentStep = Math.floor(time / 1000 / STEP_SECONDS);
+
+  for (let step = currentStep - DRIFT_STEPS; step <= currentStep + DRIFT_STEPS; step++) {
+    if (afterStep !== null && step <= afterStep) continue;
+    if (crypto.timingSafeEqual(Buffer.from(hotp(key, step)), Buffer.from(candidate))) {
+      return step;
+    }
+  }
+  return null;
+};
+
+/**
+ * Build the otpauth:// URI authenticator apps read from a QR code
+ * @param {Object} user - User instance
+ * @param {string} secret - Base32 TOTP secret
+ * @returns {string} otpauth URI
+ */
+const buildOtpauthUrl = (user, secret) => {
+  const label = encodeURIComponent(`${ISSUER}:${user.email}`);
+  const issuer = encodeURIComponent(ISSUER);
+  return `otpauth://totp/${label}?secret=${secret}&issuer=${issuer}&algorithm=SHA1&digits=${DIGITS}&period=${STEP_SECONDS}`;
+};
+
+/**
+ * Whether the user has to use 2FA: always for super admins, and for business admins
+ * when their ISP requires it
+ * @param {Object} user - User instance
+ * @returns {Promise<boolean>}
+ */
+const isTwoFactorRequired = async (user) => {
+  if (user.role === 'super_admin') {
+    return true;
+  }
+  if (user.role !== 'admin' || !user.isp_id) {
+    return false;
+  }
+
+  const isp = await ISP.findByPk(user.isp_id, { attributes: ['id', 'require_admin_two_factor'] });
+  return !!(isp && isp.require_admin_two_factor);
+};
+
+const assertNotLocked = (record) => {
+  if (record.locked_until && record.locked_until > new Date()) {
+    throw twoFactorError('Too many invalid codes. Please try again later.', 429);
+  }
+};
+
+const recordFailure = async (record, userId) => {
+  const failedAttempts = (record.failed_attempts || 0) + 1;
+  if (failedAttempts >= MAX_FAILED_ATTEMPTS) {
+    console.warn(`⚠️  Too many invalid two-factor codes for user ${userId}; locked for ${LOCK_MINUTES} minutes`);
+    await record.update({
+      failed_attempts: 0,
+      locked_until: moment().add(LOCK_MINUTES, 'minutes').toDate()
+    });
+    return;
+  }
+  await record.update({ failed_attempts: failedAttempts });
+};
+
+/**
+ * Sign a challenge token for the second login step
+ * @param {Object} user - User who passed the password check
+ * @param {string} purpose - 'verify' (enter a code) or 'setup' (enrol before the first login)
+ * @returns {string} Challenge token
+ */
+const createChallenge = (user, purpose) => jwt.sign(
+  { id: user.id, purpose: `two_factor_${purpose}` },
+  process.env.JWT_SECRET,
+  { expiresIn: CHALLENGE_EXPIRE }
+);
+
+/**
+ * Resolve a challenge token back to its user. Challenge tokens carry no session,
+ * so authMiddleware never accepts them as access tokens.
+ * @param {string} token - Challenge token from the first login step
+ * @param {string} purpose - 'verify' or 'setup'
+ * @returns {Promise<Object>} User
+ */
+const readChallenge = async (token, purpose) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    decoded = null;
+  }
+
+  if (!decoded || decoded.purpose !== `two_factor_${purpose}`) {
+    throw twoFactorError('Your sign-in has expired. Please log in again.', 401);
+  }
+
+  const user = await User.findByPk(decoded.id);
+  if (!user || !user.is_active) {
+    throw twoFactorError('Your sign-in has expired. Please log in again.', 401);
+  }
+  return user;
+};
+
+/**
+ * Start enrolment: generate a new secret that becomes active once a code from it is confirmed
+ * @param {Object} user - User instance
+ * @returns {Promise<Object>} { secret, otpauth_url }
+ */
+const beginEnrolment = async (user) => {
+  if (user.role === 'customer') {
+    throw twoFactorError('Two-factor authentication is only available for staff accounts');
+  }
+  if (user.two_factor_enabled) {
+    throw twoFactorError('Two-factor authentication is already enabled');
+  }
+
+  const secret = base32Encode(crypto.randomBytes(20));
+  const [record] = await UserTwoFactor.findOrCreate({ where: { user_id: user.id } });
+  await record.update({ pending_secret: encryptSecret(secret) });
+
+  return { secret, otpauth_url: buildOtpauthUrl(user, secret) };
+};
+
+/**
+ * Finish enrolment with a code from the new secret
+ * @param {Object} user - User instance
+ * @param {string} code - Code from the authenticator app
+ * @returns {Promise<Array<string>>} Backup codes, shown to the user once
+ */
+const confirmEnrolment = async (user, code) => {
+  if (user.two_factor_enabled) {
+    throw twoFactorError('Two-factor authentication is already enabled');
+  }
+
+  const record = await UserTwoFactor.findOne({ where: { user_id: user.id } });
+  if (!record || !record.pending_secret) {
+    throw twoFactorError('Start two-factor setup first');
+  }
+  assertNotLocked(record);
+
+  const step = verifyTotp(decryptSecret(record.pending_secret), code);
+  if (step === null) {
+    await recordFailure(record, user.id);
+    throw twoFactorError('Invalid verification code');
+  }
+
+  const backupCodes = generateBackupCodes();
+  await record.update({
+    secret: record.pending_secret,
+    pending_secret: null,
+    backup_code_hashes: backupCodes.map(hashBackupCode),
+    last_used_step: step,
+    failed_attempts: 0,
+    locked_until: null,
+    enabled_at: new Date()
+  });
+  await user.update({ two_factor_enabled: true });
+
+  console.log(`🔐 Two-factor authentication enabled for user ${user.id}`);
+  return backupCodes;
+};
+
+/**
+ * Check an authenticator code or a backup code. Each TOTP code and each backup
+ * code is accepted once. Backup code use is written to the activity log.
+ * @param {Object} user - User instance
+ * @param {Object} factor - { code } or { backupCode }
+ * @param {Object} options - { req, action } for the activity log entry
+ * @returns {Promise<Object>} { method, backup_codes_remaining }
+ */
+const verifySecondFactor = async (user, { code, backupCode } = {}, { req = null, action = 'signed in' } = {}) => {
+  const record = await UserTwoFactor.findOne({ where: { user_id: user.id } });
+  if (!user.two_factor_enabled || !record || !record.secret) {
+    throw twoFactorError('Two-factor authentication is not enabled');
+  }
+  assertNotLocked(record);
+
+  const hashes = record.backup_code_hashes || [];
+
+  if (backupCode) {
+    const hash = hashBackupCode(backupCode);
+
+    // Two requests racing with the same code: the row lock lets only one remove it
+    const remaining = await sequelize.transaction(async (transaction) => {
+      const locked = await UserTwoFactor.findByPk(record.id, { transaction, lock: transaction.LOCK.UPDATE });
+      const current = locked.backup_code_hashes || [];
+      if (!current.includes(hash)) return null;
+
+      const left = current.filter((stored) => stored !== hash);
+      await locked.update({ backup_code_hashes: left, failed_attempts: 0, locked_until: null }, { transaction });
+      return left;
+    });
+    if (!remaining) {
+      await recordFailure(record, user.id);
+      throw twoFactorError('Invalid backup code', 401);
+    }
+
+    await createActivityLog(
+      user.id,
+      'USE_TWO_FACTOR_BACKUP_CODE',
+      'User',
+      user.id,
+      null,
+      { backup_codes_remaining: remaining.length },
+      user.isp_id,
+      req ? req.ip : null,
+      req ? req.get('user-agent') : null,
+      `${user.email} ${action} with a backup code`
+    );
+    return { method: 'backup_code', backup_codes_remaining: remaining.length };
+  }
+
+  const step = verifyTotp(decryptSecret(record.secret), code, { afterStep: record.last_used_step });
+  if (step === null) {
+    await recordFailure(record, user.id);
+    throw twoFactorError('Invalid verification code', 401);
+  }
+
+  // Two requests racing with the same code: only one may use it
+  const [updated] = await UserTwoFactor.update(
+    { last_used_step: step, failed_attempts: 0, locked_until: null },
+    { where: { id: record.id, last_used_step: record.last_used_step } }
+  );
+  if (!updated) {
+    throw twoFactorError('Invalid verification code', 401);
+  }
+
+  return { method: 'totp', backup_codes_remaining: hashes.length };
+};
+
+/**
+ * Replace the backup codes
+ * @param {Object} user - User instance
+ * @returns {Promise<Array<string>>} New backup codes
+ */
+const regenerateBackupCodes = async (user) => {
+  const record = await UserTwoFactor.findOne({ where: { user_id: user.id } });
+  if (!user.two_factor_enabled || !record) {
+    throw twoFactorError('Two-factor authentication is not enabled');
+  }
+
+  const backupCodes = generateBackupCodes();
+  await record.update({ backup_code_hashes: backupCodes.map(hashBackupCode) });
+  return backupCodes;
+};
+
+/**
+ * Turn 2FA off and forget the secret and backup codes
+ * @param {Object} user - User instance
+ * @returns {Promise<void>}
+ */
+const disableTwoFactor = async (user) => {
+  await UserTwoFactor.destroy({ where: { user_id: user.id } });
+  if (user.two_factor_enabled) {
+    await user.update({ two_factor_enabled: false });
+  }
+  console.log(`🔓 Two-factor authentication disabled for user ${user.id}`);
+};
+
+/**
+ * Summarize a user's 2FA setup
+ * @param {Object} user - User instance
+ * @returns {Promise<Object>} { enabled, required, enabled_at, backup_codes_remaining, setup_pending }
+ */
+const getTwoFactorStatus = async (user) => {
+  const record = await UserTwoFactor.findOne({ where: { user_id: user.id } });
+  return {
+    enabled: !!user.two_factor_enabled,
+    required: await isTwoFactorRequired(user),
+    enabled_at: record ? record.enabled_at : null,
+    backup_codes_remaining: record && user.two_factor_enabled ? (record.backup_code_hashes || []).length : 0,
+    setup_pending: !!(record && record.pending_secret && !user.two_factor_enabled)
+  };
+};
+
+module.exports = {
+  verifyTotp,
+  isTwoFactorRequired,
+  createChallenge,
+  readChallenge,
+  beginEnrolment,
+  confirmEnrolment,
+  verifySecondFactor,
+  regenerateBackupCodes,
+  disableTwoFactor,
+  getTwoFactorStatus
+};
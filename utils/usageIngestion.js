@@ -0,0 +1,732 @@
+/**
+ * Usage Ingestion Utility
+ * Feeds customer data usage from RADIUS accounting records (Acct-Input/Output-Octets) and
+ * uploaded CSV or nfdump (NetFlow) summary files. Usage is stored per customer per day in
+ * daily_usage; Customer.data_usage is recomputed from those rows for the current period and
+ * the customer is alerted once at 80% and once at 100% of their data limit.
+ */
+
+const crypto = require('crypto');
+const moment = require('moment');
+const { Op, fn, col, UniqueConstraintError } = require('sequelize');
+const {
+  Customer,
+  DailyUsage,
+  UsageSession,
+  UsageImport,
+  IpAllocation,
+  Installation,
+  NetworkSetting,
+  ISP,
+  User,
+  Notification
+} = require('../models');
+const { calculateRemainingData } = require('./calculateDataUsage');
+const { normalizeIp } = require('./ipam');
+const { renderMessage } = require('./messageTemplates');
+const sendEmail = require('./sendEmail');
+const sendSMS = require('./smsService');
+
+const BYTES_PER_GB = 1024 ** 3;
+const GIGAWORD = 2 ** 32;
+
+// Percentages of the data limit that trigger an alert (each once per period)
+const ALERT_THRESHOLDS = [80, 100];
+
+// Accounting sessions are kept this long after their last update to absorb retransmissions
+const SESSION_RETENTION_DAYS = parseInt(process.env.USAGE_SESSION_RETENTION_DAYS, 10) || 30;
+
+const MAX_ACCOUNTING_RECORDS = 1000;
+const MAX_HISTORY_DAYS = 731;
+const UNMATCHED_SAMPLE_SIZE = 50;
+
+// Acct-Status-Type names and their numeric codes
+const STATUS_TYPES = { 1: 'start', 2: 'stop', 3: 'interimupdate' };
+const USAGE_STATUS_TYPES = ['start', 'interimupdate', 'stop'];
+
+// Accepted column names for CSV summary files (compared without case or punctuation)
+const FILE_COLUMNS = {
+  date: ['date', 'day', 'usagedate', 'timestamp'],
+  username: ['username', 'user', 'login', 'customerid', 'account'],
+  ip: ['ip', 'ipaddress', 'address', 'framedipaddress'],
+  download: ['downloadbytes', 'download', 'rxbytes', 'bytesin', 'acctoutputoctets'],
+  upload: ['uploadbytes', 'upload', 'txbytes', 'bytesout', 'acctinputoctets'],
+  total: ['bytes', 'totalbytes']
+};
+
+const usageError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const round2 = (value) => Math.round(parseFloat(value || 0) * 100) / 100;
+
+// "Acct-Input-Octets", "acct_input_octets" and "AcctInputOctets" are the same attribute
+const normalizeKey = (key) => String(key).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const toCount = (value) => {
+  const number = Number(value);
+  return Number.isFinite(number) && number > 0 ? Math.floor(number) : 0;
+};
+
+const addSample = (sample, value) => {
+  if (value && sample.length < UNMATCHED_SAMPLE_SIZE && !sample.includes(value)) {
+    sample.push(value);
+  }
+};
+
+/**
+ * Value of an attribute in flat ({"User-Name": "bob"}) or FreeRADIUS rest module
+ * ({"User-Name": {"type": "string", "value": ["bob"]}}) form
+ */
+const attributeValue = (value) => {
+  let result = value;
+  if (result && typeof result === 'object' && !Array.isArray(result)) result = result.value;
+  if (Array.isArray(result)) result = result[0];
+  return result === undefined || result === null || result === '' ? null : result;
+};
+
+/**
+ * Parse a timestamp given as epoch seconds or a date string
+ * @returns {Object|null} moment
+ */
+const parseTimestamp = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const parsed = /^\d+$/.test(String(value)) ? moment.unix(Number(value)) : moment(new Date(value));
+  return parsed.isValid() ? parsed : null;
+};
+
+/**
+ * Parse a RADIUS accounting record
+ * @param {Object} record - Accounting attributes
+ * @returns {Object} { statusType, sessionKey, username, framedIp, inputBytes, outputBytes, eventTime }
+ */
+const parseAccountingRecord = (record) => {
+  const attributes = {};
+  Object.entries(record || {}).forEach(([key, value]) => {
+    attributes[normalizeKey(key)] = attributeValue(value);
+  });
+
+  const username = attributes.username ? String(attributes.username).trim() : null;
+  const sessionId = attributes.acctsessionid ? String(attributes.acctsessionid) : null;
+  const nas = attributes.nasipaddress || attributes.nasidentifier || '';
+
+  let statusType = attributes.acctstatustype ? String(attributes.acctstatustype) : null;
+  if (statusType) {
+    statusType = STATUS_TYPES[statusType] || statusType.toLowerCase().replace(/[^a-z]/g, '');
+  }
+
+  return {
+    statusType,
+    sessionKey: attributes.acctuniquesessionid
+      ? String(attributes.acctuniquesessionid)
+      : (sessionId && username ? [nas, username, sessionId].join('|').slice(0, 255) : null),
+    username,
+    framedIp: attributes.framedipaddress ? String(attributes.framedipaddress) : null,
+    // Counters are cumulative for the session; gigawords carry the 32-bit overflow
+    inputBytes: toCount(attributes.acctinputgigawords) * GIGAWORD + toCount(attributes.acctinputoctets),
+    outputBytes: toCount(attributes.acctoutputgigawords) * GIGAWORD + toCount(attributes.acctoutputoctets),
+    eventTime: (parseTimestamp(attributes.eventtimestamp) || moment()).toDate()
+  };
+};
+
+/**
+ * Customer lookup for one ingestion batch: RADIUS username or customer ID first, then the
+ * IP address (IPAM allocation, else installation). Results are cached for the batch.
+ * @param {number} ispId - ISP ID
+ * @returns {Function} async ({ username, ip }) => customer ID or null
+ */
+const createCustomerResolver = (ispId) => {
+  const cache = new Map();
+
+  const findByUsername = async (username) => {
+    const byUsername = await Customer.findOne({ where: { isp_id: ispId, radius_username: username }, attributes: ['id'] });
+    if (byUsername) return byUsername.id;
+    const byCustomerId = await Customer.findOne({ where: { isp_id: ispId, customer_id: username }, attributes: ['id'] });
+    return byCustomerId ? byCustomerId.id : null;
+  };
+
+  const findByIp = async (address) => {
+    const allocation = await IpAllocation.findOne({
+      where: { isp_id: ispId, ip_address: address, status: 'allocated', customer_id: { [Op.ne]: null } },
+      attributes: ['customer_id']
+    });
+    if (allocation) return allocation.customer_id;
+
+    const installation = await Installation.findOne({
+      where: { isp_id: ispId, ip_address: address, status: { [Op.ne]: 'cancelled' } },
+      attributes: ['customer_id'],
+      order: [['id', 'DESC']]
+    });
+    return installation ? installation.customer_id : null;
+  };
+
+  const cached = async (key, find) => {
+    if (!cache.has(key)) {
+      cache.set(key, await find());
+    }
+    return cache.get(key);
+  };
+
+  return async ({ username = null, ip = null }) => {
+    if (username) {
+      const customerId = await cached(`user:${username}`, () => findByUsername(username));
+      if (customerId) return customerId;
+    }
+
+    const address = ip ? normalizeIp(ip) : null;
+    return address ? await cached(`ip:${address}`, () => findByIp(address)) : null;
+  };
+};
+
+/**
+ * Add usage to a customer's row for a day
+ * @param {Object} params - { ispId, customerId, date, downloadBytes, uploadBytes }
+ */
+const recordUsage = async ({ ispId, customerId, date, downloadBytes = 0, uploadBytes = 0 }) => {
+  if (downloadBytes <= 0 && uploadBytes <= 0) return;
+
+  const [row, created] = await DailyUsage.findOrCreate({
+    where: { customer_id: customerId, usage_date: moment(date).format('YYYY-MM-DD') },
+    defaults: { isp_id: ispId, download_bytes: downloadBytes, upload_bytes: uploadBytes }
+  });
+  if (!created) {
+    await row.increment({ download_bytes: downloadBytes, upload_bytes: uploadBytes });
+  }
+};
+
+/**
+ * First day counted in a customer's current usage period (the later of the start of the
+ * month and the last reset)
+ * @param {Object} customer - Customer
+ * @returns {string} YYYY-MM-DD
+ */
+const getPeriodStart = (customer) => {
+  const monthStart = moment().startOf('month');
+  const resetDate = customer.data_reset_date ? moment(customer.data_reset_date).startOf('day') : null;
+  return (resetDate && resetDate.isAfter(monthStart) ? resetDate : monthStart).format('YYYY-MM-DD');
+};
+
+/**
+ * Notify a customer when their usage crosses an alert threshold not yet sent this period
+ * @param {Object} customer - Customer instance
+ * @param {Object} dataInfo - calculateRemainingData result
+ * @returns {number|null} Threshold alerted, or null
+ */
+const sendUsageAlert = async (customer, dataInfo) => {
+  if (dataInfo.is_unlimited) return null;
+
+  const threshold = ALERT_THRESHOLDS.filter(level => dataInfo.percentage_used >= level).pop();
+  if (!threshold || threshold <= (customer.data_alert_level || 0)) {
+    return null;
+  }
+
+  customer.data_alert_level = threshold;
+  await customer.save();
+
+  const customerUser = await User.findOne({ where: { customer_id: customer.id } });
+  const limit = parseFloat(dataInfo.limit);
+
+  const notification = await Notification.create({
+    customer_id: customer.id,
+    user_id: customerUser ? customerUser.id : null,
+    type: 'data_usage_alert',
+    title: threshold >= 100 ? 'Data Limit Reached' : `${threshold}% of Data Limit Used`,
+    message: `You have used ${round2(dataInfo.used)} GB of your ${limit} GB monthly data limit (${Math.floor(dataInfo.percentage_used)}%).`,
+    channel: 'both',
+    scheduled_at: new Date(),
+    isp_id: customer.isp_id
+  });
+
+  const data = { customer, usage: dataInfo };
+
+  if (customer.email) {
+    try {
+      const email = await renderMessage('data_usage_alert', 'email', data);
+      await sendEmail.sendEmail(customer.email, email.subject, email.text, email.html);
+    } catch (error) {
+      console.error(`Error sending data usage email to customer ${customer.id}:`, error);
+    }
+  }
+
+  if (customer.phone) {
+    try {
+      const sms = await renderMessage('data_usage_alert', 'sms', data);
+      await sendSMS(customer.phone, sms.text, {
+        ispId: customer.isp_id,
+        customerId: customer.id,
+        notificationId: notification.id
+      });
+    } catch (error) {
+      console.error(`Error sending data usage SMS to customer ${customer.id}:`, error);
+    }
+  }
+
+  console.log(`📶 Data usage alert (${threshold}%) for customer ${customer.id}`);
+  return threshold;
+};
+
+/**
+ * Recompute a customer's data_usage for the current period from daily_usage and send any
+ * alert the new total crosses
+ * @param {number} customerId - Customer ID
+ * @returns {Object|null} calculateRemainingData result plus { alert }, or null if not found
+ */
+const refreshCustomerUsage = async (customerId) => {
+  const customer = await Customer.findByPk(customerId);
+  if (!customer) return null;
+
+  const totals = await DailyUsage.findOne({
+    where: { customer_id: customer.id, usage_date: { [Op.gte]: getPeriodStart(customer) } },
+    attributes: [
+      [fn('SUM', col('download_bytes')), 'download_bytes'],
+      [fn('SUM', col('upload_bytes')), 'upload_bytes']
+    ],
+    raw: true
+  });
+  const bytes = Number((totals && totals.download_bytes) || 0) + Number((totals && totals.upload_bytes) || 0);
+
+  customer.data_usage = round2(bytes / BYTES_PER_GB);
+  await customer.save();
+
+  const dataInfo = await calculateRemainingData(customer.id);
+  const alert = await sendUsageAlert(customer, dataInfo);
+  return { ...dataInfo, alert };
+};
+
+/**
+ * Move a session's counters forward and return the usage since the previous record.
+ * The update only applies if the counters are unchanged, so concurrent records for the
+ * same session are not counted twice.
+ * @returns {Object} { downloadBytes, uploadBytes }
+ */
+const advanceSession = async (session, parsed) => {
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const input = Number(session.input_bytes);
+    const output = Number(session.output_bytes);
+
+    // Counters lower than the stored ones are late (out-of-order) records
+    const values = {
+      input_bytes: Math.max(input, parsed.inputBytes),
+      output_bytes: Math.max(output, parsed.outputBytes),
+      last_update_at: parsed.eventTime
+    };
+    if (parsed.statusType === 'stop') values.stopped_at = parsed.eventTime;
+
+    const [updated] = await UsageSession.update(values, {
+      where: { id: session.id, input_bytes: session.input_bytes, output_bytes: session.output_bytes }
+    });
+    if (updated) {
+      return { downloadBytes: values.output_bytes - output, uploadBytes: values.input_bytes - input };
+    }
+    await session.reload();
+  }
+
+  throw usageError(`Accounting session ${session.session_key} is being updated concurrently`, 409);
+};
+
+/**
+ * Find or open the tracked session for an accounting record
+ * @returns {Object|null} UsageSession, or null when no customer matches
+ */
+const findOrOpenSession = async (ispId, parsed, resolveCustomer) => {
+  const where = { isp_id: ispId, session_key: parsed.sessionKey };
+  const existing = await UsageSession.findOne({ where });
+  if (existing) return existing;
+
+  const customerId = await resolveCustomer({ username: parsed.username, ip: parsed.framedIp });
+  if (!customerId) return null;
+
+  try {
+    return await UsageSession.create({
+      ...where,
+      username: parsed.username || parsed.framedIp,
+      customer_id: customerId,
+      input_bytes: 0,
+      output_bytes: 0,
+      started_at: parsed.statusType === 'start' ? parsed.eventTime : null
+    });
+  } catch (error) {
+    // Another record for the same session opened it first
+    if (error instanceof UniqueConstraintError) {
+      return await UsageSession.findOne({ where });
+    }
+    throw error;
+  }
+};
+
+/**
+ * Ingest RADIUS accounting records (Start, Interim-Update, Stop). Counters are cumulative
+ * per session, so only the growth since the session's previous record is added, on the
+ * day of the record's Event-Timestamp. Retransmitted records add nothing.
+ * @param {Object} params - { ispId, records }
+ * @returns {Object} { received, processed, ignored, unmatched, customers }
+ */
+const ingestAccountingRecords = async ({ ispId, records }) => {
+  if (records.length > MAX_ACCOUNTING_RECORDS) {
+    throw usageError(`At most ${MAX_ACCOUNTING_RECORDS} accounting records can be sent at once`);
+  }
+
+  const resolveCustomer = createCustomerResolver(ispId);
+  const touched = new Set();
+  const summary = { received: records.length, processed: 0, ignored: 0, unmatched: [] };
+
+  for (const record of records) {
+    const parsed = parseAccountingRecord(record);
+
+    // Accounting-On/Off and records without a session carry no per-customer usage
+    if (!parsed.sessionKey || !USAGE_STATUS_TYPES.includes(parsed.statusType)) {
+      summary.ignored++;
+      continue;
+    }
+
+    const session = await findOrOpenSession(ispId, parsed, resolveCustomer);
+    if (!session) {
+      addSample(summary.unmatched, parsed.username || parsed.framedIp);
+      continue;
+    }
+
+    const { downloadBytes, uploadBytes } = await advanceSession(session, parsed);
+    await recordUsage({ ispId, customerId: session.customer_id, date: parsed.eventTime, downloadBytes, uploadBytes });
+    if (downloadBytes > 0 || uploadBytes > 0) {
+      touched.add(session.customer_id);
+    }
+    summary.processed++;
+  }
+
+  for (const customerId of touched) {
+    await refreshCustomerUsage(customerId);
+  }
+
+  return { ...summary, customers: touched.size };
+};
+
+/**
+ * Split a CSV line into cells (double-quoted cells may contain commas)
+ */
+const parseCsvLine = (line) => {
+  const cells = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      cells.push(cell.trim());
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  cells.push(cell.trim());
+  return cells;
+};
+
+/**
+ * Parse a usage summary file into usage rows.
+ * CSV: a header row with a date, a username/customer ID or IP address, and download/upload
+ * (or total) bytes. nfdump: `nfdump -o csv` flow output (ts, sa, da, ibyt); bytes to a
+ * customer address count as download, bytes from it as upload.
+ * @param {string} text - File content
+ * @returns {Object} { format, rows: [{ date, username, ip, direction, downloadBytes, uploadBytes }], invalid }
+ */
+const parseUsageFile = (text) => {
+  const lines = String(text || '').replace(/^\uFEFF/, '').split(/\r?\n/);
+  const headerIndex = lines.findIndex(line => line.trim() !== '');
+  if (headerIndex === -1) {
+    throw usageError('The file is empty');
+  }
+
+  const header = parseCsvLine(lines[headerIndex]).map(normalizeKey);
+  const find = (names) => header.findIndex(name => names.includes(name));
+  const nfdump = ['ts', 'sa', 'da', 'ibyt'].every(name => header.includes(name));
+
+  const columns = nfdump
+    ? { date: find(['ts']), source: find(['sa']), destination: find(['da']), bytes: find(['ibyt']) }
+    : {
+      date: find(FILE_COLUMNS.date),
+      username: find(FILE_COLUMNS.username),
+      ip: find(FILE_COLUMNS.ip),
+      download: find(FILE_COLUMNS.download),
+      upload: find(FILE_COLUMNS.upload),
+      total: find(FILE_COLUMNS.total)
+    };
+
+  if (!nfdump) {
+    if (columns.date === -1) {
+      throw usageError(`The file needs a date column (${FILE_COLUMNS.date.join(', ')})`);
+    }
+    if (columns.username === -1 && columns.ip === -1) {
+      throw usageError('The file needs a username, customer_id or ip_address column');
+    }
+    if (columns.download === -1 && columns.upload === -1 && columns.total === -1) {
+      throw usageError('The file needs download_bytes/upload_bytes or bytes columns');
+    }
+  }
+
+  const rows = [];
+  let invalid = 0;
+
+  for (const line of lines.slice(headerIndex + 1)) {
+    if (line.trim() === '') continue;
+    // nfdump appends a summary block after the flows
+    if (nfdump && line.trim().toLowerCase() === 'summary') break;
+
+    const cells = parseCsvLine(line);
+    const cell = (index) => (index === -1 ? '' : (cells[index] || ''));
+    const date = parseTimestamp(cell(columns.date));
+    if (!date) {
+      invalid++;
+      continue;
+    }
+
+    if (nfdump) {
+      const bytes = toCount(cell(columns.bytes));
+      if (!bytes || !cell(columns.source) || !cell(columns.destination)) {
+        invalid++;
+        continue;
+      }
+      rows.push({ date: date.toDate(), source: cell(columns.source), destination: cell(columns.destination), bytes });
+      continue;
+    }
+
+    const username = cell(columns.username) || null;
+    const ip = cell(columns.ip) || null;
+    const downloadBytes = columns.download !== -1 || columns.upload !== -1
+      ? toCount(cell(columns.download))
+      : toCount(cell(columns.total));
+    const uploadBytes = toCount(cell(columns.upload));
+
+    if ((!username && !ip) || (downloadBytes === 0 && uploadBytes === 0)) {
+      invalid++;
+      continue;
+    }
+    rows.push({ date: date.toDate(), username, ip, downloadBytes, uploadBytes });
+  }
+
+  return { format: nfdump ? 'nfdump' : 'csv', rows, invalid };
+};
+
+/**
+ * Import a usage summary file. The same file (by checksum) cannot be imported twice.
+ * @param {Object} params - { ispId, filename, content (Buffer or string), userId }
+ * @returns {Object} UsageImport
+ */
+const importUsageFile = async ({ ispId, filename = null, content, userId = null }) => {
+  const text = Buffer.isBuffer(content) ? content.toString('utf8') : String(content || '');
+  const checksum = crypto.createHash('sha256').update(text).digest('hex');
+
+  const previous = await UsageImport.findOne({ where: { isp_id: ispId, checksum } });
+  if (previous) {
+    throw usageError(`This file was already imported on ${moment(previous.createdAt).format('MMM DD, YYYY HH:mm')}`, 409);
+  }
+
+  const { format, rows, invalid } = parseUsageFile(text);
+
+  // Claim the checksum before counting anything, so a concurrent upload of the same file fails
+  let usageImport;
+  try {
+    usageImport = await UsageImport.create({
+      filename,
+      checksum,
+      format,
+      total_rows: rows.length + invalid,
+      invalid_rows: invalid,
+      imported_by: userId,
+      isp_id: ispId
+    });
+  } catch (error) {
+    if (error instanceof UniqueConstraintError) {
+      throw usageError('This file was already imported', 409);
+    }
+    throw error;
+  }
+
+  const resolveCustomer = createCustomerResolver(ispId);
+  const totals = new Map();
+  const unmatched = [];
+  let matched = 0;
+  let totalBytes = 0;
+
+  for (const row of rows) {
+    let customerId;
+    let downloadBytes = row.downloadBytes;
+    let uploadBytes = row.uploadBytes;
+
+    if (format === 'nfdump') {
+      customerId = await resolveCustomer({ ip: row.destination });
+      downloadBytes = customerId ? row.bytes : 0;
+      uploadBytes = 0;
+      if (!customerId) {
+        customerId = await resolveCustomer({ ip: row.source });
+        uploadBytes = customerId ? row.bytes : 0;
+      }
+    } else {
+      customerId = await resolveCustomer({ username: row.username, ip: row.ip });
+    }
+
+    if (!customerId) {
+      addSample(unmatched, row.username || row.ip || `${row.source} > ${row.destination}`);
+      continue;
+    }
+
+    const key = `${customerId}|${moment(row.date).format('YYYY-MM-DD')}`;
+    const total = totals.get(key) || { customerId, date: row.date, downloadBytes: 0, uploadBytes: 0 };
+    total.downloadBytes += downloadBytes;
+    total.uploadBytes += uploadBytes;
+    totals.set(key, total);
+
+    matched++;
+    totalBytes += downloadBytes + uploadBytes;
+  }
+
+  const touched = new Set();
+  for (const total of totals.values()) {
+    await recordUsage({ ispId, ...total });
+    touched.add(total.customerId);
+  }
+  for (const customerId of touched) {
+    await refreshCustomerUsage(customerId);
+  }
+
+  await usageImport.update({
+    matched_rows: matched,
+    unmatched_rows: rows.length - matched,
+    total_bytes: totalBytes,
+    unmatched_identifiers: unmatched.length > 0 ? unmatched : null
+  });
+
+  console.log(`📶 Imported usage file ${filename || usageImport.id} for ISP ${ispId}: ${matched} of ${rows.length} row(s) matched, ${touched.size} customer(s)`);
+  return usageImport;
+};
+
+/**
+ * Usage history of a customer for graphs, with empty periods filled in
+ * @param {Object} params - { customer, from, to, granularity: day | month }
+ * @returns {Object} { from, to, granularity, points: [{ period, download_bytes, upload_bytes, total_bytes, total_gb }], totals }
+ */
+const getUsageHistory = async ({ customer, from = null, to = null, granularity = 'day' }) => {
+  const unit = granularity === 'month' ? 'month' : 'day';
+  const end = (to ? moment(to) : moment()).endOf(unit);
+  const start = (from ? moment(from) : moment(end).subtract(unit === 'month' ? 11 : 29, unit)).startOf(unit);
+
+  if (!start.isValid() || !end.isValid() || start.isAfter(end)) {
+    throw usageError('Invalid date range');
+  }
+  if (end.diff(start, 'days') > MAX_HISTORY_DAYS) {
+    throw usageError(`The date range can be at most ${MAX_HISTORY_DAYS} days`);
+  }
+
+  const rows = await DailyUsage.findAll({
+    where: {
+      customer_id: customer.id,
+      usage_date: { [Op.between]: [start.format('YYYY-MM-DD'), end.format('YYYY-MM-DD')] }
+    },
+    order: [['usage_date', 'ASC']]
+  });
+
+  const format = unit === 'month' ? 'YYYY-MM' : 'YYYY-MM-DD';
+  const points = new Map();
+  for (const cursor = moment(start); cursor.isSameOrBefore(end); cursor.add(1, unit)) {
+    points.set(cursor.format(format), { period: cursor.format(format), download_bytes: 0, upload_bytes: 0 });
+  }
+
+  rows.forEach((row) => {
+    const point = points.get(moment(row.usage_date).format(format));
+    if (point) {
+      point.download_bytes += Number(row.download_bytes);
+      point.upload_bytes += Number(row.upload_bytes);
+    }
+  });
+
+  const series = Array.from(points.values()).map(point => ({
+    ...point,
+    total_bytes: point.download_bytes + point.upload_bytes,
+    total_gb: round2((point.download_bytes + point.upload_bytes) / BYTES_PER_GB)
+  }));
+
+  const download = series.reduce((sum, point) => sum + point.download_bytes, 0);
+  const upload = series.reduce((sum, point) => sum + point.upload_bytes, 0);
+
+  return {
+    from: start.format('YYYY-MM-DD'),
+    to: end.format('YYYY-MM-DD'),
+    granularity: unit,
+    points: series,
+    totals: {
+      download_bytes: download,
+      upload_bytes: upload,
+      total_bytes: download + upload,
+      total_gb: round2((download + upload) / BYTES_PER_GB)
+    }
+  };
+};
+
+/**
+ * Check the accounting collector's secret for an ISP (the ISP's network settings, else
+ * USAGE_ACCOUNTING_SECRET)
+ * @param {number} ispId - ISP ID
+ * @param {string} secret - Secret sent by the collector
+ * @returns {boolean}
+ */
+const verifyAccountingSecret = async (ispId, secret) => {
+  if (!secret || !(await ISP.findByPk(ispId, { attributes: ['id'] }))) {
+    return false;
+  }
+
+  const setting = await NetworkSetting.findOne({ where: { isp_id: ispId }, attributes: ['accounting_secret'] });
+  const expected = (setting && setting.accounting_secret) || process.env.USAGE_ACCOUNTING_SECRET;
+  if (!expected) return false;
+
+  const given = Buffer.from(String(secret));
+  const wanted = Buffer.from(expected);
+  return given.length === wanted.length && crypto.timingSafeEqual(given, wanted);
+};
+
+/**
+ * Delete accounting sessions with no update for SESSION_RETENTION_DAYS
+ * @param {Object} options - { ispId } to limit the run to one ISP
+ * @returns {number} Sessions removed
+ */
+const pruneUsageSessions = async ({ ispId = null } = {}) => {
+  const cutoff = moment().subtract(SESSION_RETENTION_DAYS, 'days').toDate();
+  const removed = await UsageSession.destroy({
+    where: {
+      ...(ispId ? { isp_id: ispId } : {}),
+      [Op.or]: [
+        { last_update_at: { [Op.lt]: cutoff } },
+        { last_update_at: null, createdAt: { [Op.lt]: cutoff } }
+      ]
+    }
+  });
+
+  console.log(`🧹 Pruned ${removed} accounting session(s)${ispId ? ` for ISP ${ispId}` : ''}`);
+  return removed;
+};
+
+module.exports = {
+  BYTES_PER_GB,
+  ALERT_THRESHOLDS,
+  parseAccountingRecord,
+  parseUsageFile,
+  ingestAccountingRecords,
+  importUsageFile,
+  recordUsage,
+  refreshCustomerUsage,
+  getUsageHistory,
+  verifyAccountingSecret,
+  pruneUsageSessions
+};
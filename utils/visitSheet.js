@@ -0,0 +1,344 @@
+/**
+ * Recovery Visit Sheet Utility
+ * Builds an officer's daily visit sheet (stops grouped by area and ordered by a
+ * nearest-neighbour route over customer coordinates) and bulk-assigns overdue
+ * bills to recovery officers by area with workload balancing
+ */
+
+const { Recovery, Customer, Bill, User } = require('../models');
+const { Op } = require('sequelize');
+const moment = require('moment');
+
+// Recoveries still waiting for a (re)visit
+const OPEN_RECOVERY_STATUSES = ['assigned', 'visited', 'partial', 'not_available'];
+const UNPAID_BILL_STATUSES = ['pending', 'partial', 'overdue'];
+const NO_AREA = 'Unassigned area';
+
+const round2 = (value) => Math.round(parseFloat(value || 0) * 100) / 100;
+
+const visitError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const hasLocation = (point) => point
+  && point.latitude !== null && point.latitude !== undefined
+  && point.longitude !== null && point.longitude !== undefined;
+
+/**
+ * Great-circle distance between two points
+ * @param {Object} from - { latitude, longitude }
+ * @param {Object} to - { latitude, longitude }
+ * @returns {number} Distance in km
+ */
+const distanceKm = (from, to) => {
+  const toRad = (deg) => (parseFloat(deg) * Math.PI) / 180;
+  const dLat = toRad(to.latitude) - toRad(from.latitude);
+  const dLng = toRad(to.longitude) - toRad(from.longitude);
+  const a = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRad(from.latitude)) * Math.cos(toRad(to.latitude)) * Math.sin(dLng / 2) ** 2;
+  return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
+
+/**
+ * Order stops for a route: areas are visited one at a time, always moving to the area with
+ * the closest unvisited stop, and stops inside an area follow a nearest-neighbour path.
+ * Stops without coordinates come last in their area (by address); areas without any
+ * coordinates come last (by name).
+ * @param {Array} stops - Objects with area, address, latitude, longitude
+ * @param {Object} start - Optional { latitude, longitude } to start from
+ * @returns {Array} Stops in visit order with sequence and distance_km from the previous stop
+ */
+const orderVisitStops = (stops, start = null) => {
+  const groups = new Map();
+  stops.forEach((stop) => {
+    const area = stop.area || NO_AREA;
+    if (!groups.has(area)) groups.set(area, []);
+    groups.get(area).push(stop);
+  });
+
+  const ordered = [];
+  let position = hasLocation(start) ? start : null;
+
+  const visitArea = (areaStops) => {
+    const located = areaStops.filter(hasLocation);
+    const unlocated = areaStops
+      .filter(stop => !hasLocation(stop))
+      .sort((a, b) => String(a.address || '').localeCompare(String(b.address || '')));
+
+    while (located.length > 0) {
+      let nextIndex = 0;
+      if (position) {
+        located.forEach((stop, index) => {
+          if (distanceKm(position, stop) < distanceKm(position, located[nextIndex])) nextIndex = index;
+        });
+      }
+      const [stop] = located.splice(nextIndex, 1);
+      ordered.push({ ...stop, distance_km: position ? round2(distanceKm(position, stop)) : 0 });
+      position = stop;
+    }
+
+    unlocated.forEach(stop => ordered.push({ ...stop, distance_km: null }));
+  };
+
+  const remaining = [...groups.entries()];
+  while (remaining.some(([, areaStops]) => areaStops.some(hasLocation))) {
+    let nextIndex = -1;
+    let nextDistance = Infinity;
+    remaining.forEach(([, areaStops], index) => {
+      areaStops.filter(hasLocation).forEach((stop) => {
+        const distance = position ? distanceKm(position, stop) : 0;
+        if (nextIndex === -1 || distance < nextDistance) {
+          nextIndex = index;
+          nextDistance = distance;
+        }
+      });
+    });
+    const [[, areaStops]] = remaining.splice(nextIndex, 1);
+    visitArea(areaStops);
+  }
+
+  remaining
+    .sort(([a], [b]) => a.localeCompare(b))
+    .forEach(([, areaStops]) => visitArea(areaStops));
+
+  return ordered.map((stop, index) => ({ ...stop, sequence: index + 1 }));
+};
+
+/**
+ * Build an officer's visit sheet for a day
+ * Includes open recoveries that are unscheduled or due on/before the date.
+ * @param {Object} params - { officerId, date, ispId, start: { latitude, longitude } }
+ * @returns {Object} { officer, date, areas, stops, totals }
+ */
+const buildVisitSheet = async ({ officerId, date = new Date(), ispId = null, start = null }) => {
+  const officerWhere = { id: officerId, role: 'recovery_officer' };
+  if (ispId) officerWhere.isp_id = ispId;
+
+  const officer = await User.findOne({
+    where: officerWhere,
+    attributes: ['id', 'name', 'email', 'isp_id']
+  });
+  if (!officer) {
+    throw visitError('Recovery officer not found', 404);
+  }
+
+  const day = moment(date);
+  const recoveries = await Recovery.findAll({
+    where: {
+      recovery_officer_id: officer.id,
+      status: { [Op.in]: OPEN_RECOVERY_STATUSES },
+      [Op.or]: [
+        { next_visit_date: null },
+        { next_visit_date: { [Op.lte]: day.clone().endOf('day').toDate() } }
+      ]
+    },
+    include: [
+      {
+        model: Customer,
+        as: 'customer',
+        attributes: ['id', 'name', 'phone', 'address', 'area', 'latitude', 'longitude', 'customer_id']
+      },
+      {
+        model: Bill,
+        as: 'bill',
+        attributes: ['id', 'bill_number', 'total_amount', 'amount', 'paid_amount', 'due_date', 'status']
+      }
+    ]
+  });
+
+  // Outstanding across all of each customer's unpaid bills
+  const customerIds = [...new Set(recoveries.map(recovery => recovery.customer_id))];
+  const unpaidBills = customerIds.length > 0
+    ? await Bill.findAll({
+      where: {
+        customer_id: { [Op.in]: customerIds },
+        status: { [Op.in]: UNPAID_BILL_STATUSES }
+      },
+      attributes: ['customer_id', 'total_amount', 'amount', 'paid_amount']
+    })
+    : [];
+  const customerOutstanding = {};
+  unpaidBills.forEach((bill) => {
+    const outstanding = parseFloat(bill.total_amount || bill.amount || 0) - parseFloat(bill.paid_amount || 0);
+    customerOutstanding[bill.customer_id] = round2((customerOutstanding[bill.customer_id] || 0) + outstanding);
+  });
+
+  const stops = orderVisitStops(recoveries
+    .filter(recovery => recovery.customer)
+    .map((recovery) => {
+      const { customer, bill } = recovery;
+      return {
+        recovery_id: recovery.id,
+        status: recovery.status,
+        next_visit_date: recovery.next_visit_date,
+        remarks: recovery.remarks,
+        customer_id: customer.id,
+        customer_code: customer.customer_id,
+        name: customer.name,
+        phone: customer.phone,
+        address: customer.address,
+        area: customer.area || NO_AREA,
+        latitude: customer.latitude !== null ? parseFloat(customer.latitude) : null,
+        longitude: customer.longitude !== null ? parseFloat(customer.longitude) : null,
+        bill_number: bill ? bill.bill_number : null,
+        due_date: bill ? bill.due_date : null,
+        bill_outstanding: bill
+          ? round2(parseFloat(bill.total_amount || bill.amount || 0) - parseFloat(bill.paid_amount || 0))
+          : null,
+        customer_outstanding: customerOutstanding[customer.id] || 0
+      };
+    }), start);
+
+  const areas = [];
+  stops.forEach((stop) => {
+    let area = areas.find(entry => entry.area === stop.area);
+    if (!area) {
+      area = { area: stop.area, stops: 0, outstanding: 0 };
+      areas.push(area);
+    }
+    area.stops += 1;
+    area.outstanding = round2(area.outstanding + stop.customer_outstanding);
+  });
+
+  return {
+    officer,
+    date: day.format('YYYY-MM-DD'),
+    areas,
+    stops,
+    totals: {
+      stops: stops.length,
+      outstanding: round2(areas.reduce((sum, area) => sum + area.outstanding, 0)),
+      distance_km: round2(stops.reduce((sum, stop) => sum + (stop.distance_km || 0), 0))
+    }
+  };
+};
+
+/**
+ * Assign unassigned overdue bills to recovery officers.
+ * Bills are grouped by customer area; each area goes whole to the officer with the
+ * lightest open workload at that point (largest areas first).
+ * @param {Object} params - { ispId, officerIds, areas, billIds, nextVisitDate, dryRun }
+ * @returns {Object} { assignments, officers, skipped }
+ */
+const assignOverdueBills = async ({
+  ispId,
+  officerIds = null,
+  areas = null,
+  billIds = null,
+  nextVisitDate = null,
+  dryRun = false
+}) => {
+  if (!ispId) {
+    throw visitError('ISP ID is required');
+  }
+
+  const officerWhere = { role: 'recovery_officer', isp_id: ispId, is_active: true };
+  if (officerIds && officerIds.length > 0) officerWhere.id = { [Op.in]: officerIds };
+  const officers = await User.findAll({ where: officerWhere, attributes: ['id', 'name'] });
+  if (officers.length === 0) {
+    throw visitError('No active recovery officers found');
+  }
+
+  const billWhere = {
+    isp_id: ispId,
+    status: { [Op.in]: UNPAID_BILL_STATUSES },
+    due_date: { [Op.lt]: new Date() }
+  };
+  if (billIds && billIds.length > 0) billWhere.id = { [Op.in]: billIds };
+
+  const customerWhere = {};
+  if (areas && areas.length > 0) {
+    customerWhere[Op.or] = areas.map(area => (area === NO_AREA ? { area: null } : { area }));
+  }
+
+  const bills = await Bill.findAll({
+    where: billWhere,
+    include: [{
+      model: Customer,
+      as: 'customer',
+      attributes: ['id', 'name', 'area'],
+      where: customerWhere
+    }],
+    order: [['due_date', 'ASC']]
+  });
+
+  // A bill can only have one recovery assignment
+  const existing = bills.length > 0
+    ? await Recovery.findAll({
+      where: { bill_id: { [Op.in]: bills.map(bill => bill.id) } },
+      attributes: ['bill_id']
+    })
+    : [];
+  const alreadyAssigned = new Set(existing.map(recovery => recovery.bill_id));
+  const pending = bills.filter(bill => !alreadyAssigned.has(bill.id));
+
+  const openCounts = await Recovery.findAll({
+    where: {
+      recovery_officer_id: { [Op.in]: officers.map(officer => officer.id) },
+      status: { [Op.in]: OPEN_RECOVERY_STATUSES }
+    },
+    attributes: ['recovery_officer_id']
+  });
+  const workload = officers.map(officer => ({
+    officer_id: officer.id,
+    name: officer.name,
+    open_before: openCounts.filter(recovery => recovery.recovery_officer_id === officer.id).length,
+    assigned: 0,
+    areas: []
+  }));
+
+  const byArea = new Map();
+  pending.forEach((bill) => {
+    const area = bill.customer.area || NO_AREA;
+    if (!byArea.has(area)) byArea.set(area, []);
+    byArea.get(area).push(bill);
+  });
+
+  const assignments = [];
+  [...byArea.entries()]
+    .sort(([, a], [, b]) => b.length - a.length)
+    .forEach(([area, areaBills]) => {
+      const officer = workload.reduce((lightest, entry) => (
+        entry.open_before + entry.assigned < lightest.open_before + lightest.assigned ? entry : lightest
+      ));
+      officer.assigned += areaBills.length;
+      officer.areas.push(area);
+      areaBills.forEach(bill => assignments.push({
+        recovery_officer_id: officer.officer_id,
+        customer_id: bill.customer_id,
+        bill_id: bill.id,
+        area
+      }));
+    });
+
+  if (!dryRun && assignments.length > 0) {
+    await Recovery.bulkCreate(assignments.map(assignment => ({
+      recovery_officer_id: assignment.recovery_officer_id,
+      customer_id: assignment.customer_id,
+      bill_id: assignment.bill_id,
+      next_visit_date: nextVisitDate,
+      isp_id: ispId,
+      status: 'assigned'
+    })));
+    console.log(`📋 Assigned ${assignments.length} overdue bills to ${workload.filter(entry => entry.assigned > 0).length} recovery officers`);
+  }
+
+  return {
+    assignments,
+    officers: workload.map(entry => ({
+      ...entry,
+      open_after: entry.open_before + entry.assigned
+    })),
+    skipped: bills.length - pending.length
+  };
+};
+
+module.exports = {
+  OPEN_RECOVERY_STATUSES,
+  distanceKm,
+  orderVisitStops,
+  buildVisitSheet,
+  assignOverdueBills
+};
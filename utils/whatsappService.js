@@ -4,6 +4,7 @@
  */
 
 require('dotenv').config();
+const { renderMessage } = require('./messageTemplates');
 
 let axios = null;
 try {
@@ -82,9 +83,8 @@ const sendWhatsApp = async (phoneNumber, message) => {
  * Send bill notification via WhatsApp
  */
 const sendBillWhatsApp = async (customer, bill) => {
-  const message = `📋 *Bill Notification*\n\nDear ${customer.name},\n\nYour bill *${bill.bill_number}* has been generated.\n\n💰 Amount: PKR ${parseFloat(bill.total_amount || bill.amount).toFixed(2)}\n📅 Due Date: ${new Date(bill.due_date).toLocaleDateString()}\n\nPlease make payment before the due date to avoid service interruption.\n\nThank you!`;
-  
   if (customer.phone) {
+    const { text: message } = await renderMessage('bill_generated', 'whatsapp', { customer, bill });
     return await sendWhatsApp(customer.phone, message);
   }
   return { success: false, error: 'Customer phone not found' };
@@ -94,9 +94,8 @@ const sendBillWhatsApp = async (customer, bill) => {
  * Send payment confirmation via WhatsApp
  */
 const sendPaymentConfirmationWhatsApp = async (customer, payment, bill) => {
-  const message = `✅ *Payment Confirmed*\n\nDear ${customer.name},\n\nYour payment has been received successfully!\n\n💰 Amount: PKR ${parseFloat(payment.amount).toFixed(2)}\n📋 Bill: ${bill.bill_number}\n📅 Date: ${new Date(payment.payment_date).toLocaleDateString()}\n\nReceipt Number: ${payment.receipt_number || 'N/A'}\n\nThank you for your payment!`;
-  
   if (customer.phone) {
+    const { text: message } = await renderMessage('payment_received', 'whatsapp', { customer, payment, bill });
     return await sendWhatsApp(customer.phone, message);
   }
   return { success: false, error: 'Customer phone not found' };
@@ -106,9 +105,8 @@ const sendPaymentConfirmationWhatsApp = async (customer, payment, bill) => {
  * Send service suspension notification via WhatsApp
  */
 const sendSuspensionWhatsApp = async (customer, bill) => {
-  const message = `⚠️ *Service Suspended*\n\nDear ${customer.name},\n\nYour internet service has been suspended due to overdue bill *${bill.bill_number}*.\n\n💰 Amount Due: PKR ${parseFloat(bill.total_amount || bill.amount).toFixed(2)}\n\nPlease make payment immediately to reactivate your service.\n\nThank you!`;
-  
   if (customer.phone) {
+    const { text: message } = await renderMessage('suspension', 'whatsapp', { customer, bill });
     return await sendWhatsApp(customer.phone, message);
   }
   return { success: false, error: 'Customer phone not found' };
@@ -118,9 +116,8 @@ const sendSuspensionWhatsApp = async (customer, bill) => {
  * Send service reactivation notification via WhatsApp
  */
 const sendReactivationWhatsApp = async (customer) => {
-  const message = `✅ *Service Reactivated*\n\nDear ${customer.name},\n\nYour internet service has been reactivated!\n\nThank you for your payment. Your service is now active and ready to use.\n\nIf you have any questions, please contact our support team.`;
-  
   if (customer.phone) {
+    const { text: message } = await renderMessage('reactivation', 'whatsapp', { customer });
     return await sendWhatsApp(customer.phone, message);
   }
   return { success: false, error: 'Customer phone not found' };